@@ -1,6 +1,8 @@
 const XLSX = require('xlsx');
 const fs = require('fs');
 const path = require('path');
+// Dependency-free ES module shared with the dashboard, loaded through require(esm) (see "engines" in package.json)
+const { addSeasonallyAdjustedColumns } = require('../src/utils/seasonalAdjustment.js');
 
 /**
  * Simple CSV parser
@@ -573,6 +575,212 @@ function parseSteelImports(workbook) {
     .sort((a, b) => new Date(a.date) - new Date(b.date));
 }
 
+/**
+ * Read the PARTNER / PRODUCT / FLOW / INDICATORS header block of an Eurostat export sheet
+ */
+function readSheetHeader(rawData) {
+  const header = {};
+  for (let i = 0; i < Math.min(15, rawData.length); i++) {
+    const row = rawData[i];
+    if (!row || row.length === 0) continue;
+    
+    const key = String(row[0] || '').trim().toUpperCase();
+    if (['PARTNER', 'PRODUCT', 'FLOW', 'INDICATORS'].includes(key)) {
+      const value = row.slice(1).find(cell => cell !== null && String(cell).trim() !== '');
+      header[key.toLowerCase()] = value ? String(value).trim() : null;
+    }
+  }
+  return header;
+}
+
+/**
+ * Parse annual EU-27 import quantities of one sheet (tons per year)
+ * Uses the EU-27 reporter row, falling back to the sum of the member-state rows when it is missing
+ */
+function parseAnnualImportSheet(rawData) {
+  const timeRowIndex = rawData.findIndex(row => row && String(row[0] || '').trim().toUpperCase() === 'TIME');
+  if (timeRowIndex === -1) return null;
+  
+  const years = [];
+  rawData[timeRowIndex].forEach((cell, index) => {
+    const year = parseInt(String(cell));
+    if (index > 0 && !isNaN(year) && year >= 2000 && year <= 2030) {
+      years.push({ index, year });
+    }
+  });
+  
+  const reporterRows = rawData.slice(timeRowIndex + 1).filter(row => {
+    const name = String((row && row[0]) || '').trim().toUpperCase();
+    return name.length >= 2 && !name.includes('FREQ') && !name.includes('REPORTER') &&
+      !name.includes('SPECIAL VALUE') && name !== ':' && row.slice(1).some(v => typeof v === 'number');
+  });
+  const euRow = reporterRows.find(row => String(row[0]).toUpperCase().startsWith('EUROPEAN UNION'));
+  const rows = euRow ? [euRow] : reporterRows;
+  
+  const totals = [];
+  years.forEach(({ index, year }) => {
+    let total = 0;
+    let found = false;
+    rows.forEach(row => {
+      const value = parseFloat(String(row[index]).replace(/[,\s]/g, ''));
+      if (!isNaN(value) && value >= 0) {
+        total += value;
+        found = true;
+      }
+    });
+    if (found) totals.push({ year, quantity_tons: (total * 100) / 1000 }); // 100 kg units -> tons
+  });
+  
+  return totals;
+}
+
+/**
+ * Build the treated and control import series for the difference-in-differences module
+ * Treated: HS72 imports from outside the EU (subject to CBAM)
+ * Partner control: HS72 intra-EU imports (not subject to CBAM)
+ * Product control: extra-EU imports of non-CBAM HS chapters from control_imports.xlsx (optional,
+ * same Eurostat export layout as steel_imports_hs72.xlsx)
+ */
+function parseDiDSeries(importsWorkbook, controlWorkbook) {
+  const series = [];
+  
+  const addSheets = (workbook, classify) => {
+    workbook.SheetNames.forEach(sheetName => {
+      if (sheetName === 'Summary') return;
+      
+      const rawData = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, defval: null });
+      const header = readSheetHeader(rawData);
+      if ((header.flow || '').toUpperCase() !== 'IMPORT' || !(header.indicators || '').toUpperCase().includes('QUANTITY')) {
+        return;
+      }
+      
+      const group = classify(header);
+      if (!group) return;
+      
+      const totals = parseAnnualImportSheet(rawData) || [];
+      totals.forEach(({ year, quantity_tons }) => {
+        series.push({
+          ...group,
+          product: header.product,
+          partner: header.partner,
+          year,
+          date: new Date(year, 0, 1).toISOString(),
+          quantity_tons,
+          logImport: quantity_tons > 0 ? Math.log(quantity_tons) : null
+        });
+      });
+    });
+  };
+  
+  addSheets(importsWorkbook, (header) => {
+    const partner = (header.partner || '').toUpperCase();
+    if (partner.startsWith('EXTRA-EU')) {
+      return { group: 'HS72 extra-EU (CBAM)', role: 'treated', controlType: null };
+    }
+    if (partner.startsWith('INTRA-EU')) {
+      return { group: 'HS72 intra-EU', role: 'control', controlType: 'partner' };
+    }
+    return null;
+  });
+  
+  if (controlWorkbook) {
+    addSheets(controlWorkbook, (header) => (
+      (header.partner || '').toUpperCase().startsWith('EXTRA-EU')
+        ? { group: `${header.product} extra-EU`, role: 'control', controlType: 'product' }
+        : null
+    ));
+  } else {
+    console.log('  DiD series: control_imports.xlsx not found, using the intra-EU partner control only');
+  }
+  
+  console.log(`  DiD series: ${new Set(series.map(s => s.group)).size} groups, ${series.length} annual observations`);
+  return series.sort((a, b) => a.group.localeCompare(b.group) || a.year - b.year);
+}
+
+/**
+ * Parse the donor pool of the synthetic-control module from donor_imports.csv (optional)
+ * Columns: country, period ('YYYY' or 'YYYY-MM'), volume (steel import volume in tons or as an index)
+ * e.g. UK, US, Japan and Korea HS72 import volumes; rows with a missing or non-positive volume are dropped
+ */
+function parseDonorImports() {
+  const csvPath = path.join(INPUT_DIR, 'donor_imports.csv');
+  if (!fs.existsSync(csvPath)) {
+    console.log('  Donor series: donor_imports.csv not found, synthetic control disabled');
+    return [];
+  }
+  
+  const records = parseCSV(fs.readFileSync(csvPath, 'utf-8'))
+    .map(row => ({
+      country: String(row.country || '').trim(),
+      period: String(row.period || '').trim(),
+      volume: parseFloat(String(row.volume).replace(/[,\s]/g, ''))
+    }))
+    .filter(row => row.country && /^\d{4}(-\d{2})?$/.test(row.period) && !isNaN(row.volume) && row.volume > 0);
+  
+  console.log(`  Donor series: ${new Set(records.map(r => r.country)).size} countries, ${records.length} observations`);
+  return records.sort((a, b) => a.country.localeCompare(b.country) || a.period.localeCompare(b.period));
+}
+
+/**
+ * Parse bilateral import flows (exporter = partner, importer = EU member state) for the gravity model
+ * Aggregate partners (world, extra-EU) and the EU-27 reporter row are skipped to avoid double counting;
+ * zero flows are kept (PPML uses them), missing cells (":") are not
+ */
+function parseBilateralFlows(workbook) {
+  const flows = new Map();
+  
+  workbook.SheetNames.forEach(sheetName => {
+    if (sheetName === 'Summary') return;
+    
+    const rawData = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, defval: null });
+    const header = readSheetHeader(rawData);
+    const partner = header.partner || '';
+    const indicator = (header.indicators || '').toUpperCase();
+    if ((header.flow || '').toUpperCase() !== 'IMPORT') return;
+    if (partner.toUpperCase().startsWith('EXTRA-EU') || partner.toUpperCase().startsWith('ALL COUNTRIES')) return;
+    
+    const timeRowIndex = rawData.findIndex(row => row && String(row[0] || '').trim().toUpperCase() === 'TIME');
+    if (timeRowIndex === -1) return;
+    const years = [];
+    rawData[timeRowIndex].forEach((cell, index) => {
+      const year = parseInt(String(cell));
+      if (index > 0 && !isNaN(year) && year >= 2000 && year <= 2030) years.push({ index, year });
+    });
+    
+    const exporter = partner.toUpperCase().startsWith('INTRA-EU') ? 'EU-27 (intra-EU)' : partner;
+    rawData.slice(timeRowIndex + 1).forEach(row => {
+      const importer = String((row && row[0]) || '').trim();
+      const upper = importer.toUpperCase();
+      if (importer.length < 2 || upper.includes('FREQ') || upper.includes('REPORTER') ||
+          upper.startsWith('EUROPEAN UNION') || upper.includes('SPECIAL VALUE') || importer === ':') {
+        return;
+      }
+      
+      years.forEach(({ index, year }) => {
+        const value = typeof row[index] === 'number' ? row[index] : parseFloat(String(row[index]).replace(/[,\s]/g, ''));
+        if (isNaN(value) || value < 0) return;
+        
+        const key = `${exporter}_${importer}_${year}`;
+        if (!flows.has(key)) {
+          flows.set(key, { exporter, importer, year, quantity_tons: null, value_eur: null });
+        }
+        const flow = flows.get(key);
+        if (indicator.includes('QUANTITY')) {
+          flow.quantity_tons = (value * 100) / 1000; // 100 kg units -> tons
+        } else if (indicator.includes('VALUE')) {
+          flow.value_eur = value;
+        }
+      });
+    });
+  });
+  
+  const result = Array.from(flows.values())
+    .sort((a, b) => a.exporter.localeCompare(b.exporter) || a.importer.localeCompare(b.importer) || a.year - b.year);
+  const zeros = result.filter(f => f.quantity_tons === 0).length;
+  console.log(`  Bilateral flows: ${result.length} exporter-importer-year records (${zeros} zero quantities)`);
+  return result;
+}
+
 /**
  * Aggregate imports by time period
  */
@@ -769,16 +977,22 @@ try {
   
   const importsWB = XLSX.readFile(path.join(INPUT_DIR, 'steel_imports_hs72.xlsx'));
   const etsWB = XLSX.readFile(path.join(INPUT_DIR, 'ETS_data.xlsx'));
+  const controlPath = path.join(INPUT_DIR, 'control_imports.xlsx');
+  const controlWB = fs.existsSync(controlPath) ? XLSX.readFile(controlPath) : null;
   
   console.log('\nParsing data...');
   const imports = parseSteelImports(importsWB);
   const ets = parseETSData(etsWB);
   const industry = parseIndustryData(); // Reads from CSV file directly
+  const didSeries = parseDiDSeries(importsWB, controlWB);
+  const bilateralFlows = parseBilateralFlows(importsWB);
+  const donorSeries = parseDonorImports();
   
   console.log('\nAggregating and processing...');
   const aggregated = aggregateImports(imports);
   const merged = mergeDatasets(aggregated, ets, industry);
-  const withIndicators = calculateDerivedIndicators(merged);
+  // STL seasonal adjustment (industryIndexSA); the annual import totals are copied unchanged to importQuantitySA and importValueSA
+  const withIndicators = addSeasonallyAdjustedColumns(calculateDerivedIndicators(merged));
   const topCountries = getTopCountries(imports, 15);
   
   console.log('\nSaving processed data...');
@@ -809,6 +1023,21 @@ try {
     JSON.stringify(topCountries, null, 0)
   );
   
+  fs.writeFileSync(
+    path.join(OUTPUT_DIR, 'did_series.json'),
+    JSON.stringify(didSeries, null, 0)
+  );
+  
+  fs.writeFileSync(
+    path.join(OUTPUT_DIR, 'bilateral_flows.json'),
+    JSON.stringify(bilateralFlows, null, 0)
+  );
+  
+  fs.writeFileSync(
+    path.join(OUTPUT_DIR, 'donor_series.json'),
+    JSON.stringify(donorSeries, null, 0)
+  );
+  
   // Calculate file sizes
   const mergedSize = fs.statSync(path.join(OUTPUT_DIR, 'merged_data.json')).size;
   const importsSize = fs.statSync(path.join(OUTPUT_DIR, 'raw_imports.json')).size;
@@ -822,6 +1051,9 @@ try {
   console.log(`  - ets_data.json: ${(etsSize / 1024).toFixed(2)} KB (${ets.length} records)`);
   console.log(`  - industry_data.json: ${(industrySize / 1024).toFixed(2)} KB (${industry.length} records)`);
   console.log(`  - top_countries.json: ${topCountries.length} countries`);
+  console.log(`  - did_series.json: ${didSeries.length} records`);
+  console.log(`  - bilateral_flows.json: ${bilateralFlows.length} records`);
+  console.log(`  - donor_series.json: ${donorSeries.length} records`);
   
 } catch (error) {
   console.error('\n✗ Error during preprocessing:', error);
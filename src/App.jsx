@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import {
   LineChart,
   Line,
@@ -10,12 +10,17 @@ import {
   ResponsiveContainer,
   BarChart,
   Bar,
+  ComposedChart,
+  Area,
   ReferenceLine,
   ReferenceArea,
   Cell,
   LabelList
 } from 'recharts';
 import { parseCSV, calculateMovingAverage, calculateMetrics, calculatePeriodMetrics, CBAM_DATES } from './utils/dataParser';
+import { runEventStudies, EVENT_STUDY_MODELS, EVENT_WINDOWS, ESTIMATION_WINDOWS } from './utils/eventStudy';
+import { CONFIDENCE_LEVELS } from './utils/econometricAnalysis';
+import { monthlyAverages, forecastSeries, FORECAST_HORIZONS } from './utils/forecasting';
 import Tabs from './components/Tabs';
 import ETSDashboard from './components/ETSDashboard';
 import CarbonLeakageDashboard from './components/CarbonLeakageDashboard';
@@ -33,6 +38,11 @@ function App() {
   const [scrapMetrics, setScrapMetrics] = useState(null);
   const [steelMetrics, setSteelMetrics] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [eventModel, setEventModel] = useState('mean');
+  const [eventWindow, setEventWindow] = useState('10-20');
+  const [estimationWindow, setEstimationWindow] = useState(120);
+  const [eventConfidence, setEventConfidence] = useState(95);
+  const [priceHorizon, setPriceHorizon] = useState(12);
 
   const handleLogin = () => {
     setIsAuthenticated(true);
@@ -71,6 +81,33 @@ function App() {
       });
   }, [isAuthenticated]);
 
+  // Monthly-average price forecasts; (S)ARIMA orders chosen by AIC on log prices
+  // (memoised: the model search is too slow to repeat on every event-study change)
+  const priceForecasts = useMemo(() => [
+    { key: 'scrap', label: 'Steel Scrap', color: '#2563EB', data: scrapData },
+    { key: 'steel', label: 'Steel', color: '#7C3AED', data: steelData }
+  ].map(series => ({ ...series, result: forecastSeries(monthlyAverages(series.data), { horizon: priceHorizon }) })), [scrapData, steelData, priceHorizon]);
+
+  // Get visible CBAM dates (based on combined date range)
+  const visibleCBAMDates = useMemo(() => {
+    const allDates = [...scrapData, ...steelData].map(d => d.Date);
+    const minDate = new Date(Math.min(...allDates));
+    const maxDate = new Date(Math.max(...allDates));
+    return CBAM_DATES.filter(cbam => cbam.date >= minDate && cbam.date <= maxDate);
+  }, [scrapData, steelData]);
+
+  // Event study: abnormal returns around each visible milestone; the market model
+  // benchmarks each series against the other one (the only daily series available)
+  const { pre: eventPre, post: eventPost } = EVENT_WINDOWS.find(w => w.value === eventWindow);
+  const eventStudies = useMemo(() => runEventStudies(
+    [
+      { key: 'scrap', label: 'Steel Scrap', data: scrapData, market: steelData, marketLabel: 'Steel' },
+      { key: 'steel', label: 'Steel', data: steelData, market: scrapData, marketLabel: 'Steel Scrap' }
+    ],
+    visibleCBAMDates,
+    { model: eventModel, estimationWindow, pre: eventPre, post: eventPost, confidenceLevel: eventConfidence }
+  ), [scrapData, steelData, visibleCBAMDates, eventModel, estimationWindow, eventPre, eventPost, eventConfidence]);
+
   // Show login screen if not authenticated
   if (!isAuthenticated) {
     return <Login onLogin={handleLogin} />;
@@ -132,14 +169,32 @@ function App() {
     }
   }
 
-  // Get visible CBAM dates (based on combined date range)
-  const allDates = [...scrapData, ...steelData].map(d => d.Date);
-  const minDate = new Date(Math.min(...allDates));
-  const maxDate = new Date(Math.max(...allDates));
-  
-  const visibleCBAMDates = CBAM_DATES.filter(cbam => {
-    return cbam.date >= minDate && cbam.date <= maxDate;
-  });
+
+  const carChartData = (event) => {
+    const days = new Map();
+    event.results.filter(r => r.feasible).forEach(r => {
+      r.path.forEach(p => {
+        const row = days.get(p.day) || { day: p.day };
+        row[`${r.key}Car`] = p.car * 100;
+        row[`${r.key}Band`] = [p.lower * 100, p.upper * 100];
+        days.set(p.day, row);
+      });
+    });
+    return [...days.values()].sort((a, b) => a.day - b.day);
+  };
+
+  const priceForecastChartData = (result) => [
+    ...result.history.map(d => ({ yearMonth: d.yearMonth, actual: d.value })),
+    ...result.forecast.map(f => ({
+      yearMonth: f.yearMonth,
+      forecast: f.mean,
+      band80: [f.lower80, f.upper80],
+      band95: [f.lower95, f.upper95]
+    }))
+  ];
+
+  const formatPct = (value) => `${value >= 0 ? '+' : ''}${(value * 100).toFixed(2)}%`;
+  const formatP = (p) => (p === null || p === undefined || isNaN(p) ? '-' : p < 0.001 ? '<0.001' : p.toFixed(3));
 
   // Format date for display
   const formatDate = (date) => {
@@ -571,6 +626,188 @@ function App() {
           })}
         </div>
       </div>
+
+      <div className="event-study">
+        <h2>Event Study: Price Reactions to CBAM Milestones</h2>
+        <p className="event-study-description">
+          Abnormal returns AR = R - E[R] are measured against a benchmark estimated over a window that ends 10 trading days
+          before the event window; CARs cumulate them from day -{eventPre}. Day 0 is the first trading day on or after the milestone.
+          {eventModel === 'market' && ' The market model uses the other price series as the benchmark, as no daily market index is available.'
+            + ' CBAM news moves scrap and steel prices together, so part of the event effect is absorbed by the benchmark and the'
+            + ' abnormal returns are biased toward zero; the constant-mean model is the default for this reason.'}
+        </p>
+        <div className="event-study-controls">
+          <div className="event-control">
+            <label>Benchmark:</label>
+            <select value={eventModel} onChange={(e) => setEventModel(e.target.value)}>
+              {EVENT_STUDY_MODELS.map(m => (
+                <option key={m.value} value={m.value}>{m.label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="event-control">
+            <label>Event Window:</label>
+            <select value={eventWindow} onChange={(e) => setEventWindow(e.target.value)}>
+              {EVENT_WINDOWS.map(w => (
+                <option key={w.value} value={w.value}>{w.label} days</option>
+              ))}
+            </select>
+          </div>
+          <div className="event-control">
+            <label>Estimation Window:</label>
+            <select value={estimationWindow} onChange={(e) => setEstimationWindow(Number(e.target.value))}>
+              {ESTIMATION_WINDOWS.map(w => (
+                <option key={w} value={w}>{w} days</option>
+              ))}
+            </select>
+          </div>
+          <div className="event-control">
+            <label>Confidence Band:</label>
+            <select value={eventConfidence} onChange={(e) => setEventConfidence(Number(e.target.value))}>
+              {CONFIDENCE_LEVELS.map(level => (
+                <option key={level} value={level}>{level}%</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="event-study-table-container">
+          <table className="event-study-table">
+            <thead>
+              <tr>
+                <th>Milestone</th>
+                <th>Series</th>
+                <th>Day 0</th>
+                <th>CAR [-{eventPre}, -1]</th>
+                <th>CAR [0, +{eventPost}]</th>
+                <th>CAR [-{eventPre}, +{eventPost}]</th>
+                <th>t-Stat</th>
+                <th>p-Value</th>
+                <th>Sign Test p</th>
+              </tr>
+            </thead>
+            <tbody>
+              {eventStudies.map(event => event.results.map(r => (
+                r.feasible ? (
+                  <tr key={`${event.short}-${r.key}`} className={r.windows.full.pValue < 0.05 ? 'significant' : ''}>
+                    <td>{event.short}</td>
+                    <td>{r.label}{r.beta !== null && <span className="event-beta"> (β = {r.beta.toFixed(2)})</span>}</td>
+                    <td>{formatDate(r.eventDay)}</td>
+                    <td>{r.windows.pre ? formatPct(r.windows.pre.car) : '-'}</td>
+                    <td>{formatPct(r.windows.post.car)}{r.truncated && '†'}</td>
+                    <td>{formatPct(r.windows.full.car)}</td>
+                    <td>{r.windows.full.tStat.toFixed(2)}</td>
+                    <td>{formatP(r.windows.full.pValue)}</td>
+                    <td>{formatP(r.windows.full.sign.pValue)}</td>
+                  </tr>
+                ) : (
+                  <tr key={`${event.short}-${r.key}`}>
+                    <td>{event.short}</td>
+                    <td>{r.label}</td>
+                    <td colSpan="7">{r.reason}</td>
+                  </tr>
+                )
+              )))}
+            </tbody>
+          </table>
+          <p className="event-study-note">
+            t-tests use the estimation-window residual variance (df = L - k); the sign test compares the share of positive
+            event-window ARs with the estimation window. † Event window truncated at the end of the data.
+          </p>
+        </div>
+
+        <div className="dashboard-grid">
+          {eventStudies.filter(event => event.results.some(r => r.feasible)).map(event => (
+            <div key={event.short} className="chart-container" style={{ borderTop: `4px solid ${event.color}` }}>
+              <h2>{event.short} - CAR ({eventConfidence}% band)</h2>
+              <ResponsiveContainer width="100%" height={300}>
+                <ComposedChart data={carChartData(event)} margin={{ top: 20, right: 30, left: 20, bottom: 20 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                  <XAxis
+                    dataKey="day"
+                    stroke="#6B7280"
+                    style={{ fontSize: '12px' }}
+                    label={{ value: 'Trading days relative to event', position: 'insideBottom', offset: -10 }}
+                  />
+                  <YAxis
+                    stroke="#6B7280"
+                    tickFormatter={(value) => `${value.toFixed(0)}%`}
+                    style={{ fontSize: '12px' }}
+                  />
+                  <Tooltip
+                    formatter={(value, name) => [
+                      Array.isArray(value) ? `[${value[0].toFixed(2)}%, ${value[1].toFixed(2)}%]` : `${value.toFixed(2)}%`,
+                      name
+                    ]}
+                    labelFormatter={(day) => `Day ${day}`}
+                    contentStyle={{ backgroundColor: '#FFFFFF', border: '1px solid #E5E7EB', borderRadius: '8px' }}
+                  />
+                  <Legend verticalAlign="top" />
+                  <ReferenceLine y={0} stroke="#6B7280" strokeDasharray="3 3" />
+                  <ReferenceLine x={0} stroke={event.color} strokeWidth={2} />
+                  <Area type="monotone" dataKey="scrapBand" stroke="none" fill="#2563EB" fillOpacity={0.12} name="Scrap band" legendType="none" />
+                  <Area type="monotone" dataKey="steelBand" stroke="none" fill="#7C3AED" fillOpacity={0.12} name="Steel band" legendType="none" />
+                  <Line type="monotone" dataKey="scrapCar" stroke="#2563EB" strokeWidth={2} dot={false} name="Steel Scrap CAR" />
+                  <Line type="monotone" dataKey="steelCar" stroke="#7C3AED" strokeWidth={2} dot={false} name="Steel CAR" />
+                </ComposedChart>
+              </ResponsiveContainer>
+            </div>
+          ))}
+        </div>
+      </div>
+      <div className="price-forecast">
+        <h2>Price Forecasts</h2>
+        <p className="event-study-description">
+          Monthly average prices are modelled in logs with seasonal ARIMA models whose orders are chosen by AIC; the differencing
+          order is set by KPSS tests. Shaded bands are 80% and 95% prediction intervals (shock uncertainty only).
+        </p>
+        <div className="event-study-controls">
+          <div className="event-control">
+            <label>Horizon:</label>
+            <select value={priceHorizon} onChange={(e) => setPriceHorizon(Number(e.target.value))}>
+              {FORECAST_HORIZONS.map(h => (
+                <option key={h} value={h}>{h} months</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="dashboard-grid">
+          {priceForecasts.map(({ key, label, color, result }) => (
+            <div key={key} className="chart-container" style={{ borderTop: `4px solid ${color}` }}>
+              <h2>{label}{result.feasible && ` - ${result.model.label}`}</h2>
+              {result.feasible ? (
+                <>
+                  <ResponsiveContainer width="100%" height={300}>
+                    <ComposedChart data={priceForecastChartData(result)} margin={{ top: 20, right: 30, left: 20, bottom: 20 }}>
+                      <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                      <XAxis dataKey="yearMonth" stroke="#6B7280" style={{ fontSize: '12px' }} minTickGap={30} />
+                      <YAxis stroke="#6B7280" tickFormatter={(value) => `$${value.toFixed(0)}`} style={{ fontSize: '12px' }} />
+                      <Tooltip
+                        formatter={(value, name) => [
+                          Array.isArray(value) ? `[$${value[0].toFixed(2)}, $${value[1].toFixed(2)}]` : `$${value.toFixed(2)}`,
+                          name
+                        ]}
+                        contentStyle={{ backgroundColor: '#FFFFFF', border: '1px solid #E5E7EB', borderRadius: '8px' }}
+                      />
+                      <Legend verticalAlign="top" />
+                      <Area type="monotone" dataKey="band95" stroke="none" fill={color} fillOpacity={0.1} name="95% interval" />
+                      <Area type="monotone" dataKey="band80" stroke="none" fill={color} fillOpacity={0.2} name="80% interval" />
+                      <Line type="monotone" dataKey="actual" stroke="#1F2937" strokeWidth={2} dot={false} name="Monthly average" />
+                      <Line type="monotone" dataKey="forecast" stroke={color} strokeWidth={2} strokeDasharray="5 5" dot={false} name="Forecast" />
+                    </ComposedChart>
+                  </ResponsiveContainer>
+                  <p className="event-study-note">
+                    AIC {result.model.aic.toFixed(2)}, N = {result.model.n} months. Next: {result.candidates.slice(1, 3).map(c => `${c.label} (${c.aic.toFixed(2)})`).join(', ')}
+                  </p>
+                </>
+              ) : (
+                <p className="event-study-note">{result.reason}</p>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
     </div>
   );
 }
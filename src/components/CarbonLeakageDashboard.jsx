@@ -28,8 +28,45 @@ import {
   calculateSummaryStats,
   estimateBaselineModel,
   estimateLaggedModel,
-  estimateCBAMInteractionModel
+  estimateCBAMInteractionModel,
+  estimateVAR,
+  estimateLocalProjections,
+  estimateIVModel,
+  CONFIDENCE_LEVELS,
+  COVARIANCE_TYPES,
+  IV_INSTRUMENTS,
+  IV_ESTIMATORS,
+  BOOTSTRAP_METHODS,
+  BOOTSTRAP_REPLICATIONS,
+  QUANTILE_BOOTSTRAP_METHODS,
+  LOCAL_PROJECTION_HORIZONS
 } from '../utils/econometricAnalysis';
+import { runRegressionDiagnostics } from '../utils/regressionDiagnostics';
+import { runStationarityAnalysis, formatOrder } from '../utils/unitRootTests';
+import { estimateErrorCorrectionModel } from '../utils/cointegration';
+import { runStructuralBreakAnalysis } from '../utils/structuralBreaks';
+import { CBAM_DATES } from '../utils/dataParser';
+import { estimateDiD, listControlGroups } from '../utils/differenceInDifferences';
+import {
+  buildCountryPanel,
+  buildExporterPanel,
+  estimatePanelFE,
+  estimateCountryResponses,
+  PANEL_EFFECTS,
+  PANEL_DIMENSIONS,
+  COUNTRY_CHARACTERISTICS
+} from '../utils/panelRegression';
+import { buildGravityPanel, estimateGravity, GRAVITY_FIXED_EFFECTS, GRAVITY_MEASURES } from '../utils/gravityModel';
+import { parseCarbonPricingCSV } from '../utils/carbonPricingParser';
+import { forecastSeries, FORECAST_HORIZONS } from '../utils/forecasting';
+import { applySeasonalAdjustment, seasonallyAdjust, SEASONAL_SERIES, MIN_SEASONAL_STRENGTH } from '../utils/seasonalAdjustment';
+import { estimateTimeVaryingBaseline, ROLLING_WINDOWS, RECURSIVE_MODES } from '../utils/recursiveRegression';
+import { estimateTimeVaryingElasticity } from '../utils/stateSpace';
+import { compareModels, restrictModel, significanceStars, SELECTION_CRITERIA } from '../utils/modelComparison';
+import { estimateAlmonModel, estimateARDLModel, ALMON_DEGREES, ARDL_SPECIFICATIONS } from '../utils/distributedLags';
+import { buildDonorPanel, estimateSyntheticControl, SYNTHETIC_DONORS } from '../utils/syntheticControl';
+import { estimateFormulaModel, DEFAULT_FORMULA, FORMULA_ESTIMATORS, FORMULA_VARIABLES } from '../utils/modelFormula';
+import { estimateBayesianModel, BAYESIAN_PRIORS, ELASTICITY_PRIOR_PRESETS } from '../utils/bayesianRegression';
 import {
   prepareDataset,
   determineFeasibleLagLength,
@@ -38,6 +75,14 @@ import {
 } from '../utils/dataValidation';
 import './CarbonLeakageDashboard.css';
 
+const BASELINE_VARIABLES = ['Carbon Price', 'LN(Activity)', 'CBAM Dummy'];
+const INTERACTION_VARIABLES = ['Carbon Price', 'Carbon Price × CBAM', 'LN(Activity)'];
+const ECM_VARIABLES = ['ECT(t-1)', 'Δ LN(Carbon Price)', 'Δ LN(Activity)', 'CBAM Dummy'];
+
+// Default ETS price scenario (EUR/t) for the conditional import forecast
+const SCENARIO_YEARS = [2026, 2027, 2028, 2029, 2030, 2031, 2032, 2033, 2034];
+const DEFAULT_ETS_PATH = [80, 90, 100, 110, 120, 130, 140, 150, 160];
+
 const COLORS = ['#2563EB', '#7C3AED', '#10B981', '#F59E0B', '#EF4444', '#EC4899', '#14B8A6', '#8B5CF6'];
 
 function CarbonLeakageDashboard() {
@@ -46,13 +91,18 @@ function CarbonLeakageDashboard() {
   const [rawImports, setRawImports] = useState([]);
   const [etsData, setEtsData] = useState([]);
   const [industryData, setIndustryData] = useState([]);
-  const [mergedData, setMergedData] = useState([]);
+  const [unadjustedData, setUnadjustedData] = useState([]);
   const [topCountries, setTopCountries] = useState([]);
+  const [didSeries, setDidSeries] = useState([]);
+  const [bilateralFlows, setBilateralFlows] = useState([]);
+  const [donorSeries, setDonorSeries] = useState([]);
+  const [carbonPricing, setCarbonPricing] = useState([]);
   const [regressionResults, setRegressionResults] = useState([]);
   const [baselineModel, setBaselineModel] = useState(null);
   const [laggedModel6, setLaggedModel6] = useState(null);
   const [laggedModel12, setLaggedModel12] = useState(null);
   const [cbamInteractionModel, setCbamInteractionModel] = useState(null);
+  const [ecmModel, setEcmModel] = useState(null);
   const [summaryStats, setSummaryStats] = useState(null);
   const [preparedData, setPreparedData] = useState(null);
   const [dataFrequency, setDataFrequency] = useState('monthly');
@@ -63,11 +113,57 @@ function CarbonLeakageDashboard() {
   const [dateRange, setDateRange] = useState({ start: null, end: null });
   const [selectedCountry, setSelectedCountry] = useState('All');
   const [analysisType, setAnalysisType] = useState('volume'); // 'volume' or 'value'
+  const [ciLevel, setCiLevel] = useState(95); // confidence level shown in regression tables
+  const [seasonallyAdjusted, setSeasonallyAdjusted] = useState(false); // STL-adjusted activity (imports have no within-year seasonality)
+  const [seType, setSeType] = useState('classical'); // standard-error estimator, see COVARIANCE_TYPES
+  const [varTransform, setVarTransform] = useState('differences'); // VAR in first differences or levels
+  const [lpHorizon, setLpHorizon] = useState(24); // months, see LOCAL_PROJECTION_HORIZONS
+  const [lpStateDependent, setLpStateDependent] = useState(false); // separate pre-/post-CBAM responses
+  const [didControl, setDidControl] = useState('all'); // DiD control group, see listControlGroups
+  const [panelDimension, setPanelDimension] = useState('importer'); // see PANEL_DIMENSIONS
+  const [panelEffects, setPanelEffects] = useState('country'); // see PANEL_EFFECTS
+  const [panelInteractions, setPanelInteractions] = useState([]); // COUNTRY_CHARACTERISTICS ids
+  const [panelClustered, setPanelClustered] = useState(true); // country-clustered standard errors
+  const [gravityEffects, setGravityEffects] = useState('multilateral'); // see GRAVITY_FIXED_EFFECTS
+  const [gravityMeasure, setGravityMeasure] = useState('quantity'); // see GRAVITY_MEASURES
+  const [ivInstruments, setIvInstruments] = useState(['etsLag12']); // IV_INSTRUMENTS ids
+  const [ivEstimator, setIvEstimator] = useState('2SLS'); // see IV_ESTIMATORS
+  const [recursiveMode, setRecursiveMode] = useState('rolling'); // see RECURSIVE_MODES
+  const [recursiveWindow, setRecursiveWindow] = useState(36); // months, see ROLLING_WINDOWS
+  const [forecastHorizon, setForecastHorizon] = useState(24); // months, see FORECAST_HORIZONS
+  const [forecastSeasonal, setForecastSeasonal] = useState(true); // include seasonal ARIMA terms
+  const [etsPath, setEtsPath] = useState(DEFAULT_ETS_PATH); // scenario ETS price per SCENARIO_YEARS
+  const [bootstrapMethod, setBootstrapMethod] = useState('wild'); // see BOOTSTRAP_METHODS
+  const [bootstrapReplications, setBootstrapReplications] = useState(999); // see BOOTSTRAP_REPLICATIONS
+  const [bootstrapResults, setBootstrapResults] = useState(null); // { results } or { error } from the worker
+  const [bootstrapRunning, setBootstrapRunning] = useState(false);
+  const [quantileMethod, setQuantileMethod] = useState('pairs'); // see QUANTILE_BOOTSTRAP_METHODS
+  const [quantileReplications, setQuantileReplications] = useState(499); // see BOOTSTRAP_REPLICATIONS
+  const [quantileTerm, setQuantileTerm] = useState(1); // coefficient plotted across quantiles
+  const [quantileResults, setQuantileResults] = useState(null); // { result } or { error } from the worker
+  const [quantileRunning, setQuantileRunning] = useState(false);
+  const [selectionCriterion, setSelectionCriterion] = useState('bic'); // see SELECTION_CRITERIA
+  const [almonDegree, setAlmonDegree] = useState(2); // see ALMON_DEGREES
+  const [ardlSpec, setArdlSpec] = useState('koyck'); // see ARDL_SPECIFICATIONS
+  const [formulaDraft, setFormulaDraft] = useState(DEFAULT_FORMULA); // text in the model-builder input
+  const [formula, setFormula] = useState(DEFAULT_FORMULA); // formula last submitted for estimation
+  const [formulaEstimator, setFormulaEstimator] = useState('ols'); // see FORMULA_ESTIMATORS
+  const [bayesPrior, setBayesPrior] = useState('conjugate'); // see BAYESIAN_PRIORS
+  const [bayesPriorMean, setBayesPriorMean] = useState(ELASTICITY_PRIOR_PRESETS[0].mean); // prior mean of β1
+  const [bayesPriorSD, setBayesPriorSD] = useState(ELASTICITY_PRIOR_PRESETS[0].sd); // prior SD of β1
+  const [bayesTerm, setBayesTerm] = useState(1); // coefficient whose posterior density is plotted
   
   useEffect(() => {
     loadData();
   }, []);
   
+  // Analysis data: raw or seasonally adjusted (STL) series, where only seasonal ones are adjusted; every chart and model
+  // below reads mergedData
+  const mergedData = useMemo(
+    () => (seasonallyAdjusted ? applySeasonalAdjustment(unadjustedData) : unadjustedData),
+    [unadjustedData, seasonallyAdjusted]
+  );
+  
   useEffect(() => {
     if (mergedData.length > 0) {
       // Prepare dataset (aggregate to annual if needed)
@@ -77,22 +173,30 @@ function CarbonLeakageDashboard() {
       
       const analysisData = prepared.data;
       const notes = [prepared.message];
+      const olsOptions = { covarianceType: seType };
       
       if (prepared.frequency === 'annual') {
         notes.push('Models estimated using annual data. Coefficients should be interpreted as annual effects.');
       }
       
       // Legacy elasticity estimates (for backward compatibility)
-      const results = estimateElasticity(analysisData, true, 3);
+      const results = estimateElasticity(analysisData, true, 3, olsOptions);
       setRegressionResults(results);
       
       // New econometric models with validation
-      const baseline = estimateBaselineModel(analysisData, prepared.frequency);
+      const baseline = estimateBaselineModel(analysisData, prepared.frequency, olsOptions);
       setBaselineModel(baseline);
       if (!baseline.feasible) {
         notes.push(`Baseline model: ${baseline.reason}`);
       }
       
+      // Error-correction alternative to the levels baseline
+      const ecm = estimateErrorCorrectionModel(analysisData, prepared.frequency, olsOptions);
+      setEcmModel(ecm);
+      if (!ecm.feasible) {
+        notes.push(`Error-correction model: ${ecm.reason}`);
+      }
+      
       // Determine feasible lag lengths
       const lagInfo = determineFeasibleLagLength(analysisData.length, prepared.frequency);
       notes.push(`Lagged models: ${lagInfo.reason}`);
@@ -100,14 +204,14 @@ function CarbonLeakageDashboard() {
       // Estimate lagged models only if feasible
       if (lagInfo.feasible && lagInfo.maxLag >= 1) {
         const maxLag6 = Math.min(6, lagInfo.maxLag);
-        const lagged6 = estimateLaggedModel(analysisData, maxLag6, prepared.frequency);
+        const lagged6 = estimateLaggedModel(analysisData, maxLag6, prepared.frequency, olsOptions);
         setLaggedModel6(lagged6);
         if (!lagged6.feasible) {
           notes.push(`Lagged model (K=${maxLag6}): ${lagged6.reason}`);
         }
         
         if (lagInfo.maxLag >= 12 && prepared.frequency === 'monthly') {
-          const lagged12 = estimateLaggedModel(analysisData, 12, prepared.frequency);
+          const lagged12 = estimateLaggedModel(analysisData, 12, prepared.frequency, olsOptions);
           setLaggedModel12(lagged12);
           if (!lagged12.feasible) {
             notes.push(`Lagged model (K=12): ${lagged12.reason}`);
@@ -123,7 +227,7 @@ function CarbonLeakageDashboard() {
       // Check CBAM interaction feasibility
       const cbamCheck = checkCBAMFeasibility(analysisData);
       if (cbamCheck.feasible) {
-        const interaction = estimateCBAMInteractionModel(analysisData, prepared.frequency);
+        const interaction = estimateCBAMInteractionModel(analysisData, prepared.frequency, olsOptions);
         setCbamInteractionModel(interaction);
         if (!interaction.feasible) {
           notes.push(`CBAM interaction model: ${interaction.reason}`);
@@ -149,7 +253,7 @@ function CarbonLeakageDashboard() {
       
       setMethodologicalNotes(notes);
     }
-  }, [mergedData]);
+  }, [mergedData, seType]);
   
   const loadData = async () => {
     try {
@@ -158,7 +262,7 @@ function CarbonLeakageDashboard() {
       
       // Load preprocessed JSON files (much faster than Excel)
       const baseUrl = import.meta.env.BASE_URL;
-      const [mergedRes, importsRes, etsRes, industryRes, countriesRes] = await Promise.all([
+      const [mergedRes, importsRes, etsRes, industryRes, countriesRes, didRes, bilateralRes, donorRes, pricingRes] = await Promise.all([
         fetch(`${baseUrl}carbon_leakage/merged_data.json`).then(r => {
           if (!r.ok) throw new Error(`Failed to load merged_data.json: ${r.status}`);
           return r.json();
@@ -169,7 +273,11 @@ function CarbonLeakageDashboard() {
           return r.json();
         }),
         fetch(`${baseUrl}carbon_leakage/industry_data.json`).then(r => r.ok ? r.json() : []).catch(() => []),
-        fetch(`${baseUrl}carbon_leakage/top_countries.json`).then(r => r.ok ? r.json() : []).catch(() => [])
+        fetch(`${baseUrl}carbon_leakage/top_countries.json`).then(r => r.ok ? r.json() : []).catch(() => []),
+        fetch(`${baseUrl}carbon_leakage/did_series.json`).then(r => r.ok ? r.json() : []).catch(() => []),
+        fetch(`${baseUrl}carbon_leakage/bilateral_flows.json`).then(r => r.ok ? r.json() : []).catch(() => []),
+        fetch(`${baseUrl}carbon_leakage/donor_series.json`).then(r => r.ok ? r.json() : []).catch(() => []),
+        fetch(`${baseUrl}carbon_pricing_data.csv`).then(r => r.ok ? r.text() : '').catch(() => '')
       ]);
       
       console.log('Loaded preprocessed data:', {
@@ -208,8 +316,12 @@ function CarbonLeakageDashboard() {
       setRawImports(imports);
       setEtsData(ets);
       setIndustryData(industry);
-      setMergedData(merged);
+      setUnadjustedData(merged);
       setTopCountries(countriesRes);
+      setDidSeries(didRes);
+      setBilateralFlows(bilateralRes);
+      setDonorSeries(donorRes);
+      setCarbonPricing(pricingRes ? parseCarbonPricingCSV(pricingRes) : []);
       
       // Set default date range
       if (merged.length > 0) {
@@ -279,19 +391,33 @@ function CarbonLeakageDashboard() {
       period.importValue_eur += entry.value_eur;
     });
     
-    // Merge with ETS and industry data
+    // Merge with ETS and industry data (adjusted activity from mergedData when seasonally adjusted)
     const countryMerged = Array.from(countryByPeriod.values()).map(period => {
       const etsEntry = etsData.find(e => e.yearMonth === period.yearMonth);
-      const industryEntry = industryData.find(i => i.yearMonth === period.yearMonth);
+      const industryEntry = seasonallyAdjusted
+        ? { index: mergedData.find(d => d.yearMonth === period.yearMonth)?.industryIndex }
+        : industryData.find(i => i.yearMonth === period.yearMonth);
       
       return {
         ...period,
         etsPrice: etsEntry?.price || null,
-        industryIndex: industryEntry?.index || null,
-        importUnitValue: period.importQuantity_tons > 0 ? (period.importValue_eur / period.importQuantity_tons) : null
+        industryIndex: industryEntry?.index || null
       };
     }).sort((a, b) => a.date - b.date);
     
+    // Seasonally adjust the country's own import series with the same STL settings
+    if (seasonallyAdjusted) {
+      ['importQuantity_tons', 'importValue_eur'].forEach(key => {
+        const adjusted = seasonallyAdjust(countryMerged.map(d => d[key]));
+        countryMerged.forEach((d, i) => {
+          d[key] = adjusted ? adjusted.adjusted[i] : null;
+        });
+      });
+    }
+    countryMerged.forEach(d => {
+      d.importUnitValue = d.importQuantity_tons > 0 ? (d.importValue_eur / d.importQuantity_tons) : null;
+    });
+    
     // Calculate indicators
     return countryMerged.map((entry, index) => {
       const prev = index > 0 ? countryMerged[index - 1] : null;
@@ -307,7 +433,7 @@ function CarbonLeakageDashboard() {
         logIndustry
       };
     });
-  }, [selectedCountry, rawImports, etsData, industryData]);
+  }, [selectedCountry, rawImports, etsData, industryData, mergedData, seasonallyAdjusted]);
   
   // Ensure displayData is stable and always defined
   const displayData = useMemo(() => {
@@ -341,6 +467,198 @@ function CarbonLeakageDashboard() {
     };
   }, [displayData, topCountries, regressionResults]);
   
+  // Post-estimation diagnostics for each model table
+  const baselineDiagnostics = useMemo(() => diagnoseModel(baselineModel, BASELINE_VARIABLES), [baselineModel]);
+  const laggedDiagnostics6 = useMemo(() => diagnoseModel(laggedModel6, laggedVariableNames(laggedModel6)), [laggedModel6]);
+  const laggedDiagnostics12 = useMemo(() => diagnoseModel(laggedModel12, laggedVariableNames(laggedModel12)), [laggedModel12]);
+  const interactionDiagnostics = useMemo(() => diagnoseModel(cbamInteractionModel, INTERACTION_VARIABLES), [cbamInteractionModel]);
+  const ecmDiagnostics = useMemo(() => diagnoseModel(
+    ecmModel,
+    ecmModel && ecmModel.feasible
+      ? [...ECM_VARIABLES, ...ecmModel.laggedImports.map(l => `Δ LN(Imports)(t-${l.lag})`)]
+      : ECM_VARIABLES
+  ), [ecmModel]);
+  
+  // VAR with bootstrap impulse-response bands (re-estimated when the transform changes)
+  const varModel = useMemo(
+    () => (preparedData && preparedData.frequency === 'monthly'
+      ? estimateVAR(preparedData.data, { transform: varTransform })
+      : null),
+    [preparedData, varTransform]
+  );
+  
+  // Local projections of log imports on carbon-price changes, h = 0..lpHorizon
+  const localProjections = useMemo(
+    () => (preparedData && preparedData.frequency === 'monthly'
+      ? estimateLocalProjections(preparedData.data, { horizon: lpHorizon, stateDependent: lpStateDependent, level: 90 })
+      : null),
+    [preparedData, lpHorizon, lpStateDependent]
+  );
+  
+  const varImportResponses = useMemo(() => {
+    if (!varModel || !varModel.feasible) return [];
+    return varModel.impulseResponses
+      .filter(r => r.response === 'LN(Imports)')
+      .map(r => ({
+        impulse: r.impulse,
+        data: r.values.map((value, h) => ({
+          horizon: h,
+          response: r.cumulative ? r.cumulative[h] : value,
+          band: r.lower ? [r.lower[h], r.upper[h]] : null
+        }))
+      }));
+  }, [varModel]);
+  
+  // Baseline model with the carbon price instrumented
+  const ivModel = useMemo(
+    () => (preparedData && preparedData.data.length > 0
+      ? estimateIVModel(preparedData.data, { instruments: ivInstruments, estimator: ivEstimator, covarianceType: seType })
+      : null),
+    [preparedData, ivInstruments, ivEstimator, seType]
+  );
+  
+  // Difference-in-differences against the non-CBAM control series
+  const didModel = useMemo(
+    () => (didSeries.length > 0 ? estimateDiD(didSeries, { controlGroup: didControl, covarianceType: seType }) : null),
+    [didSeries, didControl, seType]
+  );
+  
+  // Synthetic EU built from the donor importers, treated from CBAM entry into force; the donor pool is an
+  // optional input (donor_imports.csv), so there is nothing to estimate without it
+  const syntheticControl = useMemo(
+    () => (rawImports.length > 0 && donorSeries.length > 0
+      ? estimateSyntheticControl(buildDonorPanel(rawImports, donorSeries), CBAM_DATES[0].date)
+      : null),
+    [rawImports, donorSeries]
+  );
+  
+  // Country × year panel: importing member states (per-country imports) or extra-EU exporters (bilateral flows)
+  const countryPanel = useMemo(() => {
+    if (mergedData.length === 0) return null;
+    if (panelDimension === 'exporter') {
+      return bilateralFlows.length > 0 ? buildExporterPanel(bilateralFlows, mergedData) : null;
+    }
+    return rawImports.length > 0 ? buildCountryPanel(rawImports, mergedData) : null;
+  }, [panelDimension, rawImports, bilateralFlows, mergedData]);
+  
+  const panelModel = useMemo(
+    () => (countryPanel
+      ? estimatePanelFE(countryPanel, { effects: panelEffects, interactions: panelInteractions, clustered: panelClustered })
+      : null),
+    [countryPanel, panelEffects, panelInteractions, panelClustered]
+  );
+  
+  const countryResponses = useMemo(
+    () => (countryPanel ? estimateCountryResponses(countryPanel) : null),
+    [countryPanel]
+  );
+  
+  // PPML vs log-OLS gravity model on the bilateral flows
+  const gravityModel = useMemo(
+    () => (bilateralFlows.length > 0 && carbonPricing.length > 0
+      ? estimateGravity(buildGravityPanel(bilateralFlows, carbonPricing, gravityMeasure), { fixedEffects: gravityEffects })
+      : null),
+    [bilateralFlows, carbonPricing, gravityMeasure, gravityEffects]
+  );
+  
+  // Chow / sup-Wald / Bai-Perron break tests on the baseline regression
+  const structuralBreaks = useMemo(
+    () => (preparedData && preparedData.frequency === 'monthly'
+      ? runStructuralBreakAnalysis(preparedData.data, CBAM_DATES)
+      : null),
+    [preparedData]
+  );
+  
+  // Unit-root / stationarity tests on the estimation sample
+  const stationarity = useMemo(
+    () => (preparedData ? runStationarityAnalysis(preparedData.data) : null),
+    [preparedData]
+  );
+  
+  // STL decompositions of the raw series (components in logs) for the seasonal-adjustment chart
+  const seasonalDecomposition = useMemo(() => {
+    if (unadjustedData.length === 0) return null;
+    const series = SEASONAL_SERIES.map(s => ({ ...s, result: seasonallyAdjust(unadjustedData.map(d => d[s.key])) }));
+    const industry = series.find(s => s.key === 'industryIndex').result;
+    return {
+      strengths: series.map(s => ({
+        label: s.label,
+        strength: s.result ? s.result.strength : null,
+        applied: s.result ? s.result.applied : false
+      })),
+      chart: industry
+        ? unadjustedData.map((d, t) => ({
+          yearMonth: d.yearMonth,
+          raw: d.industryIndex,
+          adjusted: industry.adjusted[t],
+          seasonal: industry.seasonal[t] !== null ? (Math.exp(industry.seasonal[t]) - 1) * 100 : null
+        })).filter(d => d.adjusted !== null)
+        : []
+    };
+  }, [unadjustedData]);
+
+  // Monthly import series with the carbon price (dates rebuilt from yearMonth)
+  const importSeries = useMemo(
+    () => mergedData
+      .filter(d => d.yearMonth)
+      .map(d => {
+        const [year, month] = d.yearMonth.split('-').map(Number);
+        return { date: new Date(year, month - 1, 1), yearMonth: d.yearMonth, value: d.importQuantity_tons, etsPrice: d.etsPrice };
+      })
+      .sort((a, b) => a.date - b.date),
+    [mergedData]
+  );
+
+  // Unconditional (S)ARIMA forecast of log imports, orders chosen by AIC
+  const importForecast = useMemo(
+    () => (importSeries.length > 0
+      ? forecastSeries(importSeries, { horizon: forecastHorizon, seasonal: forecastSeasonal })
+      : null),
+    [importSeries, forecastHorizon, forecastSeasonal]
+  );
+
+  // Conditional ARIMAX forecast to the end of the scenario: observed ETS prices where available,
+  // the user's annual scenario price after that
+  const scenarioForecast = useMemo(() => {
+    const rows = importSeries.filter(d => d.value > 0 && d.etsPrice !== null && d.etsPrice > 0);
+    if (rows.length === 0) return null;
+    const observedEts = new Map(importSeries.filter(d => d.etsPrice > 0).map(d => [d.yearMonth, d.etsPrice]));
+    const last = rows[rows.length - 1].date;
+    const end = new Date(SCENARIO_YEARS[SCENARIO_YEARS.length - 1], 11, 1);
+    const future = [];
+    for (let date = new Date(last.getFullYear(), last.getMonth() + 1, 1); date <= end; date = new Date(date.getFullYear(), date.getMonth() + 1, 1)) {
+      const yearMonth = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+      const index = SCENARIO_YEARS.indexOf(date.getFullYear());
+      future.push(observedEts.has(yearMonth) ? observedEts.get(yearMonth) : etsPath[Math.max(index, 0)]);
+    }
+    const result = forecastSeries(rows, {
+      horizon: future.length,
+      seasonal: forecastSeasonal,
+      exog: [{ name: 'etsPrice', values: rows.map(d => d.etsPrice), future }]
+    });
+    return result;
+  }, [importSeries, etsPath, forecastSeasonal]);
+
+  // Forecast chart rows in million tonnes, keyed by period (month or year); withEts adds the carbon-price path
+  // at the frequency of the model for the scenario chart
+  const forecastChartData = (result, withEts = false) => {
+    const ets = withEts ? result.exog.find(x => x.name === 'etsPrice') : null;
+    return [
+      ...result.history.map((d, i) => ({
+        period: d.period,
+        actual: d.value / 1e6,
+        etsPrice: ets ? ets.history[i] : undefined
+      })),
+      ...result.forecast.map((f, i) => ({
+        period: f.period,
+        forecast: f.mean / 1e6,
+        band80: [f.lower80 / 1e6, f.upper80 / 1e6],
+        band95: [f.lower95 / 1e6, f.upper95 / 1e6],
+        etsPrice: ets ? ets.future[i] : undefined
+      }))
+    ];
+  };
+
   // Prepare scatter plot data
   const scatterData = useMemo(() => {
     return displayData
@@ -377,6 +695,165 @@ function CarbonLeakageDashboard() {
     return rollingCorrelation(etsPrices, imports, 12);
   }, [displayData]);
 
+  // Rolling / expanding baseline coefficients with CUSUM and CUSUMSQ tests on the estimation sample
+  const timeVaryingBaseline = useMemo(
+    () => (preparedData && preparedData.frequency === 'monthly'
+      ? estimateTimeVaryingBaseline(preparedData.data, { mode: recursiveMode, window: recursiveWindow, level: ciLevel, covarianceType: seType })
+      : null),
+    [preparedData, recursiveMode, recursiveWindow, ciLevel, seType]
+  );
+
+  // Random-walk carbon-price coefficient (Kalman filter / smoother) compared around the CBAM milestones
+  const kalmanElasticity = useMemo(
+    () => (preparedData && preparedData.frequency === 'monthly'
+      ? estimateTimeVaryingElasticity(preparedData.data, CBAM_DATES, { level: ciLevel })
+      : null),
+    [preparedData, ciLevel]
+  );
+
+  // Restricted distributed lags over the same 12 months as the unrestricted K=12 model
+  const almonModel = useMemo(
+    () => (preparedData && preparedData.frequency === 'monthly'
+      ? estimateAlmonModel(preparedData.data, { maxLags: 12, degree: almonDegree, covarianceType: seType })
+      : null),
+    [preparedData, almonDegree, seType]
+  );
+
+  const ardlModel = useMemo(() => {
+    if (!preparedData || preparedData.frequency !== 'monthly') return null;
+    const spec = ARDL_SPECIFICATIONS.find(s => s.id === ardlSpec) || ARDL_SPECIFICATIONS[0];
+    return estimateARDLModel(preparedData.data, { arLags: spec.arLags, priceLags: spec.priceLags, horizon: 12, covarianceType: seType });
+  }, [preparedData, ardlSpec, seType]);
+
+  // Custom specification from the model builder
+  const formulaModel = useMemo(() => {
+    if (!preparedData || preparedData.data.length === 0) return null;
+    return estimateFormulaModel(preparedData.data, formula, { estimator: formulaEstimator, covarianceType: seType });
+  }, [preparedData, formula, formulaEstimator, seType]);
+
+  // Side-by-side comparison of every estimated OLS specification; the static model drops the CBAM
+  // dummy from the baseline so that the nested tests have a common restricted model
+  const modelComparison = useMemo(() => {
+    const staticModel = baselineModel && baselineModel.feasible
+      ? restrictModel(baselineModel.modelResult, ['CBAM Dummy'], { id: 'static', label: 'Static', covarianceType: seType })
+      : null;
+    const results = [
+      staticModel,
+      ...[baselineModel, cbamInteractionModel, laggedModel6, laggedModel12, almonModel, ardlModel, formulaModel]
+        .filter(model => model && model.feasible)
+        .map(model => model.modelResult),
+      ...regressionResults.map(result => result.modelResult)
+    ].filter(Boolean);
+    return results.length >= 2 ? compareModels(results, { criterion: selectionCriterion }) : null;
+  }, [baselineModel, cbamInteractionModel, laggedModel6, laggedModel12, almonModel, ardlModel, formulaModel, regressionResults, seType, selectionCriterion]);
+
+  // Bootstrap inference for the baseline, lagged and interaction models runs in a Web Worker;
+  // a new job terminates the previous worker so stale results never arrive
+  useEffect(() => {
+    if (!preparedData) return undefined;
+    const models = [
+      baselineModel && baselineModel.feasible && { id: 'baseline' },
+      laggedModel6 && laggedModel6.feasible && { id: 'lagged', maxLags: laggedModel6.maxLags },
+      cbamInteractionModel && cbamInteractionModel.feasible && { id: 'interaction' }
+    ].filter(Boolean);
+    if (models.length === 0) {
+      setBootstrapResults(null);
+      return undefined;
+    }
+
+    const worker = new Worker(new URL('../utils/bootstrapWorker.js', import.meta.url), { type: 'module' });
+    setBootstrapRunning(true);
+    worker.onmessage = (event) => {
+      setBootstrapResults(event.data);
+      setBootstrapRunning(false);
+      worker.terminate();
+    };
+    worker.onerror = (event) => {
+      setBootstrapResults({ error: event.message || 'Bootstrap worker failed' });
+      setBootstrapRunning(false);
+      worker.terminate();
+    };
+    worker.postMessage({
+      data: preparedData.data,
+      models,
+      options: { method: bootstrapMethod, replications: bootstrapReplications, level: ciLevel, covarianceType: seType }
+    });
+    return () => worker.terminate();
+  }, [preparedData, baselineModel, laggedModel6, cbamInteractionModel, bootstrapMethod, bootstrapReplications, ciLevel, seType]);
+
+  // Quantile regressions of the baseline specification; every τ is bootstrapped, so this also runs in the worker
+  useEffect(() => {
+    if (!preparedData || !baselineModel || !baselineModel.feasible) {
+      setQuantileResults(null);
+      return undefined;
+    }
+
+    const worker = new Worker(new URL('../utils/bootstrapWorker.js', import.meta.url), { type: 'module' });
+    setQuantileRunning(true);
+    worker.onmessage = (event) => {
+      setQuantileResults(event.data);
+      setQuantileRunning(false);
+      worker.terminate();
+    };
+    worker.onerror = (event) => {
+      setQuantileResults({ error: event.message || 'Quantile regression worker failed' });
+      setQuantileRunning(false);
+      worker.terminate();
+    };
+    worker.postMessage({
+      task: 'quantile',
+      data: preparedData.data,
+      options: { method: quantileMethod, replications: quantileReplications, level: ciLevel, covarianceType: seType }
+    });
+    return () => worker.terminate();
+  }, [preparedData, baselineModel, quantileMethod, quantileReplications, ciLevel, seType]);
+
+  // Coefficient-by-quantile curve of the selected term, with the tail estimates used in the interpretation
+  const quantileCurve = useMemo(() => {
+    if (!quantileResults || !quantileResults.result || !quantileResults.result.feasible) return null;
+    const { quantiles, ols } = quantileResults.result;
+    const tail = (q) => ({ tau: q.tau, ...q.coefficients[quantileTerm] });
+    const low = tail(quantiles[0]);
+    const high = tail(quantiles[quantiles.length - 1]);
+    return {
+      points: quantiles.map(q => ({
+        tau: q.tau.toFixed(1),
+        coeff: q.coefficients[quantileTerm].coeff,
+        band: q.coefficients[quantileTerm].percentileCI,
+        ols: ols[quantileTerm].coeff
+      })),
+      low,
+      high,
+      tailsDiffer: low.percentileCI[1] < high.percentileCI[0] || high.percentileCI[1] < low.percentileCI[0]
+    };
+  }, [quantileResults, quantileTerm]);
+
+  // Bayesian re-estimate of the baseline specification under the elicited carbon-price prior
+  const bayesianModel = useMemo(
+    () => (baselineModel && baselineModel.modelResult
+      ? estimateBayesianModel(baselineModel.modelResult, {
+        prior: bayesPrior,
+        priorMean: bayesPriorMean,
+        priorSD: bayesPriorSD,
+        level: ciLevel
+      })
+      : null),
+    [baselineModel, bayesPrior, bayesPriorMean, bayesPriorSD, ciLevel]
+  );
+
+  // Elicited coefficient of the Bayesian model and the coefficient whose density is plotted
+  const bayesianSummary = useMemo(() => {
+    if (!bayesianModel || !bayesianModel.feasible) return null;
+    const elicited = bayesianModel.labels.indexOf(bayesianModel.term);
+    return {
+      elicited,
+      beta1: bayesianModel.coefficients[elicited],
+      ols1: bayesianModel.ols[elicited],
+      plotted: bayesianModel.coefficients[bayesTerm],
+      digits: bayesTerm === elicited ? 5 : 3
+    };
+  }, [bayesianModel, bayesTerm]);
+
   // Calculate growth rates and deltas for financial analysis
   const growthData = useMemo(() => {
     return displayData.map((d, index) => {
@@ -829,6 +1306,65 @@ function CarbonLeakageDashboard() {
     return value.toFixed(2);
   };
   
+  const formatCI = (ci, digits = 4) => {
+    if (!ci || !ci[ciLevel]) return '-';
+    const [lower, upper] = ci[ciLevel];
+    return `[${lower.toFixed(digits)}, ${upper.toFixed(digits)}]`;
+  };
+  
+  const formatPValue = (p) => {
+    if (p === null || p === undefined || isNaN(p)) return '-';
+    return p < 0.001 ? '<0.001' : p.toFixed(3);
+  };
+  
+  const renderCoefficientRow = (label, term) => (
+    <tr key={label} className={term.pValue < 0.05 ? 'significant' : ''}>
+      <td>{label}</td>
+      <td>{term.coeff.toFixed(4)}</td>
+      <td>{term.se.toFixed(4)}</td>
+      <td>{term.tStat.toFixed(3)}</td>
+      <td>{formatPValue(term.pValue)}</td>
+      <td>{formatCI(term.ci)}</td>
+    </tr>
+  );
+  
+  // IV estimate of baseline coefficient i as an extra thesis-table column
+  const renderIVCell = (i) => {
+    if (!ivModel || !ivModel.feasible) return null;
+    const term = ivModel.terms[i];
+    return (
+      <td className="iv-cell">
+        {term.coeff.toFixed(4)} ({term.se.toFixed(4)})
+        <br />
+        <small>p = {formatPValue(term.pValue)}</small>
+      </td>
+    );
+  };
+  
+  // Estimated break dates as vertical reference lines on date-axis charts
+  const renderBreakLines = (yAxisId) => {
+    if (!structuralBreaks || !structuralBreaks.feasible) return null;
+    return structuralBreaks.breakLines.map(line => (
+      <ReferenceLine
+        key={`break-${line.index}`}
+        x={line.date}
+        {...(yAxisId ? { yAxisId } : {})}
+        stroke="#DC2626"
+        strokeWidth={1.5}
+        strokeDasharray="6 3"
+        label={{ value: `${line.label} (${line.yearMonth})`, position: 'top', fill: '#DC2626', fontSize: 11 }}
+      />
+    ));
+  };
+  
+  const formatSEType = (model) => {
+    const type = COVARIANCE_TYPES.find(t => t.id === (model?.covarianceType || 'classical'));
+    if (!type) return 'Classical OLS';
+    return model?.bandwidth !== null && model?.bandwidth !== undefined
+      ? `${type.label} (lag ${model.bandwidth})`
+      : type.label;
+  };
+  
   // Early returns must come AFTER all hooks are defined
   if (loading) {
     return (
@@ -916,6 +1452,37 @@ function CarbonLeakageDashboard() {
             <option value="value">Value (EUR)</option>
           </select>
         </div>
+        <div className="filter-group">
+          <label>Standard Errors:</label>
+          <select value={seType} onChange={(e) => setSeType(e.target.value)}>
+            {COVARIANCE_TYPES.map(type => (
+              <option key={type.id} value={type.id}>{type.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="filter-group">
+          <input
+            type="checkbox"
+            id="seasonally-adjusted"
+            checked={seasonallyAdjusted}
+            disabled={!unadjustedData.some(d => d.industryIndexSA !== undefined)}
+            onChange={(e) => setSeasonallyAdjusted(e.target.checked)}
+          />
+          <label
+            htmlFor="seasonally-adjusted"
+            title="Adjusts industrial production only: import volumes and values are annual totals repeated every month, so they have no within-year seasonality and stay unadjusted"
+          >
+            Seasonally Adjusted (STL, industrial production)
+          </label>
+        </div>
+        <div className="filter-group">
+          <label>Confidence Interval:</label>
+          <select value={ciLevel} onChange={(e) => setCiLevel(Number(e.target.value))}>
+            {CONFIDENCE_LEVELS.map(level => (
+              <option key={level} value={level}>{level}%</option>
+            ))}
+          </select>
+        </div>
       </div>
       
       {/* Market Overview - KPIs */}
@@ -1024,6 +1591,37 @@ function CarbonLeakageDashboard() {
         </ResponsiveContainer>
       </div>
       
+      {/* Seasonal Adjustment */}
+      {seasonalDecomposition && seasonalDecomposition.chart.length > 0 && (
+        <div className="chart-container">
+          <h2>Seasonal Adjustment: Industrial Production (STL)</h2>
+          <p className="chart-description">
+            STL decomposition of the log series (seasonal span 13, robust loess). Seasonal factor in % of the adjusted level; 
+            strength of seasonality F_S = 1 - Var(R) / Var(S + R): {seasonalDecomposition.strengths.map(s => 
+              `${s.label} ${s.strength !== null ? s.strength.toFixed(2) : 'n/a'}${s.applied ? '' : ' (not adjusted)'}`).join(', ')}. 
+            Series that do not vary within the year or have F_S below {MIN_SEASONAL_STRENGTH} are left unchanged; the import totals are annual 
+            values repeated every month, so only industrial production is adjusted.
+            {seasonallyAdjusted ? ' Charts and models currently use adjusted industrial production.' : ' Use the "Seasonally Adjusted" filter to run charts and models on adjusted industrial production.'}
+          </p>
+          <ResponsiveContainer width="100%" height={320}>
+            <ComposedChart data={seasonalDecomposition.chart} margin={{ top: 10, right: 30, left: 10, bottom: 20 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+              <XAxis dataKey="period" stroke="#6B7280" minTickGap={30} />
+              <YAxis yAxisId="left" stroke="#10B981" tickFormatter={(value) => value.toFixed(0)} label={{ value: 'Index (2010=100)', angle: -90, position: 'insideLeft' }} />
+              <YAxis yAxisId="right" orientation="right" stroke="#F59E0B" tickFormatter={(value) => `${value.toFixed(0)}%`} />
+              <Tooltip
+                formatter={(value, name) => [name === 'Seasonal factor' ? `${value.toFixed(2)}%` : value.toFixed(2), name]}
+                contentStyle={{ backgroundColor: '#FFFFFF', border: '1px solid #E5E7EB', borderRadius: '8px' }}
+              />
+              <Legend verticalAlign="top" />
+              <Bar yAxisId="right" dataKey="seasonal" fill="#F59E0B" fillOpacity={0.4} name="Seasonal factor" />
+              <Line yAxisId="left" type="monotone" dataKey="raw" stroke="#9CA3AF" strokeWidth={1} dot={false} name="Raw" />
+              <Line yAxisId="left" type="monotone" dataKey="adjusted" stroke="#10B981" strokeWidth={2} dot={false} name="Seasonally adjusted" />
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+      
       {/* Financial Analysis: Growth Rates & Deltas */}
       <div className="dashboard-grid">
         <div className="chart-container">
@@ -1167,6 +1765,7 @@ function CarbonLeakageDashboard() {
                 labelFormatter={(label) => label ? (typeof label === 'number' ? label.toString() : new Date(label).getFullYear().toString()) : ''}
                 contentStyle={{ backgroundColor: '#FFFFFF', border: '1px solid #E5E7EB', borderRadius: '8px' }}
               />
+              {renderBreakLines('left')}
               <Legend />
               <Area
                 yAxisId="left"
@@ -1365,6 +1964,7 @@ function CarbonLeakageDashboard() {
                 labelFormatter={(label) => label ? (typeof label === 'number' ? label.toString() : new Date(label).getFullYear().toString()) : ''}
                 contentStyle={{ backgroundColor: '#FFFFFF', border: '1px solid #E5E7EB', borderRadius: '8px' }}
               />
+              {renderBreakLines()}
               <Line
                 type="monotone"
                 dataKey="volatilityPct"
@@ -1680,6 +2280,105 @@ function CarbonLeakageDashboard() {
         )}
       </div>
       
+      {/* Stationarity */}
+      <div className="econometric-section">
+        <div className="section-header">
+          <h2>Stationarity</h2>
+          <span className="section-badge">Unit-Root Tests</span>
+        </div>
+        <p className="section-description">
+          ADF (AIC lag selection), Phillips-Perron and KPSS tests on the estimation sample. Levels are tested with a constant 
+          and linear trend, differences with a constant. A transformation counts as stationary when at least two of the three 
+          tests agree at the 5% level; the integration order is the number of differences required.
+        </p>
+        {stationarity && stationarity.feasible ? (
+          <>
+            <div className="regression-table-container">
+              <table className="regression-table stationarity-table">
+                <thead>
+                  <tr>
+                    <th>Variable</th>
+                    <th>Series</th>
+                    <th>ADF τ (lags)</th>
+                    <th>p-Value</th>
+                    <th>PP Z<sub>τ</sub></th>
+                    <th>p-Value</th>
+                    <th>KPSS η</th>
+                    <th>p-Value</th>
+                    <th>Stationary</th>
+                    <th>Order</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {stationarity.results.map(result => (
+                    result.feasible ? result.stages.map((stage, i) => (
+                      <tr key={`${result.variable}-${stage.difference}`} className={stage.stationary ? '' : 'nonstationary'}>
+                        {i === 0 && (
+                          <td rowSpan={result.stages.length}>
+                            <strong>{result.label}</strong>
+                            <div className="stationarity-sample">{result.start} – {result.end} (N={result.nobs})</div>
+                          </td>
+                        )}
+                        <td>{stage.difference === 0 ? 'Level' : stage.difference === 1 ? 'Δ' : `Δ${stage.difference}`} ({stage.trend === 'ct' ? 'c + t' : 'c'})</td>
+                        <td>{stage.adf.statistic.toFixed(3)} ({stage.adf.lags})</td>
+                        <td>{formatPValue(stage.adf.pValue)}</td>
+                        <td>{stage.pp.statistic.toFixed(3)}</td>
+                        <td>{formatPValue(stage.pp.pValue)}</td>
+                        <td>{stage.kpss.statistic.toFixed(3)}</td>
+                        <td>{stage.kpss.pValueBound === 'greater' ? '>0.10' : stage.kpss.pValueBound === 'smaller' ? '<0.01' : stage.kpss.pValue.toFixed(3)}</td>
+                        <td>{stage.stationary ? 'Yes' : 'No'}{stage.unanimous ? '' : '*'}</td>
+                        {i === 0 && (
+                          <td rowSpan={result.stages.length}>
+                            <span className={`integration-order order-${result.order === null ? 'x' : result.order}`}>
+                              {formatOrder(result.order)}
+                            </span>
+                          </td>
+                        )}
+                      </tr>
+                    )) : (
+                      <tr key={result.variable}>
+                        <td><strong>{result.label}</strong></td>
+                        <td colSpan="9">{result.reason}</td>
+                      </tr>
+                    )
+                  ))}
+                </tbody>
+                <tfoot>
+                  <tr>
+                    <td colSpan="10">
+                      <strong>Note:</strong> ADF and PP test H₀: unit root (MacKinnon 2010 critical values, MacKinnon 1994 p-values); 
+                      KPSS tests H₀: stationarity (KPSS 1992 critical values, interpolated p-values). 
+                      * tests disagree at 5%.
+                    </td>
+                  </tr>
+                </tfoot>
+              </table>
+            </div>
+            {stationarity.baselineRegression.appropriate === false ? (
+              <div className="methodological-warning">
+                <h3>Levels Regression Not Appropriate</h3>
+                {stationarity.baselineRegression.warnings.map((warning, i) => (
+                  <p key={i}>{warning}</p>
+                ))}
+                <p>The baseline, lagged and CBAM interaction models below are estimated in levels and should be read with this caveat.</p>
+              </div>
+            ) : stationarity.baselineRegression.appropriate === true ? (
+              <div className="methodological-note">
+                <p>All variables of the baseline specification are stationary in levels; the levels regression is not at risk of being spurious.</p>
+              </div>
+            ) : (
+              <div className="methodological-note">
+                {stationarity.baselineRegression.warnings.map((warning, i) => (
+                  <p key={i}>{warning}</p>
+                ))}
+              </div>
+            )}
+          </>
+        ) : (
+          <p>{stationarity ? stationarity.reason : 'Preparing stationarity tests...'}</p>
+        )}
+      </div>
+      
       {/* MAIN THESIS RESULTS */}
       <div className="econometric-section main-thesis">
         <div className="section-header">
@@ -1706,15 +2405,19 @@ function CarbonLeakageDashboard() {
                     <th>Std. Error</th>
                     <th>t-Statistic</th>
                     <th>p-Value</th>
+                    <th>{ciLevel}% CI</th>
+                    {ivModel && ivModel.feasible && <th>{ivModel.model} (IV)</th>}
                   </tr>
                 </thead>
                 <tbody>
                   <tr>
                     <td>Intercept (α)</td>
                     <td>{baselineModel.intercept.toFixed(4)}</td>
-                    <td>-</td>
-                    <td>-</td>
-                    <td>-</td>
+                    <td>{baselineModel.interceptSE.toFixed(4)}</td>
+                    <td>{baselineModel.interceptTStat.toFixed(3)}</td>
+                    <td>{baselineModel.interceptPValue < 0.001 ? '<0.001' : baselineModel.interceptPValue.toFixed(3)}</td>
+                    <td>{formatCI(baselineModel.interceptCI)}</td>
+                    {renderIVCell(0)}
                   </tr>
                   <tr className={baselineModel.carbonPricePValue < 0.05 ? 'significant' : ''}>
                     <td>Carbon Price (β₁)</td>
@@ -1722,6 +2425,8 @@ function CarbonLeakageDashboard() {
                     <td>{baselineModel.carbonPriceSE.toFixed(4)}</td>
                     <td>{baselineModel.carbonPriceTStat.toFixed(3)}</td>
                     <td>{baselineModel.carbonPricePValue < 0.001 ? '<0.001' : baselineModel.carbonPricePValue.toFixed(3)}</td>
+                    <td>{formatCI(baselineModel.carbonPriceCI)}</td>
+                    {renderIVCell(1)}
                   </tr>
                   <tr className={baselineModel.activityPValue < 0.05 ? 'significant' : ''}>
                     <td>LN(Activity) (β₂)</td>
@@ -1729,6 +2434,8 @@ function CarbonLeakageDashboard() {
                     <td>{baselineModel.activitySE.toFixed(4)}</td>
                     <td>{baselineModel.activityTStat.toFixed(3)}</td>
                     <td>{baselineModel.activityPValue < 0.001 ? '<0.001' : baselineModel.activityPValue.toFixed(3)}</td>
+                    <td>{formatCI(baselineModel.activityCI)}</td>
+                    {renderIVCell(2)}
                   </tr>
                   <tr className={baselineModel.cbamPValue < 0.05 ? 'significant' : ''}>
                     <td>CBAM Dummy (β₃)</td>
@@ -1736,18 +2443,132 @@ function CarbonLeakageDashboard() {
                     <td>{baselineModel.cbamSE.toFixed(4)}</td>
                     <td>{baselineModel.cbamTStat.toFixed(3)}</td>
                     <td>{baselineModel.cbamPValue < 0.001 ? '<0.001' : baselineModel.cbamPValue.toFixed(3)}</td>
+                    <td>{formatCI(baselineModel.cbamCI)}</td>
+                    {renderIVCell(3)}
                   </tr>
                 </tbody>
                 <tfoot>
                   <tr>
-                    <td colSpan="5">
+                    <td colSpan={ivModel && ivModel.feasible ? 7 : 6}>
                       <strong>R²:</strong> {baselineModel.rSquared.toFixed(3)} | 
-                      <strong> Observations:</strong> {baselineModel.n}
+                      <strong> Observations:</strong> {baselineModel.n} | 
+                      <strong> Std. Errors:</strong> {formatSEType(baselineModel)}
                     </td>
                   </tr>
                 </tfoot>
               </table>
             </div>
+            
+            {/* Instrumental Variables */}
+            <div className="model-subsection">
+              <h3>Instrumental Variables for the Carbon Price</h3>
+              <p className="section-description">
+                The carbon price may respond to industrial activity and imports, which biases β₁ in the OLS model above. 
+                The IV column instruments CARBON_PRICE_t with the excluded instruments selected below; LN(Activity) and the CBAM dummy are treated as exogenous.
+              </p>
+              <div className="filter-group">
+                <label>Estimator:</label>
+                <select value={ivEstimator} onChange={(e) => setIvEstimator(e.target.value)}>
+                  {IV_ESTIMATORS.map(estimator => (
+                    <option key={estimator.id} value={estimator.id}>{estimator.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="filter-group">
+                <label>Instruments:</label>
+                {IV_INSTRUMENTS.map(instrument => (
+                  <span key={instrument.id}>
+                    <input
+                      type="checkbox"
+                      id={`iv-${instrument.id}`}
+                      checked={ivInstruments.includes(instrument.id)}
+                      onChange={(e) => setIvInstruments(e.target.checked
+                        ? [...ivInstruments, instrument.id]
+                        : ivInstruments.filter(id => id !== instrument.id))}
+                    />
+                    {' '}<label htmlFor={`iv-${instrument.id}`}>{instrument.label}</label>
+                  </span>
+                ))}
+              </div>
+              {ivModel && ivModel.feasible ? (
+                <div className="regression-table-container">
+                  <table className="regression-table">
+                    <thead>
+                      <tr>
+                        <th>Test</th>
+                        <th>H₀</th>
+                        <th>Statistic</th>
+                        <th>df</th>
+                        <th>p-Value</th>
+                        <th>Conclusion (5%)</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {ivModel.firstStage && (
+                        <tr className={ivModel.firstStage.weak ? '' : 'significant'}>
+                          <td>First-stage F (partial R² = {ivModel.firstStage.partialRSquared !== null ? ivModel.firstStage.partialRSquared.toFixed(3) : '-'})</td>
+                          <td>Excluded instruments irrelevant</td>
+                          <td>F = {ivModel.firstStage.fStat.toFixed(2)}</td>
+                          <td>({ivModel.firstStage.df1}, {ivModel.firstStage.df2})</td>
+                          <td>{formatPValue(ivModel.firstStage.pValue)}</td>
+                          <td>{ivModel.firstStage.weak ? 'Weak instruments (F < 10)' : 'Strong instruments'}</td>
+                        </tr>
+                      )}
+                      {[
+                        { name: 'Sargan', test: ivModel.sargan },
+                        { name: 'Hansen J', test: ivModel.hansen }
+                      ].filter(({ test }) => test).map(({ name, test }) => (
+                        <tr key={name} className={test.pValue < 0.05 ? 'significant' : ''}>
+                          <td>{name}</td>
+                          <td>Overidentifying restrictions valid</td>
+                          <td>χ² = {test.statistic.toFixed(3)}</td>
+                          <td>{test.df}</td>
+                          <td>{formatPValue(test.pValue)}</td>
+                          <td>{test.pValue < 0.05 ? 'Instruments invalid' : 'Not rejected'}</td>
+                        </tr>
+                      ))}
+                      {ivModel.hausman && (
+                        <tr className={ivModel.hausman.pValue < 0.05 ? 'significant' : ''}>
+                          <td>Durbin-Wu-Hausman</td>
+                          <td>Carbon price exogenous</td>
+                          <td>F = {ivModel.hausman.fStat.toFixed(3)}</td>
+                          <td>({ivModel.hausman.df1}, {ivModel.hausman.df2})</td>
+                          <td>{formatPValue(ivModel.hausman.pValue)}</td>
+                          <td>{ivModel.hausman.pValue < 0.05 ? 'Endogenous: prefer IV' : 'Not rejected: OLS consistent'}</td>
+                        </tr>
+                      )}
+                    </tbody>
+                    <tfoot>
+                      <tr>
+                        <td colSpan="6">
+                          <strong>Instruments:</strong> {ivModel.instruments.join(', ')} | 
+                          <strong> Observations:</strong> {ivModel.n} | 
+                          <strong> OLS β₁ on the IV sample:</strong> {ivModel.olsCarbonPriceCoeff !== null ? ivModel.olsCarbonPriceCoeff.toFixed(4) : '-'} | 
+                          <strong> Std. Errors:</strong> {ivModel.model === 'GMM'
+                            ? (ivModel.covarianceType === 'NW' ? `HAC-efficient GMM (lag ${ivModel.bandwidth})` : 'Heteroskedasticity-efficient GMM')
+                            : formatSEType(ivModel)}
+                          {ivModel.overidentifying === 0 && <> | Exactly identified: no overidentification test</>}
+                        </td>
+                      </tr>
+                    </tfoot>
+                  </table>
+                </div>
+              ) : ivModel && !ivModel.feasible ? (
+                <div className="methodological-warning">
+                  <h4>IV Model Not Estimable</h4>
+                  <p><strong>Reason:</strong> {ivModel.reason}</p>
+                </div>
+              ) : null}
+            </div>
+            <DiagnosticsCard diagnostics={baselineDiagnostics} />
+            {stationarity && stationarity.feasible && stationarity.baselineRegression.appropriate === false && (
+              <div className="methodological-note">
+                <p>
+                  <strong>Stationarity:</strong> unit-root tests classify the variables of this levels regression as non-stationary
+                  (see the Stationarity section), so the reported t-statistics may reflect a spurious regression.
+                </p>
+              </div>
+            )}
             <div className="interpretation-box">
               <h3>Interpretation</h3>
               <p>
@@ -1785,6 +2606,166 @@ function CarbonLeakageDashboard() {
         ) : (
           <p>Preparing model estimation...</p>
         )}
+        
+        {/* Alternative Specification: Error-Correction Model */}
+        <div className="model-subsection">
+          <h3>Alternative Specification: Error-Correction Model</h3>
+          <p className="section-description">
+            If imports, the carbon price and activity are I(1) and cointegrated, the levels regression above is replaced by an 
+            error-correction model that separates the long-run elasticity from the short-run dynamics and the speed of adjustment.
+          </p>
+          {ecmModel && ecmModel.feasible ? (
+            <div className="regression-results">
+              <div className="model-equation">
+                <strong>Long run:</strong> LN_IMPORTS_t = a + θ₁ × LN_CARBON_PRICE_t + θ₂ × LN_ACTIVITY_t + u_t
+                <br />
+                <strong>Short run:</strong> ΔLN_IMPORTS_t = α + γ × u_{'{t-1}'} + β₁ × ΔLN_CARBON_PRICE_t + β₂ × ΔLN_ACTIVITY_t + β₃ × CBAM_DUMMY_t
+                {ecmModel.shortRunLags > 0 && ` + Σ φ_i × ΔLN_IMPORTS_{t-i} (i=1 to ${ecmModel.shortRunLags})`} + ε_t
+              </div>
+              
+              <h4>Cointegration Tests</h4>
+              <div className="regression-table-container">
+                <table className="regression-table">
+                  <thead>
+                    <tr>
+                      <th>Test</th>
+                      <th>H₀</th>
+                      <th>Statistic</th>
+                      <th>5% Critical Value</th>
+                      <th>p-Value</th>
+                      <th>Conclusion (5%)</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    <tr className={ecmModel.engleGranger.rejectsNoCointegration ? 'significant' : ''}>
+                      <td>Engle-Granger (ADF on residuals, {ecmModel.engleGranger.lags} lags)</td>
+                      <td>No cointegration</td>
+                      <td>{ecmModel.engleGranger.statistic.toFixed(3)}</td>
+                      <td>{ecmModel.engleGranger.criticalValues[5].toFixed(3)}</td>
+                      <td>{formatPValue(ecmModel.engleGranger.pValue)}</td>
+                      <td>{ecmModel.engleGranger.rejectsNoCointegration ? 'Cointegrated' : 'Not rejected'}</td>
+                    </tr>
+                    {ecmModel.johansen.feasible && ecmModel.johansen.tests.map(test => (
+                      <React.Fragment key={test.rank}>
+                        <tr className={test.traceRejects ? 'significant' : ''}>
+                          <td>Johansen trace</td>
+                          <td>r ≤ {test.rank}</td>
+                          <td>{test.trace.toFixed(3)}</td>
+                          <td>{test.traceCriticalValues[95].toFixed(3)}</td>
+                          <td>-</td>
+                          <td>{test.traceRejects ? 'Rejected' : 'Not rejected'}</td>
+                        </tr>
+                        <tr className={test.maxEigenRejects ? 'significant' : ''}>
+                          <td>Johansen max-eigenvalue</td>
+                          <td>r = {test.rank}</td>
+                          <td>{test.maxEigen.toFixed(3)}</td>
+                          <td>{test.maxEigenCriticalValues[95].toFixed(3)}</td>
+                          <td>-</td>
+                          <td>{test.maxEigenRejects ? 'Rejected' : 'Not rejected'}</td>
+                        </tr>
+                      </React.Fragment>
+                    ))}
+                  </tbody>
+                  <tfoot>
+                    <tr>
+                      <td colSpan="6">
+                        <strong>Engle-Granger:</strong> MacKinnon (2010) critical values for {ecmModel.engleGranger.nobs} observations
+                        {ecmModel.johansen.feasible && (
+                          <> | <strong>Johansen:</strong> unrestricted constant, {ecmModel.johansen.lags} lagged difference(s), 
+                          rank {ecmModel.johansen.traceRank} (trace) / {ecmModel.johansen.maxEigenRank} (max-eigenvalue), MacKinnon-Haug-Michelis critical values</>
+                        )}
+                      </td>
+                    </tr>
+                  </tfoot>
+                </table>
+              </div>
+              
+              <h4>Error-Correction Estimates</h4>
+              <div className="regression-table-container">
+                <table className="regression-table">
+                  <thead>
+                    <tr>
+                      <th>Variable</th>
+                      <th>Coefficient</th>
+                      <th>Std. Error</th>
+                      <th>t-Statistic</th>
+                      <th>p-Value</th>
+                      <th>{ciLevel}% CI</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    <tr className="table-group-row">
+                      <td colSpan="6">Long run (cointegrating relation)</td>
+                    </tr>
+                    <tr>
+                      <td>Long-run Carbon Price Elasticity (θ₁)</td>
+                      <td>{ecmModel.longRunElasticity.toFixed(4)}</td>
+                      <td colSpan="4">
+                        {ecmModel.johansenLongRunElasticity !== null && `Johansen estimate: ${ecmModel.johansenLongRunElasticity.toFixed(4)}`}
+                      </td>
+                    </tr>
+                    <tr>
+                      <td>Long-run Activity Elasticity (θ₂)</td>
+                      <td>{ecmModel.longRunActivity.toFixed(4)}</td>
+                      <td colSpan="4">
+                        {ecmModel.johansenLongRunActivity !== null && `Johansen estimate: ${ecmModel.johansenLongRunActivity.toFixed(4)}`}
+                      </td>
+                    </tr>
+                    <tr className="table-group-row">
+                      <td colSpan="6">Short run (ΔLN_IMPORTS_t)</td>
+                    </tr>
+                    {renderCoefficientRow('Speed of Adjustment (γ)', ecmModel.speedOfAdjustment)}
+                    {renderCoefficientRow('Short-run Carbon Price Elasticity (β₁)', ecmModel.shortRunCarbon)}
+                    {renderCoefficientRow('Δ LN(Activity) (β₂)', ecmModel.shortRunActivity)}
+                    {renderCoefficientRow('CBAM Dummy (β₃)', ecmModel.cbam)}
+                    {ecmModel.laggedImports.map(lag => renderCoefficientRow(`Δ LN(Imports) t-${lag.lag} (φ${lag.lag})`, lag))}
+                    {renderCoefficientRow('Intercept (α)', ecmModel.intercept)}
+                  </tbody>
+                  <tfoot>
+                    <tr>
+                      <td colSpan="6">
+                        <strong>R²:</strong> {ecmModel.rSquared.toFixed(3)} | 
+                        <strong> Observations:</strong> {ecmModel.n} | 
+                        <strong> Half-life:</strong> {ecmModel.halfLife !== null ? `${ecmModel.halfLife.toFixed(1)} ${ecmModel.frequency === 'annual' ? 'years' : 'months'}` : 'n/a'} | 
+                        <strong> Std. Errors:</strong> {formatSEType(ecmModel)}
+                      </td>
+                    </tr>
+                  </tfoot>
+                </table>
+              </div>
+              <DiagnosticsCard diagnostics={ecmDiagnostics} />
+              <div className="interpretation-box">
+                <h3>Interpretation</h3>
+                <p>
+                  <strong>Long run (θ₁ = {ecmModel.longRunElasticity.toFixed(4)}):</strong> in the cointegrating relation a 1% higher 
+                  carbon price is associated with {Math.abs(ecmModel.longRunElasticity).toFixed(3)}% {ecmModel.longRunElasticity > 0 ? 'higher' : 'lower'} imports. 
+                  Long-run coefficients are super-consistent but their OLS standard errors are not valid, so no t-statistics are reported.
+                </p>
+                <p>
+                  <strong>Speed of adjustment (γ = {ecmModel.speedOfAdjustment.coeff.toFixed(4)}):</strong>{' '}
+                  {ecmModel.speedOfAdjustment.coeff < 0
+                    ? `${Math.abs(ecmModel.speedOfAdjustment.coeff * 100).toFixed(1)}% of a deviation from the long-run relation is corrected each ${ecmModel.frequency === 'annual' ? 'year' : 'month'}`
+                    : 'the error-correction term has the wrong sign, so imports do not revert to the long-run relation'}
+                  {ecmModel.speedOfAdjustment.pValue < 0.05 ? ' (statistically significant).' : ' (not statistically significant).'}
+                </p>
+                <p>
+                  <strong>Compared with the baseline:</strong> the baseline β₁ is a semi-elasticity on the carbon price level estimated 
+                  in levels; the ECM reports log elasticities and is only valid when the cointegration tests indicate a long-run relation
+                  {ecmModel.engleGranger.rejectsNoCointegration || (ecmModel.johansen.feasible && ecmModel.johansen.traceRank > 0)
+                    ? ', which at least one test above supports.'
+                    : '. Neither test finds one, so the short-run equation in differences is the relevant evidence.'}
+                </p>
+              </div>
+            </div>
+          ) : ecmModel && !ecmModel.feasible ? (
+            <div className="methodological-warning">
+              <h3>Model Estimation Not Feasible</h3>
+              <p><strong>Reason:</strong> {ecmModel.reason}</p>
+            </div>
+          ) : (
+            <p>Preparing model estimation...</p>
+          )}
+        </div>
       </div>
       
       {/* Value vs Volume Analysis */}
@@ -1883,6 +2864,7 @@ function CarbonLeakageDashboard() {
           {scatterRegression && (
             <div className="regression-info">
               <p><strong>Regression:</strong> Import = {scatterRegression.intercept.toFixed(2)} + {scatterRegression.slope.toFixed(4)} × ETS Price</p>
+              <p><strong>Slope {ciLevel}% CI:</strong> {formatCI(scatterRegression.slopeCI)} | <strong>p-Value:</strong> {scatterRegression.pValue < 0.001 ? '<0.001' : scatterRegression.pValue.toFixed(3)}</p>
               <p><strong>R²:</strong> {scatterRegression.rSquared.toFixed(3)} | <strong>Observations:</strong> {scatterRegression.n}</p>
             </div>
           )}
@@ -1920,6 +2902,7 @@ function CarbonLeakageDashboard() {
                 labelFormatter={(label) => label ? (typeof label === 'number' ? label.toString() : new Date(label).getFullYear().toString()) : ''}
                 contentStyle={{ backgroundColor: '#FFFFFF', border: '1px solid #E5E7EB', borderRadius: '8px' }}
               />
+              {renderBreakLines()}
               <ReferenceLine y={0} stroke="#6B7280" strokeDasharray="3 3" />
               <Line
                 type="monotone"
@@ -1934,9 +2917,200 @@ function CarbonLeakageDashboard() {
         </div>
       </div>
       
-      {/* Industry Production Analysis */}
-      <div className="section-header" style={{ marginTop: '40px', marginBottom: '20px' }}>
-        <h2>Industrial Production Analysis</h2>
+      {/* Time-Varying Elasticities */}
+      <div className="chart-container">
+        <h2>Time-Varying Baseline Coefficients</h2>
+        <p className="chart-description">
+          The baseline regression LN_IMPORTS = α + β₁ × CARBON_PRICE + β₂ × LN_ACTIVITY (+ CBAM dummy where it varies) re-estimated 
+          over a {recursiveMode === 'rolling' ? `moving ${recursiveWindow}-month window` : `growing sample starting with ${recursiveWindow} months`}, 
+          plotted at the last month of each sample with {ciLevel}% bands ({formatSEType(timeVaryingBaseline)}). Windows that the repeated 
+          annual import values fit exactly are skipped.
+        </p>
+        <div className="filter-group">
+          <label>Estimation:</label>
+          <select value={recursiveMode} onChange={(e) => setRecursiveMode(e.target.value)}>
+            {RECURSIVE_MODES.map(mode => (
+              <option key={mode.id} value={mode.id}>{mode.label}</option>
+            ))}
+          </select>
+          <label>{recursiveMode === 'rolling' ? 'Window:' : 'Initial Sample:'}</label>
+          <select value={recursiveWindow} onChange={(e) => setRecursiveWindow(Number(e.target.value))}>
+            {ROLLING_WINDOWS.map(w => (
+              <option key={w} value={w}>{w} months</option>
+            ))}
+          </select>
+        </div>
+        {timeVaryingBaseline && timeVaryingBaseline.feasible ? (
+          <>
+            <div className="dashboard-grid">
+              {[
+                { key: 'carbonPrice', label: 'Carbon Price (β₁)', color: '#7C3AED', digits: 5 },
+                { key: 'activity', label: 'LN(Activity) (β₂)', color: '#10B981', digits: 3 }
+              ].map(coefficient => (
+                <div key={coefficient.key}>
+                  <h4>{coefficient.label}</h4>
+                  <ResponsiveContainer width="100%" height={280}>
+                    <ComposedChart
+                      data={timeVaryingBaseline.path.map(p => ({
+                        yearMonth: p.yearMonth,
+                        coeff: p[coefficient.key].coeff,
+                        band: [p[coefficient.key].lower, p[coefficient.key].upper]
+                      }))}
+                      margin={{ top: 10, right: 20, left: 10, bottom: 20 }}
+                    >
+                      <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                      <XAxis dataKey="period" stroke="#6B7280" minTickGap={30} />
+                      <YAxis stroke="#6B7280" tickFormatter={(value) => value.toFixed(coefficient.digits - 1)} />
+                      <Tooltip
+                        formatter={(value, name) => [
+                          Array.isArray(value)
+                            ? `[${value[0].toFixed(coefficient.digits)}, ${value[1].toFixed(coefficient.digits)}]`
+                            : value.toFixed(coefficient.digits),
+                          name
+                        ]}
+                        contentStyle={{ backgroundColor: '#FFFFFF', border: '1px solid #E5E7EB', borderRadius: '8px' }}
+                      />
+                      <ReferenceLine y={0} stroke="#6B7280" strokeDasharray="3 3" />
+                      <Area type="monotone" dataKey="band" stroke="none" fill={coefficient.color} fillOpacity={0.15} name={`${ciLevel}% band`} />
+                      <Line type="monotone" dataKey="coeff" stroke={coefficient.color} strokeWidth={2} dot={false} name="Coefficient" />
+                    </ComposedChart>
+                  </ResponsiveContainer>
+                </div>
+              ))}
+            </div>
+            {timeVaryingBaseline.stability.feasible ? (
+              <>
+                <p className="chart-description">
+                  Parameter stability (Brown-Durbin-Evans) on the full-sample regression without the CBAM dummy, recursive residuals 
+                  from {timeVaryingBaseline.stability.cusum[0].yearMonth}: CUSUM {timeVaryingBaseline.stability.cusumRejects ? 'crosses' : 'stays within'} and 
+                  CUSUM of squares {timeVaryingBaseline.stability.cusumSqRejects ? 'crosses' : 'stays within'} the {timeVaryingBaseline.stability.significance}% bounds
+                  {timeVaryingBaseline.stability.cusumRejects || timeVaryingBaseline.stability.cusumSqRejects
+                    ? ', rejecting constant coefficients.'
+                    : ', consistent with constant coefficients.'}
+                </p>
+                <div className="dashboard-grid">
+                  {[
+                    { key: 'cusum', label: 'CUSUM', digits: 2 },
+                    { key: 'cusumSq', label: 'CUSUM of Squares', digits: 3 }
+                  ].map(test => (
+                    <div key={test.key}>
+                      <h4>{test.label}</h4>
+                      <ResponsiveContainer width="100%" height={260}>
+                        <LineChart data={timeVaryingBaseline.stability[test.key]} margin={{ top: 10, right: 20, left: 10, bottom: 20 }}>
+                          <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                          <XAxis dataKey="period" stroke="#6B7280" minTickGap={30} />
+                          <YAxis stroke="#6B7280" tickFormatter={(value) => value.toFixed(test.digits - 1)} />
+                          <Tooltip
+                            formatter={(value, name) => [value.toFixed(test.digits), name]}
+                            contentStyle={{ backgroundColor: '#FFFFFF', border: '1px solid #E5E7EB', borderRadius: '8px' }}
+                          />
+                          <Line type="monotone" dataKey="value" stroke="#2563EB" strokeWidth={2} dot={false} name={test.label} />
+                          <Line type="monotone" dataKey="lower" stroke="#DC2626" strokeDasharray="5 5" dot={false} name={`${timeVaryingBaseline.stability.significance}% bound`} />
+                          <Line type="monotone" dataKey="upper" stroke="#DC2626" strokeDasharray="5 5" dot={false} name={`${timeVaryingBaseline.stability.significance}% bound`} legendType="none" />
+                        </LineChart>
+                      </ResponsiveContainer>
+                    </div>
+                  ))}
+                </div>
+              </>
+            ) : (
+              <p className="chart-description">Stability tests not available: {timeVaryingBaseline.stability.reason}</p>
+            )}
+          </>
+        ) : (
+          <p className="chart-description">
+            {timeVaryingBaseline ? timeVaryingBaseline.reason : 'Time-varying estimates require monthly data.'}
+          </p>
+        )}
+      </div>
+      
+      {/* State-Space Elasticity */}
+      <div className="chart-container">
+        <h2>Time-Varying Carbon-Price Coefficient (Kalman Filter)</h2>
+        <p className="chart-description">
+          State-space model LN_IMPORTS_t = α + β_t × CARBON_PRICE_t + γ × LN_ACTIVITY_t + ε_t with a random-walk coefficient 
+          β_t = β_(t-1) + η_t. The variance ratio q = Var(η) / Var(ε) is estimated by maximum likelihood; the filtered path uses 
+          data up to each month, the smoothed path the full sample ({ciLevel}% bands). Vertical lines mark the CBAM milestones.
+        </p>
+        {kalmanElasticity && kalmanElasticity.feasible ? (
+          <>
+            <div className="model-equation">
+              <strong>q:</strong> {kalmanElasticity.q.toExponential(3)}{kalmanElasticity.atBound && ' (upper bound)'} | 
+              <strong> LR test of constant β:</strong> {kalmanElasticity.lrTest.statistic.toFixed(2)} (p = {formatPValue(kalmanElasticity.lrTest.pValue)}) | 
+              <strong> Constant-coefficient β:</strong> {kalmanElasticity.constantCoeff.toFixed(5)} | <strong>Observations:</strong> {kalmanElasticity.n}
+            </div>
+            <ResponsiveContainer width="100%" height={340}>
+              <ComposedChart
+                data={kalmanElasticity.path.map(p => ({
+                  yearMonth: p.yearMonth,
+                  smoothed: p.smoothed,
+                  filtered: p.filtered,
+                  band: [p.smoothedLower, p.smoothedUpper]
+                }))}
+                margin={{ top: 20, right: 30, left: 10, bottom: 20 }}
+              >
+                <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                <XAxis dataKey="period" stroke="#6B7280" minTickGap={30} />
+                <YAxis stroke="#6B7280" tickFormatter={(value) => value.toFixed(4)} />
+                <Tooltip
+                  formatter={(value, name) => [
+                    Array.isArray(value) ? `[${value[0].toFixed(5)}, ${value[1].toFixed(5)}]` : value.toFixed(5),
+                    name
+                  ]}
+                  contentStyle={{ backgroundColor: '#FFFFFF', border: '1px solid #E5E7EB', borderRadius: '8px' }}
+                />
+                <Legend verticalAlign="top" />
+                <ReferenceLine y={0} stroke="#6B7280" strokeDasharray="3 3" />
+                {kalmanElasticity.milestones.map(m => (
+                  <ReferenceLine key={m.short} x={m.yearMonth} stroke="#F59E0B" strokeDasharray="4 2" label={{ value: m.short, position: 'top', fontSize: 10, fill: '#B45309' }} />
+                ))}
+                <Area type="monotone" dataKey="band" stroke="none" fill="#7C3AED" fillOpacity={0.15} name={`${ciLevel}% band (smoothed)`} />
+                <Line type="monotone" dataKey="smoothed" stroke="#7C3AED" strokeWidth={2} dot={false} name="Smoothed β" />
+                <Line type="monotone" dataKey="filtered" stroke="#2563EB" strokeWidth={1.5} strokeDasharray="5 5" dot={false} name="Filtered β" />
+              </ComposedChart>
+            </ResponsiveContainer>
+            {kalmanElasticity.milestones.length > 0 && (
+              <div className="regression-table-container">
+                <table className="regression-table">
+                  <thead>
+                    <tr>
+                      <th>Milestone</th>
+                      <th>From</th>
+                      <th>Mean β (12 months before)</th>
+                      <th>Mean β (after)</th>
+                      <th>Change</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {kalmanElasticity.milestones.map(m => (
+                      <tr key={m.short}>
+                        <td>{m.label}</td>
+                        <td>{m.yearMonth}</td>
+                        <td>{m.before.toFixed(5)}</td>
+                        <td>{m.after.toFixed(5)}{m.monthsAfter < 12 && ` (${m.monthsAfter} months)`}</td>
+                        <td>{m.change >= 0 ? '+' : ''}{m.change.toFixed(5)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+            <p className="chart-description">
+              A rising smoothed β after a milestone means imports became more sensitive to the carbon price. 
+              The LR test lies on the boundary (q ≥ 0), so its p-value halves the χ²(1) tail.
+              {kalmanElasticity.atBound && ' q is at its upper bound: with annual import values repeated across months the likelihood favours a coefficient that re-fits every year, so the path overstates genuine time variation.'}
+            </p>
+          </>
+        ) : (
+          <p className="chart-description">
+            {kalmanElasticity ? kalmanElasticity.reason : 'The state-space model requires monthly data.'}
+          </p>
+        )}
+      </div>
+      
+      {/* Industry Production Analysis */}
+      <div className="section-header" style={{ marginTop: '40px', marginBottom: '20px' }}>
+        <h2>Industrial Production Analysis</h2>
         <span className="section-badge">Industry Index (2010=100)</span>
       </div>
       
@@ -2124,6 +3298,7 @@ function CarbonLeakageDashboard() {
                 labelFormatter={(label) => label ? (typeof label === 'number' ? label.toString() : new Date(label).getFullYear().toString()) : ''}
                 contentStyle={{ backgroundColor: '#FFFFFF', border: '1px solid #E5E7EB', borderRadius: '8px' }}
               />
+              {renderBreakLines('left')}
               <Legend />
               {importVolumeStats && (
                 <>
@@ -2248,6 +3423,7 @@ function CarbonLeakageDashboard() {
                 labelFormatter={(label) => label ? (typeof label === 'number' ? label.toString() : new Date(label).getFullYear().toString()) : ''}
                 contentStyle={{ backgroundColor: '#FFFFFF', border: '1px solid #E5E7EB', borderRadius: '8px' }}
               />
+              {renderBreakLines('left')}
               <Legend />
               {etsPriceStats && (
                 <>
@@ -2612,6 +3788,7 @@ function CarbonLeakageDashboard() {
                       <th>Std. Error</th>
                       <th>t-Statistic</th>
                       <th>p-Value</th>
+                      <th>{ciLevel}% CI</th>
                     </tr>
                   </thead>
                   <tbody>
@@ -2622,6 +3799,7 @@ function CarbonLeakageDashboard() {
                         <td>{lag.se.toFixed(4)}</td>
                         <td>{lag.tStat.toFixed(3)}</td>
                         <td>{lag.pValue < 0.001 ? '<0.001' : lag.pValue.toFixed(3)}</td>
+                        <td>{formatCI(lag.ci)}</td>
                       </tr>
                     ))}
                     <tr>
@@ -2630,18 +3808,21 @@ function CarbonLeakageDashboard() {
                       <td>{laggedModel6.activitySE.toFixed(4)}</td>
                       <td>{laggedModel6.activityTStat.toFixed(3)}</td>
                       <td>{laggedModel6.activityPValue < 0.001 ? '<0.001' : laggedModel6.activityPValue.toFixed(3)}</td>
+                      <td>{formatCI(laggedModel6.activityCI)}</td>
                     </tr>
                   </tbody>
                   <tfoot>
                     <tr>
-                      <td colSpan="5">
+                      <td colSpan="6">
                         <strong>R²:</strong> {laggedModel6.rSquared.toFixed(3)} | 
-                        <strong> Observations:</strong> {laggedModel6.n}
+                        <strong> Observations:</strong> {laggedModel6.n} | 
+                        <strong> Std. Errors:</strong> {formatSEType(laggedModel6)}
                       </td>
                     </tr>
                   </tfoot>
                 </table>
               </div>
+              <DiagnosticsCard diagnostics={laggedDiagnostics6} />
               <div className="chart-container">
                 <h4>Lagged Effects Visualization (K=6)</h4>
                 <ResponsiveContainer width="100%" height={300}>
@@ -2710,6 +3891,7 @@ function CarbonLeakageDashboard() {
                       <th>Std. Error</th>
                       <th>t-Statistic</th>
                       <th>p-Value</th>
+                      <th>{ciLevel}% CI</th>
                     </tr>
                   </thead>
                   <tbody>
@@ -2720,6 +3902,7 @@ function CarbonLeakageDashboard() {
                         <td>{lag.se.toFixed(4)}</td>
                         <td>{lag.tStat.toFixed(3)}</td>
                         <td>{lag.pValue < 0.001 ? '<0.001' : lag.pValue.toFixed(3)}</td>
+                        <td>{formatCI(lag.ci)}</td>
                       </tr>
                     ))}
                     <tr>
@@ -2728,18 +3911,21 @@ function CarbonLeakageDashboard() {
                       <td>{laggedModel12.activitySE.toFixed(4)}</td>
                       <td>{laggedModel12.activityTStat.toFixed(3)}</td>
                       <td>{laggedModel12.activityPValue < 0.001 ? '<0.001' : laggedModel12.activityPValue.toFixed(3)}</td>
+                      <td>{formatCI(laggedModel12.activityCI)}</td>
                     </tr>
                   </tbody>
                   <tfoot>
                     <tr>
-                      <td colSpan="5">
+                      <td colSpan="6">
                         <strong>R²:</strong> {laggedModel12.rSquared.toFixed(3)} | 
-                        <strong> Observations:</strong> {laggedModel12.n}
+                        <strong> Observations:</strong> {laggedModel12.n} | 
+                        <strong> Std. Errors:</strong> {formatSEType(laggedModel12)}
                       </td>
                     </tr>
                   </tfoot>
                 </table>
               </div>
+              <DiagnosticsCard diagnostics={laggedDiagnostics12} />
               <div className="chart-container">
                 <h4>Lagged Effects Visualization (K=12)</h4>
                 <ResponsiveContainer width="100%" height={300}>
@@ -2787,6 +3973,139 @@ function CarbonLeakageDashboard() {
           )}
         </div>
         
+        {/* Restricted Distributed Lags */}
+        <div className="model-subsection">
+          <h3>Restricted Distributed Lags: Almon and Koyck / ARDL</h3>
+          <p className="section-description">
+            The unrestricted K=12 model spends one parameter per lag. The Almon model constrains β_k to a polynomial of degree p in the lag 
+            (β_k = Σ a_j (k/12)^j); the ARDL model adds lagged LN(Imports), so a few coefficients imply a whole lag profile 
+            (Koyck: β_k = β₀λ^k). Long-run multipliers Σβ_k and mean lags Σkβ_k / Σβ_k carry delta-method standard errors.
+          </p>
+          <div className="filter-group">
+            <label>Almon Degree:</label>
+            <select value={almonDegree} onChange={(e) => setAlmonDegree(Number(e.target.value))}>
+              {ALMON_DEGREES.map(degree => (
+                <option key={degree} value={degree}>p = {degree}</option>
+              ))}
+            </select>
+            <label>ARDL:</label>
+            <select value={ardlSpec} onChange={(e) => setArdlSpec(e.target.value)}>
+              {ARDL_SPECIFICATIONS.map(spec => (
+                <option key={spec.id} value={spec.id}>{spec.label}</option>
+              ))}
+            </select>
+          </div>
+          {(almonModel && almonModel.feasible) || (ardlModel && ardlModel.feasible) ? (
+            <div className="regression-results">
+              <div className="regression-table-container">
+                <table className="regression-table">
+                  <thead>
+                    <tr>
+                      <th>Model</th>
+                      <th>Long-Run Multiplier</th>
+                      <th>Std. Error</th>
+                      <th>p-Value</th>
+                      <th>{ciLevel}% CI</th>
+                      <th>Mean Lag (months)</th>
+                      <th>R²</th>
+                      <th>N</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {laggedModel12 && laggedModel12.feasible && (
+                      <tr>
+                        <td>Unrestricted (K=12)</td>
+                        <td>{laggedModel12.lagCoefficients.reduce((sum, l) => sum + l.coefficient, 0).toFixed(5)}</td>
+                        <td>-</td>
+                        <td>-</td>
+                        <td>-</td>
+                        <td>-</td>
+                        <td>{laggedModel12.rSquared.toFixed(3)}</td>
+                        <td>{laggedModel12.n}</td>
+                      </tr>
+                    )}
+                    {[almonModel, ardlModel].filter(model => model && model.feasible).map(model => (
+                      <tr key={model.model} className={model.longRun && model.longRun.pValue < 0.05 ? 'significant' : ''}>
+                        <td>{model.model}</td>
+                        <td>{model.longRun ? model.longRun.coeff.toFixed(5) : 'unstable'}</td>
+                        <td>{model.longRun ? model.longRun.se.toFixed(5) : '-'}</td>
+                        <td>{model.longRun ? formatPValue(model.longRun.pValue) : '-'}</td>
+                        <td>{model.longRun ? formatCI(model.longRun.ci, 5) : '-'}</td>
+                        <td>{model.meanLag ? `${model.meanLag.coeff.toFixed(2)} (${model.meanLag.se.toFixed(2)})` : '-'}</td>
+                        <td>{model.rSquared.toFixed(3)}</td>
+                        <td>{model.n}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                  <tfoot>
+                    <tr>
+                      <td colSpan="8">
+                        {almonModel && almonModel.feasible && almonModel.restrictionTest && (
+                          <>
+                            <strong>Almon restrictions vs unrestricted lags:</strong> F({almonModel.restrictionTest.df1}, {almonModel.restrictionTest.df2}) = {almonModel.restrictionTest.fStat.toFixed(2)}, 
+                            p = {formatPValue(almonModel.restrictionTest.pValue)} | 
+                          </>
+                        )}
+                        {ardlModel && ardlModel.feasible && ardlModel.decay && (
+                          <>
+                            <strong> Lagged imports (λ):</strong> {ardlModel.decay.coeff.toFixed(3)} ({ardlModel.decay.se.toFixed(3)}) | 
+                          </>
+                        )}
+                        <strong> Std. Errors:</strong> {formatSEType(almonModel && almonModel.feasible ? almonModel : ardlModel)}
+                      </td>
+                    </tr>
+                  </tfoot>
+                </table>
+              </div>
+              <div className="chart-container">
+                <h4>Lag Profile: Unrestricted vs Restricted (k = 0..12)</h4>
+                <ResponsiveContainer width="100%" height={320}>
+                  <ComposedChart
+                    data={Array.from({ length: 13 }, (_, k) => ({
+                      lag: k,
+                      unrestricted: laggedModel12 && laggedModel12.feasible ? laggedModel12.lagCoefficients[k]?.coefficient : null,
+                      almon: almonModel && almonModel.feasible ? almonModel.lagCoefficients[k].coefficient : null,
+                      ardl: ardlModel && ardlModel.feasible ? ardlModel.lagCoefficients[k].coefficient : null
+                    }))}
+                    margin={{ top: 20, right: 30, left: 20, bottom: 20 }}
+                  >
+                    <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                    <XAxis dataKey="lag" stroke="#6B7280" tickFormatter={(value) => value === 0 ? 't' : `t-${value}`} />
+                    <YAxis stroke="#6B7280" tickFormatter={(value) => value.toExponential(1)} />
+                    <Tooltip
+                      formatter={(value, name) => [value !== null && value !== undefined ? value.toExponential(3) : '-', name]}
+                      contentStyle={{ backgroundColor: '#FFFFFF', border: '1px solid #E5E7EB', borderRadius: '8px' }}
+                    />
+                    <Legend />
+                    <ReferenceLine y={0} stroke="#6B7280" strokeDasharray="3 3" />
+                    <Bar dataKey="unrestricted" name="Unrestricted (K=12)" fill="#C4B5FD" radius={[4, 4, 0, 0]} />
+                    {almonModel && almonModel.feasible && (
+                      <Line type="monotone" dataKey="almon" name={almonModel.model} stroke="#2563EB" strokeWidth={2} dot={{ r: 3 }} />
+                    )}
+                    {ardlModel && ardlModel.feasible && (
+                      <Line type="monotone" dataKey="ardl" name={ardlModel.model} stroke="#F59E0B" strokeWidth={2} dot={{ r: 3 }} />
+                    )}
+                  </ComposedChart>
+                </ResponsiveContainer>
+              </div>
+              <div className="interpretation-box">
+                <h4>Interpretation</h4>
+                <p>
+                  The long-run multiplier is the cumulative change in LN(Imports) after a permanent €1 rise in the carbon price. A significant 
+                  restriction F-test means the polynomial shape is rejected by the data. The mean lag is only meaningful when the lag weights 
+                  share one sign. In the ARDL model the lagged dependent variable also absorbs the persistence of the repeated annual import 
+                  values, so λ close to one mostly reflects that persistence rather than a slow response to prices.
+                </p>
+              </div>
+            </div>
+          ) : (
+            <div className="methodological-warning">
+              <h4>Distributed-Lag Models Not Feasible</h4>
+              <p><strong>Reason:</strong> {(almonModel && almonModel.reason) || (ardlModel && ardlModel.reason) || 'Restricted lag models require monthly data.'}</p>
+            </div>
+          )}
+        </div>
+        
         {/* CBAM Interaction Model */}
         <div className="model-subsection">
           <h3>CBAM Interaction Model</h3>
@@ -2804,15 +4123,17 @@ function CarbonLeakageDashboard() {
                       <th>Std. Error</th>
                       <th>t-Statistic</th>
                       <th>p-Value</th>
+                      <th>{ciLevel}% CI</th>
                     </tr>
                   </thead>
                   <tbody>
                     <tr>
                       <td>Intercept (α)</td>
                       <td>{cbamInteractionModel.intercept.toFixed(4)}</td>
-                      <td>-</td>
-                      <td>-</td>
-                      <td>-</td>
+                      <td>{cbamInteractionModel.interceptSE.toFixed(4)}</td>
+                      <td>{cbamInteractionModel.interceptTStat.toFixed(3)}</td>
+                      <td>{cbamInteractionModel.interceptPValue < 0.001 ? '<0.001' : cbamInteractionModel.interceptPValue.toFixed(3)}</td>
+                      <td>{formatCI(cbamInteractionModel.interceptCI)}</td>
                     </tr>
                     <tr className={cbamInteractionModel.carbonPricePValue < 0.05 ? 'significant' : ''}>
                       <td>Carbon Price (β₁)</td>
@@ -2820,6 +4141,7 @@ function CarbonLeakageDashboard() {
                       <td>{cbamInteractionModel.carbonPriceSE.toFixed(4)}</td>
                       <td>{cbamInteractionModel.carbonPriceTStat.toFixed(3)}</td>
                       <td>{cbamInteractionModel.carbonPricePValue < 0.001 ? '<0.001' : cbamInteractionModel.carbonPricePValue.toFixed(3)}</td>
+                      <td>{formatCI(cbamInteractionModel.carbonPriceCI)}</td>
                     </tr>
                     <tr className={cbamInteractionModel.cbamInteractionPValue < 0.05 ? 'significant' : ''}>
                       <td>Carbon Price × CBAM (β₂)</td>
@@ -2827,6 +4149,7 @@ function CarbonLeakageDashboard() {
                       <td>{cbamInteractionModel.cbamInteractionSE.toFixed(4)}</td>
                       <td>{cbamInteractionModel.cbamInteractionTStat.toFixed(3)}</td>
                       <td>{cbamInteractionModel.cbamInteractionPValue < 0.001 ? '<0.001' : cbamInteractionModel.cbamInteractionPValue.toFixed(3)}</td>
+                      <td>{formatCI(cbamInteractionModel.cbamInteractionCI)}</td>
                     </tr>
                     <tr className={cbamInteractionModel.activityPValue < 0.05 ? 'significant' : ''}>
                       <td>LN(Activity) (β₃)</td>
@@ -2834,18 +4157,21 @@ function CarbonLeakageDashboard() {
                       <td>{cbamInteractionModel.activitySE.toFixed(4)}</td>
                       <td>{cbamInteractionModel.activityTStat.toFixed(3)}</td>
                       <td>{cbamInteractionModel.activityPValue < 0.001 ? '<0.001' : cbamInteractionModel.activityPValue.toFixed(3)}</td>
+                      <td>{formatCI(cbamInteractionModel.activityCI)}</td>
                     </tr>
                   </tbody>
                   <tfoot>
                     <tr>
-                      <td colSpan="5">
+                      <td colSpan="6">
                         <strong>R²:</strong> {cbamInteractionModel.rSquared.toFixed(3)} | 
-                        <strong> Observations:</strong> {cbamInteractionModel.n}
+                        <strong> Observations:</strong> {cbamInteractionModel.n} | 
+                        <strong> Std. Errors:</strong> {formatSEType(cbamInteractionModel)}
                       </td>
                     </tr>
                   </tfoot>
                 </table>
               </div>
+              <DiagnosticsCard diagnostics={interactionDiagnostics} />
               <div className="interpretation-box">
                 <h4>Interpretation</h4>
                 <p>
@@ -2919,138 +4245,1934 @@ function CarbonLeakageDashboard() {
             <p>Evaluating model feasibility...</p>
           )}
         </div>
-      </div>
-      
-      {/* Legacy Econometric Results (for backward compatibility) */}
-      <div className="econometric-section">
-        <h2>Legacy Econometric Analysis Results</h2>
-        <p className="section-description">
-          Log-log regression estimates of ETS price elasticity on extra-EU steel imports, controlling for industrial production
-        </p>
         
-        {regressionResults.length > 0 ? (
-          <>
-            <div className="regression-table-container">
-              <table className="regression-table">
-                <thead>
-                  <tr>
-                    <th>Lag</th>
-                    <th>Elasticity</th>
-                    <th>Std. Error</th>
-                    <th>t-Statistic</th>
-                    <th>p-Value</th>
-                    <th>R²</th>
-                    <th>Industry Coeff.</th>
-                    <th>N</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {regressionResults.map((result, idx) => (
-                    <tr key={idx} className={result.pValue < 0.05 ? 'significant' : ''}>
-                      <td>{result.lag === 0 ? 'Current' : `Lag ${result.lag}`}</td>
-                      <td>{result.elasticity.toFixed(4)}</td>
-                      <td>{result.se.toFixed(4)}</td>
-                      <td>{result.tStat.toFixed(3)}</td>
-                      <td>{result.pValue < 0.001 ? '<0.001' : result.pValue.toFixed(3)}</td>
-                      <td>{result.rSquared.toFixed(3)}</td>
-                      <td>{result.industryCoeff.toFixed(4)}</td>
-                      <td>{result.n}</td>
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
-            </div>
-            
-            <div className="chart-container">
-              <h3>Lagged ETS Price Effects</h3>
-              <ResponsiveContainer width="100%" height={300}>
-                <BarChart data={regressionResults} margin={{ top: 20, right: 30, left: 20, bottom: 20 }}>
-                  <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
-                  <XAxis
-                    dataKey="lag"
-                    stroke="#6B7280"
-                    tickFormatter={(value) => value === 0 ? 'Current' : `Lag ${value}`}
-                  />
-                  <YAxis
-                    stroke="#6B7280"
-                    tickFormatter={(value) => value.toFixed(3)}
-                  />
-                  <Tooltip
-                    formatter={(value) => [value.toFixed(4), 'Elasticity']}
-                    contentStyle={{ backgroundColor: '#FFFFFF', border: '1px solid #E5E7EB', borderRadius: '8px' }}
-                  />
-                  <ReferenceLine y={0} stroke="#6B7280" strokeDasharray="3 3" />
-                  <Bar dataKey="elasticity" fill="#7C3AED" radius={[8, 8, 0, 0]}>
-                    {regressionResults.map((entry, index) => (
-                      <Cell key={`cell-${index}`} fill={entry.pValue < 0.05 ? '#EF4444' : '#7C3AED'} />
-                    ))}
-                  </Bar>
-                </BarChart>
-              </ResponsiveContainer>
+        {/* Bootstrap Inference */}
+        <div className="model-subsection">
+          <h3>Bootstrap Inference</h3>
+          <p className="section-description">
+            The baseline, lagged (K={laggedModel6 && laggedModel6.feasible ? laggedModel6.maxLags : '-'}) and CBAM interaction models re-estimated 
+            on resampled data. Bootstrap standard errors, percentile and bias-corrected accelerated (BCa) {ciLevel}% intervals and 
+            bootstrap p-values (H₀: coefficient = 0) are shown next to the analytic {formatSEType({ covarianceType: seType })} standard errors. 
+            Wild and moving-block resampling allow for heteroskedasticity and serial correlation respectively.
+          </p>
+          <div className="filter-group">
+            <label>Resampling:</label>
+            <select value={bootstrapMethod} onChange={(e) => setBootstrapMethod(e.target.value)}>
+              {BOOTSTRAP_METHODS.map(method => (
+                <option key={method.id} value={method.id}>{method.label}</option>
+              ))}
+            </select>
+            <label>Replications:</label>
+            <select value={bootstrapReplications} onChange={(e) => setBootstrapReplications(Number(e.target.value))}>
+              {BOOTSTRAP_REPLICATIONS.map(b => (
+                <option key={b} value={b}>{b}</option>
+              ))}
+            </select>
+          </div>
+          {bootstrapRunning ? (
+            <p>Running bootstrap replications...</p>
+          ) : bootstrapResults && bootstrapResults.error ? (
+            <div className="methodological-warning">
+              <h4>Bootstrap Failed</h4>
+              <p><strong>Reason:</strong> {bootstrapResults.error}</p>
             </div>
-            
-            <div className="interpretation-box">
-              <h3>Interpretation</h3>
-              {regressionResults.length > 0 && (
-                <div className="interpretation-content">
-                  <p>
-                    <strong>Elasticity Estimate:</strong> The coefficient of {regressionResults[0].elasticity.toFixed(4)} indicates that a 1% increase in EU ETS carbon prices is associated with a {Math.abs(regressionResults[0].elasticity * 100).toFixed(2)}% change in extra-EU steel import volumes, 
-                    {regressionResults[0].elasticity > 0 ? ' suggesting potential carbon leakage risk.' : ' indicating no evidence of carbon leakage.'}
-                  </p>
-                  {regressionResults[0].pValue < 0.05 ? (
-                    <p className="significant-result">
-                      <strong>Statistical Significance:</strong> The relationship is statistically significant at the 5% level (p = {regressionResults[0].pValue < 0.001 ? '<0.001' : regressionResults[0].pValue.toFixed(3)}), 
-                      providing robust evidence of a relationship between ETS prices and import volumes.
-                    </p>
-                  ) : (
-                    <p className="insignificant-result">
-                      <strong>Statistical Significance:</strong> The relationship is not statistically significant (p = {regressionResults[0].pValue.toFixed(3)}), 
-                      suggesting limited evidence of a direct causal relationship in the current period.
-                    </p>
-                  )}
-                  {regressionResults.length > 1 && (
-                    <p>
-                      <strong>Lagged Effects:</strong> The analysis of lagged ETS price effects reveals {regressionResults.slice(1).some(r => r.pValue < 0.05) ? 'significant delayed impacts' : 'limited delayed impacts'}, 
-                      indicating that carbon price changes may take time to affect trade patterns.
-                    </p>
-                  )}
+          ) : bootstrapResults && bootstrapResults.results ? (
+            bootstrapResults.results.map(result => (
+              result.feasible ? (
+                <div key={result.model} className="regression-table-container">
+                  <h4>{result.model}</h4>
+                  <table className="regression-table">
+                    <thead>
+                      <tr>
+                        <th>Variable</th>
+                        <th>Coefficient</th>
+                        <th>Analytic SE</th>
+                        <th>Bootstrap SE</th>
+                        <th>Percentile {result.level}% CI</th>
+                        <th>BCa {result.level}% CI</th>
+                        <th>Bootstrap p</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {result.coefficients.map((term, i) => (
+                        <tr key={result.labels[i]} className={term.pValue < 0.05 ? 'significant' : ''}>
+                          <td>{result.labels[i]}</td>
+                          <td>{term.coeff.toFixed(4)}</td>
+                          <td>{result.analyticSE[i].toFixed(4)}</td>
+                          <td>{term.se.toFixed(4)}</td>
+                          <td>[{term.percentileCI[0].toFixed(4)}, {term.percentileCI[1].toFixed(4)}]</td>
+                          <td>[{term.bcaCI[0].toFixed(4)}, {term.bcaCI[1].toFixed(4)}]</td>
+                          <td>{formatPValue(term.pValue)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                    <tfoot>
+                      <tr>
+                        <td colSpan="7">
+                          <strong>Resampling:</strong> {BOOTSTRAP_METHODS.find(m => m.id === result.method)?.label}
+                          {result.method === 'block' ? ` (block length ${result.blockLength})` : ''} | 
+                          <strong> Replications:</strong> {result.replications}
+                          {result.failed > 0 ? ` (${result.failed} singular draws skipped)` : ''} | 
+                          <strong> Observations:</strong> {result.n}
+                        </td>
+                      </tr>
+                    </tfoot>
+                  </table>
                 </div>
-              )}
-            </div>
-          </>
-        ) : (
-          <p>Insufficient data for econometric analysis. Please ensure all datasets have overlapping time periods.</p>
-        )}
-      </div>
-      
-      {/* Methodological Notes & Data Limitations */}
-      <div className="econometric-section">
-        <h2>Methodological Notes & Data Limitations</h2>
-        <div className="methodological-content">
-          <h3>Data Availability and Time Alignment</h3>
-          {preparedData && (
-            <div className="data-info">
-              <p><strong>Data Frequency:</strong> {preparedData.frequency === 'annual' ? 'Annual (aggregated from monthly due to limited overlap)' : 'Monthly'}</p>
-              {preparedData.overlap && (
-                <p><strong>Overlapping Period:</strong> {new Date(preparedData.overlap.start).getFullYear()} to {new Date(preparedData.overlap.end).getFullYear()} 
-                ({preparedData.overlap.count} {preparedData.frequency} observations)</p>
-              )}
-              <p>{preparedData.message}</p>
-            </div>
+              ) : (
+                <p key={result.model} className="methodological-note">
+                  <strong>{result.model}:</strong> {result.reason}
+                </p>
+              )
+            ))
+          ) : (
+            <p>No model available for bootstrapping.</p>
           )}
-          
-          <h3>Model Specifications and Adjustments</h3>
-          <ul className="methodological-list">
-            {methodologicalNotes.map((note, idx) => (
-              <li key={idx}>{note}</li>
-            ))}
-          </ul>
-          
-          <h3>Econometric Safeguards</h3>
-          <ul className="methodological-list">
-            <li><strong>Minimum Sample Size:</strong> OLS regression requires N ≥ 20 observations. Lagged models require N ≥ (10 + number of parameters).</li>
-            <li><strong>Lag Structure Selection:</strong> Maximum feasible lag length is determined by available sample size. Long lag structures (K≥6) are disabled when statistically infeasible.</li>
-            <li><strong>CBAM Interaction Model:</strong> Requires ≥10 pre-CBAM and ≥5 post-CBAM observations. When insufficient, descriptive comparisons are presented instead.</li>
+        </div>
+        
+        {/* Quantile Regression */}
+        <div className="model-subsection">
+          <h3>Quantile Regression: Carbon-Price Effects Across the Import Distribution</h3>
+          <p className="section-description">
+            Model: Q_τ(LN_IMPORTS | x) = α(τ) + β1(τ)*CARBON_PRICE + β2(τ)*LN_ACTIVITY + β3(τ)*CBAM_DUMMY, estimated at τ = 0.1, …, 0.9. 
+            OLS describes the conditional mean; leakage confined to high-import months or tail episodes shows up as β1(τ) rising in the 
+            upper quantiles while the mean effect stays small. Standard errors, {ciLevel}% percentile intervals and p-values are bootstrapped 
+            at every quantile.
+          </p>
+          <div className="filter-group">
+            <label>Coefficient:</label>
+            <select value={quantileTerm} onChange={(e) => setQuantileTerm(Number(e.target.value))}>
+              <option value={1}>Carbon Price</option>
+              <option value={2}>LN(Activity)</option>
+              <option value={3}>CBAM Dummy</option>
+            </select>
+            <label>Resampling:</label>
+            <select value={quantileMethod} onChange={(e) => setQuantileMethod(e.target.value)}>
+              {QUANTILE_BOOTSTRAP_METHODS.map(method => (
+                <option key={method.id} value={method.id}>{method.label}</option>
+              ))}
+            </select>
+            <label>Replications:</label>
+            <select value={quantileReplications} onChange={(e) => setQuantileReplications(Number(e.target.value))}>
+              {BOOTSTRAP_REPLICATIONS.map(b => (
+                <option key={b} value={b}>{b}</option>
+              ))}
+            </select>
+          </div>
+          {quantileRunning ? (
+            <p>Estimating quantile regressions...</p>
+          ) : quantileResults && quantileResults.error ? (
+            <div className="methodological-warning">
+              <h4>Quantile Regression Failed</h4>
+              <p><strong>Reason:</strong> {quantileResults.error}</p>
+            </div>
+          ) : quantileCurve ? (
+            <>
+              <h4>{quantileResults.result.labels[quantileTerm]} Coefficient by Quantile</h4>
+              <div className="chart-container">
+                <ResponsiveContainer width="100%" height={300}>
+                  <ComposedChart
+                    data={quantileCurve.points}
+                    margin={{ top: 20, right: 30, left: 20, bottom: 20 }}
+                  >
+                    <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                    <XAxis dataKey="tau" stroke="#6B7280" label={{ value: 'Quantile τ', position: 'insideBottom', offset: -10 }} />
+                    <YAxis stroke="#6B7280" tickFormatter={(value) => value.toFixed(quantileTerm === 1 ? 4 : 2)} />
+                    <Tooltip
+                      formatter={(value, name) => [
+                        Array.isArray(value) ? `[${value[0].toFixed(5)}, ${value[1].toFixed(5)}]` : value.toFixed(5),
+                        name
+                      ]}
+                      contentStyle={{ backgroundColor: '#FFFFFF', border: '1px solid #E5E7EB', borderRadius: '8px' }}
+                    />
+                    <Legend />
+                    <ReferenceLine y={0} stroke="#6B7280" strokeDasharray="3 3" />
+                    <Area type="linear" dataKey="band" stroke="none" fill="#7C3AED" fillOpacity={0.15} name={`${quantileResults.result.level}% bootstrap CI`} />
+                    <Line type="linear" dataKey="coeff" stroke="#7C3AED" strokeWidth={2} name="Quantile regression" />
+                    <Line type="linear" dataKey="ols" stroke="#EF4444" strokeDasharray="5 5" strokeWidth={1.5} dot={false} name="OLS" />
+                  </ComposedChart>
+                </ResponsiveContainer>
+              </div>
+              <div className="regression-table-container">
+                <table className="regression-table">
+                  <thead>
+                    <tr>
+                      <th>Quantile τ</th>
+                      <th>Coefficient</th>
+                      <th>Bootstrap SE</th>
+                      <th>Percentile {quantileResults.result.level}% CI</th>
+                      <th>Bootstrap p</th>
+                      <th>Pseudo R¹</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {quantileResults.result.quantiles.map(q => {
+                      const term = q.coefficients[quantileTerm];
+                      return (
+                        <tr key={q.tau} className={term.pValue < 0.05 ? 'significant' : ''}>
+                          <td>{q.tau.toFixed(1)}</td>
+                          <td>{term.coeff.toFixed(5)}</td>
+                          <td>{term.se.toFixed(5)}</td>
+                          <td>[{term.percentileCI[0].toFixed(5)}, {term.percentileCI[1].toFixed(5)}]</td>
+                          <td>{formatPValue(term.pValue)}</td>
+                          <td>{q.pseudoRSquared !== null ? q.pseudoRSquared.toFixed(3) : '-'}</td>
+                        </tr>
+                      );
+                    })}
+                    <tr className="table-group-row">
+                      <td>OLS (mean)</td>
+                      <td>{quantileResults.result.ols[quantileTerm].coeff.toFixed(5)}</td>
+                      <td>{quantileResults.result.ols[quantileTerm].se.toFixed(5)}</td>
+                      <td>{formatCI(quantileResults.result.ols[quantileTerm].ci, 5)}</td>
+                      <td colSpan="2">{formatSEType(quantileResults.result)} standard error</td>
+                    </tr>
+                  </tbody>
+                  <tfoot>
+                    <tr>
+                      <td colSpan="6">
+                        <strong>Solver:</strong> Frisch-Newton interior point | 
+                        <strong> Resampling:</strong> {QUANTILE_BOOTSTRAP_METHODS.find(m => m.id === quantileResults.result.method)?.label}
+                        {quantileResults.result.method === 'block' ? ` (block length ${quantileResults.result.blockLength})` : ''} | 
+                        <strong> Replications:</strong> {quantileResults.result.replications} | 
+                        <strong> Observations:</strong> {quantileResults.result.n}
+                      </td>
+                    </tr>
+                  </tfoot>
+                </table>
+              </div>
+              <div className="interpretation-box">
+                <h4>Interpretation</h4>
+                <p>
+                  <strong>{quantileResults.result.labels[quantileTerm]}:</strong> the coefficient is {quantileCurve.low.coeff.toFixed(5)} at 
+                  τ = {quantileCurve.low.tau.toFixed(1)} and {quantileCurve.high.coeff.toFixed(5)} at τ = {quantileCurve.high.tau.toFixed(1)}, 
+                  against an OLS mean effect of {quantileResults.result.ols[quantileTerm].coeff.toFixed(5)}.{' '}
+                  {quantileCurve.tailsDiffer
+                    ? 'The bootstrap intervals at the two tails do not overlap, so the effect differs across the import distribution.'
+                    : 'The bootstrap intervals at the two tails overlap, so the data do not distinguish tail effects from the mean effect.'}
+                  {quantileTerm === 1 && quantileCurve.high.coeff > 0 && quantileCurve.high.pValue < 0.05
+                    ? ' A significant positive effect in high-import months is consistent with leakage concentrated in tail episodes.'
+                    : ''}
+                </p>
+              </div>
+            </>
+          ) : quantileResults && quantileResults.result ? (
+            <div className="methodological-warning">
+              <h4>Quantile Regression Not Feasible</h4>
+              <p><strong>Reason:</strong> {quantileResults.result.reason}</p>
+            </div>
+          ) : (
+            <p>Baseline model not available for quantile regression.</p>
+          )}
+        </div>
+        
+        {/* Bayesian Regression */}
+        <div className="model-subsection">
+          <h3>Bayesian Regression: Elicited Priors on the Carbon-Price Elasticity</h3>
+          <p className="section-description">
+            The baseline specification LN_IMPORTS = α + β1*CARBON_PRICE + β2*LN_ACTIVITY + β3*CBAM_DUMMY + ε is re-estimated with a prior on β1, 
+            for example an elasticity taken from the leakage literature, and vague priors on the other coefficients (N(0, 1000²), σ² ~ IG(0.001, 0.001)). 
+            The conjugate Normal-Inverse-Gamma posterior is exact; the independent Normal and heavy-tailed Student-t priors are sampled by Gibbs 
+            (5,000 draws after 1,000 burn-in). Posterior means, {ciLevel}% equal-tailed credible intervals and P(β &gt; 0) are shown next to OLS.
+          </p>
+          <div className="filter-group bayes-prior">
+            <label>Prior:</label>
+            <select value={bayesPrior} onChange={(e) => setBayesPrior(e.target.value)}>
+              {BAYESIAN_PRIORS.map(prior => (
+                <option key={prior.id} value={prior.id}>{prior.label}</option>
+              ))}
+            </select>
+            <label>Preset:</label>
+            <select
+              value={ELASTICITY_PRIOR_PRESETS.find(p => p.mean === bayesPriorMean && p.sd === bayesPriorSD)?.id || 'custom'}
+              onChange={(e) => {
+                const preset = ELASTICITY_PRIOR_PRESETS.find(p => p.id === e.target.value);
+                if (preset) {
+                  setBayesPriorMean(preset.mean);
+                  setBayesPriorSD(preset.sd);
+                }
+              }}
+            >
+              {ELASTICITY_PRIOR_PRESETS.map(preset => (
+                <option key={preset.id} value={preset.id}>{preset.label}</option>
+              ))}
+              <option value="custom" disabled>Custom</option>
+            </select>
+            <label>β1 prior mean:</label>
+            <input
+              type="number"
+              step="0.0001"
+              value={bayesPriorMean}
+              onChange={(e) => {
+                const value = parseFloat(e.target.value);
+                if (!isNaN(value)) setBayesPriorMean(value);
+              }}
+            />
+            <label>β1 prior SD:</label>
+            <input
+              type="number"
+              min="0"
+              step="0.0001"
+              value={bayesPriorSD}
+              onChange={(e) => {
+                const value = parseFloat(e.target.value);
+                if (!isNaN(value) && value > 0) setBayesPriorSD(value);
+              }}
+            />
+          </div>
+          {bayesianSummary ? (
+            <>
+              <div className="regression-table-container">
+                <table className="regression-table">
+                  <thead>
+                    <tr>
+                      <th>Variable</th>
+                      <th>OLS Coefficient (SE)</th>
+                      <th>Posterior Mean</th>
+                      <th>Posterior SD</th>
+                      <th>{bayesianModel.level}% Credible Interval</th>
+                      <th>P(β &gt; 0)</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {bayesianModel.coefficients.map((c, j) => (
+                      <tr key={bayesianModel.labels[j]} className={c.ci[0] > 0 || c.ci[1] < 0 ? 'significant' : ''}>
+                        <td>{bayesianModel.labels[j]}{j === bayesianSummary.elicited ? ' (elicited prior)' : ''}</td>
+                        <td>{bayesianModel.ols[j].coeff.toFixed(5)} ({bayesianModel.ols[j].se.toFixed(5)})</td>
+                        <td>{c.mean.toFixed(5)}</td>
+                        <td>{c.sd.toFixed(5)}</td>
+                        <td>[{c.ci[0].toFixed(5)}, {c.ci[1].toFixed(5)}]</td>
+                        <td>{c.probabilityPositive.toFixed(3)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                  <tfoot>
+                    <tr>
+                      <td colSpan="6">
+                        <strong>Prior:</strong> {BAYESIAN_PRIORS.find(p => p.id === bayesianModel.prior)?.label}, β1 centred at {bayesPriorMean} with SD {bayesPriorSD} | 
+                        <strong> Posterior mean of σ:</strong> {bayesianModel.sigma.mean.toFixed(4)} | 
+                        <strong> {bayesianModel.draws ? `Draws: ${bayesianModel.draws} (burn-in ${bayesianModel.burnIn})` : 'Closed form (Student-t marginals)'}</strong> | 
+                        <strong> OLS SE:</strong> {formatSEType(baselineModel.modelResult)} | 
+                        <strong> Observations:</strong> {bayesianModel.n}
+                      </td>
+                    </tr>
+                  </tfoot>
+                </table>
+              </div>
+              <div className="filter-group">
+                <label>Density of:</label>
+                <select value={bayesTerm} onChange={(e) => setBayesTerm(Number(e.target.value))}>
+                  {bayesianModel.labels.map((label, j) => (j > 0 ? (
+                    <option key={label} value={j}>{label}</option>
+                  ) : null))}
+                </select>
+              </div>
+              <h4>Posterior Density: {bayesianModel.labels[bayesTerm]}</h4>
+              <div className="chart-container">
+                <ResponsiveContainer width="100%" height={300}>
+                  <ComposedChart data={bayesianSummary.plotted.density} margin={{ top: 20, right: 30, left: 20, bottom: 20 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                    <XAxis
+                      dataKey="x"
+                      type="number"
+                      domain={['dataMin', 'dataMax']}
+                      stroke="#6B7280"
+                      tickFormatter={(value) => value.toFixed(bayesianSummary.digits)}
+                    />
+                    <YAxis yAxisId="left" stroke="#7C3AED" tickFormatter={(value) => value.toPrecision(2)} />
+                    {bayesTerm === bayesianSummary.elicited && (
+                      <YAxis yAxisId="right" orientation="right" stroke="#F59E0B" tickFormatter={(value) => value.toPrecision(2)} />
+                    )}
+                    <Tooltip
+                      labelFormatter={(value) => `β = ${Number(value).toFixed(bayesianSummary.digits + 1)}`}
+                      formatter={(value, name) => [value.toPrecision(4), name]}
+                      contentStyle={{ backgroundColor: '#FFFFFF', border: '1px solid #E5E7EB', borderRadius: '8px' }}
+                    />
+                    <Legend />
+                    <ReferenceLine yAxisId="left" x={0} stroke="#6B7280" strokeDasharray="3 3" />
+                    <ReferenceLine yAxisId="left" x={bayesianModel.ols[bayesTerm].coeff} stroke="#EF4444" strokeDasharray="5 5" label={{ value: 'OLS', position: 'top', fill: '#EF4444', fontSize: 11 }} />
+                    <Area yAxisId="left" type="monotone" dataKey="posterior" stroke="#7C3AED" fill="#7C3AED" fillOpacity={0.2} strokeWidth={2} name="Posterior" />
+                    {bayesTerm === bayesianSummary.elicited && (
+                      <Line yAxisId="right" type="monotone" dataKey="prior" stroke="#F59E0B" strokeWidth={2} strokeDasharray="4 2" dot={false} name="Prior (right axis)" />
+                    )}
+                  </ComposedChart>
+                </ResponsiveContainer>
+              </div>
+              <p className="chart-description">
+                {bayesianModel.draws
+                  ? 'Posterior density is a Gaussian kernel estimate of the Gibbs draws (Silverman bandwidth).'
+                  : 'Posterior density is the exact Student-t marginal of the Normal-Inverse-Gamma posterior.'}
+                {bayesTerm === bayesianSummary.elicited ? ' The elicited prior is drawn on the right axis so that a vague prior stays visible.' : ''}
+              </p>
+              <div className="methodological-note">
+                <p>
+                  <strong>Small-sample caution:</strong> import volumes and the carbon price vary only from year to year, so β1 is identified by a handful 
+                  of annual changes even though the regression has {bayesianModel.n} rows. The likelihood is therefore weak and the posterior can move 
+                  substantially with the prior; compare the vague and informative presets before drawing conclusions.
+                </p>
+              </div>
+              <div className="interpretation-box">
+                <h4>Interpretation</h4>
+                <p>
+                  <strong>Carbon Price:</strong> the posterior mean of β1 is {bayesianSummary.beta1.mean.toFixed(5)} against an OLS estimate of {bayesianSummary.ols1.coeff.toFixed(5)}, 
+                  i.e. {((Math.exp(bayesianSummary.beta1.mean * 10) - 1) * 100).toFixed(2)}% more imports per +10 EUR/t, with a {bayesianModel.level}% credible 
+                  interval of [{bayesianSummary.beta1.ci[0].toFixed(5)}, {bayesianSummary.beta1.ci[1].toFixed(5)}]. The posterior probability that a higher carbon price raises 
+                  imports is P(β1 &gt; 0) = {bayesianSummary.beta1.probabilityPositive.toFixed(3)}.{' '}
+                  {Math.abs(bayesianSummary.beta1.mean - bayesianSummary.ols1.coeff) > bayesianSummary.ols1.se
+                    ? 'The prior moves the estimate by more than one OLS standard error, so the data alone do not settle the size of the effect.'
+                    : 'The posterior stays within one OLS standard error of the OLS estimate, so the data dominate this prior.'}
+                </p>
+              </div>
+            </>
+          ) : bayesianModel ? (
+            <div className="methodological-warning">
+              <h4>Bayesian Regression Not Feasible</h4>
+              <p><strong>Reason:</strong> {bayesianModel.reason}</p>
+            </div>
+          ) : (
+            <p>Baseline model not available for Bayesian estimation.</p>
+          )}
+        </div>
+        
+        {/* Difference-in-Differences */}
+        <div className="model-subsection">
+          <h3>Difference-in-Differences: CBAM-Covered vs Control Imports</h3>
+          <p className="section-description">
+            Model: LN_IMPORTS_gt = α_g + λ_t + δ × (TREATED_g × POST_t) + ε_gt, comparing extra-EU HS72 imports (subject to CBAM) 
+            with a control series that is not. Year effects λ_t absorb common shocks such as the 2023 energy-price and demand slump, 
+            which the CBAM dummy above cannot separate from the policy.
+          </p>
+          {didModel && didModel.feasible ? (
+            <div className="regression-results">
+              <div className="filter-group">
+                <label>Control Group:</label>
+                <select value={didControl} onChange={(e) => setDidControl(e.target.value)}>
+                  <option value="all">All control series</option>
+                  {listControlGroups(didSeries).map(g => (
+                    <option key={g.group} value={g.group}>
+                      {g.group} ({g.controlType === 'partner' ? 'partner control' : 'product control'})
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="regression-table-container">
+                <table className="regression-table">
+                  <thead>
+                    <tr>
+                      <th>Variable</th>
+                      <th>Coefficient</th>
+                      <th>Std. Error</th>
+                      <th>t-Statistic</th>
+                      <th>p-Value</th>
+                      <th>{ciLevel}% CI</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {renderCoefficientRow(`Treated × Post (δ, from ${didModel.treatmentYear})`, didModel.effect)}
+                    {didModel.preTrend && renderCoefficientRow('Pre-period differential trend (γ)', didModel.preTrend)}
+                  </tbody>
+                  <tfoot>
+                    <tr>
+                      <td colSpan="6">
+                        <strong>Effect on imports:</strong> {didModel.percentEffect >= 0 ? '+' : ''}{didModel.percentEffect.toFixed(2)}% | 
+                        <strong> R²:</strong> {didModel.rSquared.toFixed(3)} | 
+                        <strong> Observations:</strong> {didModel.n} ({didModel.groups.length} series × {didModel.years.length} years) | 
+                        <strong> Std. Errors:</strong> {formatSEType(didModel)}
+                      </td>
+                    </tr>
+                  </tfoot>
+                </table>
+              </div>
+              
+              <h4>Parallel Trends (log imports relative to {didModel.treatmentYear - 1})</h4>
+              <div className="chart-container">
+                <ResponsiveContainer width="100%" height={300}>
+                  <LineChart data={didModel.trends} margin={{ top: 20, right: 30, left: 20, bottom: 20 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                    <XAxis dataKey="year" stroke="#6B7280" />
+                    <YAxis stroke="#6B7280" tickFormatter={(value) => value.toFixed(2)} />
+                    <Tooltip
+                      formatter={(value) => (value !== null ? value.toFixed(4) : '-')}
+                      contentStyle={{ backgroundColor: '#FFFFFF', border: '1px solid #E5E7EB', borderRadius: '8px' }}
+                    />
+                    <Legend />
+                    <ReferenceLine y={0} stroke="#6B7280" strokeDasharray="3 3" />
+                    <ReferenceLine x={didModel.treatmentYear} stroke="#8B5CF6" strokeDasharray="5 5" label={{ value: 'CBAM', position: 'top', fill: '#8B5CF6', fontSize: 11 }} />
+                    <Line type="monotone" dataKey="treated" stroke="#2563EB" strokeWidth={2} name="Treated (HS72 extra-EU)" />
+                    <Line type="monotone" dataKey="control" stroke="#10B981" strokeWidth={2} name="Control" />
+                    <Line type="monotone" dataKey="difference" stroke="#EF4444" strokeDasharray="5 5" strokeWidth={1.5} name="Difference" />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+              
+              {didModel.dynamic && (
+                <>
+                  <h4>Dynamic Effects: Leads and Lags (reference year t-1)</h4>
+                  <div className="chart-container">
+                    <ResponsiveContainer width="100%" height={300}>
+                      <ComposedChart
+                        data={didModel.dynamic.coefficients.map(c => ({
+                          label: c.label,
+                          coeff: c.coeff,
+                          band: c.ci ? c.ci[ciLevel] : [0, 0]
+                        }))}
+                        margin={{ top: 20, right: 30, left: 20, bottom: 20 }}
+                      >
+                        <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                        <XAxis dataKey="label" stroke="#6B7280" />
+                        <YAxis stroke="#6B7280" tickFormatter={(value) => value.toFixed(2)} />
+                        <Tooltip
+                          formatter={(value, name) => [
+                            Array.isArray(value) ? `[${value[0].toFixed(4)}, ${value[1].toFixed(4)}]` : value.toFixed(4),
+                            name === 'band' ? `${ciLevel}% CI` : 'δ_k'
+                          ]}
+                          contentStyle={{ backgroundColor: '#FFFFFF', border: '1px solid #E5E7EB', borderRadius: '8px' }}
+                        />
+                        <ReferenceLine y={0} stroke="#6B7280" strokeDasharray="3 3" />
+                        <ReferenceLine x="t" stroke="#8B5CF6" strokeDasharray="5 5" />
+                        <Area type="linear" dataKey="band" stroke="none" fill="#2563EB" fillOpacity={0.15} />
+                        <Line type="linear" dataKey="coeff" stroke="#2563EB" strokeWidth={2} />
+                      </ComposedChart>
+                    </ResponsiveContainer>
+                  </div>
+                  <div className="model-equation">
+                    {didModel.dynamic.leadsTest ? (
+                      <>
+                        <strong>Joint test of leads (H₀: no anticipation / parallel pre-trends):</strong> F({didModel.dynamic.leadsTest.df1}, {didModel.dynamic.leadsTest.df2}) = {didModel.dynamic.leadsTest.fStat.toFixed(3)}, 
+                        p = {formatPValue(didModel.dynamic.leadsTest.pValue)}
+                      </>
+                    ) : 'Joint test of leads not available'}
+                    {' '}| <strong>Std. Errors:</strong> {formatSEType(didModel.dynamic)}
+                  </div>
+                </>
+              )}
+              
+              <div className="interpretation-box">
+                <h4>Interpretation</h4>
+                <p>
+                  Relative to the control series, CBAM-covered imports changed by {didModel.percentEffect.toFixed(2)}% after {didModel.treatmentYear - 1}
+                  {didModel.effect.pValue < 0.05 ? ' (significant at 5%).' : ' (not significant at 5%).'}
+                  {didModel.preTrend && (didModel.preTrend.pValue < 0.05
+                    ? ' The groups already diverged before CBAM, so parallel trends are doubtful and δ should be read with caution.'
+                    : ' No differential pre-trend is detected, supporting the parallel-trends assumption.')}
+                </p>
+                <p className="methodological-note">
+                  Import series are annual, so only {didModel.years.filter(y => y >= didModel.treatmentYear).length} post-treatment year(s) enter the estimate. 
+                  Product controls are read from control_imports.xlsx by the preprocessing script when it is present.
+                </p>
+                {didModel.twoGroupFallback && (
+                  <p className="methodological-note">
+                    Only one control series is compared with the treated series, so the {formatSEType({ covarianceType: seType })} errors 
+                    selected above are not applied to δ and γ: with two groups the treated post-treatment cells are fitted almost exactly and 
+                    robust variances understate the uncertainty. Classical standard errors are reported instead, as for the leads and lags.
+                  </p>
+                )}
+              </div>
+            </div>
+          ) : didModel && !didModel.feasible ? (
+            <div className="methodological-warning">
+              <h4>DiD Not Feasible</h4>
+              <p><strong>Reason:</strong> {didModel.reason}</p>
+            </div>
+          ) : (
+            <p>No control series available. Run "npm run preprocess" to generate did_series.json.</p>
+          )}
+        </div>
+        
+        {/* Synthetic Control */}
+        <div className="model-subsection">
+          <h3>Synthetic Control: EU vs Weighted Donor Pool</h3>
+          <p className="section-description">
+            A weighted average of steel importers outside the CBAM (e.g. {SYNTHETIC_DONORS.join(', ')}) is fitted to the EU's pre-CBAM import 
+            volume index (pre-treatment mean = 100). Weights are non-negative and sum to one. After the treatment date the gap between the EU 
+            and its synthetic counterpart estimates the CBAM effect. Placebo runs that treat each donor in turn provide a permutation p-value 
+            from the post/pre RMSPE ratios.
+          </p>
+          {syntheticControl && syntheticControl.feasible ? (
+            <div className="regression-results">
+              <div className="regression-table-container">
+                <table className="regression-table">
+                  <thead>
+                    <tr>
+                      <th>Donor</th>
+                      <th>Weight</th>
+                      <th>Pre RMSPE (placebo)</th>
+                      <th>Post/Pre RMSPE (placebo)</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {syntheticControl.weights.map(donor => {
+                      const placebo = syntheticControl.placebos.find(p => p.id === donor.id);
+                      return (
+                        <tr key={donor.id}>
+                          <td>{donor.id}</td>
+                          <td>{donor.weight.toFixed(3)}</td>
+                          <td>{placebo.preRMSPE.toFixed(2)}{placebo.excluded ? ' (poor fit)' : ''}</td>
+                          <td>{placebo.ratio.toFixed(2)}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                  <tfoot>
+                    <tr>
+                      <td colSpan="4">
+                        <strong>Treatment:</strong> {syntheticControl.treatmentPeriod} ({syntheticControl.preperiods} pre-treatment {syntheticControl.frequency === 'annual' ? 'years' : 'months'}) | 
+                        <strong> Pre RMSPE:</strong> {syntheticControl.preRMSPE.toFixed(2)} | 
+                        <strong> Post/Pre RMSPE:</strong> {syntheticControl.ratio.toFixed(2)} | 
+                        <strong> Average post gap:</strong> {syntheticControl.averageGap.toFixed(2)} index points ({syntheticControl.averageGapPercent >= 0 ? '+' : ''}{syntheticControl.averageGapPercent.toFixed(2)}%) | 
+                        <strong> Placebo p-value:</strong> {syntheticControl.pValue.toFixed(3)}
+                      </td>
+                    </tr>
+                  </tfoot>
+                </table>
+              </div>
+              <div className="dashboard-grid">
+                <div>
+                  <h4>EU vs Synthetic EU (index)</h4>
+                  <ResponsiveContainer width="100%" height={300}>
+                    <LineChart data={syntheticControl.path} margin={{ top: 20, right: 30, left: 20, bottom: 20 }}>
+                      <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                      <XAxis dataKey="period" stroke="#6B7280" />
+                      <YAxis stroke="#6B7280" tickFormatter={(value) => value.toFixed(0)} />
+                      <Tooltip
+                        formatter={(value, name) => [value.toFixed(2), name]}
+                        contentStyle={{ backgroundColor: '#FFFFFF', border: '1px solid #E5E7EB', borderRadius: '8px' }}
+                      />
+                      <Legend />
+                      <ReferenceLine x={syntheticControl.treatmentPeriod} stroke="#8B5CF6" strokeDasharray="5 5" label={{ value: 'CBAM', position: 'top', fill: '#8B5CF6', fontSize: 11 }} />
+                      <Line type="monotone" dataKey="treated" stroke="#2563EB" strokeWidth={2} dot={false} name="EU-27" />
+                      <Line type="monotone" dataKey="synthetic" stroke="#F59E0B" strokeWidth={2} strokeDasharray="5 5" dot={false} name="Synthetic EU" />
+                    </LineChart>
+                  </ResponsiveContainer>
+                </div>
+                <div>
+                  <h4>Gaps: EU and Placebos in Space</h4>
+                  <ResponsiveContainer width="100%" height={300}>
+                    <LineChart
+                      data={syntheticControl.path.map((p, t) => {
+                        const row = { period: p.period, EU: p.gap };
+                        syntheticControl.placebos.filter(placebo => !placebo.excluded).forEach(placebo => {
+                          row[placebo.id] = placebo.gaps[t];
+                        });
+                        return row;
+                      })}
+                      margin={{ top: 20, right: 30, left: 20, bottom: 20 }}
+                    >
+                      <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                      <XAxis dataKey="period" stroke="#6B7280" />
+                      <YAxis stroke="#6B7280" tickFormatter={(value) => value.toFixed(0)} />
+                      <Tooltip
+                        formatter={(value, name) => [value.toFixed(2), name]}
+                        contentStyle={{ backgroundColor: '#FFFFFF', border: '1px solid #E5E7EB', borderRadius: '8px' }}
+                      />
+                      <ReferenceLine y={0} stroke="#6B7280" strokeDasharray="3 3" />
+                      <ReferenceLine x={syntheticControl.treatmentPeriod} stroke="#8B5CF6" strokeDasharray="5 5" />
+                      {syntheticControl.placebos.filter(placebo => !placebo.excluded).map(placebo => (
+                        <Line key={placebo.id} type="monotone" dataKey={placebo.id} stroke="#D1D5DB" strokeWidth={1} dot={false} />
+                      ))}
+                      <Line type="monotone" dataKey="EU" stroke="#DC2626" strokeWidth={2.5} dot={false} name="EU-27" />
+                    </LineChart>
+                  </ResponsiveContainer>
+                </div>
+              </div>
+              <div className="interpretation-box">
+                <h4>Interpretation</h4>
+                <p>
+                  After {syntheticControl.treatmentPeriod} EU imports were on average {Math.abs(syntheticControl.averageGapPercent).toFixed(2)}% 
+                  {syntheticControl.averageGapPercent < 0 ? ' below' : ' above'} the synthetic EU. 
+                  {syntheticControl.pValue <= 0.1
+                    ? ' Few placebo donors show a comparable post/pre divergence, so the gap is unlikely to be chance.'
+                    : ' Several placebo donors diverge as much, so the gap is not distinguishable from normal variation.'}
+                </p>
+                <p className="methodological-note">
+                  With {syntheticControl.placebos.length} donors the smallest attainable p-value is {(1 / (syntheticControl.placebos.length + 1)).toFixed(3)}. 
+                  Placebos whose pre-treatment fit is more than five times worse than the EU's are hidden from the gap chart.
+                </p>
+              </div>
+            </div>
+          ) : syntheticControl && !syntheticControl.feasible ? (
+            <div className="methodological-warning">
+              <h4>Synthetic Control Not Feasible</h4>
+              <p><strong>Reason:</strong> {syntheticControl.reason}</p>
+            </div>
+          ) : rawImports.length > 0 ? (
+            <div className="methodological-note">
+              <p>
+                <strong>Synthetic control not available:</strong> no donor-importer series were supplied. Add donor_imports.csv 
+                (columns country, period, volume) with the import volumes of {SYNTHETIC_DONORS.join(', ')} and run "npm run preprocess" 
+                to generate donor_series.json.
+              </p>
+            </div>
+          ) : (
+            <p>No import data available. Run "npm run preprocess" to generate raw_imports.json.</p>
+          )}
+        </div>
+        
+        {/* Panel Regression */}
+        <div className="model-subsection">
+          <h3>Panel Regression by Country</h3>
+          <p className="section-description">
+            Model: LN_IMPORTS_it = α_i + λ_t + β₁ × CARBON_PRICE_t + β₂ × LN_ACTIVITY_t + θ × (CARBON_PRICE_t × Z_i) + ε_it, 
+            estimated on annual imports by EU member state or by extra-EU exporter. Z_i are standardized country characteristics measured before 2020.
+          </p>
+          <div className="methodological-note">
+            {panelDimension === 'exporter' ? (
+              <p>
+                <strong>Exporters:</strong> country i is the extra-EU origin of the bilateral flows (bilateral_flows.json), summed over the 
+                importing member states, so this panel shows which exporters' sales to the EU respond to the carbon price. Only four 
+                exporters are available and the carbon price covers 2020–2024, so clustered errors rest on four clusters (t with 3 df).
+              </p>
+            ) : (
+              <p>
+                <strong>Importers, not exporters:</strong> the country dimension of raw_imports.json is the reporting EU member state, so 
+                this panel shows which importing states respond to the carbon price. Switch to the exporter panel for origin countries.
+              </p>
+            )}
+          </div>
+          <div className="filter-group">
+            <label>Country:</label>
+            <select value={panelDimension} onChange={(e) => setPanelDimension(e.target.value)}>
+              {PANEL_DIMENSIONS.map(dimension => (
+                <option key={dimension.id} value={dimension.id}>{dimension.label}</option>
+              ))}
+            </select>
+            <label>Effects:</label>
+            <select value={panelEffects} onChange={(e) => setPanelEffects(e.target.value)}>
+              {PANEL_EFFECTS.map(effect => (
+                <option key={effect.id} value={effect.id}>{effect.label}</option>
+              ))}
+            </select>
+            <label>Std. Errors:</label>
+            <select value={panelClustered ? 'clustered' : 'classical'} onChange={(e) => setPanelClustered(e.target.value === 'clustered')}>
+              <option value="clustered">Clustered by country</option>
+              <option value="classical">Classical</option>
+            </select>
+          </div>
+          <div className="filter-group">
+            <label>Carbon Price Interactions:</label>
+            {COUNTRY_CHARACTERISTICS.map(characteristic => (
+              <span key={characteristic.id}>
+                <input
+                  type="checkbox"
+                  id={`panel-${characteristic.id}`}
+                  checked={panelInteractions.includes(characteristic.id)}
+                  onChange={(e) => setPanelInteractions(e.target.checked
+                    ? [...panelInteractions, characteristic.id]
+                    : panelInteractions.filter(id => id !== characteristic.id))}
+                />
+                {' '}<label htmlFor={`panel-${characteristic.id}`}>{characteristic.label}</label>
+              </span>
+            ))}
+          </div>
+          {panelModel && panelModel.feasible ? (
+            <div className="regression-results">
+              <div className="regression-table-container">
+                <table className="regression-table">
+                  <thead>
+                    <tr>
+                      <th>Variable</th>
+                      <th>Coefficient</th>
+                      <th>Std. Error</th>
+                      <th>t-Statistic</th>
+                      <th>p-Value</th>
+                      <th>{ciLevel}% CI</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {panelModel.coefficients.map(c => renderCoefficientRow(c.label, c))}
+                  </tbody>
+                  <tfoot>
+                    <tr>
+                      <td colSpan="6">
+                        <strong>{panelModel.rSquaredWithin !== null ? 'Within R²' : 'R²'}:</strong> {(panelModel.rSquaredWithin ?? panelModel.rSquared).toFixed(3)} | 
+                        <strong> Observations:</strong> {panelModel.n} ({panelModel.countries} countries, {panelModel.years[0]}–{panelModel.years[panelModel.years.length - 1]}) | 
+                        <strong> Std. Errors:</strong> {panelModel.clustered ? `Clustered by country (${panelModel.countries} clusters, t with ${panelModel.df} df)` : 'Classical'}
+                        {panelModel.absorbed.length > 0 && <> | <strong>Absorbed by fixed effects:</strong> {panelModel.absorbed.join(', ')}</>}
+                      </td>
+                    </tr>
+                  </tfoot>
+                </table>
+              </div>
+              
+              {countryResponses && (
+                <>
+                  <h4>Country-Specific Carbon-Price Responses (β_i, % change in imports per €1)</h4>
+                  <div className="chart-container">
+                    <ResponsiveContainer width="100%" height={320}>
+                      <BarChart
+                        data={countryResponses.map(c => ({ ...c, effect: c.coeff * 100 }))}
+                        margin={{ top: 20, right: 30, left: 20, bottom: 60 }}
+                      >
+                        <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                        <XAxis dataKey="name" stroke="#6B7280" angle={-45} textAnchor="end" height={80} interval={0} />
+                        <YAxis stroke="#6B7280" tickFormatter={(value) => `${value.toFixed(2)}%`} />
+                        <Tooltip
+                          formatter={(value, name, item) => [
+                            `${value.toFixed(3)}% (p = ${formatPValue(item.payload.pValue)})`,
+                            'β_i'
+                          ]}
+                          contentStyle={{ backgroundColor: '#FFFFFF', border: '1px solid #E5E7EB', borderRadius: '8px' }}
+                        />
+                        <ReferenceLine y={0} stroke="#6B7280" />
+                        <Bar dataKey="effect">
+                          {countryResponses.map(c => (
+                            <Cell key={c.country} fill={c.pValue < 0.05 ? (c.coeff < 0 ? '#EF4444' : '#10B981') : '#9CA3AF'} />
+                          ))}
+                        </Bar>
+                      </BarChart>
+                    </ResponsiveContainer>
+                  </div>
+                  <p className="methodological-note">
+                    Country-FE model with a common activity effect and one carbon-price slope per country; colored bars are 
+                    significant at 5% (red: imports fall with the carbon price, green: imports rise). Each slope rests on a single 
+                    country's years, so classical standard errors are used here.
+                  </p>
+                </>
+              )}
+            </div>
+          ) : panelModel && !panelModel.feasible ? (
+            <div className="methodological-warning">
+              <h4>Panel Model Not Estimable</h4>
+              <p><strong>Reason:</strong> {panelModel.reason}</p>
+            </div>
+          ) : (
+            <p>Per-country import data ({PANEL_DIMENSIONS.find(d => d.id === panelDimension).source}) not available. Run "npm run preprocess" to generate it.</p>
+          )}
+        </div>
+        
+        {/* Gravity Model */}
+        <div className="model-subsection">
+          <h3>Gravity Model of Bilateral Imports (PPML)</h3>
+          <p className="section-description">
+            Model: X_ijt = exp(π_it + χ_jt + β × GAP_ijt) × η_ijt for imports of EU member state j from partner i in year t, 
+            where GAP_ijt is the carbon price in j (EU ETS + national instruments) minus the carbon price in i, and 0 for intra-EU flows. 
+            PPML keeps zero flows; log-OLS drops them. Both use the same fixed effects and pair-clustered standard errors.
+          </p>
+          <div className="filter-group">
+            <label>Fixed Effects:</label>
+            <select value={gravityEffects} onChange={(e) => setGravityEffects(e.target.value)}>
+              {GRAVITY_FIXED_EFFECTS.map(effect => (
+                <option key={effect.id} value={effect.id}>{effect.label}</option>
+              ))}
+            </select>
+            <label>Flow:</label>
+            <select value={gravityMeasure} onChange={(e) => setGravityMeasure(e.target.value)}>
+              {GRAVITY_MEASURES.map(measure => (
+                <option key={measure.id} value={measure.id}>{measure.label}</option>
+              ))}
+            </select>
+          </div>
+          {gravityModel && gravityModel.feasible ? (
+            <div className="regression-results">
+              <div className="regression-table-container">
+                <table className="regression-table">
+                  <thead>
+                    <tr>
+                      <th>Carbon-Price Gap (β)</th>
+                      <th>PPML</th>
+                      <th>Log-OLS</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {[
+                      { label: 'Coefficient', format: (e) => e.coeff.toFixed(4) },
+                      { label: 'Std. Error', format: (e) => e.se.toFixed(4) },
+                      { label: 't-Statistic', format: (e) => e.tStat.toFixed(3) },
+                      { label: 'p-Value', format: (e) => formatPValue(e.pValue) },
+                      { label: `${ciLevel}% CI`, format: (e) => formatCI(e.ci) },
+                      { label: 'Semi-elasticity (% per unit of gap)', format: (e) => `${e.semiElasticity.toFixed(3)}%` },
+                      { label: `Elasticity at mean gap (${gravityModel.meanGap.toFixed(1)})`, format: (e) => e.elasticity.toFixed(3) },
+                      { label: 'Observations', format: (e) => e.n },
+                      { label: 'Clusters (pairs)', format: (e) => e.pairs }
+                    ].map(row => (
+                      <tr key={row.label}>
+                        <td>{row.label}</td>
+                        <td className={gravityModel.ppml && gravityModel.ppml.pValue < 0.05 ? 'significant' : ''}>
+                          {gravityModel.ppml ? row.format(gravityModel.ppml) : '-'}
+                        </td>
+                        <td className={gravityModel.ols && gravityModel.ols.pValue < 0.05 ? 'significant' : ''}>
+                          {gravityModel.ols ? row.format(gravityModel.ols) : '-'}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                  <tfoot>
+                    <tr>
+                      <td colSpan="3">
+                        <strong>Sample:</strong> {gravityModel.observations} flows ({gravityModel.exporters.length} partners × {gravityModel.importers} importers, {gravityModel.years[0]}–{gravityModel.years[gravityModel.years.length - 1]}) | 
+                        <strong> Zero flows:</strong> {gravityModel.zeroFlows} (kept by PPML) | 
+                        <strong> Separated:</strong> {gravityModel.separated} dropped
+                        {gravityModel.ppml && <> | <strong>PPML:</strong> pseudo-R² {gravityModel.ppml.pseudoRSquared.toFixed(3)}, {gravityModel.ppml.iterations} IRLS iterations{gravityModel.ppml.converged ? '' : ' (not converged)'}</>}
+                        {gravityModel.ols && <> | <strong>Log-OLS:</strong> R² {gravityModel.ols.rSquared.toFixed(3)}</>}
+                      </td>
+                    </tr>
+                  </tfoot>
+                </table>
+              </div>
+              <div className="interpretation">
+                <p>
+                  A one-unit wider carbon-price gap changes imports from a partner by {gravityModel.ppml ? `${gravityModel.ppml.semiElasticity.toFixed(2)}%` : '-'} under 
+                  PPML and {gravityModel.ols ? `${gravityModel.ols.semiElasticity.toFixed(2)}%` : '-'} under log-OLS. Carbon leakage predicts a positive coefficient 
+                  (more imports where the importer's carbon price exceeds the exporter's). A gap between the two estimators points to 
+                  heteroskedasticity in the log-linear model (Santos Silva & Tenreyro, 2006).
+                </p>
+              </div>
+              <p className="methodological-note">
+                Carbon prices are the explicit prices recorded in carbon_pricing_data.csv (sum of carbon taxes and ETSs per jurisdiction). 
+                {gravityEffects === 'multilateral'
+                  ? ' With exporter-time and importer-time effects, the gap is identified only by comparing extra- and intra-EU flows into the same member state and year, so it rests on national carbon prices of the importers.'
+                  : ' Exporter, importer and year effects leave the time variation of the EU ETS and partner prices in the gap, but do not control for multilateral resistance.'}
+              </p>
+            </div>
+          ) : gravityModel && !gravityModel.feasible ? (
+            <div className="methodological-warning">
+              <h4>Gravity Model Not Estimable</h4>
+              <p><strong>Reason:</strong> {gravityModel.reason}</p>
+            </div>
+          ) : (
+            <p>Bilateral flows (bilateral_flows.json) or carbon prices (carbon_pricing_data.csv) not available. Run "npm run preprocess" to generate the flows.</p>
+          )}
+        </div>
+        
+        {/* Structural Breaks */}
+        <div className="model-subsection">
+          <h3>Structural Breaks Around CBAM Milestones</h3>
+          <p className="section-description">
+            Instead of imposing the CBAM dummy, these tests let the data locate regime changes in 
+            LN_IMPORTS_t = α + β₁ × CARBON_PRICE_t + β₂ × LN_ACTIVITY_t + ε_t (all coefficients may shift). 
+            Estimated break dates are drawn as red dashed lines on the time-series charts above.
+          </p>
+          {structuralBreaks && structuralBreaks.feasible ? (
+            <div className="regression-results">
+              <h4>Chow Tests at CBAM Milestones</h4>
+              <div className="regression-table-container">
+                <table className="regression-table">
+                  <thead>
+                    <tr>
+                      <th>Milestone</th>
+                      <th>First Obs. of New Regime</th>
+                      <th>Form</th>
+                      <th>F-Statistic</th>
+                      <th>df</th>
+                      <th>p-Value</th>
+                      <th>Conclusion (5%)</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {structuralBreaks.chow.map(test => (
+                      test.feasible ? (
+                        <tr key={test.label} className={test.pValue < 0.05 ? 'significant' : ''}>
+                          <td>{test.label}</td>
+                          <td>{test.yearMonth} ({test.n1} / {test.n2} obs.)</td>
+                          <td>{test.type === 'breakpoint' ? 'Breakpoint' : 'Predictive'}</td>
+                          <td>{test.fStat.toFixed(3)}</td>
+                          <td>{test.df1}, {test.df2}</td>
+                          <td>{formatPValue(test.pValue)}</td>
+                          <td>{test.pValue < 0.05 ? 'Break' : 'No break'}</td>
+                        </tr>
+                      ) : (
+                        <tr key={test.label}>
+                          <td>{test.label}</td>
+                          <td colSpan="6">{test.reason}</td>
+                        </tr>
+                      )
+                    ))}
+                  </tbody>
+                  <tfoot>
+                    <tr>
+                      <td colSpan="7">
+                        <strong>Note:</strong> the predictive (forecast) form is used when the post-milestone subsample is too short 
+                        or too uninformative to be estimated on its own.
+                      </td>
+                    </tr>
+                  </tfoot>
+                </table>
+              </div>
+              
+              {structuralBreaks.supWald.feasible && (
+                <>
+                  <h4>Unknown Break Date: sup-Wald (Quandt-Andrews)</h4>
+                  <div className="model-equation">
+                    <strong>sup-F:</strong> {structuralBreaks.supWald.statistic.toFixed(3)} at {structuralBreaks.supWald.yearMonth}
+                    {structuralBreaks.supWald.criticalValues && (
+                      <> | <strong>Critical values (10/5/1%):</strong> {structuralBreaks.supWald.criticalValues[10]} / {structuralBreaks.supWald.criticalValues[5]} / {structuralBreaks.supWald.criticalValues[1]} | 
+                      <strong> Conclusion:</strong> {structuralBreaks.supWald.rejects ? 'break at an unknown date (5%)' : 'no break detected (5%)'}</>
+                    )}
+                    {' '}| <strong>Trimming:</strong> {(structuralBreaks.supWald.trimming * 100).toFixed(0)}%
+                  </div>
+                  <div className="chart-container">
+                    <ResponsiveContainer width="100%" height={300}>
+                      <LineChart data={structuralBreaks.supWald.path} margin={{ top: 20, right: 30, left: 20, bottom: 20 }}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                        <XAxis dataKey="yearMonth" stroke="#6B7280" />
+                        <YAxis stroke="#6B7280" tickFormatter={(value) => value.toFixed(1)} />
+                        <Tooltip
+                          formatter={(value) => [value.toFixed(3), 'Chow F']}
+                          contentStyle={{ backgroundColor: '#FFFFFF', border: '1px solid #E5E7EB', borderRadius: '8px' }}
+                        />
+                        {structuralBreaks.supWald.criticalValues && (
+                          <ReferenceLine
+                            y={structuralBreaks.supWald.criticalValues[5]}
+                            stroke="#EF4444"
+                            strokeDasharray="5 5"
+                            label={{ value: '5% critical value', position: 'insideTopRight', fill: '#EF4444', fontSize: 11 }}
+                          />
+                        )}
+                        {structuralBreaks.chow.filter(test => test.feasible).map(test => (
+                          <ReferenceLine key={test.label} x={test.yearMonth} stroke="#8B5CF6" strokeDasharray="3 3" />
+                        ))}
+                        <Line type="monotone" dataKey="fStat" stroke="#2563EB" strokeWidth={2} dot={false} name="Chow F" />
+                      </LineChart>
+                    </ResponsiveContainer>
+                  </div>
+                </>
+              )}
+              
+              {structuralBreaks.baiPerron.feasible && (
+                <>
+                  <h4>Multiple Breaks: Bai-Perron</h4>
+                  <div className="regression-table-container">
+                    <table className="regression-table">
+                      <thead>
+                        <tr>
+                          <th>Breaks (m)</th>
+                          <th>SSR</th>
+                          <th>BIC</th>
+                          <th>Break Dates</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {structuralBreaks.baiPerron.table.map(row => (
+                          <tr key={row.numberOfBreaks} className={row.numberOfBreaks === structuralBreaks.baiPerron.numberOfBreaks ? 'significant' : ''}>
+                            <td>{row.numberOfBreaks}</td>
+                            <td>{row.ssr.toFixed(4)}</td>
+                            <td>{row.bic.toFixed(4)}</td>
+                            <td>{row.breakDates.length > 0 ? row.breakDates.map(b => b.yearMonth).join(', ') : '-'}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                  <div className="regression-table-container">
+                    <table className="regression-table">
+                      <thead>
+                        <tr>
+                          <th>Regime</th>
+                          <th>Period</th>
+                          <th>Intercept (α)</th>
+                          <th>Carbon Price (β₁)</th>
+                          <th>LN(Activity) (β₂)</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {structuralBreaks.baiPerron.regimes.map((regime, i) => (
+                          <tr key={regime.start}>
+                            <td>{i + 1}</td>
+                            <td>{regime.startLabel} – {regime.endLabel}</td>
+                            {regime.coefficients ? regime.coefficients.map((coef, j) => (
+                              <td key={j}>
+                                {coef.toFixed(4)}{regime.pValues[j] < 0.05 ? '*' : ''}
+                              </td>
+                            )) : <td colSpan="3">Not estimable</td>}
+                          </tr>
+                        ))}
+                      </tbody>
+                      <tfoot>
+                        <tr>
+                          <td colSpan="5">
+                            <strong>Selected:</strong> {structuralBreaks.baiPerron.numberOfBreaks} break(s) by BIC | 
+                            <strong> Minimum segment:</strong> {structuralBreaks.baiPerron.minimumSegment} observations | * p &lt; 0.05
+                          </td>
+                        </tr>
+                      </tfoot>
+                    </table>
+                  </div>
+                </>
+              )}
+              <div className="interpretation-box">
+                <h4>Interpretation</h4>
+                <p>
+                  {structuralBreaks.baiPerron.feasible && structuralBreaks.baiPerron.numberOfBreaks > 0
+                    ? `The data place ${structuralBreaks.baiPerron.numberOfBreaks} regime change(s) at ${structuralBreaks.baiPerron.breakDates.map(b => b.yearMonth).join(', ')}. `
+                    : 'BIC does not select any break in the baseline relation. '}
+                  {structuralBreaks.chow.some(test => test.feasible && test.pValue < 0.05)
+                    ? 'At least one CBAM milestone coincides with a significant Chow break, consistent with the policy calendar.'
+                    : 'None of the CBAM milestones within the sample produces a significant Chow break, so the policy dates are not associated with a significant shift in the baseline relation.'}
+                </p>
+              </div>
+            </div>
+          ) : structuralBreaks && !structuralBreaks.feasible ? (
+            <div className="methodological-warning">
+              <h3>Break Tests Not Feasible</h3>
+              <p><strong>Reason:</strong> {structuralBreaks.reason}</p>
+            </div>
+          ) : (
+            <p>{dataFrequency === 'annual' ? 'Break tests require monthly data.' : 'Preparing break tests...'}</p>
+          )}
+        </div>
+        
+        {/* Vector Autoregression */}
+        <div className="model-subsection">
+          <h3>Dynamic System: Vector Autoregression</h3>
+          <p className="section-description">
+            VAR(p) over LN(Carbon Price), LN(Activity) and LN(Imports) with the lag order chosen by AIC. Impulse responses are 
+            orthogonalized with the Cholesky ordering carbon price → activity → imports, so a carbon-price shock may move imports 
+            in the same month but not vice versa.
+          </p>
+          <div className="filter-group">
+            <label>VAR Specification:</label>
+            <select value={varTransform} onChange={(e) => setVarTransform(e.target.value)}>
+              <option value="differences">First differences (cumulative responses)</option>
+              <option value="levels">Levels</option>
+            </select>
+          </div>
+          {varModel && varModel.feasible ? (
+            <div className="regression-results">
+              <div className="model-equation">
+                <strong>Model:</strong> {varModel.transform === 'differences' ? 'ΔY' : 'Y'}_t = c + Σ A_j × {varModel.transform === 'differences' ? 'ΔY' : 'Y'}_{'{t-j}'} + u_t (j=1 to {varModel.lags}), 
+                Y = [LN_CARBON_PRICE, LN_ACTIVITY, LN_IMPORTS]' | <strong>Lag order:</strong> p = {varModel.lags} ({varModel.criterion}; 
+                AIC: {varModel.lagSelection.AIC}, BIC: {varModel.lagSelection.BIC}, HQ: {varModel.lagSelection.HQ}) | <strong>Observations:</strong> {varModel.n}
+              </div>
+              
+              <h4>Granger Causality (F-tests)</h4>
+              <div className="regression-table-container">
+                <table className="regression-table">
+                  <thead>
+                    <tr>
+                      <th>H₀: Does not Granger-cause</th>
+                      <th>F-Statistic</th>
+                      <th>df</th>
+                      <th>p-Value</th>
+                      <th>Conclusion (5%)</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {varModel.granger.map(test => (
+                      <tr key={`${test.cause}-${test.effect}`} className={test.pValue < 0.05 ? 'significant' : ''}>
+                        <td>{test.cause} → {test.effect}</td>
+                        <td>{test.fStat.toFixed(3)}</td>
+                        <td>{test.df1}, {test.df2}</td>
+                        <td>{formatPValue(test.pValue)}</td>
+                        <td>{test.pValue < 0.05 ? 'Granger-causes' : 'Not rejected'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                  {varModel.transform === 'levels' && (
+                    <tfoot>
+                      <tr>
+                        <td colSpan="5">
+                          <strong>Note:</strong> with I(1) variables in levels the Granger F-statistics have non-standard distributions; 
+                          use the first-difference specification for inference.
+                        </td>
+                      </tr>
+                    </tfoot>
+                  )}
+                </table>
+              </div>
+              
+              <h4>Impulse Responses of LN(Imports)</h4>
+              <p className="chart-description">
+                {varModel.transform === 'differences' ? 'Cumulative response of the log import level' : 'Response of log imports'} to a 
+                one-standard-deviation orthogonalized shock; shaded: {varModel.bandLevel}% bootstrap band ({varModel.replications} replications).
+              </p>
+              <div className="dashboard-grid">
+                {varImportResponses.map(irf => (
+                  <div key={irf.impulse} className="chart-container">
+                    <h4>Shock: {irf.impulse}</h4>
+                    <ResponsiveContainer width="100%" height={260}>
+                      <ComposedChart data={irf.data} margin={{ top: 10, right: 20, left: 10, bottom: 20 }}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                        <XAxis
+                          dataKey="horizon"
+                          stroke="#6B7280"
+                          label={{ value: 'Months after shock', position: 'insideBottom', offset: -10 }}
+                        />
+                        <YAxis stroke="#6B7280" tickFormatter={(value) => value.toFixed(3)} />
+                        <Tooltip
+                          formatter={(value, name) => [
+                            Array.isArray(value) ? `[${value[0].toFixed(4)}, ${value[1].toFixed(4)}]` : value.toFixed(4),
+                            name === 'band' ? `${varModel.bandLevel}% band` : 'Response'
+                          ]}
+                          contentStyle={{ backgroundColor: '#FFFFFF', border: '1px solid #E5E7EB', borderRadius: '8px' }}
+                        />
+                        <ReferenceLine y={0} stroke="#6B7280" strokeDasharray="3 3" />
+                        <Area type="monotone" dataKey="band" stroke="none" fill="#7C3AED" fillOpacity={0.15} />
+                        <Line type="monotone" dataKey="response" stroke="#7C3AED" strokeWidth={2} dot={false} />
+                      </ComposedChart>
+                    </ResponsiveContainer>
+                  </div>
+                ))}
+              </div>
+              
+              <h4>Forecast-Error Variance Decomposition of LN(Imports)</h4>
+              <div className="chart-container">
+                <ResponsiveContainer width="100%" height={300}>
+                  <AreaChart
+                    data={varModel.decomposition.find(d => d.variable === 'LN(Imports)').shares}
+                    margin={{ top: 10, right: 30, left: 20, bottom: 20 }}
+                  >
+                    <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                    <XAxis
+                      dataKey="horizon"
+                      stroke="#6B7280"
+                      label={{ value: 'Forecast horizon (months)', position: 'insideBottom', offset: -10 }}
+                    />
+                    <YAxis stroke="#6B7280" domain={[0, 1]} tickFormatter={(value) => `${(value * 100).toFixed(0)}%`} />
+                    <Tooltip
+                      formatter={(value, name) => [`${(value * 100).toFixed(1)}%`, name]}
+                      contentStyle={{ backgroundColor: '#FFFFFF', border: '1px solid #E5E7EB', borderRadius: '8px' }}
+                    />
+                    <Legend verticalAlign="top" />
+                    {varModel.variables.map((variable, i) => (
+                      <Area
+                        key={variable}
+                        type="monotone"
+                        dataKey={variable}
+                        stackId="fevd"
+                        stroke={COLORS[i]}
+                        fill={COLORS[i]}
+                        fillOpacity={0.6}
+                      />
+                    ))}
+                  </AreaChart>
+                </ResponsiveContainer>
+              </div>
+              <div className="interpretation-box">
+                <h4>Interpretation</h4>
+                <p>
+                  {(() => {
+                    const test = varModel.granger.find(t => t.cause === 'LN(Carbon Price)' && t.effect === 'LN(Imports)');
+                    const share = varModel.decomposition.find(d => d.variable === 'LN(Imports)').shares[varModel.horizon - 1]['LN(Carbon Price)'];
+                    return `Carbon-price movements ${test && test.pValue < 0.05 ? 'do' : 'do not'} Granger-cause imports at the 5% level ` +
+                      `(p = ${test ? formatPValue(test.pValue) : '-'}), and carbon-price shocks account for ${(share * 100).toFixed(1)}% ` +
+                      `of the ${varModel.horizon}-month forecast-error variance of imports. A response whose band excludes zero ` +
+                      'indicates a significant effect at that horizon; the horizon at which the band returns to zero shows how long it lasts.';
+                  })()}
+                </p>
+              </div>
+            </div>
+          ) : varModel && !varModel.feasible ? (
+            <div className="methodological-warning">
+              <h3>Model Estimation Not Feasible</h3>
+              <p><strong>Reason:</strong> {varModel.reason}</p>
+            </div>
+          ) : (
+            <p>{dataFrequency === 'annual' ? 'A VAR requires monthly data.' : 'Preparing model estimation...'}</p>
+          )}
+        </div>
+        
+        {/* Local Projections */}
+        <div className="model-subsection">
+          <h3>Local Projections: Import Responses to Carbon-Price Changes</h3>
+          <p className="section-description">
+            Jordà (2005) local projections estimate a separate regression for every horizon h = 0, …, {lpHorizon}: 
+            LN_IMPORTS_t+h = α_h + β_h × ΔCARBON_PRICE_t + controls_t + u_t+h, with two lags of ΔCARBON_PRICE and LN_IMPORTS and current 
+            LN_ACTIVITY as controls. Unlike the VAR responses above, β_h does not impose the VAR's dynamics on every horizon, at the 
+            cost of wider bands. Bands use Newey-West errors with h + 1 lags, since the projection errors overlap across h months.
+          </p>
+          <div className="filter-group">
+            <label>Horizon:</label>
+            <select value={lpHorizon} onChange={(e) => setLpHorizon(Number(e.target.value))}>
+              {LOCAL_PROJECTION_HORIZONS.map(h => (
+                <option key={h} value={h}>{h} months</option>
+              ))}
+            </select>
+            <label>State dependence:</label>
+            <select value={lpStateDependent ? 'cbam' : 'linear'} onChange={(e) => setLpStateDependent(e.target.value === 'cbam')}>
+              <option value="linear">None (linear)</option>
+              <option value="cbam">Pre- vs post-CBAM shocks</option>
+            </select>
+          </div>
+          {localProjections && localProjections.feasible ? (
+            <>
+              <p className="chart-description">
+                Response of log imports (×100, ≈ %) to a €{localProjections.shock}/t rise in the carbon price in month t; 
+                shaded: {localProjections.level}% Newey-West bands
+                {localProjections.stateDependent ? '. The post-CBAM response is shown while at least 10 post-CBAM shocks remain in the sample' : ''}.
+                {localProjections.horizon < localProjections.requestedHorizon
+                  ? ` Horizons beyond ${localProjections.horizon} months leave too few observations and are omitted.`
+                  : ''}
+              </p>
+              <div className="chart-container">
+                <ResponsiveContainer width="100%" height={320}>
+                  <ComposedChart
+                    data={localProjections.responses.map(r => (localProjections.stateDependent
+                      ? {
+                        horizon: r.horizon,
+                        pre: r.pre.coeff,
+                        preBand: [r.pre.lower, r.pre.upper],
+                        post: r.post ? r.post.coeff : null,
+                        postBand: r.post ? [r.post.lower, r.post.upper] : null
+                      }
+                      : { horizon: r.horizon, response: r.linear.coeff, band: [r.linear.lower, r.linear.upper] }))}
+                    margin={{ top: 10, right: 30, left: 20, bottom: 20 }}
+                  >
+                    <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                    <XAxis
+                      dataKey="horizon"
+                      stroke="#6B7280"
+                      label={{ value: 'Months after the price change', position: 'insideBottom', offset: -10 }}
+                    />
+                    <YAxis stroke="#6B7280" tickFormatter={(value) => value.toFixed(1)} />
+                    <Tooltip
+                      formatter={(value, name) => [
+                        Array.isArray(value) ? `[${value[0].toFixed(3)}, ${value[1].toFixed(3)}]` : value.toFixed(3),
+                        name
+                      ]}
+                      contentStyle={{ backgroundColor: '#FFFFFF', border: '1px solid #E5E7EB', borderRadius: '8px' }}
+                    />
+                    <Legend verticalAlign="top" />
+                    <ReferenceLine y={0} stroke="#6B7280" strokeDasharray="3 3" />
+                    {localProjections.stateDependent ? (
+                      <>
+                        <Area type="monotone" dataKey="preBand" stroke="none" fill="#2563EB" fillOpacity={0.15} name={`Pre-CBAM ${localProjections.level}% band`} />
+                        <Area type="monotone" dataKey="postBand" stroke="none" fill="#EF4444" fillOpacity={0.15} name={`Post-CBAM ${localProjections.level}% band`} />
+                        <Line type="monotone" dataKey="pre" stroke="#2563EB" strokeWidth={2} dot={false} name="Pre-CBAM response" />
+                        <Line type="monotone" dataKey="post" stroke="#EF4444" strokeWidth={2} dot={false} name="Post-CBAM response" />
+                      </>
+                    ) : (
+                      <>
+                        <Area type="monotone" dataKey="band" stroke="none" fill="#7C3AED" fillOpacity={0.15} name={`${localProjections.level}% band`} />
+                        <Line type="monotone" dataKey="response" stroke="#7C3AED" strokeWidth={2} dot={false} name="Response" />
+                      </>
+                    )}
+                  </ComposedChart>
+                </ResponsiveContainer>
+              </div>
+              <div className="regression-table-container">
+                <table className="regression-table">
+                  <thead>
+                    {localProjections.stateDependent ? (
+                      <tr>
+                        <th>Horizon h</th>
+                        <th>Pre-CBAM β_h</th>
+                        <th>{localProjections.level}% Band</th>
+                        <th>Post-CBAM β_h</th>
+                        <th>{localProjections.level}% Band</th>
+                        <th>p (post = pre)</th>
+                        <th>N</th>
+                      </tr>
+                    ) : (
+                      <tr>
+                        <th>Horizon h</th>
+                        <th>β_h</th>
+                        <th>Std. Error</th>
+                        <th>{localProjections.level}% Band</th>
+                        <th>p-Value</th>
+                        <th>N</th>
+                      </tr>
+                    )}
+                  </thead>
+                  <tbody>
+                    {localProjections.responses.filter(r => r.horizon % 3 === 0).map(r => (localProjections.stateDependent ? (
+                      <tr key={r.horizon} className={r.difference && r.difference.pValue < 0.05 ? 'significant' : ''}>
+                        <td>{r.horizon}</td>
+                        <td>{r.pre.coeff.toFixed(3)}</td>
+                        <td>[{r.pre.lower.toFixed(3)}, {r.pre.upper.toFixed(3)}]</td>
+                        <td>{r.post ? r.post.coeff.toFixed(3) : '-'}</td>
+                        <td>{r.post ? `[${r.post.lower.toFixed(3)}, ${r.post.upper.toFixed(3)}]` : '-'}</td>
+                        <td>{r.difference ? formatPValue(r.difference.pValue) : '-'}</td>
+                        <td>{r.n}</td>
+                      </tr>
+                    ) : (
+                      <tr key={r.horizon} className={r.linear.pValue < 0.05 ? 'significant' : ''}>
+                        <td>{r.horizon}</td>
+                        <td>{r.linear.coeff.toFixed(3)}</td>
+                        <td>{r.linear.se.toFixed(3)}</td>
+                        <td>[{r.linear.lower.toFixed(3)}, {r.linear.upper.toFixed(3)}]</td>
+                        <td>{formatPValue(r.linear.pValue)}</td>
+                        <td>{r.n}</td>
+                      </tr>
+                    )))}
+                  </tbody>
+                </table>
+              </div>
+              <div className="methodological-note">
+                <p>
+                  Imports and the carbon price enter as annual values repeated across months, so ΔCARBON_PRICE is non-zero only in 
+                  January and each β_h is identified from year-to-year price steps. Responses that jump at h = 12 reflect calendar-year 
+                  steps in the import series rather than a 12-month transmission lag.
+                </p>
+              </div>
+            </>
+          ) : localProjections ? (
+            <div className="methodological-warning">
+              <h4>Local Projections Not Feasible</h4>
+              <p><strong>Reason:</strong> {localProjections.reason}</p>
+            </div>
+          ) : (
+            <p>{dataFrequency === 'annual' ? 'Local projections require monthly data.' : 'Preparing local projections...'}</p>
+          )}
+        </div>
+        
+        {/* Model Builder */}
+        <div className="model-subsection">
+          <h3>Model Builder: Custom Specifications</h3>
+          <p className="section-description">
+            Write a specification as a formula over the columns of merged_data.json: <code>y ~ x1 + x2</code> adds regressors,{' '}
+            <code>L(x, 1:3)</code> adds lags 1 to 3 of x (in {dataFrequency === 'annual' ? 'years' : 'months'}), <code>x1:x2</code> adds 
+            the product of x1 and x2, and <code>- 1</code> drops the intercept. OLS fits of logImport with an intercept also enter the 
+            model comparison below as "Custom".
+          </p>
+          <form
+            className="filter-group formula-builder"
+            onSubmit={(e) => {
+              e.preventDefault();
+              setFormula(formulaDraft);
+            }}
+          >
+            <label htmlFor="formula-input">Formula:</label>
+            <input
+              id="formula-input"
+              type="text"
+              value={formulaDraft}
+              spellCheck={false}
+              onChange={(e) => setFormulaDraft(e.target.value)}
+            />
+            <label>Estimator:</label>
+            <select value={formulaEstimator} onChange={(e) => setFormulaEstimator(e.target.value)}>
+              {FORMULA_ESTIMATORS.map(estimator => (
+                <option key={estimator.id} value={estimator.id}>{estimator.label}</option>
+              ))}
+            </select>
+            <button type="submit">Estimate</button>
+          </form>
+          <p className="methodological-note">
+            <strong>Variables:</strong>{' '}
+            {FORMULA_VARIABLES.map((variable, i) => (
+              <span key={variable.id}>
+                {i > 0 && ', '}<code>{variable.id}</code> ({variable.label})
+              </span>
+            ))}
+          </p>
+          {formulaModel && formulaModel.feasible ? (
+            <div className="regression-results">
+              <div className="model-equation">
+                <strong>Model:</strong> {formulaModel.formula} | <strong>Estimator:</strong>{' '}
+                {FORMULA_ESTIMATORS.find(e => e.id === formulaModel.estimator)?.label}
+              </div>
+              <div className="regression-table-container">
+                <table className="regression-table">
+                  <thead>
+                    <tr>
+                      <th>Variable</th>
+                      <th>Coefficient</th>
+                      <th>Std. Error</th>
+                      <th>{formulaModel.estimator === 'lad' ? 'z' : 't'}-Statistic</th>
+                      <th>p-Value</th>
+                      <th>{ciLevel}% CI</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {formulaModel.terms.map(term => renderCoefficientRow(term.label, term))}
+                  </tbody>
+                  <tfoot>
+                    <tr>
+                      <td colSpan="6">
+                        <strong>{formulaModel.fitLabel}:</strong> {formulaModel.rSquared !== null ? formulaModel.rSquared.toFixed(3) : '-'}
+                        {formulaModel.adjRSquared !== undefined && <> | <strong>Adj. R²:</strong> {formulaModel.adjRSquared.toFixed(3)}</>}
+                        {formulaModel.bic !== undefined && <> | <strong>BIC:</strong> {formulaModel.bic.toFixed(1)}</>} | 
+                        <strong> Observations:</strong> {formulaModel.n}
+                        {formulaModel.dropped > 0 ? ` (${formulaModel.dropped} rows dropped for lags or missing values)` : ''} | 
+                        <strong> Std. Errors:</strong>{' '}
+                        {formulaModel.estimator === 'lad'
+                          ? `Pairs bootstrap (${formulaModel.replications} replications; p-values from the bootstrap distribution)`
+                          : formulaModel.estimator === 'ppml'
+                          ? 'White HC1 (Poisson sandwich)'
+                          : formatSEType(formulaModel)}
+                      </td>
+                    </tr>
+                  </tfoot>
+                </table>
+              </div>
+              {formulaModel.estimator === 'ppml' && (
+                <p className="methodological-note">
+                  PPML models E[y | x] = exp(x'β), so a coefficient is the proportional change in {formulaModel.response} per unit of its regressor 
+                  and is comparable to an OLS coefficient in a log-linear model of the same variable.
+                </p>
+              )}
+            </div>
+          ) : formulaModel ? (
+            <div className="methodological-warning">
+              <h4>Custom Model Not Estimated</h4>
+              <p><strong>Reason:</strong> {formulaModel.reason}</p>
+            </div>
+          ) : (
+            <p>Waiting for data...</p>
+          )}
+        </div>
+        
+        {/* Model Comparison */}
+        <div className="model-subsection">
+          <h3>Model Comparison</h3>
+          <p className="section-description">
+            All estimated specifications side by side: coefficients with {formatSEType({ covarianceType: seType })} standard errors in 
+            parentheses. The lagged and log-log models lose the first months of the sample, so the information criteria used to pick 
+            the preferred model (highlighted) and the nested F / likelihood-ratio tests re-fit every specification on the 
+            {modelComparison ? ` ${modelComparison.commonSample.n}` : ''} observations common to all of them.
+          </p>
+          <div className="filter-group">
+            <label>Preferred model by:</label>
+            <select value={selectionCriterion} onChange={(e) => setSelectionCriterion(e.target.value)}>
+              {SELECTION_CRITERIA.map(criterion => (
+                <option key={criterion.id} value={criterion.id}>{criterion.label}</option>
+              ))}
+            </select>
+          </div>
+          {modelComparison ? (
+            <>
+              <div className="regression-table-container">
+                <table className="regression-table model-comparison-table">
+                  <thead>
+                    <tr>
+                      <th>Dependent variable: {modelComparison.models[0].dependent}</th>
+                      {modelComparison.models.map((model, i) => (
+                        <th key={model.id} className={model.id === modelComparison.preferred ? 'preferred' : ''}>
+                          ({i + 1}) {model.label}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {modelComparison.variables.map(variable => (
+                      <tr key={variable}>
+                        <td>{variable}</td>
+                        {modelComparison.models.map(model => {
+                          const term = model.terms.find(t => t.label === variable);
+                          return (
+                            <td key={model.id} className={model.id === modelComparison.preferred ? 'preferred' : ''}>
+                              {term ? (
+                                <>
+                                  {term.coeff.toFixed(4)}{significanceStars(term.pValue)}
+                                  <br />
+                                  <small>({term.se.toFixed(4)})</small>
+                                </>
+                              ) : ''}
+                            </td>
+                          );
+                        })}
+                      </tr>
+                    ))}
+                    <tr className="table-group-row">
+                      <td colSpan={modelComparison.models.length + 1}>Own estimation sample</td>
+                    </tr>
+                    {[
+                      { label: 'Observations', value: (model) => model.n },
+                      { label: 'R²', value: (model) => model.rSquared.toFixed(3) },
+                      { label: 'Adjusted R²', value: (model) => model.adjRSquared.toFixed(3) },
+                      {
+                        label: 'F-statistic',
+                        value: (model) => (model.fTest
+                          ? `${model.fTest.fStat.toFixed(2)}${significanceStars(model.fTest.pValue)} (df = ${model.fTest.df1}; ${model.fTest.df2})`
+                          : '-')
+                      },
+                      { label: 'Log-likelihood', value: (model) => model.logLik.toFixed(2) },
+                      { label: 'AIC', value: (model) => model.aic.toFixed(2) },
+                      { label: 'BIC', value: (model) => model.bic.toFixed(2) }
+                    ].map(row => (
+                      <tr key={row.label}>
+                        <td>{row.label}</td>
+                        {modelComparison.models.map(model => (
+                          <td key={model.id} className={model.id === modelComparison.preferred ? 'preferred' : ''}>{row.value(model)}</td>
+                        ))}
+                      </tr>
+                    ))}
+                    <tr className="table-group-row">
+                      <td colSpan={modelComparison.models.length + 1}>Common sample (N = {modelComparison.commonSample.n})</td>
+                    </tr>
+                    {[
+                      { label: 'Log-likelihood', key: 'logLik', digits: 2 },
+                      { label: 'AIC', key: 'aic', digits: 2 },
+                      { label: 'BIC', key: 'bic', digits: 2 },
+                      { label: 'Adjusted R²', key: 'adjRSquared', digits: 3 }
+                    ].map(row => (
+                      <tr key={`common-${row.key}`}>
+                        <td>{row.label}</td>
+                        {modelComparison.models.map(model => {
+                          const statistics = modelComparison.commonSample.statistics[model.id];
+                          return (
+                            <td key={model.id} className={model.id === modelComparison.preferred ? 'preferred' : ''}>
+                              {statistics ? statistics[row.key].toFixed(row.digits) : '-'}
+                            </td>
+                          );
+                        })}
+                      </tr>
+                    ))}
+                  </tbody>
+                  <tfoot>
+                    <tr>
+                      <td colSpan={modelComparison.models.length + 1}>
+                        <strong>Note:</strong> *p&lt;0.1; **p&lt;0.05; ***p&lt;0.01 | 
+                        <strong> Preferred model:</strong> {modelComparison.models.find(m => m.id === modelComparison.preferred)?.label || '-'} 
+                        (best common-sample {modelComparison.criterion.label})
+                      </td>
+                    </tr>
+                  </tfoot>
+                </table>
+              </div>
+              {modelComparison.nestedTests.length > 0 && (
+                <div className="regression-table-container">
+                  <h4>Nested-Model Tests (common sample)</h4>
+                  <table className="regression-table">
+                    <thead>
+                      <tr>
+                        <th>Restricted</th>
+                        <th>Unrestricted</th>
+                        <th>Restrictions</th>
+                        <th>F (df)</th>
+                        <th>p-Value</th>
+                        <th>LR χ²</th>
+                        <th>p-Value</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {modelComparison.nestedTests.map(test => (
+                        <tr key={`${test.restricted}-${test.unrestricted}`} className={test.fPValue < 0.05 ? 'significant' : ''}>
+                          <td>{test.restricted}</td>
+                          <td>{test.unrestricted}</td>
+                          <td>{test.q}</td>
+                          <td>{test.fStat.toFixed(2)} ({test.df1}, {test.df2})</td>
+                          <td>{formatPValue(test.fPValue)}</td>
+                          <td>{test.lrStat.toFixed(2)}</td>
+                          <td>{formatPValue(test.lrPValue)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  <p className="methodological-note">
+                    <strong>Note:</strong> A significant test rejects the restricted model in favour of the larger one. 
+                    Both tests assume homoskedastic, serially uncorrelated errors.
+                  </p>
+                </div>
+              )}
+            </>
+          ) : (
+            <p>At least two estimated specifications are needed for a comparison.</p>
+          )}
+        </div>
+      </div>
+      
+      {/* Forecasts */}
+      <div className="econometric-section">
+        <div className="section-header">
+          <h2>Import Forecasts</h2>
+          <span className="section-badge">(S)ARIMA / ARIMAX</span>
+        </div>
+        <p className="section-description">
+          Seasonal ARIMA models for LN(Imports) are estimated by conditional sum of squares and the orders (p, q ≤ 2, seasonal P, Q ≤ 1) 
+          are chosen by AIC; the differencing order d is set by KPSS tests. The conditional forecast adds the ETS price as a regressor 
+          (regression with ARIMA errors) and extends it with the scenario path below. Bands ignore parameter uncertainty. 
+          A series that only repeats annual totals every month has no monthly dynamics, so it is collapsed to calendar years and 
+          forecast by a non-seasonal ARIMA (p, q ≤ 1) over the horizon rounded up to whole years, with the ETS path averaged per year.
+        </p>
+        <div className="filter-group">
+          <label>Horizon:</label>
+          <select value={forecastHorizon} onChange={(e) => setForecastHorizon(Number(e.target.value))}>
+            {FORECAST_HORIZONS.map(h => (
+              <option key={h} value={h}>{h} months</option>
+            ))}
+          </select>
+          <span>
+            <input
+              type="checkbox"
+              id="forecast-seasonal"
+              checked={forecastSeasonal}
+              onChange={(e) => setForecastSeasonal(e.target.checked)}
+            />
+            {' '}<label htmlFor="forecast-seasonal">Seasonal terms (s = 12)</label>
+          </span>
+        </div>
+
+        {importForecast && importForecast.feasible ? (
+          <div className="model-subsection">
+            <h3>Unconditional Forecast: {importForecast.model.label}</h3>
+            {importForecast.frequency === 'annual' && (
+              <p className="methodological-note">
+                Annual model: the import volumes are annual totals repeated in every month, so the forecast uses 
+                the {importForecast.history.length} calendar years and {importForecast.forecast.length} annual steps; 
+                seasonal terms do not apply.
+              </p>
+            )}
+            <div className="model-equation">
+              <strong>AIC:</strong> {importForecast.model.aic.toFixed(2)} | <strong>BIC:</strong> {importForecast.model.bic.toFixed(2)} | 
+              <strong> σ²:</strong> {importForecast.model.sigma2.toExponential(3)} | <strong>Observations:</strong> {importForecast.model.n} {importForecast.frequency === 'annual' ? 'years' : 'months'}
+            </div>
+            <div className="chart-container">
+              <ResponsiveContainer width="100%" height={320}>
+                <ComposedChart data={forecastChartData(importForecast)} margin={{ top: 10, right: 30, left: 10, bottom: 20 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                  <XAxis dataKey="period" stroke="#6B7280" minTickGap={30} />
+                  <YAxis stroke="#6B7280" tickFormatter={(value) => value.toFixed(1)} label={{ value: 'Mt', angle: -90, position: 'insideLeft' }} />
+                  <Tooltip
+                    formatter={(value, name) => [
+                      Array.isArray(value) ? `[${value[0].toFixed(2)}, ${value[1].toFixed(2)}] Mt` : `${value.toFixed(2)} Mt`,
+                      name
+                    ]}
+                    contentStyle={{ backgroundColor: '#FFFFFF', border: '1px solid #E5E7EB', borderRadius: '8px' }}
+                  />
+                  <Legend verticalAlign="top" />
+                  <Area type="monotone" dataKey="band95" stroke="none" fill="#2563EB" fillOpacity={0.1} name="95% interval" />
+                  <Area type="monotone" dataKey="band80" stroke="none" fill="#2563EB" fillOpacity={0.2} name="80% interval" />
+                  <Line type="monotone" dataKey="actual" stroke="#1F2937" strokeWidth={2} dot={false} name="Imports" />
+                  <Line type="monotone" dataKey="forecast" stroke="#2563EB" strokeWidth={2} strokeDasharray="5 5" dot={false} name="Forecast" />
+                </ComposedChart>
+              </ResponsiveContainer>
+            </div>
+            <h4>Best Models by AIC</h4>
+            <div className="regression-table-container">
+              <table className="regression-table">
+                <thead>
+                  <tr>
+                    <th>Model</th>
+                    <th>AIC</th>
+                    <th>BIC</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {importForecast.candidates.map((c, i) => (
+                    <tr key={c.label} className={i === 0 ? 'significant' : ''}>
+                      <td>{c.label}</td>
+                      <td>{c.aic.toFixed(2)}</td>
+                      <td>{c.bic.toFixed(2)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        ) : importForecast && !importForecast.feasible ? (
+          <div className="methodological-warning">
+            <h3>Forecast Not Feasible</h3>
+            <p><strong>Reason:</strong> {importForecast.reason}</p>
+          </div>
+        ) : (
+          <p>Preparing forecasts...</p>
+        )}
+
+        <div className="model-subsection">
+          <h3>Conditional Forecast under an ETS Price Scenario</h3>
+          <div className="filter-group forecast-scenario">
+            <label>ETS price (EUR/t):</label>
+            {SCENARIO_YEARS.map((year, i) => (
+              <span key={year}>
+                {year}{' '}
+                <input
+                  type="number"
+                  min="0"
+                  step="5"
+                  value={etsPath[i]}
+                  onChange={(e) => {
+                    const value = parseFloat(e.target.value);
+                    if (!isNaN(value) && value >= 0) setEtsPath(etsPath.map((v, j) => (j === i ? value : v)));
+                  }}
+                />
+              </span>
+            ))}
+          </div>
+          {scenarioForecast && scenarioForecast.feasible ? (
+            <>
+              <div className="model-equation">
+                <strong>Model:</strong> {scenarioForecast.model.label} | <strong>ETS coefficient:</strong> {scenarioForecast.model.beta[0].coeff.toFixed(5)} 
+                ({((Math.exp(scenarioForecast.model.beta[0].coeff * 10) - 1) * 100).toFixed(2)}% per +10 EUR/t) | <strong>AIC:</strong> {scenarioForecast.model.aic.toFixed(2)} | 
+                <strong> Observations:</strong> {scenarioForecast.model.n} {scenarioForecast.frequency === 'annual' ? 'years' : 'months'}
+              </div>
+              <div className="chart-container">
+                <ResponsiveContainer width="100%" height={340}>
+                  <ComposedChart data={forecastChartData(scenarioForecast, true)} margin={{ top: 10, right: 30, left: 10, bottom: 20 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                    <XAxis dataKey="period" stroke="#6B7280" minTickGap={30} />
+                    <YAxis yAxisId="left" stroke="#6B7280" tickFormatter={(value) => value.toFixed(1)} label={{ value: 'Mt', angle: -90, position: 'insideLeft' }} />
+                    <YAxis yAxisId="right" orientation="right" stroke="#F59E0B" label={{ value: 'EUR/t', angle: 90, position: 'insideRight' }} />
+                    <Tooltip
+                      formatter={(value, name) => [
+                        Array.isArray(value)
+                          ? `[${value[0].toFixed(2)}, ${value[1].toFixed(2)}] Mt`
+                          : name === 'ETS price' ? `€${value.toFixed(2)}` : `${value.toFixed(2)} Mt`,
+                        name
+                      ]}
+                      contentStyle={{ backgroundColor: '#FFFFFF', border: '1px solid #E5E7EB', borderRadius: '8px' }}
+                    />
+                    <Legend verticalAlign="top" />
+                    <ReferenceLine yAxisId="left" x={scenarioForecast.history[scenarioForecast.history.length - 1].period} stroke="#6B7280" strokeDasharray="3 3" />
+                    <Area yAxisId="left" type="monotone" dataKey="band95" stroke="none" fill="#7C3AED" fillOpacity={0.1} name="95% interval" />
+                    <Area yAxisId="left" type="monotone" dataKey="band80" stroke="none" fill="#7C3AED" fillOpacity={0.2} name="80% interval" />
+                    <Line yAxisId="left" type="monotone" dataKey="actual" stroke="#1F2937" strokeWidth={2} dot={false} name="Imports" />
+                    <Line yAxisId="left" type="monotone" dataKey="forecast" stroke="#7C3AED" strokeWidth={2} strokeDasharray="5 5" dot={false} name="Conditional forecast" />
+                    <Line yAxisId="right" type="stepAfter" dataKey="etsPrice" stroke="#F59E0B" strokeWidth={1.5} dot={false} name="ETS price" />
+                  </ComposedChart>
+                </ResponsiveContainer>
+              </div>
+              <p className="chart-description">
+                The forecast runs from the last month (or year, for annual series) with both imports and an ETS price to December {SCENARIO_YEARS[SCENARIO_YEARS.length - 1]}. 
+                Observed ETS prices are used where available; it is a conditional projection, not a causal estimate, since the ETS 
+                coefficient is estimated on a short sample with annual import data.
+              </p>
+            </>
+          ) : scenarioForecast && !scenarioForecast.feasible ? (
+            <div className="methodological-warning">
+              <h3>Forecast Not Feasible</h3>
+              <p><strong>Reason:</strong> {scenarioForecast.reason}</p>
+            </div>
+          ) : (
+            <p>Preparing forecasts...</p>
+          )}
+        </div>
+      </div>
+      
+      {/* Legacy Econometric Results (for backward compatibility) */}
+      <div className="econometric-section">
+        <h2>Legacy Econometric Analysis Results</h2>
+        <p className="section-description">
+          Log-log regression estimates of ETS price elasticity on extra-EU steel imports, controlling for industrial production
+        </p>
+        
+        {regressionResults.length > 0 ? (
+          <>
+            <div className="regression-table-container">
+              <table className="regression-table">
+                <thead>
+                  <tr>
+                    <th>Lag</th>
+                    <th>Elasticity</th>
+                    <th>Std. Error</th>
+                    <th>t-Statistic</th>
+                    <th>p-Value</th>
+                    <th>{ciLevel}% CI</th>
+                    <th>R²</th>
+                    <th>Industry Coeff.</th>
+                    <th>N</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {regressionResults.map((result, idx) => (
+                    <tr key={idx} className={result.pValue < 0.05 ? 'significant' : ''}>
+                      <td>{result.lag === 0 ? 'Current' : `Lag ${result.lag}`}</td>
+                      <td>{result.elasticity.toFixed(4)}</td>
+                      <td>{result.se.toFixed(4)}</td>
+                      <td>{result.tStat.toFixed(3)}</td>
+                      <td>{result.pValue < 0.001 ? '<0.001' : result.pValue.toFixed(3)}</td>
+                      <td>{formatCI(result.ci)}</td>
+                      <td>{result.rSquared.toFixed(3)}</td>
+                      <td>{result.industryCoeff.toFixed(4)}</td>
+                      <td>{result.n}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            
+            <div className="chart-container">
+              <h3>Lagged ETS Price Effects</h3>
+              <ResponsiveContainer width="100%" height={300}>
+                <BarChart data={regressionResults} margin={{ top: 20, right: 30, left: 20, bottom: 20 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                  <XAxis
+                    dataKey="lag"
+                    stroke="#6B7280"
+                    tickFormatter={(value) => value === 0 ? 'Current' : `Lag ${value}`}
+                  />
+                  <YAxis
+                    stroke="#6B7280"
+                    tickFormatter={(value) => value.toFixed(3)}
+                  />
+                  <Tooltip
+                    formatter={(value) => [value.toFixed(4), 'Elasticity']}
+                    contentStyle={{ backgroundColor: '#FFFFFF', border: '1px solid #E5E7EB', borderRadius: '8px' }}
+                  />
+                  <ReferenceLine y={0} stroke="#6B7280" strokeDasharray="3 3" />
+                  <Bar dataKey="elasticity" fill="#7C3AED" radius={[8, 8, 0, 0]}>
+                    {regressionResults.map((entry, index) => (
+                      <Cell key={`cell-${index}`} fill={entry.pValue < 0.05 ? '#EF4444' : '#7C3AED'} />
+                    ))}
+                  </Bar>
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+            
+            <div className="interpretation-box">
+              <h3>Interpretation</h3>
+              {regressionResults.length > 0 && (
+                <div className="interpretation-content">
+                  <p>
+                    <strong>Elasticity Estimate:</strong> The coefficient of {regressionResults[0].elasticity.toFixed(4)} indicates that a 1% increase in EU ETS carbon prices is associated with a {Math.abs(regressionResults[0].elasticity * 100).toFixed(2)}% change in extra-EU steel import volumes, 
+                    {regressionResults[0].elasticity > 0 ? ' suggesting potential carbon leakage risk.' : ' indicating no evidence of carbon leakage.'}
+                  </p>
+                  {regressionResults[0].pValue < 0.05 ? (
+                    <p className="significant-result">
+                      <strong>Statistical Significance:</strong> The relationship is statistically significant at the 5% level (p = {regressionResults[0].pValue < 0.001 ? '<0.001' : regressionResults[0].pValue.toFixed(3)}), 
+                      providing robust evidence of a relationship between ETS prices and import volumes.
+                    </p>
+                  ) : (
+                    <p className="insignificant-result">
+                      <strong>Statistical Significance:</strong> The relationship is not statistically significant (p = {regressionResults[0].pValue.toFixed(3)}), 
+                      suggesting limited evidence of a direct causal relationship in the current period.
+                    </p>
+                  )}
+                  {regressionResults.length > 1 && (
+                    <p>
+                      <strong>Lagged Effects:</strong> The analysis of lagged ETS price effects reveals {regressionResults.slice(1).some(r => r.pValue < 0.05) ? 'significant delayed impacts' : 'limited delayed impacts'}, 
+                      indicating that carbon price changes may take time to affect trade patterns.
+                    </p>
+                  )}
+                </div>
+              )}
+            </div>
+          </>
+        ) : (
+          <p>Insufficient data for econometric analysis. Please ensure all datasets have overlapping time periods.</p>
+        )}
+      </div>
+      
+      {/* Methodological Notes & Data Limitations */}
+      <div className="econometric-section">
+        <h2>Methodological Notes & Data Limitations</h2>
+        <div className="methodological-content">
+          <h3>Data Availability and Time Alignment</h3>
+          {preparedData && (
+            <div className="data-info">
+              <p><strong>Data Frequency:</strong> {preparedData.frequency === 'annual' ? 'Annual (aggregated from monthly due to limited overlap)' : 'Monthly'}</p>
+              {preparedData.overlap && (
+                <p><strong>Overlapping Period:</strong> {new Date(preparedData.overlap.start).getFullYear()} to {new Date(preparedData.overlap.end).getFullYear()} 
+                ({preparedData.overlap.count} {preparedData.frequency} observations)</p>
+              )}
+              <p>{preparedData.message}</p>
+            </div>
+          )}
+          
+          <h3>Model Specifications and Adjustments</h3>
+          <ul className="methodological-list">
+            {methodologicalNotes.map((note, idx) => (
+              <li key={idx}>{note}</li>
+            ))}
+          </ul>
+          
+          <h3>Econometric Safeguards</h3>
+          <ul className="methodological-list">
+            <li><strong>Minimum Sample Size:</strong> OLS regression requires N ≥ 20 observations. Lagged models require N ≥ (10 + number of parameters).</li>
+            <li><strong>Lag Structure Selection:</strong> Maximum feasible lag length is determined by available sample size. Long lag structures (K≥6) are disabled when statistically infeasible.</li>
+            <li><strong>CBAM Interaction Model:</strong> Requires ≥10 pre-CBAM and ≥5 post-CBAM observations. When insufficient, descriptive comparisons are presented instead.</li>
+            <li><strong>Standard Errors:</strong> Computed from the full variance-covariance matrix s²(X'X)⁻¹, inverted via Cholesky decomposition of X'X.</li>
+            <li><strong>Robust Standard Errors:</strong> White HC1/HC3 errors correct for heteroskedasticity; Newey-West HAC errors additionally correct for autocorrelation in the monthly series, with the Bartlett-kernel lag length chosen automatically (Newey &amp; West, 1994).</li>
+            <li><strong>Inference:</strong> p-values and 90/95/99% confidence intervals use the exact Student-t distribution with N − k − 1 degrees of freedom.</li>
+            <li><strong>Endogeneity:</strong> The carbon price can be instrumented by its own lags and MSR supply announcements (2SLS or two-step GMM); first-stage F-statistics flag weak instruments, Sargan-Hansen tests check overidentifying restrictions and a Durbin-Wu-Hausman test compares IV with OLS.</li>
+            <li><strong>Stationarity:</strong> ADF, Phillips-Perron and KPSS tests determine each series' integration order before the levels regressions are interpreted; a warning is shown when non-stationary series risk a spurious regression.</li>
+            <li><strong>Cointegration:</strong> Engle-Granger and Johansen tests check for a long-run relation among log imports, the log carbon price and log activity; the error-correction model reports the long-run elasticity and the speed of adjustment separately.</li>
+            <li><strong>VAR Dynamics:</strong> Granger-causality F-tests, Cholesky-orthogonalized impulse responses with residual-bootstrap bands and forecast-error variance decompositions come from a VAR whose lag order is selected by AIC.</li>
+            <li><strong>Local Projections:</strong> Horizon-by-horizon regressions of future log imports on carbon-price changes give impulse responses that do not depend on a correctly specified VAR; Newey-West bands with h + 1 lags account for the overlapping projection errors, and an optional CBAM-state interaction compares pre- and post-CBAM responses.</li>
+            <li><strong>Difference-in-Differences:</strong> Two-way fixed-effects comparison of CBAM-covered imports with non-covered control series; parallel trends are checked with a pre-period differential-trend test and a joint F-test of the leads in the dynamic specification.</li>
+            <li><strong>Synthetic Control:</strong> Where no clean DiD control exists and donor-importer series are supplied (donor_imports.csv), a convex combination of non-CBAM steel importers matches the pre-CBAM EU import index; placebo-in-space runs give a permutation p-value for the post-treatment gap.</li>
+            <li><strong>Panel Regression:</strong> Country, time and two-way fixed-effects models pool the member-state or extra-EU exporter import series; standard errors are clustered by country, and common regressors absorbed by time effects are only identified through interactions with country characteristics.</li>
+            <li><strong>Gravity Model:</strong> PPML keeps zero bilateral flows and is consistent under heteroskedasticity, unlike OLS on log flows; observations in all-zero fixed-effect groups are dropped to avoid separation.</li>
+            <li><strong>Quantile Regression:</strong> Frisch-Newton interior-point quantile regressions of the baseline specification at τ = 0.1, …, 0.9 with pairs or moving-block bootstrap intervals show whether the carbon-price effect is concentrated in high- or low-import months rather than at the mean.</li>
+            <li><strong>Bayesian Regression:</strong> A conjugate Normal-Inverse-Gamma posterior, or Gibbs sampling under independent Normal and Student-t priors, combines an elicited prior on the carbon-price elasticity with the baseline likelihood; credible intervals and P(β1 &gt; 0) show how much the conclusion depends on the prior.</li>
+            <li><strong>Bootstrap Inference:</strong> Pairs, residual, wild and moving-block bootstraps re-estimate the baseline, lagged and interaction models off the main thread; percentile and BCa intervals and bootstrap p-values do not rely on normal errors or large-sample approximations.</li>
+            <li><strong>Distributed Lags:</strong> Almon polynomial and Koyck / ARDL lags replace the twelve unrestricted lag coefficients with a few parameters; an F-test checks the polynomial restrictions, and long-run multipliers and mean lags use delta-method standard errors.</li>
+            <li><strong>Custom Specifications:</strong> The model builder parses formulas such as <code>logImport ~ etsPrice + L(etsPrice, 1:3) + etsPrice:cbamDummy</code> into a design matrix from merged_data.json and estimates them by OLS, PPML or median regression with the same standard errors and table layout as the fixed models.</li>
+            <li><strong>Model Selection:</strong> AIC, BIC and adjusted R² are compared on the sample common to all specifications, and nested specifications are tested against each other with F and likelihood-ratio tests.</li>
+            <li><strong>Seasonal Adjustment:</strong> Industrial production can be replaced by its STL-adjusted version (robust loess decomposition of the logs); all charts, regressions and forecasts are then re-estimated on the adjusted data. Series without within-year variation or with a seasonal strength below {MIN_SEASONAL_STRENGTH}, such as the annual import totals repeated every month, are left unadjusted rather than given artificial within-year movements.</li>
+            <li><strong>Forecasting:</strong> (S)ARIMA and ARIMAX orders are chosen by AIC on a common estimation sample; forecasts of log imports are transformed back as medians, and prediction intervals reflect shock uncertainty only.</li>
+            <li><strong>Coefficient Stability:</strong> Rolling and expanding-window re-estimates of the baseline show how β₁ and β₂ evolve; CUSUM and CUSUM-of-squares tests on recursive residuals check the constancy of the full-sample coefficients.</li>
+            <li><strong>Time-Varying Elasticity:</strong> A state-space regression lets the carbon-price coefficient follow a random walk; its variance is estimated by maximum likelihood and the Kalman-filtered and smoothed paths are compared before and after each CBAM milestone.</li>
+            <li><strong>Structural Breaks:</strong> Chow tests at each CBAM milestone, a sup-Wald test for an unknown break date (15% trimming) and Bai-Perron multiple-break estimation check whether the data agree with the policy calendar.</li>
             <li><strong>Frequency Adjustment:</strong> When monthly overlap is limited (&lt;20 observations), data is automatically aggregated to annual frequency to ensure statistical validity.</li>
           </ul>
           
@@ -3146,6 +6268,105 @@ function CarbonLeakageDashboard() {
   );
 }
 
+const diagnoseModel = (model, variableNames) => {
+  if (!model || !model.feasible || !model.residuals) return null;
+  return runRegressionDiagnostics(model.residuals, model.designMatrix, {
+    fitted: model.fitted,
+    variableNames
+  });
+};
+
+const laggedVariableNames = (model) => {
+  if (!model || !model.feasible) return [];
+  return [
+    ...model.lagCoefficients.map(l => (l.lag === 0 ? 'Carbon Price (t)' : `Carbon Price (t-${l.lag})`)),
+    'LN(Activity)'
+  ];
+};
+
+const DiagnosticsCard = ({ diagnostics }) => {
+  if (!diagnostics) return null;
+  if (!diagnostics.feasible) {
+    return (
+      <div className="diagnostics-card">
+        <h4>Regression Diagnostics</h4>
+        <p className="methodological-note">{diagnostics.reason}</p>
+      </div>
+    );
+  }
+  
+  const formatP = (p) => (p === null || p === undefined || isNaN(p) ? '-' : p < 0.001 ? '<0.001' : p.toFixed(3));
+  const formatStat = (v) => (v === null || v === undefined || isNaN(v) ? '-' : v.toFixed(3));
+  
+  const tests = [
+    { name: 'Breusch-Godfrey LM', hypothesis: `No serial correlation (${diagnostics.breuschGodfrey?.df || '-'} lags)`, test: diagnostics.breuschGodfrey, problem: 'Serial correlation' },
+    { name: 'Breusch-Pagan', hypothesis: 'Homoskedasticity', test: diagnostics.breuschPagan, problem: 'Heteroskedasticity' },
+    { name: 'White', hypothesis: 'Homoskedasticity', test: diagnostics.white, problem: 'Heteroskedasticity' },
+    { name: 'Jarque-Bera', hypothesis: 'Normal residuals', test: diagnostics.jarqueBera, problem: 'Non-normal residuals' },
+    { name: 'Ramsey RESET', hypothesis: 'Correct functional form', test: diagnostics.reset, problem: 'Misspecification' }
+  ];
+  
+  const dw = diagnostics.durbinWatson?.statistic;
+  const maxVIF = Math.max(...diagnostics.vif.map(v => v.vif));
+  
+  return (
+    <div className="diagnostics-card">
+      <h4>Regression Diagnostics</h4>
+      <div className="regression-table-container">
+        <table className="regression-table">
+          <thead>
+            <tr>
+              <th>Test</th>
+              <th>H₀</th>
+              <th>Statistic</th>
+              <th>df</th>
+              <th>p-Value</th>
+              <th>Conclusion (5%)</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr className={dw !== null && (dw < 1.5 || dw > 2.5) ? 'flagged' : ''}>
+              <td>Durbin-Watson</td>
+              <td>No first-order autocorrelation</td>
+              <td>{formatStat(dw)}</td>
+              <td>-</td>
+              <td>-</td>
+              <td>{dw === null ? '-' : dw < 1.5 ? 'Positive autocorrelation likely' : dw > 2.5 ? 'Negative autocorrelation likely' : 'No clear autocorrelation'}</td>
+            </tr>
+            {tests.map(({ name, hypothesis, test, problem }) => {
+              const rejected = test && test.pValue !== null && test.pValue < 0.05;
+              return (
+                <tr key={name} className={rejected ? 'flagged' : ''}>
+                  <td>{name}</td>
+                  <td>{hypothesis}</td>
+                  <td>{formatStat(test?.statistic)}</td>
+                  <td>{test ? (test.df1 !== undefined ? `${test.df1}, ${test.df2}` : test.df) : '-'}</td>
+                  <td>{formatP(test?.pValue)}</td>
+                  <td>{!test || test.pValue === null ? (test?.reason || 'Not available') : rejected ? problem : 'Not rejected'}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      <div className="diagnostics-multicollinearity">
+        <p>
+          <strong>Multicollinearity:</strong> condition number {isFinite(diagnostics.conditionNumber) ? diagnostics.conditionNumber.toFixed(1) : '∞'}
+          {diagnostics.conditionNumber > 30 ? ' (above 30: moderate to strong collinearity)' : ''} | max VIF {isFinite(maxVIF) ? maxVIF.toFixed(2) : '∞'}
+          {maxVIF > 10 ? ' (above 10: coefficients poorly identified)' : ''}
+        </p>
+        <p className="diagnostics-vif">
+          {diagnostics.vif.map(v => (
+            <span key={v.variable} className={v.vif > 10 ? 'flagged' : ''}>
+              {v.variable}: {isFinite(v.vif) ? v.vif.toFixed(2) : '∞'}
+            </span>
+          ))}
+        </p>
+      </div>
+    </div>
+  );
+};
+
 const MetricCard = ({ title, value, subtitle, color }) => {
   return (
     <div className="metric-card" style={{ borderTopColor: color }}>
@@ -0,0 +1,246 @@
+/**
+ * Bayesian Linear Regression
+ *   y = Xβ + ε,   ε ~ N(0, σ²I)
+ * with an elicited prior on one coefficient (the carbon-price elasticity β1) and vague priors on the rest.
+ * Three prior families:
+ *   conjugate:   β | σ² ~ N(b0, σ²V0), σ² ~ IG(a0, d0), with closed-form Normal-Inverse-Gamma posterior and
+ *                Student-t marginals
+ *   independent: β ~ N(b0, B0) independent of σ² ~ IG(a0, d0), sampled by Gibbs
+ *   studentT:    β1 ~ t_ν(m, s) as the scale mixture β1 | λ ~ N(m, s²λ), λ ~ IG(ν/2, ν/2), sampled by Gibbs;
+ *                heavy tails let the data override a prior that conflicts with them
+ * Works on the y and designMatrix (intercept first) of a modelResult, so any OLS specification can be used
+ */
+
+import { transpose, matrixMultiply, matrixVectorMultiply, choleskyDecomposition, invertSymmetricMatrix } from './linearAlgebra';
+import { studentTCDF, studentTQuantile, logGamma, seededRandom, normalRandom, gammaRandom, sortedQuantile } from './statDistributions';
+
+export const BAYESIAN_PRIORS = [
+  { id: 'conjugate', label: 'Normal-Inverse-Gamma (conjugate)' },
+  { id: 'independent', label: 'Independent Normal (Gibbs)' },
+  { id: 'studentT', label: 'Student-t, 4 df (Gibbs)' }
+];
+
+/**
+ * Starting points for the prior on β1 (log points per €/t); mean and SD can be edited in the dashboard
+ * vague: lets the data speak; sceptical: centred on no leakage, ruling out effects beyond about ±1% per €10/t
+ */
+export const ELASTICITY_PRIOR_PRESETS = [
+  { id: 'vague', label: 'Vague', mean: 0, sd: 0.1 },
+  { id: 'sceptical', label: 'Sceptical (no leakage)', mean: 0, sd: 0.0005 },
+  { id: 'leakage', label: 'Leakage (+1% per €10/t)', mean: 0.001, sd: 0.0005 }
+];
+
+// Prior SD of the coefficients without an elicited prior, and IG(a0, d0) hyperparameters of σ²
+const VAGUE_SD = 1e3;
+const SIGMA_SHAPE = 0.001;
+const SIGMA_SCALE = 0.001;
+const STUDENT_T_DF = 4;
+const DENSITY_POINTS = 81;
+
+/**
+ * Posterior of a linear regression under one of BAYESIAN_PRIORS
+ * options.prior: id from BAYESIAN_PRIORS (default 'conjugate'); options.coefficient: index of the elicited
+ *   coefficient in X (default 1, β1); options.priorMean / priorSD: its prior
+ * The conjugate prior scales σ²V0 so that the prior SD of β1 equals priorSD at the OLS residual variance
+ * options.draws / burnIn / seed: Gibbs sampler settings (defaults 5000 / 1000 / 20240101)
+ * options.level: credible-interval level (default 95)
+ * Returns { feasible, prior, n, k, level, draws, coefficients: [{ mean, sd, ci, probabilityPositive,
+ *           density: [{ x, posterior, prior }] }], sigma: { mean (posterior mean of σ), ci } } — ci are equal-tailed intervals and
+ * prior densities are given for the elicited coefficient only
+ */
+export const bayesianRegression = (y, X, options = {}) => {
+  const {
+    prior = 'conjugate',
+    coefficient = 1,
+    priorMean = 0,
+    priorSD = 0.1,
+    draws = 5000,
+    burnIn = 1000,
+    seed = 20240101,
+    level = 95
+  } = options;
+  const n = y.length;
+  const k = X[0] ? X[0].length : 0;
+  if (k === 0 || n <= k) {
+    return { feasible: false, reason: `Insufficient observations (N=${n}) for ${k} coefficients` };
+  }
+  if (!Number.isFinite(priorMean) || !(priorSD > 0)) {
+    return { feasible: false, reason: 'The prior needs a finite mean and a positive standard deviation' };
+  }
+
+  const Xt = transpose(X);
+  const XtX = matrixMultiply(Xt, X);
+  const Xty = matrixVectorMultiply(Xt, y);
+  const XtXInv = invertSymmetricMatrix(XtX);
+  if (!XtXInv) {
+    return { feasible: false, reason: 'The design matrix is singular' };
+  }
+  const ols = matrixVectorMultiply(XtXInv, Xty);
+  const ssr = (beta) => y.reduce((sum, v, i) => {
+    const e = v - X[i].reduce((s, x, j) => s + x * beta[j], 0);
+    return sum + e * e;
+  }, 0);
+  const s2 = ssr(ols) / (n - k);
+
+  const b0 = ols.map((_, j) => (j === coefficient ? priorMean : 0));
+  const priorVariance = ols.map((_, j) => (j === coefficient ? priorSD * priorSD : VAGUE_SD * VAGUE_SD));
+  const alpha = (100 - level) / 200;
+  const normalPrior = (x) => Math.exp(-0.5 * Math.pow((x - priorMean) / priorSD, 2)) / (priorSD * Math.sqrt(2 * Math.PI));
+  const studentPrior = (x) => studentTDensity((x - priorMean) / priorSD, STUDENT_T_DF) / priorSD;
+  const priorDensity = prior === 'studentT' ? studentPrior : normalPrior;
+  // Density grid of ±4 posterior SDs, widened to ±3 prior SDs when the elicited prior is informative
+  const range = (j, mean, sd) => (j === coefficient && priorSD < 10 * sd
+    ? [Math.min(mean - 4 * sd, priorMean - 3 * priorSD), Math.max(mean + 4 * sd, priorMean + 3 * priorSD)]
+    : [mean - 4 * sd, mean + 4 * sd]);
+
+  if (prior === 'conjugate') {
+    // V0 = prior variance / s²; posterior Vn = (V0⁻¹ + X'X)⁻¹, bn = Vn(V0⁻¹b0 + X'y)
+    const V0Inv = priorVariance.map(v => s2 / v);
+    const precision = XtX.map((row, i) => row.map((v, j) => (i === j ? v + V0Inv[i] : v)));
+    const Vn = invertSymmetricMatrix(precision);
+    if (!Vn) return { feasible: false, reason: 'The posterior precision matrix is singular' };
+    const bn = matrixVectorMultiply(Vn, Xty.map((v, j) => v + V0Inv[j] * b0[j]));
+    const an = SIGMA_SHAPE + n / 2;
+    const quadratic = bn.reduce((sum, bi, i) => sum + bi * precision[i].reduce((s, p, j) => s + p * bn[j], 0), 0);
+    const dn = SIGMA_SCALE + 0.5 * (
+      y.reduce((sum, v) => sum + v * v, 0) +
+      b0.reduce((sum, b, j) => sum + V0Inv[j] * b * b, 0) -
+      quadratic
+    );
+    const df = 2 * an;
+    const critical = studentTQuantile(1 - alpha, df);
+    const coefficients = bn.map((mean, j) => {
+      const scale = Math.sqrt((dn / an) * Vn[j][j]);
+      const sd = scale * Math.sqrt(df / (df - 2));
+      return {
+        mean,
+        sd,
+        ci: [mean - critical * scale, mean + critical * scale],
+        probabilityPositive: 1 - studentTCDF(-mean / scale, df),
+        density: densityGrid(range(j, mean, sd), x => studentTDensity((x - mean) / scale, df) / scale,
+          j === coefficient ? priorDensity : null)
+      };
+    });
+    return {
+      feasible: true,
+      prior,
+      n,
+      k,
+      level,
+      draws: null,
+      coefficients,
+      // E[σ] = √dn Γ(an - ½) / Γ(an) for σ² ~ IG(an, dn), the same quantity as the mean of the Gibbs σ draws
+      sigma: { mean: Math.sqrt(dn) * Math.exp(logGamma(an - 0.5) - logGamma(an)), ci: null }
+    };
+  }
+
+  // Gibbs sampler for the independent Normal and Student-t priors
+  const random = seededRandom(seed);
+  const B0Inv = priorVariance.map(v => 1 / v);
+  let sigma2 = s2;
+  let lambda = 1;
+  let beta = ols.slice();
+  const betaDraws = [];
+  const sigmaDraws = [];
+  for (let iteration = 0; iteration < burnIn + draws; iteration++) {
+    // β | σ², λ ~ N(Bn(B0⁻¹b0 + X'y/σ²), Bn), Bn = (B0⁻¹ + X'X/σ²)⁻¹
+    const priorPrecision = B0Inv.map((p, j) => (j === coefficient ? p / lambda : p));
+    const precision = XtX.map((row, i) => row.map((v, j) => v / sigma2 + (i === j ? priorPrecision[i] : 0)));
+    const Bn = invertSymmetricMatrix(precision);
+    const L = Bn ? choleskyDecomposition(Bn) : null;
+    if (!L) return { feasible: false, reason: 'The conditional posterior of β is not positive definite' };
+    const mean = matrixVectorMultiply(Bn, Xty.map((v, j) => v / sigma2 + priorPrecision[j] * b0[j]));
+    const z = mean.map(() => normalRandom(random));
+    beta = mean.map((m, i) => m + L[i].reduce((sum, l, j) => sum + l * z[j], 0));
+
+    // σ² | β ~ IG(a0 + n/2, d0 + SSR(β)/2)
+    sigma2 = (SIGMA_SCALE + ssr(beta) / 2) / gammaRandom(SIGMA_SHAPE + n / 2, random);
+
+    // λ | β1 ~ IG((ν + 1)/2, (ν + (β1 - m)²/s²)/2) for the Student-t prior
+    if (prior === 'studentT') {
+      const u = (beta[coefficient] - priorMean) / priorSD;
+      lambda = ((STUDENT_T_DF + u * u) / 2) / gammaRandom((STUDENT_T_DF + 1) / 2, random);
+    }
+
+    if (iteration >= burnIn) {
+      betaDraws.push(beta);
+      sigmaDraws.push(Math.sqrt(sigma2));
+    }
+  }
+
+  const summary = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mean = values.reduce((a, b) => a + b, 0) / values.length;
+    const sd = Math.sqrt(values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / (values.length - 1));
+    return { sorted, mean, sd, ci: [sortedQuantile(sorted, alpha), sortedQuantile(sorted, 1 - alpha)] };
+  };
+  const coefficients = ols.map((_, j) => {
+    const { sorted, mean, sd, ci } = summary(betaDraws.map(d => d[j]));
+    return {
+      mean,
+      sd,
+      ci,
+      probabilityPositive: sorted.filter(v => v > 0).length / sorted.length,
+      density: densityGrid(range(j, mean, sd), kernelDensity(sorted), j === coefficient ? priorDensity : null)
+    };
+  });
+  const sigma = summary(sigmaDraws);
+  return {
+    feasible: true,
+    prior,
+    n,
+    k,
+    level,
+    draws,
+    burnIn,
+    coefficients,
+    sigma: { mean: sigma.mean, ci: sigma.ci }
+  };
+};
+
+/**
+ * Bayesian version of an OLS specification given by its modelResult, reported next to the OLS estimates
+ * options as in bayesianRegression; the elicited coefficient is looked up by options.term (default 'Carbon Price')
+ * Returns the bayesianRegression result plus { labels, ols: modelResult terms, term }
+ */
+export const estimateBayesianModel = (result, options = {}) => {
+  const { term = 'Carbon Price', ...bayesOptions } = options;
+  if (!result) return { feasible: false, reason: 'No OLS specification to re-estimate' };
+  const labels = result.terms.map(t => t.label);
+  const coefficient = labels.indexOf(term);
+  if (coefficient === -1) return { feasible: false, reason: `The specification has no ${term} coefficient` };
+
+  const posterior = bayesianRegression(result.y, result.designMatrix, { ...bayesOptions, coefficient });
+  return posterior.feasible ? { ...posterior, labels, ols: result.terms, term } : posterior;
+};
+
+/**
+ * Helper: Student-t density with df degrees of freedom at x
+ */
+function studentTDensity(x, df) {
+  return Math.exp(
+    logGamma((df + 1) / 2) - logGamma(df / 2) - 0.5 * Math.log(df * Math.PI) - ((df + 1) / 2) * Math.log(1 + (x * x) / df)
+  );
+}
+
+/**
+ * Helper: Gaussian kernel density estimate of sorted draws with Silverman's rule-of-thumb bandwidth
+ */
+function kernelDensity(sorted) {
+  const n = sorted.length;
+  const mean = sorted.reduce((a, b) => a + b, 0) / n;
+  const sd = Math.sqrt(sorted.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / (n - 1));
+  const iqr = sortedQuantile(sorted, 0.75) - sortedQuantile(sorted, 0.25);
+  const h = 0.9 * Math.min(sd, iqr / 1.34 || sd) * Math.pow(n, -0.2);
+  return (x) => sorted.reduce((sum, v) => sum + Math.exp(-0.5 * Math.pow((x - v) / h, 2)), 0) / (n * h * Math.sqrt(2 * Math.PI));
+}
+
+/**
+ * Helper: posterior (and prior) density on an evenly spaced grid over [lo, hi]
+ */
+function densityGrid([lo, hi], posterior, prior) {
+  return Array.from({ length: DENSITY_POINTS }, (_, i) => {
+    const x = lo + ((hi - lo) * i) / (DENSITY_POINTS - 1);
+    return { x, posterior: posterior(x), prior: prior ? prior(x) : null };
+  });
+}
@@ -0,0 +1,22 @@
+/**
+ * Web Worker running the bootstrap engine off the main thread
+ * Message in:  { data, models: [{ id, maxLags }], options } (options as in bootstrapModel)
+ *              or { task: 'quantile', data, options } (options as in estimateQuantileModel)
+ * Message out: { results: [bootstrapModel result per model] }, { result } for the quantile task, or { error }
+ */
+
+import { bootstrapModel, estimateQuantileModel } from './econometricAnalysis';
+
+self.onmessage = (event) => {
+  const { task, data, models, options } = event.data;
+  try {
+    if (task === 'quantile') {
+      self.postMessage({ result: estimateQuantileModel(data, options) });
+      return;
+    }
+    const results = models.map(model => bootstrapModel(data, model.id, { ...options, maxLags: model.maxLags }));
+    self.postMessage({ results });
+  } catch (error) {
+    self.postMessage({ error: error.message });
+  }
+};
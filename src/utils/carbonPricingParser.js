@@ -150,3 +150,11 @@ export const getIndustryCoverage = (data) => {
   return coverage;
 };
 
+
+// Explicit carbon price of a jurisdiction in a year: sum of all carbon taxes and ETSs covering it
+// with a price recorded for that year (including since-abolished instruments), 0 if none
+export const getJurisdictionCarbonPrice = (data, jurisdiction, year) => {
+  return data
+    .filter(d => d['Jurisdiction covered'] === jurisdiction && d.prices)
+    .reduce((sum, d) => sum + (d.prices[year] || 0), 0);
+};
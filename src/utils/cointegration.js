@@ -0,0 +1,303 @@
+/**
+ * Cointegration Analysis
+ * Engle-Granger and Johansen tests for the imports / carbon price / activity system and
+ * the two-step error-correction model built on the cointegrating relation
+ */
+
+import { multipleOLS, selectVARLagOrder } from './econometricAnalysis';
+import { adfStatistic, mackinnonCriticalValues, mackinnonPValue } from './unitRootTests';
+import { transpose, matrixMultiply, choleskyDecomposition, invertSymmetricMatrix, symmetricEigen } from './linearAlgebra';
+
+/**
+ * Variables of the cointegrating system, dependent variable first
+ */
+export const COINTEGRATION_VARIABLES = [
+  { key: 'logImport', label: 'LN(Imports)' },
+  { key: 'logETS', label: 'LN(Carbon Price)' },
+  { key: 'logIndustry', label: 'LN(Activity)' }
+];
+
+/**
+ * Johansen critical values [90%, 95%, 99%] with an unrestricted constant, indexed by the
+ * number of common stochastic trends n - r (MacKinnon, Haug & Michelis 1999)
+ */
+const JOHANSEN_TRACE_CRITICAL_VALUES = {
+  1: [2.7055, 3.8415, 6.6349],
+  2: [13.4294, 15.4943, 19.9349],
+  3: [27.0669, 29.7961, 35.4628]
+};
+
+const JOHANSEN_MAX_EIGEN_CRITICAL_VALUES = {
+  1: [2.7055, 3.8415, 6.6349],
+  2: [12.2971, 14.2639, 18.52],
+  3: [18.8928, 21.1314, 25.865]
+};
+
+const MIN_OBSERVATIONS = 20;
+
+/**
+ * Engle-Granger two-step cointegration test
+ * Step 1: OLS of y on a constant and the regressors; step 2: ADF test (no deterministic terms)
+ * on the residuals against MacKinnon (2010) critical values for N = 1 + number of regressors
+ * x = array of regressor columns (at most two); options.criterion selects the ADF lag ('AIC' / 'BIC')
+ */
+export const engleGrangerTest = (y, x, options = {}) => {
+  const { criterion = 'AIC' } = options;
+  const nVariables = x.length + 1;
+
+  if (nVariables < 2 || nVariables > 3) {
+    return { feasible: false, reason: 'Engle-Granger critical values are available for 2 or 3 variables' };
+  }
+  if (y.length < MIN_OBSERVATIONS) {
+    return { feasible: false, reason: `Insufficient observations for Engle-Granger test (N=${y.length}, minimum ${MIN_OBSERVATIONS})` };
+  }
+
+  const longRun = multipleOLS(y, x);
+  if (!longRun) {
+    return { feasible: false, reason: 'Cointegrating regression is singular' };
+  }
+
+  const adf = adfStatistic(longRun.residuals, { trend: 'n', criterion });
+  if (!adf.feasible) return adf;
+
+  const criticalValues = mackinnonCriticalValues(adf.nobs, 'c', nVariables);
+
+  return {
+    feasible: true,
+    test: 'Engle-Granger',
+    statistic: adf.statistic,
+    pValue: mackinnonPValue(adf.statistic, 'c', nVariables),
+    criticalValues,
+    rejectsNoCointegration: adf.statistic < criticalValues[5],
+    lags: adf.lags,
+    nobs: adf.nobs,
+    coefficients: longRun.coefficients,
+    rSquared: longRun.rSquared,
+    residuals: longRun.residuals
+  };
+};
+
+/**
+ * Johansen trace and maximum-eigenvalue tests
+ * VECM ΔY_t = μ + Π Y_{t-1} + Σ Γ_i ΔY_{t-i} + e_t with an unrestricted constant
+ * series = array of variable columns (2 or 3); options.lags = number of lagged differences,
+ * chosen by AIC on the levels VAR (lags = p - 1) when omitted
+ * Returns eigenvalues, per-rank test rows, the selected cointegration rank (5%) and the
+ * cointegrating vector of the largest eigenvalue normalised on the first variable
+ */
+export const johansenTest = (series, options = {}) => {
+  const m = series.length;
+  const T0 = series[0].length;
+
+  if (m < 2 || m > 3) {
+    return { feasible: false, reason: 'Johansen critical values are tabulated here for 2 or 3 variables' };
+  }
+  if (T0 < MIN_OBSERVATIONS) {
+    return { feasible: false, reason: `Insufficient observations for Johansen test (N=${T0}, minimum ${MIN_OBSERVATIONS})` };
+  }
+
+  const lags = options.lags !== undefined
+    ? options.lags
+    : Math.max(0, (selectVARLagOrder(series, options.maxLag !== undefined ? options.maxLag : 4).AIC || 1) - 1);
+
+  // Effective sample t = lags + 1, ..., T0 - 1
+  const start = lags + 1;
+  const diff = series.map(col => col.map((v, t) => (t > 0 ? v - col[t - 1] : null)));
+  const dY = diff.map(col => col.slice(start));
+  const yLag = series.map(col => col.slice(start - 1, T0 - 1));
+  const shortRun = [];
+  for (let i = 1; i <= lags; i++) {
+    diff.forEach(col => shortRun.push(col.slice(start - i, T0 - i)));
+  }
+
+  const R0 = dY.map(col => partialOut(col, shortRun));
+  const R1 = yLag.map(col => partialOut(col, shortRun));
+  if (R0.some(r => !r) || R1.some(r => !r)) {
+    return { feasible: false, reason: 'Johansen auxiliary regressions are singular' };
+  }
+
+  const T = R0[0].length;
+  const moment = (A, B) => matrixMultiply(A, transpose(B)).map(row => row.map(v => v / T));
+  const S00 = moment(R0, R0);
+  const S11 = moment(R1, R1);
+  const S01 = moment(R0, R1);
+  const S10 = transpose(S01);
+
+  const S00Inv = invertSymmetricMatrix(S00);
+  const L = choleskyDecomposition(S11);
+  if (!S00Inv || !L) {
+    return { feasible: false, reason: 'Johansen moment matrices are singular' };
+  }
+
+  // Symmetric form of |λ S11 - S10 S00⁻¹ S01| = 0
+  const LInv = lowerTriangularInverse(L);
+  const inner = matrixMultiply(matrixMultiply(S10, S00Inv), S01);
+  const A = matrixMultiply(matrixMultiply(LInv, inner), transpose(LInv));
+  const { values, vectors } = symmetricEigen(A);
+  const eigenvalues = values.map(v => Math.min(Math.max(v, 0), 1 - 1e-12));
+
+  const tests = [];
+  for (let r = 0; r < m; r++) {
+    const trace = -T * eigenvalues.slice(r).reduce((sum, l) => sum + Math.log(1 - l), 0);
+    const maxEigen = -T * Math.log(1 - eigenvalues[r]);
+    const traceCV = JOHANSEN_TRACE_CRITICAL_VALUES[m - r];
+    const maxEigenCV = JOHANSEN_MAX_EIGEN_CRITICAL_VALUES[m - r];
+    tests.push({
+      rank: r,
+      eigenvalue: eigenvalues[r],
+      trace,
+      traceCriticalValues: { 90: traceCV[0], 95: traceCV[1], 99: traceCV[2] },
+      traceRejects: trace > traceCV[1],
+      maxEigen,
+      maxEigenCriticalValues: { 90: maxEigenCV[0], 95: maxEigenCV[1], 99: maxEigenCV[2] },
+      maxEigenRejects: maxEigen > maxEigenCV[1]
+    });
+  }
+
+  // Sequential testing: rank = first r whose null is not rejected
+  const firstAccepted = (key) => {
+    const row = tests.find(t => !t[key]);
+    return row ? row.rank : m;
+  };
+
+  // β = L'⁻¹ v, normalised on the first variable
+  const beta = matrixMultiply(transpose(LInv), vectors[0].map(v => [v])).map(row => row[0]);
+  const normalisedVector = Math.abs(beta[0]) > 1e-12 ? beta.map(b => b / beta[0]) : null;
+
+  return {
+    feasible: true,
+    test: 'Johansen',
+    lags,
+    nobs: T,
+    eigenvalues,
+    tests,
+    traceRank: firstAccepted('traceRejects'),
+    maxEigenRank: firstAccepted('maxEigenRejects'),
+    cointegratingVector: normalisedVector
+  };
+};
+
+/**
+ * Engle-Granger two-step error-correction model
+ * Long run:  LN_IMPORTS = a + θ1*LN_CARBON_PRICE + θ2*LN_ACTIVITY + u
+ * Short run: ΔLN_IMPORTS = α + γ*u_{t-1} + β1*ΔLN_CARBON_PRICE + β2*ΔLN_ACTIVITY + β3*CBAM_DUMMY
+ *            + Σ φ_i ΔLN_IMPORTS_{t-i} + e
+ * θ1 is the long-run elasticity, γ the speed of adjustment (expected in (-2, 0))
+ * options.shortRunLags sets the lagged ΔLN_IMPORTS terms (default 1); remaining options are
+ * passed to multipleOLS for the short-run equation (e.g. { covarianceType: 'NW' })
+ * Engle-Granger and Johansen tests on the same sample are attached to the result
+ */
+export const estimateErrorCorrectionModel = (mergedData, frequency = 'monthly', options = {}) => {
+  const { shortRunLags = 1, ...olsOptions } = options;
+  const rows = mergedData.filter(d =>
+    COINTEGRATION_VARIABLES.every(({ key }) => d[key] !== null && d[key] !== undefined && !isNaN(d[key]))
+  );
+
+  if (rows.length < MIN_OBSERVATIONS + shortRunLags + 1) {
+    return {
+      feasible: false,
+      reason: `Insufficient observations for an error-correction model (N=${rows.length} < ${MIN_OBSERVATIONS + shortRunLags + 1} required)`,
+      n: rows.length
+    };
+  }
+
+  const y = rows.map(d => d.logImport);
+  const carbon = rows.map(d => d.logETS);
+  const activity = rows.map(d => d.logIndustry);
+
+  const engleGranger = engleGrangerTest(y, [carbon, activity]);
+  const johansen = johansenTest([y, carbon, activity]);
+  if (!engleGranger.feasible) {
+    return { feasible: false, reason: engleGranger.reason, n: rows.length, johansen };
+  }
+
+  const ect = engleGranger.residuals;
+  const dY = [];
+  const columns = [[], [], [], []];
+  for (let i = 0; i < shortRunLags; i++) columns.push([]);
+
+  for (let t = shortRunLags + 1; t < rows.length; t++) {
+    dY.push(y[t] - y[t - 1]);
+    columns[0].push(ect[t - 1]);
+    columns[1].push(carbon[t] - carbon[t - 1]);
+    columns[2].push(activity[t] - activity[t - 1]);
+    columns[3].push(rows[t].cbamDummy !== undefined ? rows[t].cbamDummy : 0);
+    for (let i = 1; i <= shortRunLags; i++) {
+      columns[3 + i].push(y[t - i] - y[t - i - 1]);
+    }
+  }
+
+  const result = multipleOLS(dY, columns, olsOptions);
+  if (!result) {
+    return { feasible: false, reason: 'Error-correction regression estimation failed', n: dY.length, engleGranger, johansen };
+  }
+
+  const speed = result.coefficients[1];
+  const term = (i) => ({
+    coeff: result.coefficients[i],
+    se: result.standardErrors[i],
+    tStat: result.tStats[i],
+    pValue: result.pValues[i],
+    ci: result.confidenceIntervals[i]
+  });
+
+  return {
+    feasible: true,
+    model: 'Error-Correction',
+    frequency,
+    longRunIntercept: engleGranger.coefficients[0],
+    longRunElasticity: engleGranger.coefficients[1],
+    longRunActivity: engleGranger.coefficients[2],
+    longRunRSquared: engleGranger.rSquared,
+    johansenLongRunElasticity: johansen.feasible && johansen.cointegratingVector ? -johansen.cointegratingVector[1] : null,
+    johansenLongRunActivity: johansen.feasible && johansen.cointegratingVector ? -johansen.cointegratingVector[2] : null,
+    intercept: term(0),
+    speedOfAdjustment: term(1),
+    halfLife: speed < 0 && speed > -1 ? Math.log(0.5) / Math.log(1 + speed) : null,
+    shortRunCarbon: term(2),
+    shortRunActivity: term(3),
+    cbam: term(4),
+    laggedImports: Array.from({ length: shortRunLags }, (_, i) => ({ lag: i + 1, ...term(5 + i) })),
+    shortRunLags,
+    covarianceMatrix: result.covarianceMatrix,
+    covarianceType: result.covarianceType,
+    bandwidth: result.bandwidth,
+    residuals: result.residuals,
+    fitted: result.fitted,
+    designMatrix: result.designMatrix,
+    rSquared: result.rSquared,
+    n: result.n,
+    engleGranger,
+    johansen
+  };
+};
+
+/**
+ * Helper: residuals of `column` after regressing on a constant and `regressors`
+ */
+function partialOut(column, regressors) {
+  if (regressors.length === 0) {
+    const mean = column.reduce((a, b) => a + b, 0) / column.length;
+    return column.map(v => v - mean);
+  }
+  const fit = multipleOLS(column, regressors);
+  return fit ? fit.residuals : null;
+}
+
+/**
+ * Helper: inverse of a lower-triangular matrix by forward substitution
+ */
+function lowerTriangularInverse(L) {
+  const n = L.length;
+  const inverse = Array.from({ length: n }, () => new Array(n).fill(0));
+  for (let j = 0; j < n; j++) {
+    for (let i = j; i < n; i++) {
+      let sum = i === j ? 1 : 0;
+      for (let k = j; k < i; k++) {
+        sum -= L[i][k] * inverse[k][j];
+      }
+      inverse[i][j] = sum / L[i][i];
+    }
+  }
+  return inverse;
+}
@@ -0,0 +1,216 @@
+/**
+ * Difference-in-Differences
+ * Compares CBAM-covered HS72 imports (treated) with a control series that is not subject to CBAM:
+ * intra-EU HS72 imports (partner control) or extra-EU imports of non-covered HS chapters (product control)
+ * Input: did_series.json records { group, role, controlType, year, logImport } (annual)
+ */
+
+import { multipleOLS } from './econometricAnalysis';
+import { invertSymmetricMatrix } from './linearAlgebra';
+import { fPValue } from './statDistributions';
+
+export const DID_TREATMENT_YEAR = 2023;
+
+/**
+ * Control groups available in the series: [{ group, controlType }]
+ */
+export const listControlGroups = (series) => {
+  const groups = new Map();
+  series.filter(d => d.role === 'control').forEach(d => groups.set(d.group, d.controlType));
+  return Array.from(groups, ([group, controlType]) => ({ group, controlType }));
+};
+
+/**
+ * Two-way fixed-effects DiD on the treated series and the selected control group(s)
+ *   static:  y_gt = α_g + λ_t + δ (Treated_g × Post_t) + ε
+ *   dynamic: y_gt = α_g + λ_t + Σ_{k≠-1} δ_k (Treated_g × 1[t - T0 = k]) + ε
+ *            event times before -leads and after +lags are binned into the end points
+ *   pre-trend: on pre-treatment years, y_gt = α_g + λ_t + γ (Treated_g × t) + ε (H0: γ = 0)
+ * The joint test of the leads (H0: δ_k = 0 for all k < -1) uses the selected covariance estimator
+ * options.controlGroup: group name or 'all'; options.covarianceType: classical / HC1 / HC3
+ * (Newey-West has no meaning on the stacked panel and falls back to HC1; the dynamic
+ * specification falls back to classical errors when a single treated series is available, and the
+ * static and pre-trend fits do so when only one control series is left, see twoGroupFallback)
+ */
+export const estimateDiD = (series, options = {}) => {
+  const {
+    controlGroup = 'all',
+    treatmentYear = DID_TREATMENT_YEAR,
+    leads = 4,
+    lags = 2,
+    covarianceType = 'classical'
+  } = options;
+  const olsOptions = { covarianceType: covarianceType === 'NW' ? 'HC1' : covarianceType };
+
+  const rows = series.filter(d =>
+    d.logImport !== null && !isNaN(d.logImport) &&
+    (d.role === 'treated' || (d.role === 'control' && (controlGroup === 'all' || d.group === controlGroup)))
+  );
+  const groups = [...new Set(rows.map(d => d.group))];
+  const years = [...new Set(rows.map(d => d.year))].sort((a, b) => a - b);
+  const treatedGroups = [...new Set(rows.filter(d => d.role === 'treated').map(d => d.group))];
+
+  if (treatedGroups.length === 0 || groups.length === treatedGroups.length) {
+    return { feasible: false, reason: 'Treated and control series are both required (run "npm run preprocess")' };
+  }
+  const preYears = years.filter(y => y < treatmentYear);
+  const postYears = years.filter(y => y >= treatmentYear);
+  if (preYears.length < 3 || postYears.length < 1) {
+    return { feasible: false, reason: `Need at least 3 pre-treatment years and 1 post-treatment year (have ${preYears.length} / ${postYears.length})` };
+  }
+
+  const y = rows.map(d => d.logImport);
+  const treated = rows.map(d => (d.role === 'treated' ? 1 : 0));
+  const fixedEffects = fixedEffectColumns(rows, groups, years);
+
+  // With one treated and one control series the interaction is identified by the treated post-treatment
+  // cells alone and their residuals are nearly zero, so robust variances understate the uncertainty
+  // (HC1 roughly halves the standard error); classical errors are used for the static and pre-trend fits
+  const twoGroupFallback = groups.length === 2 && olsOptions.covarianceType !== 'classical';
+  const pooledOptions = twoGroupFallback ? {} : olsOptions;
+
+  // Static DiD
+  const post = rows.map(d => (d.year >= treatmentYear ? 1 : 0));
+  const staticFit = multipleOLS(y, [treated.map((t, i) => t * post[i]), ...fixedEffects], pooledOptions);
+  if (!staticFit) {
+    return { feasible: false, reason: 'DiD regression is singular' };
+  }
+
+  // Dynamic leads/lags (reference period k = -1)
+  const eventTimes = [];
+  for (let k = -leads; k <= lags; k++) {
+    if (k !== -1) eventTimes.push(k);
+  }
+  const binned = (year) => Math.min(Math.max(year - treatmentYear, -leads), lags);
+  const observedTimes = eventTimes.filter(k => rows.some(d => d.role === 'treated' && binned(d.year) === k));
+  const eventColumns = observedTimes.map(k => rows.map((d, i) => (treated[i] && binned(d.year) === k ? 1 : 0)));
+  
+  // With a single treated series each event dummy fits one observation exactly (leverage 1),
+  // so heteroskedasticity-robust variances collapse to zero; classical errors are used instead
+  const exactlyFitted = eventColumns.some(col => col.filter(v => v !== 0).length === 1);
+  const dynamicFit = multipleOLS(y, [...eventColumns, ...fixedEffects], exactlyFitted ? {} : olsOptions);
+
+  let dynamic = null;
+  if (dynamicFit) {
+    const coefficients = observedTimes.map((k, j) => ({
+      eventTime: k,
+      label: eventTimeLabel(k, leads, lags),
+      ...term(dynamicFit, j + 1)
+    }));
+    coefficients.push({ eventTime: -1, label: 't-1 (ref.)', coeff: 0, se: 0, tStat: null, pValue: null, ci: null, reference: true });
+    coefficients.sort((a, b) => a.eventTime - b.eventTime);
+
+    const leadIndices = observedTimes.map((k, j) => (k < -1 ? j + 1 : null)).filter(j => j !== null);
+    dynamic = {
+      coefficients,
+      leadsTest: jointWaldTest(dynamicFit, leadIndices),
+      covarianceType: dynamicFit.covarianceType,
+      n: dynamicFit.n,
+      df: dynamicFit.df
+    };
+  }
+
+  // Differential pre-trend
+  const preRows = rows.filter(d => d.year < treatmentYear);
+  const preFit = multipleOLS(
+    preRows.map(d => d.logImport),
+    [preRows.map(d => (d.role === 'treated' ? d.year - treatmentYear : 0)), ...fixedEffectColumns(preRows, groups, preYears)],
+    pooledOptions
+  );
+
+  return {
+    feasible: true,
+    treatmentYear,
+    controlGroup,
+    groups,
+    treatedGroups,
+    years,
+    n: staticFit.n,
+    df: staticFit.df,
+    rSquared: staticFit.rSquared,
+    covarianceType: staticFit.covarianceType,
+    twoGroupFallback,
+    effect: term(staticFit, 1),
+    percentEffect: (Math.exp(staticFit.coefficients[1]) - 1) * 100,
+    preTrend: preFit ? { ...term(preFit, 1), n: preFit.n, df: preFit.df } : null,
+    dynamic,
+    trends: parallelTrends(rows, years, treatmentYear)
+  };
+};
+
+/**
+ * Helper: unit and year dummies (first group and first year dropped)
+ */
+function fixedEffectColumns(rows, groups, years) {
+  const columns = groups.slice(1).map(g => rows.map(d => (d.group === g ? 1 : 0)));
+  years.slice(1).forEach(year => columns.push(rows.map(d => (d.year === year ? 1 : 0))));
+  return columns;
+}
+
+/**
+ * Helper: coefficient summary { coeff, se, tStat, pValue, ci } of parameter i
+ */
+function term(fit, i) {
+  return {
+    coeff: fit.coefficients[i],
+    se: fit.standardErrors[i],
+    tStat: fit.tStats[i],
+    pValue: fit.pValues[i],
+    ci: fit.confidenceIntervals[i]
+  };
+}
+
+/**
+ * Helper: label of a (possibly binned) event time
+ */
+function eventTimeLabel(k, leads, lags) {
+  if (k === -leads) return `≤ t${k}`;
+  if (k === lags) return `≥ t+${k}`;
+  return k === 0 ? 't' : `t${k > 0 ? '+' : ''}${k}`;
+}
+
+/**
+ * Helper: Wald test of H0: β_j = 0 for j in `indices`, F = b' V⁻¹ b / q ~ F(q, df)
+ */
+function jointWaldTest(fit, indices) {
+  if (indices.length === 0) return null;
+  const b = indices.map(i => fit.coefficients[i]);
+  const V = indices.map(i => indices.map(j => fit.covarianceMatrix[i][j]));
+  const Vinv = invertSymmetricMatrix(V);
+  if (!Vinv) return null;
+
+  const q = indices.length;
+  let wald = 0;
+  for (let i = 0; i < q; i++) {
+    for (let j = 0; j < q; j++) {
+      wald += b[i] * Vinv[i][j] * b[j];
+    }
+  }
+  const fStat = wald / q;
+  return { fStat, df1: q, df2: fit.df, pValue: fPValue(fStat, q, fit.df) };
+}
+
+/**
+ * Helper: mean log imports of the treated and control groups per year, normalised to 0 in the
+ * last pre-treatment year, and their difference (the raw DiD path)
+ */
+function parallelTrends(rows, years, treatmentYear) {
+  const mean = (role, year) => {
+    const values = rows.filter(d => d.role === role && d.year === year).map(d => d.logImport);
+    return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+  };
+  const baseYear = Math.max(...years.filter(y => y < treatmentYear));
+  const treatedBase = mean('treated', baseYear);
+  const controlBase = mean('control', baseYear);
+
+  return years.map(year => {
+    const treated = mean('treated', year);
+    const control = mean('control', year);
+    return {
+      year,
+      treated: treated !== null ? treated - treatedBase : null,
+      control: control !== null ? control - controlBase : null,
+      difference: treated !== null && control !== null ? (treated - treatedBase) - (control - controlBase) : null
+    };
+  });
+}
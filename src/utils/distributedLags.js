@@ -0,0 +1,238 @@
+/**
+ * Restricted Distributed-Lag Models
+ * Parsimonious alternatives to the unrestricted lags of estimateLaggedModel
+ *   Almon PDL:  β_k = Σ_{j=0..p} a_j (k/K)^j (k = 0..K), so K + 1 lag coefficients cost p + 1 parameters
+ *   ARDL(p, q): LN_IMPORTS_t = α + Σ_{j=1..p} φ_j LN_IMPORTS_{t-j} + Σ_{k=0..q} b_k CARBON_PRICE_{t-k} + γ LN_ACTIVITY_t + ε_t
+ *               whose special case ARDL(1, 0) is the Koyck geometric lag β_k = b_0 λ^k
+ * Both report the implied lag weights, the cumulative long-run multiplier Σβ_k and the mean lag
+ * Σ kβ_k / Σβ_k; standard errors of these functions of the coefficients use the delta method
+ */
+
+import { multipleOLS, modelResult, CONFIDENCE_LEVELS } from './econometricAnalysis';
+import { studentTPValue, studentTQuantile, fPValue } from './statDistributions';
+
+export const ALMON_DEGREES = [2, 3, 4];
+
+export const ARDL_SPECIFICATIONS = [
+  { id: 'koyck', label: 'Koyck (ARDL(1,0))', arLags: 1, priceLags: 0 },
+  { id: 'ardl11', label: 'ARDL(1,1)', arLags: 1, priceLags: 1 },
+  { id: 'ardl21', label: 'ARDL(2,1)', arLags: 2, priceLags: 1 }
+];
+
+/**
+ * Almon polynomial distributed lag
+ * options.maxLags: K (default 12); options.degree: polynomial degree p < K (default 2)
+ * Other options are passed to multipleOLS (e.g. { covarianceType: 'NW' })
+ * The regressors are Z_j = Σ_k (k/K)^j CARBON_PRICE_{t-k}; the lag weights are β = H a with H_kj = (k/K)^j
+ * (scaling the lag by K keeps the columns of comparable size for higher degrees)
+ * restrictionTest: F test of the K - p polynomial restrictions against unrestricted lags on the same sample
+ * Returns { feasible, model, maxLags, degree, lagCoefficients: [{ lag, coefficient, se, tStat, pValue, ci }],
+ *           polynomial, longRun, meanLag, activity, restrictionTest, rSquared, n, modelResult }
+ */
+export const estimateAlmonModel = (mergedData, options = {}) => {
+  const { maxLags = 12, degree = 2, ...olsOptions } = options;
+  if (degree >= maxLags) {
+    return { feasible: false, reason: `Polynomial degree (${degree}) must be below the lag length (${maxLags})` };
+  }
+
+  const rows = lagRows(mergedData, maxLags, 0);
+  const minRequired = 10 + degree + 3;
+  if (rows.length < minRequired) {
+    return {
+      feasible: false,
+      reason: `Insufficient observations (N=${rows.length} < ${minRequired} required for an Almon lag with K=${maxLags})`,
+      n: rows.length
+    };
+  }
+
+  const lags = Array.from({ length: maxLags + 1 }, (_, k) => k);
+  const powers = Array.from({ length: degree + 1 }, (_, j) => j);
+  const H = lags.map(k => powers.map(j => Math.pow(k / maxLags, j)));
+  const y = rows.map(r => r.y);
+  const Z = powers.map(j => rows.map(r => r.prices.reduce((sum, price, k) => sum + H[k][j] * price, 0)));
+  const fit = multipleOLS(y, [...Z, rows.map(r => r.activity)], olsOptions);
+  if (!fit) {
+    return { feasible: false, reason: 'Regression estimation failed (design matrix is singular)', n: rows.length };
+  }
+
+  const weights = (b) => H.map(h => h.reduce((sum, v, j) => sum + v * b[1 + j], 0));
+  const unrestricted = multipleOLS(y, [...lags.map(k => rows.map(r => r.prices[k])), rows.map(r => r.activity)]);
+  const q = maxLags - degree;
+  const fStat = unrestricted ? Math.max(0, ((fit.ssr - unrestricted.ssr) / q) / (unrestricted.ssr / unrestricted.df)) : null;
+
+  return {
+    feasible: true,
+    model: `Almon PDL (K=${maxLags}, p=${degree})`,
+    maxLags,
+    degree,
+    lagCoefficients: lags.map(k => lagTerm(k, deltaTerm(fit, b => weights(b)[k]))),
+    polynomial: powers.map(j => ({ power: j, ...deltaTerm(fit, b => b[1 + j]) })),
+    longRun: deltaTerm(fit, b => weights(b).reduce((a, v) => a + v, 0)),
+    meanLag: deltaTerm(fit, b => meanLag(weights(b))),
+    activity: deltaTerm(fit, b => b[degree + 2]),
+    restrictionTest: fStat !== null
+      ? { fStat, df1: q, df2: unrestricted.df, pValue: fPValue(fStat, q, unrestricted.df) }
+      : null,
+    covarianceType: fit.covarianceType,
+    bandwidth: fit.bandwidth,
+    rSquared: fit.rSquared,
+    n: fit.n,
+    modelResult: modelResult(fit, {
+      id: 'almon',
+      label: `Almon (K=${maxLags}, p=${degree})`,
+      labels: ['Intercept', ...powers.map(j => `Almon a${j}`), 'LN(Activity)'],
+      observations: rows.map(r => r.date)
+    })
+  };
+};
+
+/**
+ * Autoregressive distributed lag ARDL(p, q); ARDL(1, 0) is the Koyck model
+ * options.arLags: p = 1 or 2 lags of LN_IMPORTS (default 1); options.priceLags: q (default 0)
+ * options.horizon: number of implied lag weights reported (default 12)
+ * Other options are passed to multipleOLS
+ * Implied weights of the rational lag b(L) / φ(L): w_k = b_k + Σ_j φ_j w_{k-j}
+ * Long-run multiplier Σb / (1 - Σφ); mean lag Σ k b_k / Σ b_k + Σ jφ_j / (1 - Σφ)
+ * stable: the roots of 1 - φ_1 z - φ_2 z² lie outside the unit circle (otherwise there is no long run)
+ * Returns { feasible, model, arLags, priceLags, lagCoefficients, decay, longRun, meanLag, activity, stable,
+ *           rSquared, n, modelResult }
+ */
+export const estimateARDLModel = (mergedData, options = {}) => {
+  const { arLags = 1, priceLags = 0, horizon = 12, ...olsOptions } = options;
+  const rows = lagRows(mergedData, priceLags, arLags);
+  const minRequired = 10 + arLags + priceLags + 3;
+  if (rows.length < minRequired) {
+    return {
+      feasible: false,
+      reason: `Insufficient observations (N=${rows.length} < ${minRequired} required for ARDL(${arLags},${priceLags}))`,
+      n: rows.length
+    };
+  }
+
+  const priceColumns = Array.from({ length: priceLags + 1 }, (_, k) => rows.map(r => r.prices[k]));
+  const importColumns = Array.from({ length: arLags }, (_, j) => rows.map(r => r.laggedImports[j]));
+  const fit = multipleOLS(rows.map(r => r.y), [...priceColumns, ...importColumns, rows.map(r => r.activity)], olsOptions);
+  if (!fit) {
+    return { feasible: false, reason: 'Regression estimation failed (design matrix is singular)', n: rows.length };
+  }
+
+  const split = (b) => ({
+    b: b.slice(1, priceLags + 2),
+    phi: b.slice(priceLags + 2, priceLags + 2 + arLags)
+  });
+  const weights = (coefficients) => {
+    const { b, phi } = split(coefficients);
+    const w = [];
+    for (let k = 0; k <= horizon; k++) {
+      w.push((k <= priceLags ? b[k] : 0) + phi.reduce((sum, p, j) => sum + (k - j - 1 >= 0 ? p * w[k - j - 1] : 0), 0));
+    }
+    return w;
+  };
+  const longRun = (coefficients) => {
+    const { b, phi } = split(coefficients);
+    return b.reduce((a, v) => a + v, 0) / (1 - phi.reduce((a, v) => a + v, 0));
+  };
+  const rationalMeanLag = (coefficients) => {
+    const { b, phi } = split(coefficients);
+    const sumPhi = phi.reduce((a, v) => a + v, 0);
+    return meanLag(b) + phi.reduce((sum, p, j) => sum + (j + 1) * p, 0) / (1 - sumPhi);
+  };
+
+  const { phi } = split(fit.coefficients);
+  const stable = phi.length === 1
+    ? Math.abs(phi[0]) < 1
+    : phi[0] + phi[1] < 1 && phi[1] - phi[0] < 1 && Math.abs(phi[1]) < 1;
+  const spec = ARDL_SPECIFICATIONS.find(s => s.arLags === arLags && s.priceLags === priceLags);
+
+  return {
+    feasible: true,
+    model: spec ? spec.label : `ARDL(${arLags},${priceLags})`,
+    arLags,
+    priceLags,
+    lagCoefficients: Array.from({ length: horizon + 1 }, (_, k) => lagTerm(k, deltaTerm(fit, b => weights(b)[k]))),
+    decay: arLags === 1 ? deltaTerm(fit, b => b[priceLags + 2]) : null,
+    longRun: stable ? deltaTerm(fit, longRun) : null,
+    meanLag: stable ? deltaTerm(fit, rationalMeanLag) : null,
+    activity: deltaTerm(fit, b => b[priceLags + arLags + 2]),
+    stable,
+    covarianceType: fit.covarianceType,
+    bandwidth: fit.bandwidth,
+    rSquared: fit.rSquared,
+    n: fit.n,
+    modelResult: modelResult(fit, {
+      id: `ardl${arLags}${priceLags}`,
+      label: spec ? spec.label : `ARDL(${arLags},${priceLags})`,
+      labels: [
+        'Intercept',
+        ...priceColumns.map((_, k) => (k === 0 ? 'Carbon Price' : `Carbon Price (t-${k})`)),
+        ...importColumns.map((_, j) => `LN(Imports) (t-${j + 1})`),
+        'LN(Activity)'
+      ],
+      observations: rows.map(r => r.date)
+    })
+  };
+};
+
+/**
+ * Helper: observations with the current and `priceLags` lagged carbon prices and `arLags` lagged log imports
+ */
+function lagRows(data, priceLags, arLags) {
+  const valid = (v) => v !== null && v !== undefined && !isNaN(v);
+  const start = Math.max(priceLags, arLags);
+  const rows = [];
+  for (let t = start; t < data.length; t++) {
+    const d = data[t];
+    if (!valid(d.logImport) || !valid(d.logIndustry)) continue;
+    const prices = [];
+    for (let k = 0; k <= priceLags; k++) prices.push(data[t - k].etsPrice);
+    const laggedImports = [];
+    for (let j = 1; j <= arLags; j++) laggedImports.push(data[t - j].logImport);
+    if (prices.some(p => !valid(p) || p <= 0) || laggedImports.some(v => !valid(v))) continue;
+    rows.push({ date: d.date, y: d.logImport, activity: d.logIndustry, prices, laggedImports });
+  }
+  return rows;
+}
+
+/**
+ * Helper: mean lag Σ k w_k / Σ w_k of a sequence of lag weights
+ */
+function meanLag(weights) {
+  const total = weights.reduce((a, v) => a + v, 0);
+  return weights.reduce((sum, w, k) => sum + k * w, 0) / total;
+}
+
+/**
+ * Helper: estimate, delta-method standard error and t(df) inference for a scalar function f of the coefficients
+ * The gradient is taken by central differences with a step relative to |b_j| but at least 1e-6, so
+ * coefficients near zero (e.g. carbon-price effects of order 1e-4) are not differenced below rounding error
+ */
+function deltaTerm(fit, f) {
+  const b = fit.coefficients;
+  const coeff = f(b);
+  const gradient = b.map((bj, j) => {
+    const h = 1e-6 * Math.max(Math.abs(bj), 1);
+    const up = b.slice();
+    const down = b.slice();
+    up[j] += h;
+    down[j] -= h;
+    return (f(up) - f(down)) / (2 * h);
+  });
+  const variance = gradient.reduce((sum, gi, i) =>
+    sum + gi * gradient.reduce((s, gj, j) => s + fit.covarianceMatrix[i][j] * gj, 0), 0);
+  const se = Math.sqrt(Math.max(variance, 0));
+  const tStat = se > 0 ? coeff / se : 0;
+  const ci = {};
+  CONFIDENCE_LEVELS.forEach(level => {
+    const critical = studentTQuantile(1 - (1 - level / 100) / 2, fit.df);
+    ci[level] = [coeff - critical * se, coeff + critical * se];
+  });
+  return { coeff, se, tStat, pValue: studentTPValue(tStat, fit.df), ci };
+}
+
+/**
+ * Helper: lag weight in the { lag, coefficient, se, tStat, pValue, ci } shape of estimateLaggedModel
+ */
+function lagTerm(lag, term) {
+  const { coeff, ...rest } = term;
+  return { lag, coefficient: coeff, ...rest };
+}
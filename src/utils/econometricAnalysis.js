@@ -1,6 +1,44 @@
+import {
+  transpose,
+  matrixMultiply,
+  matrixVectorMultiply,
+  choleskyDecomposition,
+  choleskySolve,
+  invertSymmetricMatrix
+} from './linearAlgebra';
+import {
+  studentTPValue,
+  studentTQuantile,
+  fPValue,
+  chiSquarePValue,
+  normalCDF,
+  normalQuantile,
+  seededRandom,
+  sortedQuantile
+} from './statDistributions';
+
+/**
+ * Confidence levels reported for every coefficient
+ */
+export const CONFIDENCE_LEVELS = [90, 95, 99];
+
+/**
+ * Available standard-error estimators
+ * classical: s² (X'X)⁻¹
+ * HC1: White heteroskedasticity-robust with n/(n-k) small-sample correction
+ * HC3: jackknife-type heteroskedasticity-robust (residuals scaled by 1/(1-h_ii))
+ * NW: Newey-West HAC with Bartlett kernel and automatic bandwidth (Newey & West 1994)
+ */
+export const COVARIANCE_TYPES = [
+  { id: 'classical', label: 'Classical OLS' },
+  { id: 'HC1', label: 'White HC1' },
+  { id: 'HC3', label: 'HC3' },
+  { id: 'NW', label: 'Newey-West HAC' }
+];
+
 /**
  * Simple OLS Regression
- * Returns: { intercept, slope, rSquared, standardError, tStat, pValue }
+ * Returns: { intercept, slope, rSquared, standardError, tStat, pValue, slopeCI, interceptCI }
  */
 export const simpleOLS = (y, x) => {
   const n = Math.min(y.length, x.length);
@@ -44,8 +82,11 @@ export const simpleOLS = (y, x) => {
   // t-statistic
   const tStat = seSlope > 0 ? slope / seSlope : 0;
   
-  // Approximate p-value (two-tailed, using t-distribution approximation)
-  const pValue = approximatePValue(tStat, nValid - 2);
+  // Exact two-tailed p-value from the t-distribution
+  const pValue = studentTPValue(tStat, nValid - 2);
+  
+  // Standard error of intercept
+  const seIntercept = standardError * Math.sqrt(1 / nValid + (meanX * meanX) / (sumXX - nValid * meanX * meanX));
   
   return {
     intercept,
@@ -53,8 +94,11 @@ export const simpleOLS = (y, x) => {
     rSquared,
     standardError,
     seSlope,
+    seIntercept,
     tStat,
     pValue,
+    slopeCI: confidenceIntervals(slope, seSlope, nValid - 2),
+    interceptCI: confidenceIntervals(intercept, seIntercept, nValid - 2),
     n: nValid
   };
 };
@@ -63,13 +107,24 @@ export const simpleOLS = (y, x) => {
  * Multiple OLS Regression
  * y = dependent variable array
  * x = array of arrays (each inner array is an independent variable)
- * Returns: { coefficients, rSquared, standardErrors, tStats, pValues }
+ * Returns: { coefficients, rSquared, standardErrors, tStats, pValues, confidenceIntervals, covarianceMatrix, df,
+ *            residuals, fitted, designMatrix }
+ * covarianceMatrix is the full (k+1)x(k+1) matrix s² (X'X)⁻¹, intercept first
+ * designMatrix holds the rows actually used (intercept column first), aligned with residuals
+ * confidenceIntervals[i] maps each level in CONFIDENCE_LEVELS to [lower, upper]
+ * options.covarianceType selects the standard errors (see COVARIANCE_TYPES, default 'classical');
+ * options.bandwidth fixes the Newey-West lag truncation instead of selecting it automatically;
+ * options.includeIntercept = false estimates the regression through the origin;
+ * options.clusters (one cluster id per observation) replaces them with CR1 cluster-robust errors
+ * and t(G-1) inference, G = number of clusters
  */
-export const multipleOLS = (y, x) => {
+export const multipleOLS = (y, x, options = {}) => {
   const n = y.length;
   const k = x.length; // number of independent variables
+  const includeIntercept = options.includeIntercept !== false;
+  const nParams = includeIntercept ? k + 1 : k;
   
-  if (n < k + 1) return null; // Need at least k+1 observations
+  if (nParams === 0 || n < nParams) return null; // Need at least one observation per parameter
   
   // Build valid data points
   const validIndices = [];
@@ -86,66 +141,208 @@ export const multipleOLS = (y, x) => {
     }
   }
   
-  if (validIndices.length < k + 1) return null;
+  if (validIndices.length < nParams) return null;
   
   // Create matrices
   const Y = validIndices.map(i => y[i]);
   const X = validIndices.map(i => {
-    const row = [1]; // intercept term
+    const row = includeIntercept ? [1] : []; // intercept term
     for (let j = 0; j < k; j++) {
       row.push(x[j][i]);
     }
     return row;
   });
   
-  // Matrix operations (simplified - using normal equations)
-  const Xt = transpose(X);
-  const XtX = matrixMultiply(Xt, X);
-  const XtY = matrixVectorMultiply(Xt, Y);
-  
-  // Solve (XtX) * beta = XtY using Gaussian elimination (simplified)
-  const coefficients = solveLinearSystem(XtX, XtY);
+  const fit = fitOLS(Y, X, options.clusters ? { ...options, clusters: validIndices.map(i => options.clusters[i]) } : options);
+  if (!fit) return null;
   
-  if (!coefficients) return null;
+  return {
+    coefficients: fit.coefficients,
+    rSquared: fit.rSquared,
+    adjRSquared: fit.adjRSquared,
+    logLik: fit.logLik,
+    aic: fit.aic,
+    bic: fit.bic,
+    ssr: fit.ssr,
+    standardErrors: fit.standardErrors,
+    tStats: fit.tStats,
+    pValues: fit.pValues,
+    confidenceIntervals: fit.confidenceIntervals,
+    covarianceMatrix: fit.covarianceMatrix,
+    covarianceType: fit.covarianceType,
+    bandwidth: fit.bandwidth,
+    residuals: fit.residuals,
+    fitted: fit.fitted,
+    designMatrix: X,
+    df: fit.df,
+    n: fit.n
+  };
+};
+
+/**
+ * Poisson pseudo-maximum likelihood (Santos Silva & Tenreyro 2006) by iteratively reweighted least squares
+ * E[y | X] = exp(Xβ); y must be non-negative, zeros are kept
+ * Each step solves (X'WX) β = X'W z with W = diag(μ) and working response z = η + (y - μ) / μ,
+ * until the relative change in the Poisson deviance falls below options.tolerance
+ * y is divided by its mean during the iterations for numerical stability; the intercept is shifted
+ * back (without an intercept, fixed-effect coefficients absorb the normalisation)
+ * Standard errors: sandwich (X'WX)⁻¹ Σ_g s_g s_g' (X'WX)⁻¹ with scores s_g = Σ_{i∈g} x_i (y_i - μ_i),
+ * clustered on options.clusters (CR1, t(G-1) inference) or per observation (HC1, t(n-k))
+ * Returns the multipleOLS fields plus { iterations, converged, deviance, pseudoRSquared } with
+ * pseudoRSquared = corr(y, μ)², or null if the weighted normal equations are singular
+ */
+export const ppml = (y, x, options = {}) => {
+  const { maxIterations = 100, tolerance = 1e-9 } = options;
+  const n = y.length;
+  const k = x.length;
+  const includeIntercept = options.includeIntercept !== false;
   
-  // Calculate R-squared
-  const yPred = X.map(row => {
-    let sum = coefficients[0]; // intercept
-    for (let j = 0; j < k; j++) {
-      sum += coefficients[j + 1] * row[j + 1];
+  const validIndices = [];
+  for (let i = 0; i < n; i++) {
+    if (y[i] !== null && !isNaN(y[i]) && y[i] >= 0 && x.every(col => col[i] !== null && !isNaN(col[i]))) {
+      validIndices.push(i);
     }
-    return sum;
-  });
-  
-  const meanY = Y.reduce((a, b) => a + b, 0) / Y.length;
-  const ssRes = Y.reduce((sum, yi, i) => sum + Math.pow(yi - yPred[i], 2), 0);
-  const ssTot = Y.reduce((sum, yi) => sum + Math.pow(yi - meanY, 2), 0);
-  const rSquared = ssTot > 0 ? 1 - (ssRes / ssTot) : 0;
+  }
+  const nParams = includeIntercept ? k + 1 : k;
+  if (nParams === 0 || validIndices.length <= nParams) return null;
   
-  // Standard errors (simplified calculation)
-  const mse = ssRes / (validIndices.length - k - 1);
-  const standardErrors = calculateStandardErrors(XtX, mse);
+  const Y = validIndices.map(i => y[i]);
+  const X = validIndices.map(i => {
+    const row = includeIntercept ? [1] : [];
+    for (let j = 0; j < k; j++) row.push(x[j][i]);
+    return row;
+  });
+  const nObs = Y.length;
+  const yScale = Y.reduce((a, b) => a + b, 0) / nObs;
+  if (!(yScale > 0)) return null;
+  const Ys = Y.map(v => v / yScale);
+  
+  let mu = Ys.map(v => (v + 1) / 2);
+  let eta = mu.map(v => Math.log(v));
+  let beta = null;
+  let XtWX = null;
+  let deviance = Infinity;
+  let converged = false;
+  let iterations = 0;
+  while (iterations < maxIterations) {
+    const z = eta.map((e, i) => e + (Ys[i] - mu[i]) / mu[i]);
+    XtWX = weightedCrossProduct(X, mu);
+    const XtWz = new Array(nParams).fill(0);
+    X.forEach((row, i) => {
+      for (let a = 0; a < nParams; a++) XtWz[a] += row[a] * mu[i] * z[i];
+    });
+    const L = choleskyDecomposition(XtWX);
+    if (!L) return null;
+    
+    beta = choleskySolve(L, XtWz);
+    eta = X.map(row => row.reduce((sum, v, j) => sum + v * beta[j], 0));
+    mu = eta.map(e => Math.exp(Math.min(e, 700)));
+    iterations++;
+    
+    const newDeviance = 2 * Ys.reduce((sum, v, i) => sum + (v > 0 ? v * Math.log(v / mu[i]) : 0) - (v - mu[i]), 0);
+    const change = Math.abs(newDeviance - deviance) / (Math.abs(newDeviance) + 0.1);
+    deviance = newDeviance;
+    if (change < tolerance) {
+      converged = true;
+      break;
+    }
+  }
   
-  // t-statistics and p-values
-  const tStats = coefficients.map((coef, i) => 
-    standardErrors[i] > 0 ? coef / standardErrors[i] : 0
-  );
-  const pValues = tStats.map((t, i) => approximatePValue(t, validIndices.length - k - 1));
+  XtWX = weightedCrossProduct(X, mu);
+  const bread = invertSymmetricMatrix(XtWX);
+  if (!bread) return null;
+  
+  const clusters = options.clusters ? validIndices.map(i => options.clusters[i]) : validIndices;
+  const residuals = Ys.map((v, i) => v - mu[i]);
+  const { covarianceMatrix, groups } = clusterCovariance(X, residuals, bread, clusters);
+  const df = options.clusters ? groups - 1 : nObs - nParams;
+  if (df <= 0) return null;
+  
+  const coefficients = includeIntercept ? [beta[0] + Math.log(yScale), ...beta.slice(1)] : beta;
+  const standardErrors = covarianceMatrix.map((row, i) => Math.sqrt(Math.max(row[i], 0)));
+  const tStats = coefficients.map((coef, i) => (standardErrors[i] > 0 ? coef / standardErrors[i] : 0));
+  const fitted = mu.map(v => v * yScale);
+  
+  const meanY = Y.reduce((a, b) => a + b, 0) / nObs;
+  const meanFit = fitted.reduce((a, b) => a + b, 0) / nObs;
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  Y.forEach((v, i) => {
+    sxy += (v - meanY) * (fitted[i] - meanFit);
+    syy += (v - meanY) * (v - meanY);
+    sxx += (fitted[i] - meanFit) * (fitted[i] - meanFit);
+  });
   
   return {
     coefficients,
-    rSquared,
     standardErrors,
     tStats,
-    pValues,
-    n: validIndices.length
+    pValues: tStats.map(t => studentTPValue(t, df)),
+    confidenceIntervals: coefficients.map((coef, i) => confidenceIntervals(coef, standardErrors[i], df)),
+    covarianceMatrix,
+    covarianceType: options.clusters ? 'CR1' : 'HC1',
+    clusters: options.clusters ? groups : null,
+    residuals: Y.map((v, i) => v - fitted[i]),
+    fitted,
+    designMatrix: X,
+    iterations,
+    converged,
+    deviance: deviance * yScale,
+    pseudoRSquared: sxx > 0 && syy > 0 ? (sxy * sxy) / (sxx * syy) : 0,
+    df,
+    n: nObs
+  };
+};
+
+/**
+ * Unified model-result object of an OLS specification, used to compare models side by side
+ * fit: multipleOLS result (or a fitOLS result with designMatrix), intercept first
+ * options.labels: one label per coefficient; options.observations: date of each observation in the sample
+ * The F-statistic tests that all slope coefficients are zero with the fit's own covariance matrix (the usual
+ * R²-based F for classical errors, a robust Wald F otherwise)
+ * Returns { id, label, dependent, terms: [{ label, coeff, se, tStat, pValue, ci }], n, k, df, rSquared, adjRSquared,
+ *           logLik, aic, bic, ssr, fTest, covarianceType, bandwidth, y, designMatrix, observations }
+ */
+export const modelResult = (fit, options = {}) => {
+  const { id, label, labels, observations = [], dependent = 'LN(Imports)' } = options;
+  const k = fit.coefficients.length;
+  const slopes = Array.from({ length: k - 1 }, (_, i) => i + 1);
+  return {
+    id,
+    label,
+    dependent,
+    terms: labels.map((termLabel, i) => ({
+      label: termLabel,
+      coeff: fit.coefficients[i],
+      se: fit.standardErrors[i],
+      tStat: fit.tStats[i],
+      pValue: fit.pValues[i],
+      ci: fit.confidenceIntervals[i]
+    })),
+    n: fit.n,
+    k,
+    df: fit.df,
+    rSquared: fit.rSquared,
+    adjRSquared: fit.adjRSquared,
+    logLik: fit.logLik,
+    aic: fit.aic,
+    bic: fit.bic,
+    ssr: fit.ssr,
+    fTest: slopes.length > 0 ? waldFTest(fit, slopes) : null,
+    covarianceType: fit.covarianceType,
+    bandwidth: fit.bandwidth,
+    y: fit.fitted.map((f, i) => f + fit.residuals[i]),
+    designMatrix: fit.designMatrix,
+    observations
   };
 };
 
 /**
  * Estimate elasticity using log-log regression
+ * Each entry carries a modelResult (id `loglog${lag}`)
  */
-export const estimateElasticity = (mergedData, useLags = false, maxLags = 3) => {
+export const estimateElasticity = (mergedData, useLags = false, maxLags = 3, options = {}) => {
   const results = [];
   
   // Extract data
@@ -156,7 +353,7 @@ export const estimateElasticity = (mergedData, useLags = false, maxLags = 3) =>
   // Current period (no lag)
   const currentData = alignData(mergedData, ['logImport', 'logETS', 'logIndustry']);
   if (currentData.y.length > 10) {
-    const current = multipleOLS(currentData.y, [currentData.x1, currentData.x2]);
+    const current = multipleOLS(currentData.y, [currentData.x1, currentData.x2], options);
     if (current) {
       results.push({
         lag: 0,
@@ -164,10 +361,17 @@ export const estimateElasticity = (mergedData, useLags = false, maxLags = 3) =>
         se: current.standardErrors[1],
         tStat: current.tStats[1],
         pValue: current.pValues[1],
+        ci: current.confidenceIntervals[1],
         rSquared: current.rSquared,
         industryCoeff: current.coefficients[2],
         intercept: current.coefficients[0],
-        n: current.n
+        n: current.n,
+        modelResult: modelResult(current, {
+          id: 'loglog0',
+          label: 'Log-log',
+          labels: ['Intercept', 'LN(Carbon Price)', 'LN(Activity)'],
+          observations: currentData.dates
+        })
       });
     }
   }
@@ -177,7 +381,7 @@ export const estimateElasticity = (mergedData, useLags = false, maxLags = 3) =>
     for (let lag = 1; lag <= maxLags; lag++) {
       const laggedData = alignData(mergedData, ['logImport', 'logETS', 'logIndustry'], lag);
       if (laggedData.y.length > 10) {
-        const lagged = multipleOLS(laggedData.y, [laggedData.x1, laggedData.x2]);
+        const lagged = multipleOLS(laggedData.y, [laggedData.x1, laggedData.x2], options);
         if (lagged) {
           results.push({
             lag,
@@ -185,10 +389,17 @@ export const estimateElasticity = (mergedData, useLags = false, maxLags = 3) =>
             se: lagged.standardErrors[1],
             tStat: lagged.tStats[1],
             pValue: lagged.pValues[1],
+            ci: lagged.confidenceIntervals[1],
             rSquared: lagged.rSquared,
             industryCoeff: lagged.coefficients[2],
             intercept: lagged.coefficients[0],
-            n: lagged.n
+            n: lagged.n,
+            modelResult: modelResult(lagged, {
+              id: `loglog${lag}`,
+              label: `Log-log (t-${lag})`,
+              labels: ['Intercept', `LN(Carbon Price) (t-${lag})`, `LN(Activity) (t-${lag})`],
+              observations: laggedData.dates
+            })
           });
         }
       }
@@ -240,8 +451,9 @@ export const calculateSummaryStats = (data, variableName) => {
 
 /**
  * Baseline model: LN_IMPORTS = alpha + beta1*CARBON_PRICE + beta2*LN_ACTIVITY + beta3*CBAM_DUMMY + error
+ * options are passed to multipleOLS (e.g. { covarianceType: 'NW' })
  */
-export const estimateBaselineModel = (mergedData, frequency = 'monthly') => {
+export const estimateBaselineModel = (mergedData, frequency = 'monthly', options = {}) => {
   // Align data: y = logImport, x1 = etsPrice (levels), x2 = logIndustry, x3 = cbamDummy
   const aligned = alignDataWithCBAM(mergedData, false);
   
@@ -254,7 +466,7 @@ export const estimateBaselineModel = (mergedData, frequency = 'monthly') => {
     };
   }
   
-  const result = multipleOLS(aligned.y, [aligned.x1, aligned.x2, aligned.x3]);
+  const result = multipleOLS(aligned.y, [aligned.x1, aligned.x2, aligned.x3], options);
   if (!result) {
     return {
       feasible: false,
@@ -272,24 +484,44 @@ export const estimateBaselineModel = (mergedData, frequency = 'monthly') => {
     carbonPriceSE: result.standardErrors[1],
     carbonPriceTStat: result.tStats[1],
     carbonPricePValue: result.pValues[1],
+    carbonPriceCI: result.confidenceIntervals[1],
     activityCoeff: result.coefficients[2],
     activitySE: result.standardErrors[2],
     activityTStat: result.tStats[2],
     activityPValue: result.pValues[2],
+    activityCI: result.confidenceIntervals[2],
     cbamCoeff: result.coefficients[3],
     cbamSE: result.standardErrors[3],
     cbamTStat: result.tStats[3],
     cbamPValue: result.pValues[3],
+    cbamCI: result.confidenceIntervals[3],
+    interceptSE: result.standardErrors[0],
+    interceptTStat: result.tStats[0],
+    interceptPValue: result.pValues[0],
+    interceptCI: result.confidenceIntervals[0],
+    covarianceMatrix: result.covarianceMatrix,
+    covarianceType: result.covarianceType,
+    bandwidth: result.bandwidth,
+    residuals: result.residuals,
+    fitted: result.fitted,
+    designMatrix: result.designMatrix,
     rSquared: result.rSquared,
-    n: result.n
+    n: result.n,
+    modelResult: modelResult(result, {
+      id: 'baseline',
+      label: 'Baseline',
+      labels: ['Intercept', 'Carbon Price', 'LN(Activity)', 'CBAM Dummy'],
+      observations: aligned.dates
+    })
   };
 };
 
 /**
  * Lagged effects model: LN_IMPORTS = alpha + sum(beta_k * CARBON_PRICE_{t-k}) + gamma * LN_ACTIVITY + error
  * Automatically adjusts maxLags based on available data
+ * options are passed to the OLS fit (e.g. { covarianceType: 'NW' })
  */
-export const estimateLaggedModel = (mergedData, requestedMaxLags = 6, frequency = 'monthly') => {
+export const estimateLaggedModel = (mergedData, requestedMaxLags = 6, frequency = 'monthly', options = {}) => {
   // Determine feasible lag length
   const n = mergedData.filter(d => 
     d.logImport !== null && 
@@ -336,35 +568,17 @@ export const estimateLaggedModel = (mergedData, requestedMaxLags = 6, frequency
     X.push(row);
   }
   
-  const Y = aligned.y;
-  const Xt = transpose(X);
-  const XtX = matrixMultiply(Xt, X);
-  const XtY = matrixVectorMultiply(Xt, Y);
-  
-  const coefficients = solveLinearSystem(XtX, XtY);
-  if (!coefficients) return null;
-  
-  // Calculate R-squared
-  const yPred = X.map(row => {
-    let sum = coefficients[0];
-    for (let j = 1; j < coefficients.length; j++) {
-      sum += coefficients[j] * row[j];
-    }
-    return sum;
-  });
-  
-  const meanY = Y.reduce((a, b) => a + b, 0) / Y.length;
-  const ssRes = Y.reduce((sum, yi, i) => sum + Math.pow(yi - yPred[i], 2), 0);
-  const ssTot = Y.reduce((sum, yi) => sum + Math.pow(yi - meanY, 2), 0);
-  const rSquared = ssTot > 0 ? 1 - (ssRes / ssTot) : 0;
+  const fit = fitOLS(aligned.y, X, options);
+  if (!fit) {
+    return {
+      feasible: false,
+      reason: 'Regression estimation failed (design matrix is singular)',
+      n: aligned.y.length,
+      requestedMaxLags: effectiveMaxLags
+    };
+  }
   
-  // Standard errors
-  const mse = ssRes / (Y.length - coefficients.length);
-  const standardErrors = calculateStandardErrors(XtX, mse);
-  const tStats = coefficients.map((coef, i) => 
-    standardErrors[i] > 0 ? coef / standardErrors[i] : 0
-  );
-  const pValues = tStats.map((t, i) => approximatePValue(t, Y.length - coefficients.length));
+  const { coefficients, standardErrors, tStats, pValues, confidenceIntervals: cis, rSquared } = fit;
   
   // Extract lag coefficients
   const lagCoeffs = [];
@@ -374,7 +588,8 @@ export const estimateLaggedModel = (mergedData, requestedMaxLags = 6, frequency
       coefficient: coefficients[k + 1],
       se: standardErrors[k + 1],
       tStat: tStats[k + 1],
-      pValue: pValues[k + 1]
+      pValue: pValues[k + 1],
+      ci: cis[k + 1]
     });
   }
   
@@ -389,16 +604,34 @@ export const estimateLaggedModel = (mergedData, requestedMaxLags = 6, frequency
     activitySE: standardErrors[effectiveMaxLags + 2],
     activityTStat: tStats[effectiveMaxLags + 2],
     activityPValue: pValues[effectiveMaxLags + 2],
+    activityCI: cis[effectiveMaxLags + 2],
+    interceptSE: standardErrors[0],
+    interceptTStat: tStats[0],
+    interceptPValue: pValues[0],
+    interceptCI: cis[0],
+    covarianceMatrix: fit.covarianceMatrix,
+    covarianceType: fit.covarianceType,
+    bandwidth: fit.bandwidth,
+    residuals: fit.residuals,
+    fitted: fit.fitted,
+    designMatrix: X,
     rSquared,
-    n: Y.length
+    n: fit.n,
+    modelResult: modelResult({ ...fit, designMatrix: X }, {
+      id: `lagged${effectiveMaxLags}`,
+      label: `Lagged (K=${effectiveMaxLags})`,
+      labels: ['Intercept', ...lagCoeffs.map(({ lag }) => (lag === 0 ? 'Carbon Price' : `Carbon Price (t-${lag})`)), 'LN(Activity)'],
+      observations: aligned.dates
+    })
   };
 };
 
 /**
  * CBAM Interaction model: LN_IMPORTS = alpha + beta1*CARBON_PRICE + beta2*(CARBON_PRICE*CBAM_DUMMY) + beta3*LN_ACTIVITY + error
  * Only estimates if sufficient pre- and post-CBAM observations available
+ * options are passed to multipleOLS (e.g. { covarianceType: 'NW' })
  */
-export const estimateCBAMInteractionModel = (mergedData, frequency = 'monthly') => {
+export const estimateCBAMInteractionModel = (mergedData, frequency = 'monthly', options = {}) => {
   // Check CBAM feasibility
   const preCBAM = mergedData.filter(d => {
     const year = new Date(d.date).getFullYear();
@@ -432,7 +665,7 @@ export const estimateCBAMInteractionModel = (mergedData, frequency = 'monthly')
     };
   }
   
-  const result = multipleOLS(aligned.y, [aligned.x1, aligned.x2, aligned.x3]);
+  const result = multipleOLS(aligned.y, [aligned.x1, aligned.x2, aligned.x3], options);
   if (!result) {
     return {
       feasible: false,
@@ -452,18 +685,998 @@ export const estimateCBAMInteractionModel = (mergedData, frequency = 'monthly')
     carbonPriceSE: result.standardErrors[1],
     carbonPriceTStat: result.tStats[1],
     carbonPricePValue: result.pValues[1],
+    carbonPriceCI: result.confidenceIntervals[1],
     cbamInteractionCoeff: result.coefficients[2],
     cbamInteractionSE: result.standardErrors[2],
     cbamInteractionTStat: result.tStats[2],
     cbamInteractionPValue: result.pValues[2],
+    cbamInteractionCI: result.confidenceIntervals[2],
     activityCoeff: result.coefficients[3],
     activitySE: result.standardErrors[3],
     activityTStat: result.tStats[3],
     activityPValue: result.pValues[3],
+    activityCI: result.confidenceIntervals[3],
+    interceptSE: result.standardErrors[0],
+    interceptTStat: result.tStats[0],
+    interceptPValue: result.pValues[0],
+    interceptCI: result.confidenceIntervals[0],
+    covarianceMatrix: result.covarianceMatrix,
+    covarianceType: result.covarianceType,
+    bandwidth: result.bandwidth,
+    residuals: result.residuals,
+    fitted: result.fitted,
+    designMatrix: result.designMatrix,
     rSquared: result.rSquared,
     n: result.n,
     preCBAM,
-    postCBAM
+    postCBAM,
+    modelResult: modelResult(result, {
+      id: 'interaction',
+      label: 'CBAM Interaction',
+      labels: ['Intercept', 'Carbon Price', 'Carbon Price × CBAM', 'LN(Activity)'],
+      observations: aligned.dates
+    })
+  };
+};
+
+/**
+ * Resampling schemes of the bootstrap engine
+ * pairs: observations (y_i, x_i) drawn with replacement
+ * residual: fitted values plus centred, df-rescaled residuals drawn with replacement (fixed design)
+ * wild: fitted values plus residuals multiplied by Rademacher ±1 weights (heteroskedasticity-robust)
+ * block: moving blocks of consecutive observations (Künsch 1989), robust to serial correlation
+ */
+export const BOOTSTRAP_METHODS = [
+  { id: 'pairs', label: 'Pairs' },
+  { id: 'residual', label: 'Residual' },
+  { id: 'wild', label: 'Wild (Rademacher)' },
+  { id: 'block', label: 'Moving block' }
+];
+
+/**
+ * Numbers of bootstrap draws offered in the dashboard
+ */
+export const BOOTSTRAP_REPLICATIONS = [499, 999, 1999];
+
+/**
+ * Models of this module that bootstrapModel can wrap
+ */
+export const BOOTSTRAP_MODELS = [
+  { id: 'baseline', label: 'Baseline' },
+  { id: 'lagged', label: 'Lagged' },
+  { id: 'interaction', label: 'CBAM Interaction' }
+];
+
+/**
+ * Generic bootstrap of a linear estimator y ~ x (x holds one array per regressor, as in multipleOLS)
+ * options.estimator: (y, x) => { coefficients, fitted, residuals } or null (default: multipleOLS)
+ * options.method: id from BOOTSTRAP_METHODS (default 'pairs')
+ * options.replications: number of draws B (default 999)
+ * options.blockLength: block length for 'block' (default ⌈n^(1/3)⌉)
+ * options.level: confidence level of the intervals (default 95)
+ * options.seed: seed of the random number generator, so results are reproducible
+ * Per coefficient: bootstrap SE, percentile interval, BCa interval (Efron 1987; bias correction from the
+ * share of draws below the estimate, acceleration from the jackknife) and the two-sided bootstrap
+ * p-value of H0: β = 0, (1 + #{|β* - β̂| ≥ |β̂|}) / (B + 1)
+ * Draws on which the estimator fails (singular resampled design) are skipped and counted in `failed`
+ * Returns { method, replications, failed, blockLength, level, n, coefficients: [{ coeff, se, percentileCI,
+ *           bcaCI, pValue }] } or null if the original fit fails or fewer than 10 draws succeed
+ */
+export const bootstrapRegression = (y, x, options = {}) => {
+  const {
+    estimator = (yy, xx) => multipleOLS(yy, xx),
+    method = 'pairs',
+    replications = 999,
+    level = 95,
+    seed = 20240101
+  } = options;
+  const n = y.length;
+  const fit = estimator(y, x);
+  if (!fit) return null;
+
+  const k = fit.coefficients.length;
+  const blockLength = Math.min(n, options.blockLength || Math.ceil(Math.pow(n, 1 / 3)));
+  const random = seededRandom(seed);
+  const scale = Math.sqrt(n / Math.max(n - k, 1));
+  const meanResidual = fit.residuals.reduce((a, b) => a + b, 0) / n;
+  const centered = fit.residuals.map(e => (e - meanResidual) * scale);
+
+  const draws = [];
+  let failed = 0;
+  for (let b = 0; b < replications; b++) {
+    let yStar;
+    let xStar = x;
+    if (method === 'residual') {
+      yStar = fit.fitted.map(f => f + centered[Math.floor(random() * n)]);
+    } else if (method === 'wild') {
+      yStar = fit.fitted.map((f, i) => f + (random() < 0.5 ? -1 : 1) * fit.residuals[i]);
+    } else {
+      const indices = method === 'block' ? blockIndices(n, blockLength, random) : y.map(() => Math.floor(random() * n));
+      yStar = indices.map(i => y[i]);
+      xStar = x.map(col => indices.map(i => col[i]));
+    }
+    const bootFit = estimator(yStar, xStar);
+    if (!bootFit || bootFit.coefficients.some(c => !Number.isFinite(c))) {
+      failed++;
+      continue;
+    }
+    draws.push(bootFit.coefficients);
+  }
+  if (draws.length < 10) return null;
+
+  // Jackknife estimates for the BCa acceleration; observations whose removal breaks the fit are left out
+  const jackknife = [];
+  for (let i = 0; i < n; i++) {
+    const keep = (_, t) => t !== i;
+    const jackFit = estimator(y.filter(keep), x.map(col => col.filter(keep)));
+    if (jackFit) jackknife.push(jackFit.coefficients);
+  }
+
+  const alpha = (100 - level) / 200;
+  const B = draws.length;
+  const coefficients = fit.coefficients.map((coeff, j) => {
+    const values = draws.map(d => d[j]).sort((a, b) => a - b);
+    const mean = values.reduce((a, b) => a + b, 0) / B;
+    const se = Math.sqrt(values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / (B - 1));
+
+    const below = values.filter(v => v < coeff).length + 0.5 * values.filter(v => v === coeff).length;
+    const z0 = normalQuantile(Math.min(Math.max(below / B, 0.5 / B), 1 - 0.5 / B));
+    const jackValues = jackknife.map(d => d[j]);
+    const jackMean = jackValues.reduce((a, b) => a + b, 0) / Math.max(jackValues.length, 1);
+    const num = jackValues.reduce((sum, v) => sum + Math.pow(jackMean - v, 3), 0);
+    const den = jackValues.reduce((sum, v) => sum + Math.pow(jackMean - v, 2), 0);
+    const acceleration = den > 0 ? num / (6 * Math.pow(den, 1.5)) : 0;
+    const adjusted = (q) => {
+      const z = z0 + normalQuantile(q);
+      return normalCDF(z0 + z / (1 - acceleration * z));
+    };
+
+    const exceed = values.filter(v => Math.abs(v - coeff) >= Math.abs(coeff)).length;
+    return {
+      coeff,
+      se,
+      percentileCI: [sortedQuantile(values, alpha), sortedQuantile(values, 1 - alpha)],
+      bcaCI: [sortedQuantile(values, adjusted(alpha)), sortedQuantile(values, adjusted(1 - alpha))],
+      pValue: (1 + exceed) / (B + 1)
+    };
+  });
+
+  return { method, replications: B, failed, blockLength, level, n, coefficients };
+};
+
+/**
+ * Bootstrap inference for the baseline, lagged or CBAM interaction model
+ * modelId: id from BOOTSTRAP_MODELS; options.maxLags: lag length of the lagged model (default 6)
+ * options.covarianceType / clusters are used for the analytic standard errors reported alongside;
+ * the other options are passed to bootstrapRegression
+ * Returns { feasible, model, labels, analyticSE, covarianceType, ...bootstrapRegression result }
+ */
+export const bootstrapModel = (mergedData, modelId = 'baseline', options = {}) => {
+  const { maxLags = 6, covarianceType, ...bootstrapOptions } = options;
+  let y;
+  let x;
+  let labels;
+  if (modelId === 'lagged') {
+    const aligned = alignDataWithLags(mergedData, maxLags);
+    y = aligned.y;
+    x = [...aligned.carbonPrices, aligned.activity];
+    labels = ['Intercept', ...aligned.carbonPrices.map((_, k) => (k === 0 ? 'Carbon Price' : `Carbon Price (t-${k})`)), 'LN(Activity)'];
+  } else {
+    const aligned = alignDataWithCBAM(mergedData, modelId === 'interaction');
+    y = aligned.y;
+    x = [aligned.x1, aligned.x2, aligned.x3];
+    labels = modelId === 'interaction'
+      ? ['Intercept', 'Carbon Price', 'Carbon Price × CBAM', 'LN(Activity)']
+      : ['Intercept', 'Carbon Price', 'LN(Activity)', 'CBAM Dummy'];
+  }
+  const model = (BOOTSTRAP_MODELS.find(m => m.id === modelId) || BOOTSTRAP_MODELS[0]).label;
+
+  if (y.length < x.length + 10) {
+    return { feasible: false, model, reason: `Insufficient observations (N=${y.length})` };
+  }
+  const analytic = multipleOLS(y, x, { covarianceType });
+  const result = analytic ? bootstrapRegression(y, x, bootstrapOptions) : null;
+  if (!result) {
+    return { feasible: false, model, reason: 'Regression estimation failed' };
+  }
+
+  return {
+    feasible: true,
+    model,
+    labels,
+    analyticSE: analytic.standardErrors,
+    covarianceType: analytic.covarianceType,
+    ...result
+  };
+};
+
+/**
+ * Quantiles τ at which the quantile-regression model is estimated
+ */
+export const QUANTILES = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9];
+
+/**
+ * Resampling schemes valid for quantile regression: residual and Rademacher wild draws assume a symmetric,
+ * median-zero error and are not consistent at other quantiles
+ */
+export const QUANTILE_BOOTSTRAP_METHODS = BOOTSTRAP_METHODS.filter(m => m.id === 'pairs' || m.id === 'block');
+
+/**
+ * Linear quantile regression (Koenker & Bassett 1978): min_b Σ ρ_τ(y_i - x_i'b), ρ_τ(u) = u(τ - 1{u < 0})
+ * Solved as a linear program by the Frisch-Newton primal-dual interior-point method of Portnoy & Koenker
+ * (1997) with Mehrotra predictor-corrector steps, on the dual max y'a s.t. X'a = (1 - τ)X'1, 0 ≤ a ≤ 1
+ * x holds one array per regressor as in multipleOLS; options.includeIntercept (default true),
+ * options.tolerance: duality gap at which the iterations stop (default 1e-8), options.maxIterations (default 50)
+ * pseudoRSquared: Koenker & Machado (1999) R¹ = 1 - V(τ) / Ṽ(τ) against the intercept-only fit
+ * Returns { coefficients, fitted, residuals, objective, pseudoRSquared, iterations, converged, tau, n },
+ * or null if the design is singular or has no degrees of freedom
+ */
+export const quantileRegression = (y, x, tau = 0.5, options = {}) => {
+  const { tolerance = 1e-8, maxIterations = 50 } = options;
+  const includeIntercept = options.includeIntercept !== false;
+  const n = y.length;
+  // Columns are scaled to unit root mean square so that the weighted normal equations stay well conditioned
+  // as the interior-point weights spread over many orders of magnitude
+  const columns = includeIntercept ? [y.map(() => 1), ...x] : x;
+  const k = columns.length;
+  if (k === 0 || n <= k || !(tau > 0 && tau < 1)) return null;
+  const scales = columns.map(col => Math.sqrt(col.reduce((sum, v) => sum + v * v, 0) / n) || 1);
+  const X = y.map((_, i) => columns.map((col, j) => col[i] / scales[j]));
+
+  const crossProduct = (weights) => weightedCrossProduct(X, weights);
+  const solve = (weights, rhs) => {
+    const L = choleskyDecomposition(crossProduct(weights));
+    if (!L) return null;
+    const v = new Array(k).fill(0);
+    X.forEach((row, i) => row.forEach((xij, j) => { v[j] += xij * rhs[i]; }));
+    return choleskySolve(L, v);
+  };
+  const predict = (b) => X.map(row => row.reduce((sum, v, j) => sum + v * b[j], 0));
+
+  // Primal x (dual weights a) starts at the interior point 1 - τ; the dual variable d starts at -OLS
+  const beta = 0.99995;
+  let a = new Array(n).fill(1 - tau);
+  let s = new Array(n).fill(tau);
+  const ols = solve(new Array(n).fill(1), y);
+  if (!ols) return null;
+  let d = ols.map(v => -v);
+  const constraint = new Array(k).fill(0);
+  X.forEach(row => row.forEach((xij, j) => { constraint[j] += xij * (1 - tau); }));
+
+  let r = predict(d).map((v, i) => -y[i] - v);
+  r = r.map(v => (v === 0 ? 0.001 : v));
+  let z = r.map(v => Math.max(v, 0));
+  let w = r.map(v => Math.max(-v, 0));
+  const gap = () => y.reduce((sum, yi, i) => sum - yi * a[i] + w[i], 0) - d.reduce((sum, dj, j) => sum + dj * constraint[j], 0);
+
+  let iterations = 0;
+  while (gap() > tolerance && iterations < maxIterations) {
+    iterations++;
+    // Predictor (affine-scaling) step
+    const q = a.map((ai, i) => 1 / (z[i] / ai + w[i] / s[i]));
+    const residual = z.map((zi, i) => zi - w[i]);
+    let rhs = q.map((qi, i) => qi * residual[i]);
+    let dd = solve(q, rhs);
+    if (!dd) return null;
+    let Xdd = predict(dd);
+    let da = q.map((qi, i) => qi * (Xdd[i] - residual[i]));
+    let ds = da.map(v => -v);
+    let dz = z.map((zi, i) => -zi * (da[i] / a[i] + 1));
+    let dw = w.map((wi, i) => -wi * (ds[i] / s[i] + 1));
+    let fp = Math.min(beta * Math.min(stepBound(a, da), stepBound(s, ds)), 1);
+    let fd = Math.min(beta * Math.min(stepBound(w, dw), stepBound(z, dz)), 1);
+
+    if (Math.min(fp, fd) < 1) {
+      // Corrector step towards the central path with centring parameter (g / μ)³
+      const mu = a.reduce((sum, ai, i) => sum + z[i] * ai + w[i] * s[i], 0);
+      const g = a.reduce((sum, ai, i) =>
+        sum + (z[i] + fd * dz[i]) * (ai + fp * da[i]) + (w[i] + fd * dw[i]) * (s[i] + fp * ds[i]), 0);
+      const centre = (mu * Math.pow(g / mu, 3)) / (2 * n);
+      const dadz = da.map((v, i) => v * dz[i]);
+      const dsdw = ds.map((v, i) => v * dw[i]);
+      const xi = a.map((ai, i) => centre * (1 / ai - 1 / s[i]));
+      rhs = rhs.map((v, i) => v + q[i] * (dadz[i] - dsdw[i] - xi[i]));
+      dd = solve(q, rhs);
+      if (!dd) return null;
+      Xdd = predict(dd);
+      da = q.map((qi, i) => qi * (Xdd[i] + xi[i] - residual[i] - dadz[i] + dsdw[i]));
+      ds = da.map(v => -v);
+      dz = z.map((zi, i) => centre / a[i] - zi - (zi * da[i]) / a[i] - dadz[i]);
+      dw = w.map((wi, i) => centre / s[i] - wi - (wi * ds[i]) / s[i] - dsdw[i]);
+      fp = Math.min(beta * Math.min(stepBound(a, da), stepBound(s, ds)), 1);
+      fd = Math.min(beta * Math.min(stepBound(w, dw), stepBound(z, dz)), 1);
+    }
+
+    a = a.map((v, i) => v + fp * da[i]);
+    s = s.map((v, i) => v + fp * ds[i]);
+    d = d.map((v, j) => v + fd * dd[j]);
+    w = w.map((v, i) => v + fd * dw[i]);
+    z = z.map((v, i) => v + fd * dz[i]);
+  }
+
+  const fitted = predict(d).map(v => -v);
+  const coefficients = d.map((v, j) => -v / scales[j]);
+  const residuals = y.map((v, i) => v - fitted[i]);
+  const check = (u) => u * (tau - (u < 0 ? 1 : 0));
+  const objective = residuals.reduce((sum, u) => sum + check(u), 0);
+  const sortedY = [...y].sort((u, v) => u - v);
+  const unconditional = sortedY[Math.min(n - 1, Math.max(0, Math.ceil(tau * n) - 1))];
+  const baseline = y.reduce((sum, v) => sum + check(v - unconditional), 0);
+
+  return {
+    coefficients,
+    fitted,
+    residuals,
+    objective,
+    pseudoRSquared: includeIntercept && baseline > 0 ? 1 - objective / baseline : null,
+    iterations,
+    converged: gap() <= tolerance,
+    tau,
+    n
+  };
+};
+
+/**
+ * Quantile regressions of the baseline specification
+ *   Q_τ(LN_IMPORTS | x) = α(τ) + β1(τ)*CARBON_PRICE + β2(τ)*LN_ACTIVITY + β3(τ)*CBAM_DUMMY
+ * with bootstrap standard errors, percentile intervals and p-values at every τ
+ * options.quantiles: τ grid (default QUANTILES); options.method: 'pairs' or 'block' (default 'pairs');
+ * options.covarianceType: analytic SEs of the OLS benchmark; other options are passed to bootstrapRegression
+ * Every τ uses the same seed, so the curves are not shifted by different random draws
+ * Returns { feasible, model, labels, n, level, method, replications, blockLength,
+ *           quantiles: [{ tau, coefficients: [{ coeff, se, percentileCI, bcaCI, pValue }], pseudoRSquared,
+ *           failed, converged }], ols: [{ coeff, se, ci }], covarianceType }
+ */
+export const estimateQuantileModel = (mergedData, options = {}) => {
+  const { quantiles = QUANTILES, method = 'pairs', covarianceType, ...bootstrapOptions } = options;
+  const aligned = alignDataWithCBAM(mergedData, false);
+  const labels = ['Intercept', 'Carbon Price', 'LN(Activity)', 'CBAM Dummy'];
+  const x = [aligned.x1, aligned.x2, aligned.x3];
+  if (aligned.y.length < 30) {
+    return {
+      feasible: false,
+      reason: `Insufficient observations (N=${aligned.y.length} < 30 required for quantile regression)`,
+      n: aligned.y.length
+    };
+  }
+
+  const ols = multipleOLS(aligned.y, x, { covarianceType });
+  if (!ols) {
+    return { feasible: false, reason: 'Regression estimation failed', n: aligned.y.length };
+  }
+
+  const level = bootstrapOptions.level || 95;
+  const fits = [];
+  for (const tau of quantiles) {
+    const fit = quantileRegression(aligned.y, x, tau);
+    const boot = fit
+      ? bootstrapRegression(aligned.y, x, { ...bootstrapOptions, method, estimator: (yy, xx) => quantileRegression(yy, xx, tau) })
+      : null;
+    if (!boot) {
+      return { feasible: false, reason: `Quantile regression failed at τ = ${tau}`, n: aligned.y.length };
+    }
+    fits.push({
+      tau,
+      coefficients: boot.coefficients,
+      pseudoRSquared: fit.pseudoRSquared,
+      failed: boot.failed,
+      converged: fit.converged,
+      replications: boot.replications,
+      blockLength: boot.blockLength
+    });
+  }
+
+  return {
+    feasible: true,
+    model: 'Quantile Regression',
+    labels,
+    n: aligned.y.length,
+    level,
+    method,
+    replications: Math.min(...fits.map(f => f.replications)),
+    blockLength: fits[0].blockLength,
+    quantiles: fits,
+    ols: ols.coefficients.map((coeff, i) => ({ coeff, se: ols.standardErrors[i], ci: ols.confidenceIntervals[i] })),
+    covarianceType: ols.covarianceType
+  };
+};
+
+/**
+ * Excluded instruments available for the carbon price in the IV model
+ * Lags are counted in observations of the estimation data (months or years); the MSR entries are
+ * step dummies switching on after announcements that moved the allowance supply outlook
+ */
+export const IV_INSTRUMENTS = [
+  { id: 'etsLag1', label: 'Carbon price (t-1)', lag: 1 },
+  { id: 'etsLag3', label: 'Carbon price (t-3)', lag: 3 },
+  { id: 'etsLag12', label: 'Carbon price (t-12)', lag: 12 },
+  { id: 'msrProposal', label: 'MSR reform proposal (Fit for 55, Jul 2021)', date: '2021-07-14' },
+  { id: 'msrRePowerEU', label: 'REPowerEU MSR allowance sales (May 2022)', date: '2022-05-18' }
+];
+
+export const IV_ESTIMATORS = [
+  { id: '2SLS', label: '2SLS' },
+  { id: 'GMM', label: 'Two-step efficient GMM' }
+];
+
+/**
+ * Linear instrumental-variables regression y = Xβ + u with X = [1, endogenous, exogenous] and
+ * instruments Z = [1, exogenous, excluded] (each argument is an array of columns)
+ * options.estimator: '2SLS' β = (X̂'X̂)⁻¹ X̂'y with X̂ = Z(Z'Z)⁻¹Z'X, errors from options.covarianceType
+ *   applied to X̂ (see COVARIANCE_TYPES); 'GMM' two-step efficient GMM with weight matrix S⁻¹,
+ *   S = Σ z_i z_i' û_i² from the 2SLS residuals (Newey-West HAC when covarianceType = 'NW')
+ * Diagnostics:
+ *   firstStage: per endogenous regressor, F-test of the excluded instruments (selected covariance
+ *     estimator) and partial R²; F < 10 flags weak instruments (Staiger & Stock 1997)
+ *   sargan: n R² of the 2SLS residuals on Z, χ²(L - K); hansen: J = û'Z S⁻¹ Z'û, χ²(L - K)
+ *     (both null when exactly identified)
+ *   hausman: Durbin-Wu-Hausman control-function test, F-test of the first-stage residuals added to
+ *     the OLS regression (H0: the endogenous regressors are exogenous)
+ * Returns null if the sample is too short or a moment matrix is singular
+ */
+export const instrumentalVariablesRegression = (y, endogenous, exogenous, excluded, options = {}) => {
+  const { estimator = '2SLS', covarianceType = 'classical', bandwidth } = options;
+  const columns = [...endogenous, ...exogenous, ...excluded];
+  const validIndices = [];
+  for (let i = 0; i < y.length; i++) {
+    if (y[i] !== null && !isNaN(y[i]) && columns.every(col => col[i] !== null && !isNaN(col[i]))) {
+      validIndices.push(i);
+    }
+  }
+  const pick = (col) => validIndices.map(i => col[i]);
+  const Y = pick(y);
+  const endo = endogenous.map(pick);
+  const exo = exogenous.map(pick);
+  const inst = excluded.map(pick);
+  const n = Y.length;
+  const X = validIndices.map((_, t) => [1, ...endo.map(c => c[t]), ...exo.map(c => c[t])]);
+  const Z = validIndices.map((_, t) => [1, ...exo.map(c => c[t]), ...inst.map(c => c[t])]);
+  const K = X[0].length;
+  const L = Z[0].length;
+  if (L < K || n <= L) return null;
+  
+  // First stage: X̂ = Z (Z'Z)⁻¹ Z'X
+  const Zt = transpose(Z);
+  const ZtZInv = invertSymmetricMatrix(matrixMultiply(Zt, Z));
+  if (!ZtZInv) return null;
+  const Pi = matrixMultiply(ZtZInv, matrixMultiply(Zt, X));
+  const Xhat = matrixMultiply(Z, Pi);
+  
+  // 2SLS
+  const XhatT = transpose(Xhat);
+  const bread = invertSymmetricMatrix(matrixMultiply(XhatT, Xhat));
+  if (!bread) return null;
+  const beta2SLS = matrixVectorMultiply(bread, matrixVectorMultiply(XhatT, Y));
+  const residualsOf = (b) => Y.map((v, t) => v - X[t].reduce((sum, x, j) => sum + x * b[j], 0));
+  const u2SLS = residualsOf(beta2SLS);
+  
+  let coefficients = beta2SLS;
+  let residuals = u2SLS;
+  let covarianceMatrix;
+  let usedBandwidth = null;
+  let hansen = null;
+  const df = n - K;
+  const identity = (size) => Array.from({ length: size }, (_, i) => Array.from({ length: size }, (__, j) => (i === j ? 1 : 0)));
+  
+  if (estimator === 'GMM') {
+    const S = robustCovariance(Z, u2SLS, identity(L), covarianceType === 'NW' ? 'NW' : 'HC0', bandwidth);
+    const W = invertSymmetricMatrix(S.covarianceMatrix);
+    if (!W) return null;
+    const XtZ = matrixMultiply(transpose(X), Z);
+    const information = invertSymmetricMatrix(matrixMultiply(matrixMultiply(XtZ, W), transpose(XtZ)));
+    if (!information) return null;
+    coefficients = matrixVectorMultiply(information, matrixVectorMultiply(matrixMultiply(XtZ, W), matrixVectorMultiply(Zt, Y)));
+    residuals = residualsOf(coefficients);
+    covarianceMatrix = information;
+    usedBandwidth = S.bandwidth;
+    if (L > K) {
+      const statistic = quadraticForm(W, matrixVectorMultiply(Zt, residuals));
+      hansen = { statistic, df: L - K, pValue: chiSquarePValue(statistic, L - K) };
+    }
+  } else if (covarianceType === 'classical') {
+    const sigma2 = u2SLS.reduce((sum, e) => sum + e * e, 0) / df;
+    covarianceMatrix = bread.map(row => row.map(v => sigma2 * v));
+  } else {
+    const robust = robustCovariance(Xhat, u2SLS, bread, covarianceType, bandwidth);
+    covarianceMatrix = robust.covarianceMatrix;
+    usedBandwidth = robust.bandwidth;
+  }
+  const standardErrors = covarianceMatrix.map((row, i) => Math.sqrt(Math.max(row[i], 0)));
+  const tStats = coefficients.map((coef, i) => (standardErrors[i] > 0 ? coef / standardErrors[i] : 0));
+  
+  // Sargan: n R² of the 2SLS residuals on all instruments
+  let sargan = null;
+  if (L > K) {
+    const auxiliary = multipleOLS(u2SLS, [...exo, ...inst]);
+    if (auxiliary) {
+      const statistic = n * auxiliary.rSquared;
+      sargan = { statistic, df: L - K, pValue: chiSquarePValue(statistic, L - K) };
+    }
+  }
+  
+  // First-stage strength of the excluded instruments
+  const olsOptions = { covarianceType, bandwidth };
+  const excludedIndices = inst.map((_, j) => 1 + exo.length + j);
+  const firstStage = endo.map(column => {
+    const fit = multipleOLS(column, [...exo, ...inst], olsOptions);
+    const restricted = multipleOLS(column, exo);
+    if (!fit) return null;
+    const ssr = (residualsList) => residualsList.reduce((sum, e) => sum + e * e, 0);
+    const test = waldFTest(fit, excludedIndices);
+    return {
+      ...test,
+      partialRSquared: restricted ? 1 - ssr(fit.residuals) / ssr(restricted.residuals) : null,
+      weak: test ? test.fStat < 10 : null,
+      residuals: fit.residuals
+    };
+  });
+  
+  // Durbin-Wu-Hausman (control function)
+  let hausman = null;
+  if (firstStage.every(stage => stage)) {
+    const augmented = multipleOLS(Y, [...endo, ...exo, ...firstStage.map(stage => stage.residuals)], olsOptions);
+    if (augmented) {
+      hausman = waldFTest(augmented, firstStage.map((_, j) => 1 + endo.length + exo.length + j));
+    }
+  }
+  
+  return {
+    estimator,
+    coefficients,
+    standardErrors,
+    tStats,
+    pValues: tStats.map(t => studentTPValue(t, df)),
+    confidenceIntervals: coefficients.map((coef, i) => confidenceIntervals(coef, standardErrors[i], df)),
+    covarianceMatrix,
+    covarianceType: estimator === 'GMM' ? (covarianceType === 'NW' ? 'NW' : 'HC0') : covarianceType,
+    bandwidth: usedBandwidth,
+    residuals,
+    firstStage: firstStage.map(stage => (stage ? { ...stage, residuals: undefined } : null)),
+    sargan,
+    hansen,
+    hausman,
+    ols: multipleOLS(Y, [...endo, ...exo], olsOptions),
+    overidentifying: L - K,
+    df,
+    n
+  };
+};
+
+/**
+ * Baseline model with the carbon price instrumented:
+ *   LN_IMPORTS = α + β₁ CARBON_PRICE + β₂ LN_ACTIVITY + β₃ CBAM_DUMMY + u,
+ * excluded instruments chosen from IV_INSTRUMENTS by options.instruments (ids)
+ * options.estimator ('2SLS' | 'GMM') and options.covarianceType as in instrumentalVariablesRegression
+ * Observations whose lagged instruments fall before the sample start are dropped, so the
+ * OLS comparison (ols) is re-estimated on the IV sample
+ */
+export const estimateIVModel = (mergedData, options = {}) => {
+  const { instruments = ['etsLag12'], estimator = '2SLS' } = options;
+  const selected = IV_INSTRUMENTS.filter(instrument => instruments.includes(instrument.id));
+  if (selected.length === 0) {
+    return { feasible: false, reason: 'Select at least one excluded instrument' };
+  }
+  
+  const valid = (d) => d && d.logImport !== null && !isNaN(d.logImport) &&
+    d.etsPrice !== null && !isNaN(d.etsPrice) && d.etsPrice > 0 &&
+    d.logIndustry !== null && !isNaN(d.logIndustry);
+  const rows = mergedData.map((d, i) => ({ d, i })).filter(({ d }) => valid(d));
+  const instrumentColumns = selected.map(instrument => rows.map(({ d, i }) => {
+    if (instrument.lag) {
+      const lagged = mergedData[i - instrument.lag];
+      return lagged && lagged.etsPrice !== null && lagged.etsPrice > 0 ? lagged.etsPrice : null;
+    }
+    return new Date(d.date) >= new Date(instrument.date) ? 1 : 0;
+  }));
+  
+  const usable = rows.filter((_, t) => instrumentColumns.every(col => col[t] !== null)).length;
+  if (usable < 20) {
+    return { feasible: false, reason: `Insufficient observations with instruments (N=${usable} < 20 required)` };
+  }
+  
+  const fit = instrumentalVariablesRegression(
+    rows.map(({ d }) => d.logImport),
+    [rows.map(({ d }) => d.etsPrice)],
+    [rows.map(({ d }) => d.logIndustry), rows.map(({ d }) => (d.cbamDummy !== undefined ? d.cbamDummy : 0))],
+    instrumentColumns,
+    { estimator, covarianceType: options.covarianceType, bandwidth: options.bandwidth }
+  );
+  if (!fit) {
+    return { feasible: false, reason: 'IV estimation failed (instruments collinear with the exogenous regressors?)' };
+  }
+  
+  const labels = ['Intercept (α)', 'Carbon Price (β₁)', 'LN(Activity) (β₂)', 'CBAM Dummy (β₃)'];
+  return {
+    feasible: true,
+    model: estimator,
+    instruments: selected.map(instrument => instrument.label),
+    terms: labels.map((label, i) => ({
+      label,
+      coeff: fit.coefficients[i],
+      se: fit.standardErrors[i],
+      tStat: fit.tStats[i],
+      pValue: fit.pValues[i],
+      ci: fit.confidenceIntervals[i]
+    })),
+    firstStage: fit.firstStage[0],
+    sargan: fit.sargan,
+    hansen: fit.hansen,
+    hausman: fit.hausman,
+    olsCarbonPriceCoeff: fit.ols ? fit.ols.coefficients[1] : null,
+    overidentifying: fit.overidentifying,
+    covarianceType: fit.covarianceType,
+    bandwidth: fit.bandwidth,
+    n: fit.n
+  };
+};
+
+/**
+ * Variables of the VAR system in Cholesky order: the carbon price is treated as the most
+ * exogenous series, imports respond contemporaneously to both other shocks
+ */
+export const VAR_VARIABLES = [
+  { key: 'logETS', label: 'LN(Carbon Price)' },
+  { key: 'logIndustry', label: 'LN(Activity)' },
+  { key: 'logImport', label: 'LN(Imports)' }
+];
+
+/**
+ * VAR lag-order selection on a common sample (the first maxLag observations are dropped)
+ * series = array of variable columns
+ * AIC = ln|Σ| + 2K/T, BIC = ln|Σ| + K ln(T)/T, HQ = ln|Σ| + 2K ln(ln T)/T with K = m(1 + mp)
+ * Returns { AIC, BIC, HQ, table } where the first three are the selected lag orders
+ */
+export const selectVARLagOrder = (series, maxLag) => {
+  const m = series.length;
+  const T0 = series[0].length;
+  const T = T0 - maxLag;
+  const table = [];
+
+  for (let p = 1; p <= maxLag; p++) {
+    if (T - (1 + m * p) < 5) break;
+    const trimmed = series.map(col => col.slice(maxLag - p));
+    const fit = fitVAR(trimmed, p);
+    if (!fit) continue;
+
+    const sigmaML = fit.sigma.map(row => row.map(v => (v * fit.df) / fit.T));
+    const L = choleskyDecomposition(sigmaML);
+    if (!L) continue;
+    const logDet = 2 * L.reduce((sum, row, i) => sum + Math.log(row[i]), 0);
+    const K = m * (1 + m * p);
+    table.push({
+      lag: p,
+      AIC: logDet + (2 * K) / T,
+      BIC: logDet + (K * Math.log(T)) / T,
+      HQ: logDet + (2 * K * Math.log(Math.log(T))) / T
+    });
+  }
+
+  const best = (criterion) => (table.length > 0
+    ? table.reduce((a, b) => (b[criterion] < a[criterion] ? b : a)).lag
+    : null);
+
+  return { AIC: best('AIC'), BIC: best('BIC'), HQ: best('HQ'), table };
+};
+
+/**
+ * Equation-by-equation OLS estimate of a VAR(p) with intercept
+ * series = array of m variable columns of length T0; uses observations p..T0-1
+ * Returns { lags, m, T, df, intercepts, A, residuals, sigma, rSquared } where A[j][i][l] is the
+ * effect of variable l at lag j+1 on variable i, residuals is m × T and sigma the residual
+ * covariance with T - (1 + mp) degrees of freedom; null if an equation cannot be estimated
+ */
+export const fitVAR = (series, lags) => {
+  const m = series.length;
+  const T0 = series[0].length;
+
+  const regressors = [];
+  for (let j = 1; j <= lags; j++) {
+    series.forEach(col => regressors.push(col.slice(lags - j, T0 - j)));
+  }
+
+  const equations = series.map(col => multipleOLS(col.slice(lags), regressors));
+  if (equations.some(eq => !eq)) return null;
+
+  const T = T0 - lags;
+  const df = T - (1 + m * lags);
+  if (df <= 0) return null;
+
+  const A = [];
+  for (let j = 0; j < lags; j++) {
+    A.push(equations.map(eq => series.map((_, l) => eq.coefficients[1 + j * m + l])));
+  }
+
+  const residuals = equations.map(eq => eq.residuals);
+  const sigma = residuals.map(ei => residuals.map(ej =>
+    ei.reduce((sum, v, t) => sum + v * ej[t], 0) / df
+  ));
+
+  return {
+    lags,
+    m,
+    T,
+    df,
+    intercepts: equations.map(eq => eq.coefficients[0]),
+    A,
+    residuals,
+    sigma,
+    rSquared: equations.map(eq => eq.rSquared)
+  };
+};
+
+/**
+ * Granger-causality F-tests for every ordered pair of variables in a VAR(p)
+ * H₀: the lags of `cause` do not enter the equation of `effect`
+ * F = ((SSR_r - SSR_u) / p) / (SSR_u / (T - 1 - mp)) ~ F(p, T - 1 - mp)
+ */
+export const grangerCausalityTests = (series, lags, labels = []) => {
+  const m = series.length;
+  const T0 = series[0].length;
+  const results = [];
+
+  const lagged = series.map(col => {
+    const cols = [];
+    for (let j = 1; j <= lags; j++) cols.push(col.slice(lags - j, T0 - j));
+    return cols;
+  });
+  const ssr = (fit) => fit.residuals.reduce((sum, e) => sum + e * e, 0);
+
+  for (let effect = 0; effect < m; effect++) {
+    const y = series[effect].slice(lags);
+    const unrestricted = multipleOLS(y, lagged.flat());
+    if (!unrestricted) continue;
+
+    for (let cause = 0; cause < m; cause++) {
+      if (cause === effect) continue;
+      const restricted = multipleOLS(y, lagged.filter((_, l) => l !== cause).flat());
+      if (!restricted) continue;
+
+      const df2 = unrestricted.df;
+      const fStat = ((ssr(restricted) - ssr(unrestricted)) / lags) / (ssr(unrestricted) / df2);
+      results.push({
+        cause: labels[cause] || `y${cause + 1}`,
+        effect: labels[effect] || `y${effect + 1}`,
+        fStat,
+        df1: lags,
+        df2,
+        pValue: fPValue(fStat, lags, df2)
+      });
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Orthogonalized impulse responses Θ_h = Φ_h P for h = 0..horizon, with P the lower Cholesky
+ * factor of Σ and Φ_h = Σ_j Φ_{h-j} A_j the moving-average coefficients
+ * Returns an array indexed [h][response][shock]; null if Σ is not positive definite
+ */
+export const varImpulseResponses = (fit, horizon) => {
+  const P = choleskyDecomposition(fit.sigma);
+  if (!P) return null;
+
+  const m = fit.m;
+  const phi = [Array.from({ length: m }, (_, i) => Array.from({ length: m }, (_, j) => (i === j ? 1 : 0)))];
+  for (let h = 1; h <= horizon; h++) {
+    let next = Array.from({ length: m }, () => new Array(m).fill(0));
+    for (let j = 1; j <= Math.min(h, fit.lags); j++) {
+      const term = matrixMultiply(phi[h - j], fit.A[j - 1]);
+      next = next.map((row, r) => row.map((v, c) => v + term[r][c]));
+    }
+    phi.push(next);
+  }
+
+  return phi.map(p => matrixMultiply(p, P));
+};
+
+/**
+ * Forecast-error variance decomposition from orthogonalized impulse responses
+ * Returns an array indexed [h-1][variable][shock] of shares at horizons h = 1..theta.length
+ */
+export const varianceDecomposition = (theta) => {
+  const m = theta[0].length;
+  const cumulative = Array.from({ length: m }, () => new Array(m).fill(0));
+
+  return theta.map(step => {
+    for (let i = 0; i < m; i++) {
+      for (let j = 0; j < m; j++) {
+        cumulative[i][j] += step[i][j] * step[i][j];
+      }
+    }
+    return cumulative.map(row => {
+      const total = row.reduce((a, b) => a + b, 0);
+      return row.map(v => (total > 0 ? v / total : 0));
+    });
+  });
+};
+
+/**
+ * VAR(p) over LN(Carbon Price), LN(Activity) and LN(Imports) (see VAR_VARIABLES)
+ * options.transform: 'differences' (default, for I(1) series) or 'levels'
+ * options.lags fixes p, otherwise it is chosen by options.criterion ('AIC' | 'BIC' | 'HQ')
+ * up to options.maxLag; options.horizon sets the IRF/FEVD horizon; impulse-response bands are
+ * percentile intervals at options.bandLevel % from options.replications residual-bootstrap draws
+ * In differences the responses are also accumulated to give the effect on the log level
+ */
+export const estimateVAR = (mergedData, options = {}) => {
+  const {
+    transform = 'differences',
+    criterion = 'AIC',
+    maxLag = 6,
+    horizon = 24,
+    replications = 200,
+    bandLevel = 90,
+    seed = 12345
+  } = options;
+
+  const rows = mergedData.filter(d =>
+    VAR_VARIABLES.every(({ key }) => d[key] !== null && d[key] !== undefined && !isNaN(d[key]))
+  );
+  let series = VAR_VARIABLES.map(({ key }) => rows.map(d => d[key]));
+  if (transform === 'differences') {
+    series = series.map(col => col.slice(1).map((v, t) => v - col[t]));
+  }
+
+  const labels = VAR_VARIABLES.map(v => v.label);
+  const T0 = series[0].length;
+  if (T0 < 30) {
+    return { feasible: false, reason: `Insufficient observations for a VAR (N=${T0} < 30 required)`, n: T0 };
+  }
+
+  const feasibleMaxLag = Math.max(1, Math.min(maxLag, Math.floor((T0 - 10) / (2 * VAR_VARIABLES.length))));
+  const lagSelection = selectVARLagOrder(series, feasibleMaxLag);
+  const lags = options.lags || lagSelection[criterion] || 1;
+
+  const fit = fitVAR(series, lags);
+  const theta = fit ? varImpulseResponses(fit, horizon) : null;
+  if (!fit || !theta) {
+    return { feasible: false, reason: 'VAR estimation failed (singular design or residual covariance)', n: T0 };
+  }
+
+  const cumulative = transform === 'differences';
+  const accumulate = (values) => {
+    let total = 0;
+    return values.map(v => (total += v));
+  };
+  const bands = bootstrapImpulseBands(fit, series, horizon, replications, bandLevel, seed, cumulative);
+
+  const impulseResponses = [];
+  for (let shock = 0; shock < fit.m; shock++) {
+    for (let response = 0; response < fit.m; response++) {
+      const values = theta.map(step => step[response][shock]);
+      impulseResponses.push({
+        impulse: labels[shock],
+        response: labels[response],
+        values,
+        cumulative: cumulative ? accumulate(values) : null,
+        lower: bands ? bands.lower.map(step => step[response][shock]) : null,
+        upper: bands ? bands.upper.map(step => step[response][shock]) : null
+      });
+    }
+  }
+
+  const fevd = varianceDecomposition(theta.slice(0, horizon));
+  const decomposition = labels.map((variable, i) => ({
+    variable,
+    shares: fevd.map((step, h) => ({
+      horizon: h + 1,
+      ...Object.fromEntries(labels.map((shock, j) => [shock, step[i][j]]))
+    }))
+  }));
+
+  return {
+    feasible: true,
+    model: 'VAR',
+    variables: labels,
+    transform,
+    lags,
+    criterion: options.lags ? 'fixed' : criterion,
+    lagSelection,
+    n: fit.T,
+    rSquared: fit.rSquared,
+    sigma: fit.sigma,
+    granger: grangerCausalityTests(series, lags, labels),
+    horizon,
+    bandLevel,
+    replications: bands ? bands.replications : 0,
+    impulseResponses,
+    decomposition
+  };
+};
+
+/**
+ * Local-projection horizons offered in the dashboard (months)
+ */
+export const LOCAL_PROJECTION_HORIZONS = [12, 24];
+
+/**
+ * Local-projection impulse responses of log imports to carbon-price changes (Jordà 2005)
+ * One regression per horizon h = 0..H:
+ *   LN_IMPORTS_{t+h} = α_h + β_h ΔCARBON_PRICE_t + Σ_{j=1..L} (γ_hj ΔCARBON_PRICE_{t-j} + δ_hj LN_IMPORTS_{t-j})
+ *                      + θ_h LN_ACTIVITY_t + u_{t+h}
+ * Because LN_IMPORTS_{t-1} is a control, β_h is also the response of LN_IMPORTS_{t+h} - LN_IMPORTS_{t-1}
+ * The projection errors are MA(h) by construction, so the bands use Newey-West errors with h + 1 lags
+ * options.horizon: H (default 24); options.controlLags: L (default 2); options.level: band level (default 90)
+ * options.shock: carbon-price change in €/t (default 10); responses are in log points × 100 (≈ %)
+ * options.stateDependent: the shock interacts with the CBAM dummy S_t (Ramey & Zubairy 2018)
+ *   ... + β_h^pre ΔCARBON_PRICE_t (1 - S_t) + β_h^post ΔCARBON_PRICE_t S_t + φ_h S_t ...
+ *   and the post-CBAM response is reported at horizons with at least options.minStateObservations
+ *   (default 10) post-CBAM shocks; beyond them the regression uses pre-CBAM shocks only
+ * Returns { feasible, horizon, controlLags, level, shock, stateDependent, responses: [{ horizon, n, bandwidth,
+ *           linear | pre, post, difference: { coeff, se, lower, upper, pValue } }] }
+ */
+export const estimateLocalProjections = (mergedData, options = {}) => {
+  const {
+    horizon = 24,
+    controlLags = 2,
+    level = 90,
+    shock = 10,
+    stateDependent = false,
+    minStateObservations = 10
+  } = options;
+  const scale = 100 * shock;
+
+  const responses = [];
+  for (let h = 0; h <= horizon; h++) {
+    const aligned = alignDataWithLags(mergedData, controlLags + 1, { lead: h, importLags: controlLags });
+    const changes = Array.from({ length: controlLags + 1 }, (_, j) =>
+      aligned.carbonPrices[j].map((p, t) => p - aligned.carbonPrices[j + 1][t]));
+    const controls = [...changes.slice(1), ...aligned.laggedImports, aligned.activity];
+
+    let y = aligned.leadY;
+    let x = [changes[0], ...controls];
+    const postCount = aligned.cbam.filter(s => s === 1).length;
+    const withPost = stateDependent && postCount >= minStateObservations;
+    if (withPost) {
+      x = [changes[0].map((d, t) => d * (1 - aligned.cbam[t])), changes[0].map((d, t) => d * aligned.cbam[t]), aligned.cbam, ...controls];
+    } else if (stateDependent) {
+      const pre = (_, t) => aligned.cbam[t] === 0;
+      y = y.filter(pre);
+      x = x.map(col => col.filter(pre));
+    }
+    if (y.length < x.length + 11) break;
+
+    const fit = multipleOLS(y, x, { covarianceType: 'NW', bandwidth: h + 1 });
+    if (!fit) break;
+    const critical = studentTQuantile(1 - (1 - level / 100) / 2, fit.df);
+    const term = (coeff, se) => ({
+      coeff: coeff * scale,
+      se: se * scale,
+      lower: (coeff - critical * se) * scale,
+      upper: (coeff + critical * se) * scale,
+      pValue: studentTPValue(se > 0 ? coeff / se : 0, fit.df)
+    });
+    const coefficient = (i) => term(fit.coefficients[i], fit.standardErrors[i]);
+
+    const response = { horizon: h, n: fit.n, bandwidth: fit.bandwidth };
+    if (!stateDependent) {
+      response.linear = coefficient(1);
+    } else {
+      response.pre = coefficient(1);
+      response.post = withPost ? coefficient(2) : null;
+      response.difference = withPost
+        ? term(
+          fit.coefficients[2] - fit.coefficients[1],
+          Math.sqrt(Math.max(fit.covarianceMatrix[1][1] + fit.covarianceMatrix[2][2] - 2 * fit.covarianceMatrix[1][2], 0))
+        )
+        : null;
+    }
+    responses.push(response);
+  }
+
+  if (responses.length === 0) {
+    return { feasible: false, reason: 'Insufficient observations for the impact regression (h = 0)' };
+  }
+  return {
+    feasible: true,
+    horizon: responses[responses.length - 1].horizon,
+    requestedHorizon: horizon,
+    controlLags,
+    level,
+    shock,
+    stateDependent,
+    responses
   };
 };
 
@@ -475,6 +1688,7 @@ function alignDataWithCBAM(data, includeInteraction) {
   const x1 = []; // carbonPrice (levels)
   const x2 = []; // logIndustry or interaction term
   const x3 = []; // cbamDummy or activity
+  const dates = [];
   
   for (let i = 0; i < data.length; i++) {
     const logImport = data[i].logImport;
@@ -487,6 +1701,7 @@ function alignDataWithCBAM(data, includeInteraction) {
         logIndustry !== null && !isNaN(logIndustry)) {
       y.push(logImport);
       x1.push(etsPrice);
+      dates.push(data[i].date);
       
       if (includeInteraction) {
         // x2 = carbonPrice * CBAM_DUMMY
@@ -502,23 +1717,31 @@ function alignDataWithCBAM(data, includeInteraction) {
     }
   }
   
-  return { y, x1, x2, x3 };
+  return { y, x1, x2, x3, dates };
 }
 
 /**
  * Helper: Align data with multiple lags
+ * options.lead: also require LN_IMPORTS `lead` rows ahead and return it as leadY (local projections)
+ * options.importLags: also return LN_IMPORTS lags 1..importLags as laggedImports (importLags ≤ maxLags)
  */
-function alignDataWithLags(data, maxLags) {
+function alignDataWithLags(data, maxLags, options = {}) {
+  const { lead = 0, importLags = 0 } = options;
   const y = [];
   const carbonPrices = []; // Array of arrays, one for each lag (0 to maxLags)
   const activity = [];
+  const dates = [];
+  const leadY = [];
+  const laggedImports = Array.from({ length: importLags }, () => []);
+  const cbam = [];
   
   // Initialize carbon price arrays
   for (let k = 0; k <= maxLags; k++) {
     carbonPrices.push([]);
   }
   
-  for (let i = maxLags; i < data.length; i++) {
+  const valid = (v) => v !== null && v !== undefined && !isNaN(v);
+  for (let i = maxLags; i < data.length - lead; i++) {
     const logImport = data[i].logImport;
     const logIndustry = data[i].logIndustry;
     
@@ -538,16 +1761,22 @@ function alignDataWithLags(data, maxLags) {
     }
     
     if (!allLagsAvailable) continue;
+    if (!valid(data[i + lead].logImport)) continue;
+    if (laggedImports.some((_, j) => !valid(data[i - j - 1].logImport))) continue;
     
     y.push(logImport);
     activity.push(logIndustry);
+    dates.push(data[i].date);
+    leadY.push(data[i + lead].logImport);
+    laggedImports.forEach((column, j) => column.push(data[i - j - 1].logImport));
+    cbam.push(data[i].cbamDummy !== undefined ? data[i].cbamDummy : 0);
     
     for (let k = 0; k <= maxLags; k++) {
       carbonPrices[k].push(data[i - k].etsPrice);
     }
   }
   
-  return { y, carbonPrices, activity };
+  return { y, carbonPrices, activity, dates, leadY, laggedImports, cbam };
 }
 
 /**
@@ -579,6 +1808,7 @@ function alignData(data, keys, lag = 0) {
   const y = [];
   const x1 = [];
   const x2 = [];
+  const dates = [];
   
   for (let i = lag; i < data.length; i++) {
     const yVal = data[i][keys[0]];
@@ -591,10 +1821,11 @@ function alignData(data, keys, lag = 0) {
       y.push(yVal);
       x1.push(x1Val);
       x2.push(x2Val);
+      dates.push(data[i].date);
     }
   }
   
-  return { y, x1, x2 };
+  return { y, x1, x2, dates };
 }
 
 function calculateCorrelation(x, y) {
@@ -618,124 +1849,328 @@ function calculateCorrelation(x, y) {
   return denominator > 0 ? numerator / denominator : 0;
 }
 
-function approximatePValue(tStat, df) {
-  // Simplified p-value approximation using t-distribution
-  // For large df, use normal approximation
-  if (df > 30) {
-    const z = Math.abs(tStat);
-    // Normal approximation: P(|Z| > z) ≈ 2 * (1 - Φ(z))
-    // Using rough approximation: 2 * (1 - 0.5 * (1 + erf(z/√2)))
-    return 2 * (1 - normalCDF(z));
-  }
-  
-  // For small df, use rough t-distribution approximation
-  const absT = Math.abs(tStat);
-  if (absT < 0.5) return 0.6;
-  if (absT < 1.0) return 0.3;
-  if (absT < 1.5) return 0.15;
-  if (absT < 2.0) return 0.05;
-  if (absT < 2.5) return 0.02;
-  if (absT < 3.0) return 0.01;
-  return 0.001;
+/**
+ * Two-sided t-based confidence intervals for a coefficient at each CONFIDENCE_LEVELS level
+ * Returns e.g. { 90: [lower, upper], 95: [lower, upper], 99: [lower, upper] }
+ */
+function confidenceIntervals(coef, se, df) {
+  const intervals = {};
+  CONFIDENCE_LEVELS.forEach(level => {
+    const critical = studentTQuantile(1 - (1 - level / 100) / 2, df);
+    intervals[level] = [coef - critical * se, coef + critical * se];
+  });
+  return intervals;
 }
 
-function normalCDF(z) {
-  // Approximation of standard normal CDF
-  return 0.5 * (1 + erf(z / Math.sqrt(2)));
+/**
+ * Fit OLS on a prepared design matrix X (rows include the intercept column)
+ * Coefficients and the variance-covariance matrix s² (X'X)⁻¹ come from a
+ * Cholesky factorisation of X'X; returns null if X'X is singular
+ * options.covarianceType swaps in a robust sandwich estimator (see COVARIANCE_TYPES)
+ */
+function fitOLS(Y, X, options = {}) {
+  const nObs = Y.length;
+  const nParams = X[0].length;
+  const df = nObs - nParams;
+  if (df <= 0) return null;
+  
+  const Xt = transpose(X);
+  const XtX = matrixMultiply(Xt, X);
+  const XtY = matrixVectorMultiply(Xt, Y);
+  
+  const L = choleskyDecomposition(XtX);
+  if (!L) return null;
+  
+  const coefficients = choleskySolve(L, XtY);
+  const XtXInv = invertSymmetricMatrix(XtX);
+  if (!XtXInv) return null;
+  
+  const fitted = X.map(row => row.reduce((sum, val, j) => sum + val * coefficients[j], 0));
+  const residuals = Y.map((yi, i) => yi - fitted[i]);
+  
+  const meanY = Y.reduce((a, b) => a + b, 0) / nObs;
+  const ssRes = residuals.reduce((sum, e) => sum + e * e, 0);
+  const ssTot = Y.reduce((sum, yi) => sum + Math.pow(yi - meanY, 2), 0);
+  const rSquared = ssTot > 0 ? 1 - (ssRes / ssTot) : 0;
+  const adjRSquared = ssTot > 0 ? 1 - (ssRes / df) / (ssTot / (nObs - 1)) : 0;
+  
+  // Gaussian log-likelihood at the ML variance SSR/n; the criteria count σ² as a parameter
+  const logLik = -0.5 * nObs * (Math.log(2 * Math.PI) + Math.log(ssRes / nObs) + 1);
+  const aic = -2 * logLik + 2 * (nParams + 1);
+  const bic = -2 * logLik + Math.log(nObs) * (nParams + 1);
+  
+  const mse = ssRes / df;
+  const covarianceType = options.clusters ? 'CR1' : (options.covarianceType || 'classical');
+  let covarianceMatrix;
+  let bandwidth = null;
+  let inferenceDf = df;
+  if (options.clusters) {
+    const clustered = clusterCovariance(X, residuals, XtXInv, options.clusters);
+    covarianceMatrix = clustered.covarianceMatrix;
+    inferenceDf = clustered.groups - 1;
+    if (inferenceDf <= 0) return null;
+  } else if (covarianceType === 'classical') {
+    covarianceMatrix = XtXInv.map(row => row.map(v => mse * v));
+  } else {
+    const robust = robustCovariance(X, residuals, XtXInv, covarianceType, options.bandwidth);
+    covarianceMatrix = robust.covarianceMatrix;
+    bandwidth = robust.bandwidth;
+  }
+  const standardErrors = covarianceMatrix.map((row, i) => Math.sqrt(Math.max(row[i], 0)));
+  
+  const tStats = coefficients.map((coef, i) =>
+    standardErrors[i] > 0 ? coef / standardErrors[i] : 0
+  );
+  const pValues = tStats.map(t => studentTPValue(t, inferenceDf));
+  const cis = coefficients.map((coef, i) => confidenceIntervals(coef, standardErrors[i], inferenceDf));
+  
+  return {
+    coefficients,
+    standardErrors,
+    tStats,
+    pValues,
+    confidenceIntervals: cis,
+    covarianceMatrix,
+    covarianceType,
+    bandwidth,
+    XtXInv,
+    residuals,
+    fitted,
+    rSquared,
+    adjRSquared,
+    logLik,
+    aic,
+    bic,
+    ssr: ssRes,
+    mse,
+    df: inferenceDf,
+    n: nObs
+  };
 }
 
-function erf(x) {
-  // Approximation of error function
-  const a1 = 0.254829592;
-  const a2 = -0.284496736;
-  const a3 = 1.421413741;
-  const a4 = -1.453152027;
-  const a5 = 1.061405429;
-  const p = 0.3275911;
+/**
+ * Sandwich covariance (X'X)⁻¹ Ω (X'X)⁻¹ for the HC1, HC3 and Newey-West estimators
+ */
+function robustCovariance(X, residuals, XtXInv, covarianceType, fixedBandwidth) {
+  const n = X.length;
+  const p = X[0].length;
+  
+  // Score contributions u_t = x_t * e_t (scaled by leverage for HC3)
+  const scores = X.map((row, t) => {
+    let e = residuals[t];
+    if (covarianceType === 'HC3') {
+      const leverage = quadraticForm(XtXInv, row);
+      e = leverage < 1 ? e / (1 - leverage) : 0;
+    }
+    return row.map(v => v * e);
+  });
   
-  const sign = x < 0 ? -1 : 1;
-  x = Math.abs(x);
+  const meat = Array.from({ length: p }, () => new Array(p).fill(0));
+  const addOuter = (u, v, weight) => {
+    for (let i = 0; i < p; i++) {
+      for (let j = 0; j < p; j++) {
+        meat[i][j] += weight * u[i] * v[j];
+      }
+    }
+  };
   
-  const t = 1.0 / (1.0 + p * x);
-  const y = 1.0 - (((((a5 * t + a4) * t) + a3) * t + a2) * t + a1) * t * Math.exp(-x * x);
+  scores.forEach(u => addOuter(u, u, 1));
   
-  return sign * y;
+  let bandwidth = null;
+  if (covarianceType === 'NW') {
+    bandwidth = fixedBandwidth !== undefined && fixedBandwidth !== null
+      ? Math.max(0, Math.floor(fixedBandwidth))
+      : neweyWestBandwidth(scores);
+    bandwidth = Math.min(bandwidth, n - 1);
+    
+    for (let lag = 1; lag <= bandwidth; lag++) {
+      const weight = 1 - lag / (bandwidth + 1); // Bartlett kernel
+      for (let t = lag; t < n; t++) {
+        addOuter(scores[t], scores[t - lag], weight);
+        addOuter(scores[t - lag], scores[t], weight);
+      }
+    }
+  }
+  
+  const scale = covarianceType === 'HC1' ? n / (n - p) : 1;
+  const sandwich = matrixMultiply(matrixMultiply(XtXInv, meat), XtXInv);
+  
+  return {
+    covarianceMatrix: sandwich.map(row => row.map(v => scale * v)),
+    bandwidth
+  };
 }
 
-function transpose(matrix) {
-  return matrix[0].map((_, colIndex) => matrix.map(row => row[colIndex]));
+/**
+ * Cluster-robust sandwich covariance B Σ_g s_g s_g' B with scores s_g = Σ_{i∈g} x_i e_i and the
+ * CR1 correction G/(G-1) × (n-1)/(n-k); returns { covarianceMatrix, groups }
+ */
+function clusterCovariance(X, residuals, bread, clusters) {
+  const n = X.length;
+  const p = X[0].length;
+  const scores = new Map();
+  X.forEach((row, i) => {
+    if (!scores.has(clusters[i])) scores.set(clusters[i], new Array(p).fill(0));
+    const score = scores.get(clusters[i]);
+    for (let a = 0; a < p; a++) score[a] += row[a] * residuals[i];
+  });
+  
+  const meat = Array.from({ length: p }, () => new Array(p).fill(0));
+  scores.forEach(score => {
+    for (let a = 0; a < p; a++) {
+      for (let b = 0; b < p; b++) meat[a][b] += score[a] * score[b];
+    }
+  });
+  
+  const groups = scores.size;
+  const scale = groups > 1 && n > p ? (groups / (groups - 1)) * ((n - 1) / (n - p)) : 1;
+  const sandwich = matrixMultiply(matrixMultiply(bread, meat), bread);
+  return { covarianceMatrix: sandwich.map(row => row.map(v => scale * v)), groups };
 }
 
-function matrixMultiply(a, b) {
-  const result = [];
-  for (let i = 0; i < a.length; i++) {
-    result[i] = [];
-    for (let j = 0; j < b[0].length; j++) {
-      let sum = 0;
-      for (let k = 0; k < a[0].length; k++) {
-        sum += a[i][k] * b[k][j];
-      }
-      result[i][j] = sum;
+/**
+ * X' diag(w) X
+ */
+function weightedCrossProduct(X, weights) {
+  const p = X[0].length;
+  const result = Array.from({ length: p }, () => new Array(p).fill(0));
+  X.forEach((row, i) => {
+    for (let a = 0; a < p; a++) {
+      const wa = weights[i] * row[a];
+      if (wa === 0) continue;
+      for (let b = 0; b <= a; b++) result[a][b] += wa * row[b];
     }
+  });
+  for (let a = 0; a < p; a++) {
+    for (let b = 0; b < a; b++) result[b][a] = result[a][b];
   }
   return result;
 }
 
-function matrixVectorMultiply(matrix, vector) {
-  return matrix.map(row => 
-    row.reduce((sum, val, i) => sum + val * vector[i], 0)
-  );
+/**
+ * Newey-West (1994) automatic bandwidth for the Bartlett kernel
+ * Uses the sum of the non-intercept score columns as the weighted series
+ */
+function neweyWestBandwidth(scores) {
+  const n = scores.length;
+  const series = scores.map(u => u.slice(1).reduce((sum, v) => sum + v, 0));
+  const preliminaryLag = Math.floor(4 * Math.pow(n / 100, 2 / 9));
+  
+  const autocov = (j) => {
+    let sum = 0;
+    for (let t = j; t < n; t++) {
+      sum += series[t] * series[t - j];
+    }
+    return sum / n;
+  };
+  
+  let s0 = autocov(0);
+  let s1 = 0;
+  for (let j = 1; j <= preliminaryLag; j++) {
+    const sigma = autocov(j);
+    s0 += 2 * sigma;
+    s1 += 2 * j * sigma;
+  }
+  
+  if (!(s0 > 0)) return preliminaryLag;
+  
+  const gamma = 1.1447 * Math.pow(Math.pow(s1 / s0, 2), 1 / 3);
+  return Math.floor(gamma * Math.pow(n, 1 / 3));
 }
 
-function solveLinearSystem(A, b) {
-  // Simplified Gaussian elimination for small systems
-  const n = A.length;
-  const augmented = A.map((row, i) => [...row, b[i]]);
-  
-  // Forward elimination
-  for (let i = 0; i < n; i++) {
-    // Find pivot
-    let maxRow = i;
-    for (let k = i + 1; k < n; k++) {
-      if (Math.abs(augmented[k][i]) > Math.abs(augmented[maxRow][i])) {
-        maxRow = k;
-      }
+/**
+ * Wald test of H0: β_j = 0 for j in `indices` with the fit's covariance matrix, F = W / q ~ F(q, df)
+ */
+function waldFTest(fit, indices) {
+  const V = indices.map(i => indices.map(j => fit.covarianceMatrix[i][j]));
+  const Vinv = invertSymmetricMatrix(V);
+  if (!Vinv) return null;
+  const q = indices.length;
+  const fStat = quadraticForm(Vinv, indices.map(i => fit.coefficients[i])) / q;
+  return { fStat, df1: q, df2: fit.df, pValue: fPValue(fStat, q, fit.df) };
+}
+
+/**
+ * x' A x for a square matrix A
+ */
+function quadraticForm(A, x) {
+  let sum = 0;
+  for (let i = 0; i < x.length; i++) {
+    for (let j = 0; j < x.length; j++) {
+      sum += x[i] * A[i][j] * x[j];
     }
-    [augmented[i], augmented[maxRow]] = [augmented[maxRow], augmented[i]];
-    
-    // Make all rows below this one 0
-    for (let k = i + 1; k < n; k++) {
-      const factor = augmented[k][i] / augmented[i][i];
-      for (let j = i; j < n + 1; j++) {
-        augmented[k][j] -= factor * augmented[i][j];
+  }
+  return sum;
+}
+
+/**
+ * Helper: percentile bands for orthogonalized impulse responses from a recursive residual
+ * bootstrap (centered residual vectors resampled jointly, VAR re-estimated on each draw)
+ * When cumulative is true the bands refer to the accumulated responses
+ */
+function bootstrapImpulseBands(fit, series, horizon, replications, level, seed, cumulative) {
+  const { m, lags, T } = fit;
+  const random = seededRandom(seed);
+  const means = fit.residuals.map(e => e.reduce((a, b) => a + b, 0) / T);
+  const centered = fit.residuals.map((e, i) => e.map(v => v - means[i]));
+  const draws = [];
+
+  for (let b = 0; b < replications; b++) {
+    const simulated = series.map(col => col.slice(0, lags));
+    for (let t = 0; t < T; t++) {
+      const draw = Math.floor(random() * T);
+      for (let i = 0; i < m; i++) {
+        let value = fit.intercepts[i] + centered[i][draw];
+        for (let j = 0; j < lags; j++) {
+          for (let l = 0; l < m; l++) {
+            value += fit.A[j][i][l] * simulated[l][lags + t - j - 1];
+          }
+        }
+        simulated[i].push(value);
       }
     }
-  }
-  
-  // Back substitution
-  const x = new Array(n);
-  for (let i = n - 1; i >= 0; i--) {
-    x[i] = augmented[i][n];
-    for (let j = i + 1; j < n; j++) {
-      x[i] -= augmented[i][j] * x[j];
+
+    const bootFit = fitVAR(simulated, lags);
+    const theta = bootFit ? varImpulseResponses(bootFit, horizon) : null;
+    if (!theta) continue;
+
+    if (cumulative) {
+      for (let h = 1; h < theta.length; h++) {
+        theta[h] = theta[h].map((row, r) => row.map((v, c) => v + theta[h - 1][r][c]));
+      }
     }
-    x[i] /= augmented[i][i];
+    draws.push(theta);
   }
-  
-  return x;
+
+  if (draws.length < 10) return null;
+
+  const alpha = (100 - level) / 200;
+  const band = (q) => Array.from({ length: horizon + 1 }, (_, h) =>
+    Array.from({ length: m }, (_, r) => Array.from({ length: m }, (_, c) => {
+      const values = draws.map(theta => theta[h][r][c]).sort((a, b) => a - b);
+      return sortedQuantile(values, q);
+    }))
+  );
+
+  return { lower: band(alpha), upper: band(1 - alpha), replications: draws.length };
 }
 
-function calculateStandardErrors(XtX, mse) {
-  // Standard errors = sqrt(diag(mse * inv(XtX)))
-  // Simplified: just use diagonal elements
-  const n = XtX.length;
-  const se = [];
-  
-  // For simplicity, use diagonal approximation
-  for (let i = 0; i < n; i++) {
-    se.push(Math.sqrt(mse * Math.abs(XtX[i][i])));
+/**
+ * Helper: indices of a moving-block bootstrap sample of length n, built from blocks of consecutive
+ * observations with uniformly drawn starting points
+ */
+function blockIndices(n, blockLength, random) {
+  const indices = [];
+  while (indices.length < n) {
+    const start = Math.floor(random() * (n - blockLength + 1));
+    for (let t = start; t < start + blockLength && indices.length < n; t++) indices.push(t);
   }
-  
-  return se;
+  return indices;
 }
 
+/**
+ * Helper: largest step f ≤ 1e20 keeping v + f·dv ≥ 0 (interior-point ratio test)
+ */
+function stepBound(v, dv) {
+  return v.reduce((bound, vi, i) => (dv[i] < 0 ? Math.min(bound, -vi / dv[i]) : bound), 1e20);
+}
@@ -0,0 +1,232 @@
+/**
+ * Event Study
+ * Abnormal (AR) and cumulative abnormal returns (CAR) of daily price series around CBAM milestones
+ * Windows are counted in trading days (rows of the parsed CSV), day 0 is the first trading day
+ * on or after the milestone date
+ */
+
+import { multipleOLS } from './econometricAnalysis';
+import { studentTPValue, studentTQuantile, normalCDF } from './statDistributions';
+
+export const EVENT_STUDY_MODELS = [
+  { value: 'mean', label: 'Constant mean return' },
+  { value: 'market', label: 'Market model (other price series; biased toward zero)' }
+];
+
+export const EVENT_WINDOWS = [
+  { value: '5-5', label: '[-5, +5]', pre: 5, post: 5 },
+  { value: '10-10', label: '[-10, +10]', pre: 10, post: 10 },
+  { value: '10-20', label: '[-10, +20]', pre: 10, post: 20 },
+  { value: '20-40', label: '[-20, +40]', pre: 20, post: 40 }
+];
+
+export const ESTIMATION_WINDOWS = [60, 120, 250];
+
+/**
+ * Daily log returns r_t = ln(P_t / P_{t-1}) of parsed CSV rows ({ Date, Price }, sorted by date)
+ * Rows with non-positive prices break the chain and yield no return
+ */
+export const logReturns = (data) => {
+  const returns = [];
+  for (let t = 1; t < data.length; t++) {
+    const previous = data[t - 1].Price;
+    const current = data[t].Price;
+    if (previous > 0 && current > 0) {
+      returns.push({ date: data[t].Date, value: Math.log(current / previous) });
+    }
+  }
+  return returns;
+};
+
+/**
+ * Event study for one series and one event date
+ * options.model: 'mean' (AR_t = R_t - mean) or 'market' (AR_t = R_t - α - β R_m,t, needs options.market)
+ * options.market: parsed rows of the benchmark series for the market model
+ * options.estimationWindow: length L of the estimation window, which ends `gap` days before the event window
+ * options.pre / options.post: event window [-pre, +post]
+ * options.confidenceLevel: level of the CAR bands (%)
+ *
+ * AR variances include the estimation error of the benchmark:
+ *   mean:   σ²(1 + 1/L)
+ *   market: σ²(1 + 1/L + (R_m,t - mean(R_m))² / Σ(R_m - mean(R_m))²)
+ * and Var(CAR) is their sum (cross-covariances from the shared estimate are ignored)
+ * Significance: t-test with L - k df and a generalized sign test on the event-window ARs
+ */
+export const runEventStudy = (data, eventDate, options = {}) => {
+  const {
+    model = 'mean',
+    market = null,
+    estimationWindow = 120,
+    gap = 10,
+    pre = 10,
+    post = 20,
+    confidenceLevel = 95
+  } = options;
+
+  const returns = logReturns(data);
+  const eventTime = new Date(eventDate).getTime();
+  const t0 = returns.findIndex(r => r.date.getTime() >= eventTime);
+
+  if (t0 === -1) {
+    return { feasible: false, reason: 'Event date lies after the end of the series' };
+  }
+  const estimationEnd = t0 - pre - gap;
+  const estimationStart = estimationEnd - estimationWindow;
+  if (estimationStart < 0) {
+    return { feasible: false, reason: `Not enough history for a ${estimationWindow}-day estimation window` };
+  }
+  const lastDay = Math.min(post, returns.length - 1 - t0);
+
+  let marketReturns = null;
+  if (model === 'market') {
+    if (!market || market.length < 2) {
+      return { feasible: false, reason: 'Market model requires a benchmark series' };
+    }
+    marketReturns = new Map(logReturns(market).map(r => [r.date.getTime(), r.value]));
+  }
+  const marketAt = (t) => (marketReturns ? marketReturns.get(returns[t].date.getTime()) : 0);
+
+  // Estimation window
+  const estimation = [];
+  for (let t = estimationStart; t < estimationEnd; t++) {
+    const rm = marketAt(t);
+    if (rm !== undefined) estimation.push({ r: returns[t].value, rm });
+  }
+  const k = model === 'market' ? 2 : 1;
+  const L = estimation.length;
+  if (L < k + 10) {
+    return { feasible: false, reason: `Too few usable estimation-window returns (${L})` };
+  }
+
+  let alpha;
+  let beta = 0;
+  let residuals;
+  let marketMean = 0;
+  let marketSS = 0;
+  if (model === 'market') {
+    const fit = multipleOLS(estimation.map(e => e.r), [estimation.map(e => e.rm)]);
+    if (!fit) {
+      return { feasible: false, reason: 'Benchmark returns have no variation in the estimation window' };
+    }
+    [alpha, beta] = fit.coefficients;
+    residuals = fit.residuals;
+    marketMean = estimation.reduce((sum, e) => sum + e.rm, 0) / L;
+    marketSS = estimation.reduce((sum, e) => sum + (e.rm - marketMean) * (e.rm - marketMean), 0);
+  } else {
+    alpha = estimation.reduce((sum, e) => sum + e.r, 0) / L;
+    residuals = estimation.map(e => e.r - alpha);
+  }
+
+  const df = L - k;
+  const sigma2 = residuals.reduce((sum, e) => sum + e * e, 0) / df;
+  if (!(sigma2 > 0)) {
+    return { feasible: false, reason: 'Returns are constant over the estimation window' };
+  }
+
+  // Event window
+  const critical = studentTQuantile(1 - (1 - confidenceLevel / 100) / 2, df);
+  const path = [];
+  let car = 0;
+  let carVariance = 0;
+  for (let tau = -pre; tau <= lastDay; tau++) {
+    const t = t0 + tau;
+    const rm = marketAt(t);
+    if (rm === undefined) continue;
+
+    const abnormal = returns[t].value - alpha - beta * rm;
+    const predictionError = model === 'market' && marketSS > 0
+      ? (rm - marketMean) * (rm - marketMean) / marketSS
+      : 0;
+    const variance = sigma2 * (1 + 1 / L + predictionError);
+    car += abnormal;
+    carVariance += variance;
+
+    const carSE = Math.sqrt(carVariance);
+    path.push({
+      day: tau,
+      date: returns[t].date,
+      ar: abnormal,
+      variance,
+      arTStat: abnormal / Math.sqrt(variance),
+      arPValue: studentTPValue(abnormal / Math.sqrt(variance), df),
+      car,
+      carSE,
+      lower: car - critical * carSE,
+      upper: car + critical * carSE
+    });
+  }
+
+  if (path.length === 0) {
+    return { feasible: false, reason: 'No event-window returns' };
+  }
+
+  const summarize = (from, to) => {
+    const days = path.filter(p => p.day >= from && p.day <= to);
+    if (days.length === 0) return null;
+    const value = days.reduce((sum, p) => sum + p.ar, 0);
+    const se = Math.sqrt(days.reduce((sum, p) => sum + p.variance, 0));
+    const tStat = value / se;
+    return {
+      from,
+      to: Math.min(to, days[days.length - 1].day),
+      days: days.length,
+      car: value,
+      se,
+      tStat,
+      pValue: studentTPValue(tStat, df),
+      sign: signTest(days.map(p => p.ar), residuals)
+    };
+  };
+
+  return {
+    feasible: true,
+    model,
+    eventIndex: t0,
+    eventDay: returns[t0].date,
+    estimation: { start: returns[estimationStart].date, end: returns[estimationEnd - 1].date, observations: L, df },
+    alpha,
+    beta: model === 'market' ? beta : null,
+    sigma: Math.sqrt(sigma2),
+    confidenceLevel,
+    truncated: lastDay < post,
+    path,
+    windows: {
+      pre: pre > 0 ? summarize(-pre, -1) : null,
+      post: summarize(0, post),
+      full: summarize(-pre, post)
+    }
+  };
+};
+
+/**
+ * Run the event study for every milestone (objects with date, label, short, color - e.g. CBAM_DATES)
+ * on each series in `seriesList` ([{ key, label, data, market }]); the per-series `market`
+ * rows are used as benchmark when options.model = 'market'
+ */
+export const runEventStudies = (seriesList, milestones, options = {}) => {
+  return milestones.map(milestone => ({
+    ...milestone,
+    results: seriesList.map(series => ({
+      key: series.key,
+      label: series.label,
+      marketLabel: series.marketLabel,
+      ...runEventStudy(series.data, milestone.date, { ...options, market: series.market })
+    }))
+  }));
+};
+
+/**
+ * Helper: generalized sign test (Cowan 1992)
+ * Compares the number of positive event-window ARs with the share p̂ of positive
+ * estimation-window residuals: Z = (w - N p̂) / sqrt(N p̂ (1 - p̂))
+ */
+function signTest(abnormal, residuals) {
+  const share = residuals.filter(e => e > 0).length / residuals.length;
+  const n = abnormal.length;
+  const positive = abnormal.filter(a => a > 0).length;
+  if (share <= 0 || share >= 1) {
+    return { positive, n, statistic: null, pValue: null };
+  }
+  const statistic = (positive - n * share) / Math.sqrt(n * share * (1 - share));
+  return { positive, n, statistic, pValue: 2 * (1 - normalCDF(Math.abs(statistic))) };
+}
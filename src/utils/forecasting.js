@@ -0,0 +1,461 @@
+/**
+ * Time-Series Forecasting
+ * Seasonal ARIMA(p,d,q)(P,D,Q)[s] models, optionally with exogenous regressors (regression with
+ * ARIMA errors, "ARIMAX"):
+ *   y_t = x_t'β + η_t,   φ(B) Φ(Bˢ) (∇ᵈ ∇ₛᴰ η_t - μ) = θ(B) Θ(Bˢ) ε_t
+ * Parameters are estimated by conditional sum of squares with the Nelder-Mead simplex. AR and MA
+ * polynomials are parameterised by partial autocorrelations (tanh-transformed), so every candidate
+ * is stationary and invertible. Orders are chosen by AIC on a common conditioning sample; d is set
+ * by repeated KPSS tests. Prediction intervals use the ψ-weights of the full model and ignore
+ * parameter uncertainty
+ */
+
+import { multipleOLS } from './econometricAnalysis';
+import { kpssTest } from './unitRootTests';
+import { nelderMead } from './optimization';
+import { normalQuantile } from './statDistributions';
+import { variesWithinYear } from './seasonalAdjustment';
+
+export const FORECAST_HORIZONS = [12, 24, 36];
+
+export const FORECAST_LEVELS = [80, 95];
+
+/**
+ * Minimum number of calendar years for forecasting a series of repeated annual values
+ */
+export const MIN_ANNUAL_OBSERVATIONS = 10;
+
+/**
+ * Monthly averages of daily rows ({ Date, Price } from parseCSV, or options.dateKey / valueKey)
+ * Returns [{ date, yearMonth, value }] sorted by month
+ */
+export const monthlyAverages = (rows, options = {}) => {
+  const { dateKey = 'Date', valueKey = 'Price' } = options;
+  const months = new Map();
+  rows.forEach(row => {
+    const date = row[dateKey];
+    const value = row[valueKey];
+    if (!(date instanceof Date) || isNaN(date.getTime()) || value === null || isNaN(value) || value <= 0) return;
+    const key = yearMonthOf(date);
+    if (!months.has(key)) months.set(key, { sum: 0, count: 0, date: new Date(date.getFullYear(), date.getMonth(), 1) });
+    const month = months.get(key);
+    month.sum += value;
+    month.count++;
+  });
+  return Array.from(months, ([yearMonth, { sum, count, date }]) => ({ date, yearMonth, value: sum / count }))
+    .sort((a, b) => a.date - b.date);
+};
+
+/**
+ * Display label of an order, e.g. ARIMA(1,1,0)(0,0,1)[12]
+ */
+export const arimaLabel = (order, exogenous = false) => {
+  const { p = 0, d = 0, q = 0, P = 0, D = 0, Q = 0, s = 12 } = order;
+  const seasonal = P + D + Q > 0 ? `(${P},${D},${Q})[${s}]` : '';
+  return `${exogenous ? 'ARIMAX' : 'ARIMA'}(${p},${d},${q})${seasonal}`;
+};
+
+/**
+ * Fit one (S)ARIMA(X) model by conditional sum of squares
+ * order: { p, d, q, P, D, Q, s }
+ * options.exog: regressor columns aligned with y
+ * options.includeConstant: mean (d + D = 0) or drift (d + D = 1) term, default when d + D ≤ 1
+ * options.condition: number of differenced observations used as presample (at least p + sP),
+ *   so that models compared by AIC share the same residual sample
+ * Returns { order, label, ar, ma, seasonalAR, seasonalMA, mean, beta, sigma2, logLik, aic, bic, n,
+ *           residuals } plus the state needed by forecastARIMA, or null if the sample is too short
+ */
+export const fitARIMA = (y, order, options = {}) => {
+  const { p = 0, d = 0, q = 0, P = 0, D = 0, Q = 0, s = 12 } = order;
+  const exog = options.exog || [];
+  const includeConstant = options.includeConstant !== undefined ? options.includeConstant : d + D <= 1;
+  const w0 = difference(y, d, D, s);
+  const X = exog.map(col => difference(col, d, D, s));
+  const m = w0.length;
+  const condition = Math.max(options.condition || 0, p + s * P);
+  const nRegression = (includeConstant ? 1 : 0) + exog.length;
+  const nParams = p + q + P + Q + nRegression;
+  if (m - condition <= nParams + 2) return null;
+
+  // Regression starting values from OLS on the differenced data
+  let regressionStart = [];
+  if (nRegression > 0) {
+    const ols = multipleOLS(w0, X, { includeIntercept: includeConstant });
+    if (!ols) return null;
+    regressionStart = ols.coefficients;
+  }
+
+  const unpack = (theta) => {
+    let k = 0;
+    const take = (count) => {
+      const values = theta.slice(k, k + count);
+      k += count;
+      return values;
+    };
+    const ar = partialToCoefficients(take(p));
+    const ma = partialToCoefficients(take(q)).map(v => -v);
+    const seasonalAR = partialToCoefficients(take(P));
+    const seasonalMA = partialToCoefficients(take(Q)).map(v => -v);
+    const regression = take(nRegression);
+    return {
+      ar,
+      ma,
+      seasonalAR,
+      seasonalMA,
+      mean: includeConstant ? regression[0] : 0,
+      beta: includeConstant ? regression.slice(1) : regression
+    };
+  };
+
+  const residualsOf = (params) => {
+    const arPoly = multiplyPolynomials(lagPolynomial(params.ar, 1, -1), lagPolynomial(params.seasonalAR, s, -1));
+    const maPoly = multiplyPolynomials(lagPolynomial(params.ma, 1, 1), lagPolynomial(params.seasonalMA, s, 1));
+    const w = w0.map((v, t) => v - params.mean - X.reduce((sum, col, j) => sum + col[t] * params.beta[j], 0));
+    const e = new Array(m).fill(0);
+    let ssr = 0;
+    for (let t = condition; t < m; t++) {
+      let value = w[t];
+      for (let i = 1; i < arPoly.length; i++) value += arPoly[i] * w[t - i];
+      for (let j = 1; j < maPoly.length && j <= t; j++) value -= maPoly[j] * e[t - j];
+      e[t] = value;
+      ssr += value * value;
+    }
+    return { e, ssr, arPoly, maPoly };
+  };
+
+  const objective = (theta) => residualsOf(unpack(theta)).ssr;
+  const theta0 = [...new Array(p + q + P + Q).fill(0), ...regressionStart];
+  const first = nelderMead(objective, theta0, { tolerance: 1e-10 });
+  const optimum = nelderMead(objective, first.x, { tolerance: 1e-12 });
+
+  const params = unpack(optimum.x);
+  const { e, ssr, arPoly, maPoly } = residualsOf(params);
+  const n = m - condition;
+  const sigma2 = ssr / n;
+  if (!(sigma2 > 0)) return null;
+  const logLik = -0.5 * n * (Math.log(2 * Math.PI * sigma2) + 1);
+  const k = nParams + 1;
+  const lost = y.length - m;
+
+  return {
+    order: { p, d, q, P, D, Q, s },
+    label: arimaLabel({ p, d, q, P, D, Q, s }, exog.length > 0),
+    ...params,
+    includeConstant,
+    sigma2,
+    logLik,
+    aic: -2 * logLik + 2 * k,
+    bic: -2 * logLik + k * Math.log(n),
+    n,
+    residuals: y.map((_, t) => (t - lost >= condition ? e[t - lost] : null)),
+    converged: optimum.converged,
+    // Forecasting state
+    y: y.slice(),
+    exog: exog.map(col => col.slice()),
+    arPoly,
+    maPoly,
+    innovations: y.map((_, t) => (t >= lost ? e[t - lost] : 0))
+  };
+};
+
+/**
+ * h-step forecasts of a fitted model
+ * options.exogFuture: regressor columns for the forecast periods (required for ARIMAX, at least horizon long)
+ * options.levels: prediction-interval levels in % (default FORECAST_LEVELS)
+ * Returns [{ step, mean, se, intervals: { level: [lower, upper] } }]
+ */
+export const forecastARIMA = (fit, horizon, options = {}) => {
+  const { exogFuture = [], levels = FORECAST_LEVELS } = options;
+  const { d, D, s } = fit.order;
+  let integration = [1];
+  for (let i = 0; i < d; i++) integration = multiplyPolynomials(integration, [1, -1]);
+  for (let i = 0; i < D; i++) integration = multiplyPolynomials(integration, lagPolynomial([1], s, -1));
+  const full = multiplyPolynomials(fit.arPoly, integration);
+  const constant = fit.mean * fit.arPoly.reduce((a, b) => a + b, 0);
+
+  const n = fit.y.length;
+  const eta = fit.y.map((v, t) => v - fit.exog.reduce((sum, col, j) => sum + col[t] * fit.beta[j], 0));
+  for (let h = 1; h <= horizon; h++) {
+    const t = n - 1 + h;
+    let value = constant;
+    for (let i = 1; i < full.length; i++) value -= full[i] * (t - i >= 0 ? eta[t - i] : 0);
+    for (let j = 1; j < fit.maPoly.length; j++) {
+      if (t - j < n && t - j >= 0) value += fit.maPoly[j] * fit.innovations[t - j];
+    }
+    eta.push(value);
+  }
+
+  // ψ-weights of θ(B)Θ(Bˢ) / [φ(B)Φ(Bˢ)∇ᵈ∇ₛᴰ]
+  const psi = [1];
+  for (let j = 1; j < horizon; j++) {
+    let value = j < fit.maPoly.length ? fit.maPoly[j] : 0;
+    for (let i = 1; i <= Math.min(j, full.length - 1); i++) value -= full[i] * psi[j - i];
+    psi.push(value);
+  }
+
+  const quantiles = levels.map(level => [level, normalQuantile(1 - (1 - level / 100) / 2)]);
+  let cumulative = 0;
+  const forecasts = [];
+  for (let h = 1; h <= horizon; h++) {
+    cumulative += psi[h - 1] * psi[h - 1];
+    const se = Math.sqrt(fit.sigma2 * cumulative);
+    const mean = eta[n - 1 + h] + exogFuture.reduce((sum, col, j) => sum + col[h - 1] * fit.beta[j], 0);
+    const intervals = {};
+    quantiles.forEach(([level, z]) => {
+      intervals[level] = [mean - z * se, mean + z * se];
+    });
+    forecasts.push({ step: h, mean, se, intervals });
+  }
+  return forecasts;
+};
+
+/**
+ * Choose the order by AIC over p, q ≤ maxP, maxQ and (if seasonal) P, Q ≤ maxSeasonalP, maxSeasonalQ
+ * options.d: differencing order, otherwise the smallest d ≤ 2 at which KPSS does not reject level
+ *   stationarity at 5% (on the OLS residuals of y on the regressors for ARIMAX)
+ * options.seasonalDifference: D (0 or 1, only with seasonal = true)
+ * Returns { best, d, candidates: [{ label, aic, bic }] sorted by AIC } or null if nothing could be fitted
+ */
+export const selectARIMA = (y, options = {}) => {
+  const {
+    seasonal = true,
+    s = 12,
+    maxP = 2,
+    maxQ = 2,
+    maxSeasonalP = 1,
+    maxSeasonalQ = 1,
+    seasonalDifference = 0,
+    exog = []
+  } = options;
+  const d = options.d !== undefined ? options.d : chooseDifferencing(y, exog);
+  const D = seasonal ? seasonalDifference : 0;
+  const seasonalOrders = seasonal ? { P: maxSeasonalP, Q: maxSeasonalQ } : { P: 0, Q: 0 };
+  const condition = maxP + s * seasonalOrders.P;
+
+  const candidates = [];
+  for (let p = 0; p <= maxP; p++) {
+    for (let q = 0; q <= maxQ; q++) {
+      for (let P = 0; P <= seasonalOrders.P; P++) {
+        for (let Q = 0; Q <= seasonalOrders.Q; Q++) {
+          const fit = fitARIMA(y, { p, d, q, P, D, Q, s }, { exog, condition });
+          if (fit) candidates.push(fit);
+        }
+      }
+    }
+  }
+  if (candidates.length === 0) return null;
+
+  candidates.sort((a, b) => a.aic - b.aic);
+  return {
+    best: candidates[0],
+    d,
+    candidates: candidates.map(c => ({ label: c.label, aic: c.aic, bic: c.bic }))
+  };
+};
+
+/**
+ * Fit the AIC-best (S)ARIMA(X) model to a monthly series [{ date, value }] and forecast it
+ * options.log: model ln(value); forecasts and bands are transformed back (median forecasts)
+ * options.horizon: months ahead (cut to the length of the regressor paths for ARIMAX)
+ * options.exog: [{ name, values, future }] with values aligned to the series and future holding
+ *   the monthly regressor path after the last observation
+ * Other options are passed to selectARIMA
+ * Series that hold annual values repeated every month (see variesWithinYear) have no monthly
+ * dynamics to model: they are collapsed to one observation per calendar year and forecast with a
+ * non-seasonal ARIMA over ceil(horizon / 12) years, with the regressors averaged by calendar year.
+ * Returns { feasible, frequency: 'monthly' | 'annual', model, candidates,
+ *           history: [{ date, period, yearMonth, value }],
+ *           forecast: [{ date, period, yearMonth, step, mean, lower80, upper80, lower95, upper95 }],
+ *           exog: [{ name, history, future }] at the frequency of the model }
+ * period is "YYYY-MM" for monthly and "YYYY" for annual forecasts
+ */
+export const forecastSeries = (series, options = {}) => {
+  const { log = true, horizon = 24, exog = [] } = options;
+  const indices = series.map((_, i) => i).filter(i => {
+    const { value } = series[i];
+    return value !== null && !isNaN(value) && (!log || value > 0) &&
+      exog.every(x => x.values[i] !== null && x.values[i] !== undefined && !isNaN(x.values[i]));
+  });
+  const monthly = indices.map(i => series[i]);
+  if (monthly.length < 36) {
+    return { feasible: false, reason: `Insufficient monthly observations for ARIMA (N=${monthly.length} < 36 required)` };
+  }
+
+  const annual = !variesWithinYear(monthly.map(d => d.value));
+  const last = monthly[monthly.length - 1].date;
+  let rows;
+  let regressors;
+  let steps;
+  if (annual) {
+    const years = Array.from(new Set(monthly.map(d => d.date.getFullYear())));
+    const inYear = (year) => indices.filter(i => series[i].date.getFullYear() === year);
+    rows = years.map(year => ({ date: new Date(year, 0, 1), value: mean(inYear(year).map(i => series[i].value)) }));
+    if (rows.length < MIN_ANNUAL_OBSERVATIONS) {
+      return {
+        feasible: false,
+        reason: `The series repeats annual values every month, leaving ${rows.length} annual observations ` +
+          `(at least ${MIN_ANNUAL_OBSERVATIONS} are needed for an annual ARIMA)`
+      };
+    }
+    // Future regressor months after the last observed calendar year, averaged over complete years
+    const futureDates = Array.from({ length: horizon }, (_, k) => new Date(last.getFullYear(), last.getMonth() + k + 1, 1));
+    const futureYears = Array.from(new Set(futureDates.map(date => date.getFullYear())))
+      .filter(year => year > last.getFullYear());
+    regressors = exog.map(x => {
+      const futureMonths = (year) => futureDates
+        .map((date, k) => (date.getFullYear() === year && k < x.future.length ? x.future[k] : null))
+        .filter(v => v !== null);
+      return {
+        name: x.name,
+        values: years.map(year => mean(inYear(year).map(i => x.values[i]))),
+        future: futureYears.filter(year => futureMonths(year).length === 12).map(year => mean(futureMonths(year)))
+      };
+    });
+    steps = Math.min(Math.ceil(horizon / 12), ...regressors.map(x => x.future.length));
+  } else {
+    rows = monthly;
+    regressors = exog.map(x => ({ name: x.name, values: indices.map(i => x.values[i]), future: x.future }));
+    steps = exog.length > 0 ? Math.min(horizon, ...exog.map(x => x.future.length)) : horizon;
+  }
+  if (steps < 1) {
+    return { feasible: false, reason: 'No future path for the exogenous regressors' };
+  }
+
+  const transform = (v) => (log ? Math.log(v) : v);
+  const inverse = (v) => (log ? Math.exp(v) : v);
+  const columns = regressors.map(x => x.values);
+  const selection = selectARIMA(rows.map(d => transform(d.value)), annual
+    ? { ...options, seasonal: false, maxP: 1, maxQ: 1, exog: columns }
+    : { ...options, exog: columns });
+  if (!selection) {
+    return { feasible: false, reason: 'No ARIMA model could be estimated' };
+  }
+
+  const { best } = selection;
+  const path = forecastARIMA(best, steps, { exogFuture: regressors.map(x => x.future.slice(0, steps)) });
+  const periodOf = (date) => (annual ? String(date.getFullYear()) : yearMonthOf(date));
+  const dateAt = (step) => (annual
+    ? new Date(last.getFullYear() + step, 0, 1)
+    : new Date(last.getFullYear(), last.getMonth() + step, 1));
+
+  return {
+    feasible: true,
+    frequency: annual ? 'annual' : 'monthly',
+    model: {
+      label: best.label,
+      order: best.order,
+      ar: best.ar,
+      ma: best.ma,
+      seasonalAR: best.seasonalAR,
+      seasonalMA: best.seasonalMA,
+      mean: best.includeConstant ? best.mean : null,
+      beta: regressors.map((x, j) => ({ name: x.name, coeff: best.beta[j] })),
+      sigma2: best.sigma2,
+      aic: best.aic,
+      bic: best.bic,
+      n: best.n,
+      d: selection.d,
+      log
+    },
+    candidates: selection.candidates.slice(0, 5),
+    history: rows.map(d => ({ date: d.date, period: periodOf(d.date), yearMonth: yearMonthOf(d.date), value: d.value })),
+    forecast: path.map(f => {
+      const date = dateAt(f.step);
+      return {
+        date,
+        period: periodOf(date),
+        yearMonth: yearMonthOf(date),
+        step: f.step,
+        mean: inverse(f.mean),
+        lower80: inverse(f.intervals[80][0]),
+        upper80: inverse(f.intervals[80][1]),
+        lower95: inverse(f.intervals[95][0]),
+        upper95: inverse(f.intervals[95][1])
+      };
+    }),
+    exog: regressors.map(x => ({ name: x.name, history: x.values, future: x.future.slice(0, steps) }))
+  };
+};
+
+/**
+ * Helper: arithmetic mean
+ */
+function mean(values) {
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+/**
+ * Helper: "YYYY-MM" of a date (local time)
+ */
+function yearMonthOf(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Helper: apply (1 - B)ᵈ and (1 - Bˢ)ᴰ; the result is shorter by d + sD observations
+ */
+function difference(series, d, D, s) {
+  let result = series.slice();
+  for (let i = 0; i < D; i++) result = result.slice(s).map((v, t) => v - result[t]);
+  for (let i = 0; i < d; i++) result = result.slice(1).map((v, t) => v - result[t]);
+  return result;
+}
+
+/**
+ * Helper: polynomial 1 + sign·Σ c_k B^(k·s) as a coefficient array
+ */
+function lagPolynomial(coefficients, s, sign) {
+  const poly = new Array(coefficients.length * s + 1).fill(0);
+  poly[0] = 1;
+  coefficients.forEach((c, k) => {
+    poly[(k + 1) * s] = sign * c;
+  });
+  return poly;
+}
+
+/**
+ * Helper: product of two polynomials in B
+ */
+function multiplyPolynomials(a, b) {
+  const result = new Array(a.length + b.length - 1).fill(0);
+  a.forEach((x, i) => {
+    b.forEach((y, j) => {
+      result[i + j] += x * y;
+    });
+  });
+  return result;
+}
+
+/**
+ * Helper: map unconstrained values to the coefficients φ of a stationary polynomial 1 - Σ φ_i Bⁱ
+ * via partial autocorrelations r_k = tanh(u_k) and the Durbin-Levinson recursion
+ */
+function partialToCoefficients(values) {
+  let phi = [];
+  values.forEach((u, k) => {
+    const r = Math.tanh(u);
+    const next = phi.map((v, j) => v - r * phi[k - 1 - j]);
+    next.push(r);
+    phi = next;
+  });
+  return phi;
+}
+
+/**
+ * Helper: differencing order from repeated KPSS tests (level stationarity, 5%)
+ */
+function chooseDifferencing(y, exog) {
+  let series = y;
+  if (exog.length > 0) {
+    const fit = multipleOLS(y, exog);
+    if (fit) series = fit.residuals;
+  }
+  let d = 0;
+  while (d < 2) {
+    const test = kpssTest(series, { trend: 'c' });
+    if (!test.feasible || !test.rejectsStationarity) break;
+    series = series.slice(1).map((v, t) => v - series[t]);
+    d++;
+  }
+  return d;
+}
@@ -0,0 +1,191 @@
+/**
+ * Gravity Model for Bilateral Steel Imports
+ *   X_ijt = exp(π_it + χ_jt + β GAP_ijt) × η_ijt
+ * exporter i (partner), importer j (EU member state), year t; X from bilateral_flows.json.
+ * Estimated by PPML on all flows (zeros included) and by OLS on LN(X_ijt) for positive flows,
+ * both with the same fixed effects and standard errors clustered by exporter-importer pair.
+ * GAP_ijt = carbon price in j (EU ETS + national instruments) - carbon price in i for imports from
+ * outside the EU; intra-EU flows face the same ETS on both sides and have GAP = 0.
+ * With exporter-time and importer-time effects the gap is identified only by comparing extra- and
+ * intra-EU flows into the same importer and year, i.e. from the national carbon prices of importers
+ */
+
+import { multipleOLS, ppml } from './econometricAnalysis';
+import { getJurisdictionCarbonPrice } from './carbonPricingParser';
+import { shortCountryName } from './panelRegression';
+
+export const GRAVITY_FIXED_EFFECTS = [
+  { id: 'multilateral', label: 'Exporter-time + importer-time FE' },
+  { id: 'additive', label: 'Exporter + importer + year FE' }
+];
+
+export const GRAVITY_MEASURES = [
+  { id: 'quantity', label: 'Quantity (tonnes)', key: 'quantity_tons' },
+  { id: 'value', label: 'Value (EUR)', key: 'value_eur' }
+];
+
+export const INTRA_EU_EXPORTER = 'EU-27 (intra-EU)';
+
+const EU_ETS_JURISDICTION = 'EU27+';
+
+/**
+ * Bilateral panel with carbon prices for the years in which an EU ETS price is recorded
+ * Flows with a missing measure are dropped, zero flows are kept
+ * Returns [{ exporter, importer, year, flow, extraEU, importerPrice, exporterPrice, gap }]
+ */
+export const buildGravityPanel = (flows, carbonPricing, measure = 'quantity') => {
+  const { key } = GRAVITY_MEASURES.find(m => m.id === measure) || GRAVITY_MEASURES[0];
+  const price = (jurisdiction, year) => getJurisdictionCarbonPrice(carbonPricing, jurisdiction, year);
+
+  return flows
+    .filter(f => f[key] !== null && f[key] !== undefined && !isNaN(f[key]) && price(EU_ETS_JURISDICTION, f.year) > 0)
+    .map(f => {
+      const ets = price(EU_ETS_JURISDICTION, f.year);
+      const extraEU = f.exporter !== INTRA_EU_EXPORTER;
+      const importerPrice = ets + price(shortCountryName(f.importer), f.year);
+      const exporterPrice = extraEU ? price(shortCountryName(f.exporter), f.year) : ets;
+      return {
+        exporter: f.exporter,
+        importer: f.importer,
+        year: f.year,
+        flow: f[key],
+        extraEU,
+        importerPrice,
+        exporterPrice,
+        gap: extraEU ? importerPrice - exporterPrice : 0
+      };
+    });
+};
+
+/**
+ * PPML and log-OLS estimates of the carbon-price-gap coefficient
+ * options.fixedEffects: 'multilateral' (exporter-time + importer-time) or 'additive' (exporter + importer + year)
+ * Observations in fixed-effect groups whose flows are all zero are dropped before PPML, since their
+ * effects diverge to -∞ (separation); the gap is reported as absorbed if it is collinear with the effects
+ * Each estimate holds { coeff, se, tStat, pValue, ci, semiElasticity, elasticity, n, pairs, df } where
+ * semiElasticity = 100β (% per unit of gap) and elasticity = β × mean gap of extra-EU flows
+ */
+export const estimateGravity = (panel, options = {}) => {
+  const { fixedEffects = 'multilateral' } = options;
+  const years = [...new Set(panel.map(r => r.year))];
+  if (panel.length === 0 || years.length < 2) {
+    return { feasible: false, reason: 'Bilateral flows with carbon prices cover fewer than two years' };
+  }
+
+  const groupsOf = fixedEffects === 'multilateral'
+    ? [r => `${r.exporter}_${r.year}`, r => `${r.importer}_${r.year}`]
+    : [r => r.exporter, r => r.importer, r => r.year];
+  const ppmlRows = dropSeparated(panel, groupsOf);
+  const olsRows = panel.filter(r => r.flow > 0);
+
+  const ppmlDesign = fixedEffectDesign(ppmlRows, fixedEffects);
+  const gap = ppmlRows.map(r => r.gap);
+  const absorbed = multipleOLS(gap, ppmlDesign.columns, { includeIntercept: ppmlDesign.includeIntercept });
+  if (!absorbed || absorbed.rSquared > 1 - 1e-8 || absorbed.residuals.every(e => Math.abs(e) < 1e-10)) {
+    return { feasible: false, reason: 'The carbon-price gap is absorbed by the fixed effects' };
+  }
+
+  const pairs = (rows) => rows.map(r => `${r.exporter}_${r.importer}`);
+  const ppmlFit = ppml(ppmlRows.map(r => r.flow), [gap, ...ppmlDesign.columns], {
+    includeIntercept: ppmlDesign.includeIntercept,
+    clusters: pairs(ppmlRows)
+  });
+
+  const olsDesign = fixedEffectDesign(olsRows, fixedEffects);
+  const olsFit = multipleOLS(olsRows.map(r => Math.log(r.flow)), [olsRows.map(r => r.gap), ...olsDesign.columns], {
+    includeIntercept: olsDesign.includeIntercept,
+    clusters: pairs(olsRows)
+  });
+
+  const extra = panel.filter(r => r.extraEU);
+  const meanGap = extra.length > 0 ? extra.reduce((sum, r) => sum + r.gap, 0) / extra.length : 0;
+  const summarize = (fit, rows) => {
+    if (!fit) return null;
+    const index = ppmlDesign.includeIntercept ? 1 : 0;
+    const coeff = fit.coefficients[index];
+    return {
+      coeff,
+      se: fit.standardErrors[index],
+      tStat: fit.tStats[index],
+      pValue: fit.pValues[index],
+      ci: fit.confidenceIntervals[index],
+      semiElasticity: coeff * 100,
+      elasticity: coeff * meanGap,
+      n: fit.n,
+      pairs: new Set(pairs(rows)).size,
+      df: fit.df
+    };
+  };
+
+  return {
+    feasible: true,
+    fixedEffects,
+    years: years.sort((a, b) => a - b),
+    meanGap,
+    exporters: [...new Set(panel.map(r => r.exporter))],
+    importers: new Set(panel.map(r => r.importer)).size,
+    observations: panel.length,
+    zeroFlows: panel.filter(r => r.flow === 0).length,
+    separated: panel.length - ppmlRows.length,
+    ppml: ppmlFit
+      ? { ...summarize(ppmlFit, ppmlRows), iterations: ppmlFit.iterations, converged: ppmlFit.converged, pseudoRSquared: ppmlFit.pseudoRSquared }
+      : null,
+    ols: olsFit ? { ...summarize(olsFit, olsRows), rSquared: olsFit.rSquared } : null
+  };
+};
+
+/**
+ * Helper: repeatedly drop observations in fixed-effect groups whose flows sum to zero
+ */
+function dropSeparated(rows, groupsOf) {
+  let current = rows;
+  let changed = true;
+  while (changed) {
+    changed = false;
+    groupsOf.forEach(groupOf => {
+      const totals = new Map();
+      current.forEach(r => totals.set(groupOf(r), (totals.get(groupOf(r)) || 0) + r.flow));
+      const kept = current.filter(r => totals.get(groupOf(r)) > 0);
+      if (kept.length < current.length) {
+        current = kept;
+        changed = true;
+      }
+    });
+  }
+  return current;
+}
+
+/**
+ * Helper: fixed-effect dummy columns
+ * multilateral: all exporter-year dummies plus importer-year dummies without the first importer
+ * of each year (no intercept); additive: exporter, importer and year dummies without their first
+ * level (with intercept)
+ */
+function fixedEffectDesign(rows, fixedEffects) {
+  const levels = (keyOf) => [...new Set(rows.map(keyOf))].sort();
+  const dummies = (keyOf, values) => values.map(v => rows.map(r => (keyOf(r) === v ? 1 : 0)));
+
+  if (fixedEffects === 'multilateral') {
+    const exporterYear = (r) => `${r.exporter}_${r.year}`;
+    const importerYear = (r) => `${r.importer}_${r.year}`;
+    const firstImporter = new Map();
+    levels(importerYear).forEach(level => {
+      const year = level.slice(level.lastIndexOf('_') + 1);
+      if (!firstImporter.has(year)) firstImporter.set(year, level);
+    });
+    const importerLevels = levels(importerYear).filter(level => !Array.from(firstImporter.values()).includes(level));
+    return {
+      includeIntercept: false,
+      columns: [...dummies(exporterYear, levels(exporterYear)), ...dummies(importerYear, importerLevels)]
+    };
+  }
+
+  return {
+    includeIntercept: true,
+    columns: [
+      ...dummies(r => r.exporter, levels(r => r.exporter).slice(1)),
+      ...dummies(r => r.importer, levels(r => r.importer).slice(1)),
+      ...dummies(r => r.year, levels(r => r.year).slice(1))
+    ]
+  };
+}
@@ -0,0 +1,231 @@
+/**
+ * Linear Algebra Utilities
+ * Small dense-matrix helpers shared by the econometric estimators
+ */
+
+/**
+ * Transpose a matrix (array of rows)
+ */
+export const transpose = (matrix) => {
+  return matrix[0].map((_, colIndex) => matrix.map(row => row[colIndex]));
+};
+
+/**
+ * Matrix product A * B
+ */
+export const matrixMultiply = (a, b) => {
+  const result = [];
+  for (let i = 0; i < a.length; i++) {
+    result[i] = [];
+    for (let j = 0; j < b[0].length; j++) {
+      let sum = 0;
+      for (let k = 0; k < a[0].length; k++) {
+        sum += a[i][k] * b[k][j];
+      }
+      result[i][j] = sum;
+    }
+  }
+  return result;
+};
+
+/**
+ * Matrix-vector product A * v
+ */
+export const matrixVectorMultiply = (matrix, vector) => {
+  return matrix.map(row =>
+    row.reduce((sum, val, i) => sum + val * vector[i], 0)
+  );
+};
+
+/**
+ * Solve A * x = b by Gaussian elimination with partial pivoting
+ * Returns null if A is (numerically) singular
+ */
+export const solveLinearSystem = (A, b) => {
+  const n = A.length;
+  const augmented = A.map((row, i) => [...row, b[i]]);
+
+  // Forward elimination
+  for (let i = 0; i < n; i++) {
+    // Find pivot
+    let maxRow = i;
+    for (let k = i + 1; k < n; k++) {
+      if (Math.abs(augmented[k][i]) > Math.abs(augmented[maxRow][i])) {
+        maxRow = k;
+      }
+    }
+    [augmented[i], augmented[maxRow]] = [augmented[maxRow], augmented[i]];
+
+    if (Math.abs(augmented[i][i]) < 1e-14) return null;
+
+    // Make all rows below this one 0
+    for (let k = i + 1; k < n; k++) {
+      const factor = augmented[k][i] / augmented[i][i];
+      for (let j = i; j < n + 1; j++) {
+        augmented[k][j] -= factor * augmented[i][j];
+      }
+    }
+  }
+
+  // Back substitution
+  const x = new Array(n);
+  for (let i = n - 1; i >= 0; i--) {
+    x[i] = augmented[i][n];
+    for (let j = i + 1; j < n; j++) {
+      x[i] -= augmented[i][j] * x[j];
+    }
+    x[i] /= augmented[i][i];
+  }
+
+  return x;
+};
+
+/**
+ * Cholesky decomposition of a symmetric positive-definite matrix: A = L * L'
+ * Returns the lower-triangular factor L, or null if A is not positive definite
+ */
+export const choleskyDecomposition = (A) => {
+  const n = A.length;
+  const L = Array.from({ length: n }, () => new Array(n).fill(0));
+
+  // Relative tolerance so that badly scaled but full-rank designs still factor
+  const maxDiag = Math.max(...A.map((row, i) => Math.abs(row[i])));
+  const tolerance = 1e-12 * (maxDiag > 0 ? maxDiag : 1);
+
+  for (let j = 0; j < n; j++) {
+    let diag = A[j][j];
+    for (let k = 0; k < j; k++) {
+      diag -= L[j][k] * L[j][k];
+    }
+    if (!(diag > tolerance)) return null;
+    L[j][j] = Math.sqrt(diag);
+
+    for (let i = j + 1; i < n; i++) {
+      let sum = A[i][j];
+      for (let k = 0; k < j; k++) {
+        sum -= L[i][k] * L[j][k];
+      }
+      L[i][j] = sum / L[j][j];
+    }
+  }
+
+  return L;
+};
+
+/**
+ * Solve A * x = b given the Cholesky factor L of A (forward then back substitution)
+ */
+export const choleskySolve = (L, b) => {
+  const n = L.length;
+
+  // L * z = b
+  const z = new Array(n);
+  for (let i = 0; i < n; i++) {
+    let sum = b[i];
+    for (let k = 0; k < i; k++) {
+      sum -= L[i][k] * z[k];
+    }
+    z[i] = sum / L[i][i];
+  }
+
+  // L' * x = z
+  const x = new Array(n);
+  for (let i = n - 1; i >= 0; i--) {
+    let sum = z[i];
+    for (let k = i + 1; k < n; k++) {
+      sum -= L[k][i] * x[k];
+    }
+    x[i] = sum / L[i][i];
+  }
+
+  return x;
+};
+
+/**
+ * Inverse of a symmetric positive-definite matrix via its Cholesky factor
+ * Returns null if the matrix is singular or not positive definite
+ */
+export const invertSymmetricMatrix = (A) => {
+  const L = choleskyDecomposition(A);
+  if (!L) return null;
+
+  const n = A.length;
+  const columns = [];
+  for (let j = 0; j < n; j++) {
+    const e = new Array(n).fill(0);
+    e[j] = 1;
+    columns.push(choleskySolve(L, e));
+  }
+
+  // Columns of the inverse -> rows (the inverse is symmetric, symmetrise for round-off)
+  const inverse = [];
+  for (let i = 0; i < n; i++) {
+    inverse[i] = [];
+    for (let j = 0; j < n; j++) {
+      inverse[i][j] = (columns[j][i] + columns[i][j]) / 2;
+    }
+  }
+
+  return inverse;
+};
+
+/**
+ * Eigenvalues and eigenvectors of a symmetric matrix (cyclic Jacobi rotations)
+ * Returns { values, vectors } sorted by descending eigenvalue; vectors[i] is the
+ * eigenvector belonging to values[i]
+ */
+export const symmetricEigen = (A, maxSweeps = 100) => {
+  const n = A.length;
+  const a = A.map(row => [...row]);
+  const v = Array.from({ length: n }, (_, i) => {
+    const row = new Array(n).fill(0);
+    row[i] = 1;
+    return row;
+  });
+
+  for (let sweep = 0; sweep < maxSweeps; sweep++) {
+    let offDiagonal = 0;
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) {
+        offDiagonal += a[p][q] * a[p][q];
+      }
+    }
+    if (offDiagonal < 1e-22) break;
+
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) {
+        if (Math.abs(a[p][q]) < 1e-300) continue;
+
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+
+        for (let k = 0; k < n; k++) {
+          const akp = a[k][p];
+          const akq = a[k][q];
+          a[k][p] = c * akp - s * akq;
+          a[k][q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < n; k++) {
+          const apk = a[p][k];
+          const aqk = a[q][k];
+          a[p][k] = c * apk - s * aqk;
+          a[q][k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < n; k++) {
+          const vkp = v[k][p];
+          const vkq = v[k][q];
+          v[k][p] = c * vkp - s * vkq;
+          v[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+
+  const order = a.map((row, i) => i).sort((i, j) => a[j][j] - a[i][i]);
+  return {
+    values: order.map(i => a[i][i]),
+    vectors: order.map(i => v.map(row => row[i]))
+  };
+};
@@ -0,0 +1,136 @@
+/**
+ * Model Comparison
+ * Side-by-side (Stargazer-style) summary of the OLS specifications, selection of a preferred model by
+ * information criteria and F / likelihood-ratio tests between nested specifications. Works on the
+ * modelResult objects returned by the estimators in econometricAnalysis.js
+ */
+
+import { multipleOLS, modelResult } from './econometricAnalysis';
+import { fPValue, chiSquarePValue } from './statDistributions';
+
+/**
+ * Criteria for the preferred model; lower is better except for adjusted R²
+ */
+export const SELECTION_CRITERIA = [
+  { id: 'bic', label: 'BIC', lowerIsBetter: true },
+  { id: 'aic', label: 'AIC', lowerIsBetter: true },
+  { id: 'adjRSquared', label: 'Adjusted R²', lowerIsBetter: false }
+];
+
+/**
+ * Significance stars as in Stargazer: *** p < 0.01, ** p < 0.05, * p < 0.1
+ */
+export const significanceStars = (pValue) => {
+  if (pValue === null || pValue === undefined || isNaN(pValue)) return '';
+  if (pValue < 0.01) return '***';
+  if (pValue < 0.05) return '**';
+  return pValue < 0.1 ? '*' : '';
+};
+
+/**
+ * Re-estimate a model result without the terms in dropLabels (a restricted, nested specification)
+ * options: { id, label } of the new result plus multipleOLS options (e.g. { covarianceType: 'NW' })
+ * Returns a modelResult or null if the restricted regression fails
+ */
+export const restrictModel = (result, dropLabels, options = {}) => {
+  const { id, label, ...olsOptions } = options;
+  const keep = result.terms.map((term, j) => j).filter(j => j > 0 && !dropLabels.includes(result.terms[j].label));
+  const fit = multipleOLS(result.y, keep.map(j => result.designMatrix.map(row => row[j])), olsOptions);
+  if (!fit) return null;
+  return modelResult(fit, {
+    id,
+    label,
+    labels: [result.terms[0].label, ...keep.map(j => result.terms[j].label)],
+    observations: result.observations,
+    dependent: result.dependent
+  });
+};
+
+/**
+ * Compare model results with the same dependent variable
+ * The specifications use different samples (lags drop the first months), so information criteria and
+ * nested tests are computed on the common sample of observations present in every model, re-fitting each
+ * design on those rows; the reported columns keep each model's own estimates
+ * Nested pairs are those whose regressors (matched by term label) are a strict subset of another model's:
+ *   F = ((SSR_r - SSR_u) / q) / (SSR_u / (n - k_u)),   LR = n ln(SSR_r / SSR_u) ~ χ²(q)
+ * options.criterion: id from SELECTION_CRITERIA (default 'bic')
+ * Returns { models, variables, criterion, commonSample: { n, statistics: { [id]: { logLik, aic, bic, adjRSquared } } },
+ *           preferred, nestedTests: [{ restricted, unrestricted, q, fStat, df1, df2, fPValue, lrStat, lrPValue }] }
+ */
+export const compareModels = (results, options = {}) => {
+  const { criterion = 'bic' } = options;
+  const models = results.filter(r => r && r.dependent === results[0].dependent);
+  if (models.length < 2) return null;
+
+  const variables = [];
+  models.forEach(model => model.terms.forEach(term => {
+    if (!variables.includes(term.label)) variables.push(term.label);
+  }));
+
+  // Observations shared by all models, identified by their dates
+  const key = (date) => new Date(date).getTime();
+  const common = models
+    .map(model => new Set(model.observations.map(key)))
+    .reduce((shared, set) => new Set([...shared].filter(t => set.has(t))));
+  const fits = {};
+  models.forEach(model => {
+    const rows = model.observations.map((date, i) => (common.has(key(date)) ? i : -1)).filter(i => i >= 0);
+    if (rows.length !== common.size) return;
+    const fit = multipleOLS(
+      rows.map(i => model.y[i]),
+      model.terms.map((_, j) => rows.map(i => model.designMatrix[i][j])),
+      { includeIntercept: false }
+    );
+    if (fit) fits[model.id] = fit;
+  });
+
+  const statistics = {};
+  Object.entries(fits).forEach(([id, fit]) => {
+    statistics[id] = { logLik: fit.logLik, aic: fit.aic, bic: fit.bic, adjRSquared: fit.adjRSquared };
+  });
+
+  const selection = SELECTION_CRITERIA.find(c => c.id === criterion) || SELECTION_CRITERIA[0];
+  const ranked = models
+    .filter(model => statistics[model.id])
+    .sort((a, b) => {
+      const difference = statistics[a.id][selection.id] - statistics[b.id][selection.id];
+      return selection.lowerIsBetter ? difference : -difference;
+    });
+
+  const nestedTests = [];
+  models.forEach(restricted => models.forEach(unrestricted => {
+    const small = restricted.terms.map(t => t.label);
+    const large = unrestricted.terms.map(t => t.label);
+    if (small.length >= large.length || !small.every(label => large.includes(label))) return;
+    const fitR = fits[restricted.id];
+    const fitU = fits[unrestricted.id];
+    if (!fitR || !fitU || !(fitU.ssr > 0)) return;
+
+    const n = common.size;
+    const q = large.length - small.length;
+    const df2 = n - large.length;
+    if (df2 <= 0) return;
+    const fStat = Math.max(0, ((fitR.ssr - fitU.ssr) / q) / (fitU.ssr / df2));
+    const lrStat = Math.max(0, n * Math.log(fitR.ssr / fitU.ssr));
+    nestedTests.push({
+      restricted: restricted.label,
+      unrestricted: unrestricted.label,
+      q,
+      fStat,
+      df1: q,
+      df2,
+      fPValue: fPValue(fStat, q, df2),
+      lrStat,
+      lrPValue: chiSquarePValue(lrStat, q)
+    });
+  }));
+
+  return {
+    models,
+    variables,
+    criterion: selection,
+    commonSample: { n: common.size, statistics },
+    preferred: ranked.length > 0 ? ranked[0].id : null,
+    nestedTests
+  };
+};
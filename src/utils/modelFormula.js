@@ -0,0 +1,340 @@
+/**
+ * Model Formula Language
+ * Custom regression specifications written as formulas over the columns of merged_data.json, e.g.
+ *   logImport ~ etsPrice + L(etsPrice, 1:3) + logIndustry + cbamDummy + etsPrice:cbamDummy
+ * Grammar
+ *   formula := column '~' term (('+' | '-') term)*
+ *   term    := '1' | '0' | factor (':' factor)*       ('- 1' or '+ 0' drops the intercept)
+ *   factor  := column | 'L(' column [',' lags] ')'     (lags: k or a:b in observations, default 1)
+ * L() with a range expands to one term per lag; interactions multiply their factors and expand over every
+ * combination of lags. Lags count rows of the estimation data (months or years), as in alignDataWithLags
+ */
+
+import {
+  multipleOLS,
+  ppml,
+  quantileRegression,
+  bootstrapRegression,
+  modelResult,
+  CONFIDENCE_LEVELS
+} from './econometricAnalysis';
+import { normalQuantile } from './statDistributions';
+
+/**
+ * Estimators available in the model builder
+ * ols: least squares with the dashboard's standard errors
+ * ppml: Poisson pseudo-maximum likelihood for a non-negative response in levels (exp-linear mean)
+ * lad: median (least absolute deviations) regression with pairs-bootstrap standard errors
+ */
+export const FORMULA_ESTIMATORS = [
+  { id: 'ols', label: 'OLS' },
+  { id: 'ppml', label: 'PPML (response in levels)' },
+  { id: 'lad', label: 'Median regression (LAD)' }
+];
+
+/**
+ * Columns of merged_data.json offered in the builder, with their meaning
+ */
+export const FORMULA_VARIABLES = [
+  { id: 'logImport', label: 'LN(Imports)' },
+  { id: 'importQuantity_tons', label: 'Import volume (tonnes)' },
+  { id: 'importValue_eur', label: 'Import value (EUR)' },
+  { id: 'importUnitValue', label: 'Import unit value (EUR/t)' },
+  { id: 'etsPrice', label: 'Carbon price (EUR/tCO₂)' },
+  { id: 'logETS', label: 'LN(Carbon price)' },
+  { id: 'industryIndex', label: 'Industrial production index' },
+  { id: 'logIndustry', label: 'LN(Activity)' },
+  { id: 'cbamDummy', label: 'CBAM transition dummy' },
+  { id: 'importGrowth', label: 'Import growth, m/m (%)' },
+  { id: 'importGrowthYoY', label: 'Import growth, y/y (%)' },
+  { id: 'etsGrowth', label: 'Carbon price growth (%)' }
+];
+
+export const DEFAULT_FORMULA = 'logImport ~ etsPrice + L(etsPrice, 1:3) + logIndustry + cbamDummy + etsPrice:cbamDummy';
+
+/**
+ * Parse a formula into its response, expanded terms and intercept flag
+ * Returns { valid: true, response, intercept, terms: [{ label, factors: [{ variable, lag }] }], text } or
+ * { valid: false, reason, position } with the character position of the error
+ */
+export const parseFormula = (text) => {
+  const tokens = tokenize(text || '');
+  if (tokens.error) return { valid: false, reason: tokens.error, position: tokens.position };
+
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const fail = (reason) => ({ valid: false, reason, position: peek() ? peek().position : (text || '').length });
+  const expect = (type) => {
+    const token = peek();
+    if (!token || token.type !== type) return null;
+    pos++;
+    return token;
+  };
+
+  const response = expect('name');
+  if (!response) return fail('The formula must start with a response variable');
+  if (!expect('~')) return fail('Expected "~" after the response variable');
+
+  const factor = () => {
+    const name = expect('name');
+    if (!name) return { error: 'Expected a variable name or L(variable, lags)' };
+    if (!peek() || peek().type !== '(') return { lags: [{ variable: name.value, lag: 0 }] };
+    if (name.value !== 'L') return { error: `Unknown function ${name.value}(); only the lag operator L() is supported` };
+    pos++;
+    const variable = expect('name');
+    if (!variable) return { error: 'Expected a variable name inside L()' };
+    let from = 1;
+    let to = 1;
+    if (expect(',')) {
+      const first = expect('number');
+      if (!first) return { error: 'Expected a lag (k or a:b) in L()' };
+      from = first.value;
+      to = first.value;
+      if (expect(':')) {
+        const last = expect('number');
+        if (!last) return { error: 'Expected the last lag of the range a:b in L()' };
+        to = last.value;
+      }
+    }
+    if (!expect(')')) return { error: 'Expected ")" to close L()' };
+    if (to < from) return { error: `Empty lag range ${from}:${to}` };
+    return { lags: Array.from({ length: to - from + 1 }, (_, i) => ({ variable: variable.value, lag: from + i })) };
+  };
+
+  let intercept = true;
+  const terms = new Map();
+  let sign = '+';
+  if (peek() && peek().type === '-') {
+    sign = '-';
+    pos++;
+  }
+  for (;;) {
+    const token = peek();
+    if (!token) return fail('Expected a term after the operator');
+    if (token.type === 'number') {
+      if (token.value !== 0 && token.value !== 1) return fail(`Unexpected number ${token.value}; only 0 and 1 denote the intercept`);
+      pos++;
+      intercept = (token.value === 1) === (sign === '+');
+    } else {
+      if (sign === '-') return fail('Only the intercept can be removed ("- 1")');
+      let combinations = [[]];
+      for (;;) {
+        const result = factor();
+        if (result.error) return fail(result.error);
+        combinations = combinations.flatMap(c => result.lags.map(l => [...c, l]));
+        if (!expect(':')) break;
+      }
+      combinations.forEach(factors => {
+        const label = factors.map(f => (f.lag === 0 ? f.variable : `${f.variable}(t-${f.lag})`)).join(':');
+        if (!terms.has(label)) terms.set(label, { label, factors });
+      });
+    }
+
+    const operator = peek();
+    if (!operator) break;
+    if (operator.type !== '+' && operator.type !== '-') return fail(`Unexpected "${operator.text}"; terms are joined by "+"`);
+    sign = operator.type;
+    pos++;
+  }
+
+  if (terms.size === 0 && !intercept) return fail('The formula has no regressors');
+  return {
+    valid: true,
+    response: response.value,
+    intercept,
+    terms: [...terms.values()],
+    text: `${response.value} ~ ${[intercept ? '1' : '0', ...terms.keys()].join(' + ')}`
+  };
+};
+
+/**
+ * Design matrix of a parsed formula on the estimation data (rows in time order)
+ * Rows where the response or any lagged factor is missing are dropped
+ * Returns { feasible, y, x: [column per term], labels, dates, maxLag, dropped } or { feasible: false, reason }
+ */
+export const buildDesignMatrix = (data, formula) => {
+  const numeric = (v) => typeof v === 'number' && Number.isFinite(v);
+  const variables = [formula.response, ...formula.terms.flatMap(t => t.factors.map(f => f.variable))];
+  const unknown = [...new Set(variables)].filter(v => !data.some(d => numeric(d[v])));
+  if (unknown.length > 0) {
+    return { feasible: false, reason: `Unknown or empty variable${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}` };
+  }
+
+  const maxLag = Math.max(0, ...formula.terms.flatMap(t => t.factors.map(f => f.lag)));
+  const y = [];
+  const x = formula.terms.map(() => []);
+  const dates = [];
+  for (let t = maxLag; t < data.length; t++) {
+    const response = data[t][formula.response];
+    const factors = formula.terms.map(term => term.factors.map(f => data[t - f.lag][f.variable]));
+    if (!numeric(response) || !factors.every(values => values.every(numeric))) continue;
+    const values = factors.map(v => v.reduce((product, value) => product * value, 1));
+    y.push(response);
+    values.forEach((v, j) => x[j].push(v));
+    dates.push(data[t].date);
+  }
+
+  return {
+    feasible: true,
+    y,
+    x,
+    labels: [...(formula.intercept ? ['Intercept'] : []), ...formula.terms.map(t => t.label)],
+    dates,
+    maxLag,
+    dropped: data.length - y.length
+  };
+};
+
+/**
+ * Estimate a custom specification
+ * options.estimator: id from FORMULA_ESTIMATORS (default 'ols'); options.covarianceType: OLS standard errors
+ * options.replications / seed: pairs bootstrap of the LAD estimator (default 499)
+ * modelResult is only built for OLS fits of logImport with an intercept, whose terms are relabelled as in the
+ * hard-coded models (e.g. etsPrice:cbamDummy → 'Carbon Price × CBAM') so they line up in compareModels
+ * Returns { feasible, estimator, formula, response, terms: [{ label, coeff, se, tStat, pValue, ci }], n, k,
+ *           maxLag, dropped, rSquared, fitLabel, covarianceType, bandwidth, modelResult }
+ */
+export const estimateFormulaModel = (data, text, options = {}) => {
+  const { estimator = 'ols', covarianceType, replications = 499, seed } = options;
+  const formula = parseFormula(text);
+  if (!formula.valid) return { feasible: false, reason: `Formula error at position ${formula.position + 1}: ${formula.reason}` };
+
+  const design = buildDesignMatrix(data, formula);
+  if (!design.feasible) return design;
+  const { y, x, labels, dates } = design;
+  const k = labels.length;
+  if (y.length < k + 10) {
+    return { feasible: false, reason: `Insufficient observations (N=${y.length} < ${k + 10} required for ${k} coefficients)` };
+  }
+
+  const includeIntercept = formula.intercept;
+  const common = {
+    feasible: true,
+    estimator,
+    formula: formula.text,
+    response: formula.response,
+    n: y.length,
+    k,
+    maxLag: design.maxLag,
+    dropped: design.dropped
+  };
+  const singular = { feasible: false, reason: 'Estimation failed: the design matrix is singular (duplicated, constant or collinear terms)' };
+
+  if (estimator === 'ppml') {
+    if (y.some(v => v < 0)) {
+      return { feasible: false, reason: `PPML needs a non-negative response in levels; ${formula.response} takes negative values` };
+    }
+    const fit = ppml(y, x, { includeIntercept });
+    if (!fit) return singular;
+    return {
+      ...common,
+      terms: coefficientTerms(fit, labels),
+      rSquared: fit.pseudoRSquared,
+      fitLabel: 'Pseudo R² (corr(y, μ)²)',
+      covarianceType: fit.covarianceType,
+      converged: fit.converged
+    };
+  }
+
+  if (estimator === 'lad') {
+    const lad = (yy, xx) => quantileRegression(yy, xx, 0.5, { includeIntercept });
+    const fit = lad(y, x);
+    const boot = fit ? bootstrapRegression(y, x, { estimator: lad, method: 'pairs', replications, seed }) : null;
+    if (!boot) return singular;
+    return {
+      ...common,
+      terms: boot.coefficients.map((c, i) => ({
+        label: labels[i],
+        coeff: c.coeff,
+        se: c.se,
+        tStat: c.se > 0 ? c.coeff / c.se : 0,
+        pValue: c.pValue,
+        ci: Object.fromEntries(CONFIDENCE_LEVELS.map(level => {
+          const critical = normalQuantile(1 - (1 - level / 100) / 2);
+          return [level, [c.coeff - critical * c.se, c.coeff + critical * c.se]];
+        }))
+      })),
+      rSquared: fit.pseudoRSquared,
+      fitLabel: 'Pseudo R¹',
+      covarianceType: 'bootstrap',
+      replications: boot.replications
+    };
+  }
+
+  const fit = multipleOLS(y, x, { covarianceType, includeIntercept });
+  if (!fit) return singular;
+  return {
+    ...common,
+    terms: coefficientTerms(fit, labels),
+    rSquared: fit.rSquared,
+    adjRSquared: fit.adjRSquared,
+    aic: fit.aic,
+    bic: fit.bic,
+    fitLabel: 'R²',
+    covarianceType: fit.covarianceType,
+    bandwidth: fit.bandwidth,
+    modelResult: includeIntercept && formula.response === 'logImport'
+      ? modelResult(fit, {
+        id: 'formula',
+        label: 'Custom',
+        labels: ['Intercept', ...formula.terms.map(comparisonLabel)],
+        observations: dates
+      })
+      : null
+  };
+};
+
+/**
+ * Helper: split a formula into name, number and operator tokens, with their character positions
+ * Returns the token array, or { error, position } on an invalid character
+ */
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const c = text[i];
+    if (/\s/.test(c)) {
+      i++;
+    } else if (/[A-Za-z_]/.test(c)) {
+      const match = /^[A-Za-z_][A-Za-z0-9_.]*/.exec(text.slice(i))[0];
+      tokens.push({ type: 'name', value: match, text: match, position: i });
+      i += match.length;
+    } else if (/[0-9]/.test(c)) {
+      const match = /^[0-9]+/.exec(text.slice(i))[0];
+      tokens.push({ type: 'number', value: Number(match), text: match, position: i });
+      i += match.length;
+    } else if ('~+-:(),'.includes(c)) {
+      tokens.push({ type: c, text: c, position: i });
+      i++;
+    } else {
+      return { error: `Unexpected character "${c}"`, position: i };
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Helper: label of a term in the naming of econometricAnalysis.js, used in the model comparison
+ */
+function comparisonLabel(term) {
+  const names = { etsPrice: 'Carbon Price', logIndustry: 'LN(Activity)', logImport: 'LN(Imports)', cbamDummy: 'CBAM Dummy' };
+  const interaction = term.factors.length > 1;
+  return term.factors.map(f => {
+    const name = interaction && f.variable === 'cbamDummy' ? 'CBAM' : names[f.variable] || f.variable;
+    return f.lag === 0 ? name : `${name} (t-${f.lag})`;
+  }).join(' × ');
+}
+
+/**
+ * Helper: { label, coeff, se, tStat, pValue, ci } rows of a multipleOLS or ppml fit
+ */
+function coefficientTerms(fit, labels) {
+  return labels.map((label, i) => ({
+    label,
+    coeff: fit.coefficients[i],
+    se: fit.standardErrors[i],
+    tStat: fit.tStats[i],
+    pValue: fit.pValues[i],
+    ci: fit.confidenceIntervals[i]
+  }));
+}
@@ -0,0 +1,86 @@
+/**
+ * Numerical Optimisation
+ * Derivative-free minimisation used by the likelihood-based estimators
+ */
+
+/**
+ * Nelder-Mead simplex minimisation of f: Rⁿ -> R
+ * options.step: initial simplex step per coordinate (default 0.1, or 10% of |x0_i| when larger)
+ * options.maxIterations: default 200·n
+ * options.tolerance: stop when the spread of f over the simplex falls below tolerance × (|f_best| + tolerance)
+ * Non-finite function values are treated as +∞
+ * Returns { x, value, iterations, converged }
+ */
+export const nelderMead = (f, x0, options = {}) => {
+  const n = x0.length;
+  const { step = 0.1, maxIterations = 200 * Math.max(n, 1), tolerance = 1e-8 } = options;
+  const evaluate = (x) => {
+    const value = f(x);
+    return Number.isFinite(value) ? value : Infinity;
+  };
+
+  if (n === 0) {
+    return { x: [], value: evaluate([]), iterations: 0, converged: true };
+  }
+
+  let simplex = [x0.slice()];
+  for (let i = 0; i < n; i++) {
+    const vertex = x0.slice();
+    vertex[i] += Math.max(step, 0.1 * Math.abs(x0[i]));
+    simplex.push(vertex);
+  }
+  let values = simplex.map(evaluate);
+
+  let iterations = 0;
+  let converged = false;
+  while (iterations < maxIterations) {
+    const order = values.map((v, i) => i).sort((a, b) => values[a] - values[b]);
+    simplex = order.map(i => simplex[i]);
+    values = order.map(i => values[i]);
+
+    if (Math.abs(values[n] - values[0]) <= tolerance * (Math.abs(values[0]) + tolerance)) {
+      converged = true;
+      break;
+    }
+    iterations++;
+
+    const centroid = new Array(n).fill(0);
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) centroid[j] += simplex[i][j] / n;
+    }
+    const towards = (coefficient) => centroid.map((c, j) => c + coefficient * (simplex[n][j] - c));
+
+    const reflected = towards(-1);
+    const reflectedValue = evaluate(reflected);
+    if (reflectedValue < values[0]) {
+      const expanded = towards(-2);
+      const expandedValue = evaluate(expanded);
+      if (expandedValue < reflectedValue) {
+        simplex[n] = expanded;
+        values[n] = expandedValue;
+      } else {
+        simplex[n] = reflected;
+        values[n] = reflectedValue;
+      }
+    } else if (reflectedValue < values[n - 1]) {
+      simplex[n] = reflected;
+      values[n] = reflectedValue;
+    } else {
+      const contracted = reflectedValue < values[n] ? towards(-0.5) : towards(0.5);
+      const contractedValue = evaluate(contracted);
+      if (contractedValue < Math.min(reflectedValue, values[n])) {
+        simplex[n] = contracted;
+        values[n] = contractedValue;
+      } else {
+        // Shrink towards the best vertex
+        for (let i = 1; i <= n; i++) {
+          simplex[i] = simplex[i].map((v, j) => simplex[0][j] + 0.5 * (v - simplex[0][j]));
+          values[i] = evaluate(simplex[i]);
+        }
+      }
+    }
+  }
+
+  const best = values.indexOf(Math.min(...values));
+  return { x: simplex[best], value: values[best], iterations, converged };
+};
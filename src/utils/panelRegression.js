@@ -0,0 +1,297 @@
+/**
+ * Panel Regression by Country
+ * Fixed-effects estimation on a country × year panel, where the country is either the reporting
+ * (importing) EU member state of raw_imports.json (partnerCountry) or the extra-EU exporter of
+ * bilateral_flows.json:
+ *   LN_IMPORTS_it = α_i + λ_t + β₁ CARBON_PRICE_t + β₂ LN_ACTIVITY_t + Σ_c θ_c (CARBON_PRICE_t × Z_ic) + ε_it
+ * Country effects are removed by the within transformation, time effects enter as year dummies.
+ * Common regressors (carbon price, activity) are absorbed by time effects, so only their
+ * interactions with country characteristics Z_i are identified in the time and two-way models
+ */
+
+import { multipleOLS, CONFIDENCE_LEVELS } from './econometricAnalysis';
+import { studentTPValue, studentTQuantile } from './statDistributions';
+
+/**
+ * Country dimension of the panel: importing member state or extra-EU exporter
+ */
+export const PANEL_DIMENSIONS = [
+  { id: 'importer', label: 'EU member state (importer)', source: 'raw_imports.json' },
+  { id: 'exporter', label: 'Extra-EU exporter', source: 'bilateral_flows.json' }
+];
+
+export const PANEL_EFFECTS = [
+  { id: 'country', label: 'Country FE' },
+  { id: 'time', label: 'Time FE' },
+  { id: 'twoway', label: 'Two-way FE' }
+];
+
+/**
+ * Time-invariant country characteristics used in the carbon-price interactions
+ * Both are measured before the carbon-price sample starts and standardised across countries
+ */
+export const COUNTRY_CHARACTERISTICS = [
+  { id: 'importShare', label: 'Pre-2020 import share' },
+  { id: 'unitValue', label: 'Pre-2020 import unit value' }
+];
+
+const CHARACTERISTICS_CUTOFF_YEAR = 2020;
+
+/**
+ * Short display name of a Eurostat reporter label, e.g. "Germany (incl. ...)" -> "Germany"
+ */
+export const shortCountryName = (name) => String(name).split(' (')[0];
+
+/**
+ * Build the annual member-state panel
+ * raw imports (monthly rows holding annual totals / 12) are summed per reporter and year; the EU-27
+ * aggregate row is dropped; the carbon price and activity index are annual means of mergedData
+ * Returns { rows: [{ country, year, logImport, etsPrice, logIndustry }], characteristics: { country: { id: z } } }
+ */
+export const buildCountryPanel = (rawImports, mergedData) => {
+  const flows = rawImports
+    .filter(entry => entry.partnerCountry && !entry.partnerCountry.toUpperCase().startsWith('EUROPEAN UNION'))
+    .map(entry => ({
+      country: entry.partnerCountry,
+      year: entry.year || new Date(entry.date).getFullYear(),
+      quantity: entry.quantity_tons || 0,
+      value: entry.value_eur || 0
+    }));
+  return assemblePanel(flows, mergedData);
+};
+
+/**
+ * Build the annual exporter panel from the bilateral flows
+ * Flows of each extra-EU exporter are summed over the importing member states; intra-EU trade is
+ * dropped. Same row and characteristics layout as buildCountryPanel, with country = exporter
+ */
+export const buildExporterPanel = (bilateralFlows, mergedData) => {
+  const flows = bilateralFlows
+    .filter(flow => flow.exporter && !flow.exporter.toUpperCase().startsWith('EU-27'))
+    .map(flow => ({
+      country: flow.exporter,
+      year: flow.year,
+      quantity: flow.quantity_tons || 0,
+      value: flow.value_eur || 0
+    }));
+  return assemblePanel(flows, mergedData);
+};
+
+/**
+ * Fixed-effects panel estimator
+ * options.effects: 'country' | 'time' | 'twoway'
+ * options.interactions: ids from COUNTRY_CHARACTERISTICS interacted with the carbon price
+ * options.clustered: country-clustered (Liang-Zeger) standard errors with the CR1 correction
+ *   G/(G-1) × (N-1)/(N-K) and t(G-1) inference; otherwise classical errors with N - G - K df
+ */
+export const estimatePanelFE = (panel, options = {}) => {
+  const { effects = 'country', interactions = [], clustered = true } = options;
+  const { rows, characteristics } = panel;
+  const countryFE = effects === 'country' || effects === 'twoway';
+  const timeFE = effects === 'time' || effects === 'twoway';
+
+  const countries = [...new Set(rows.map(r => r.country))];
+  const years = [...new Set(rows.map(r => r.year))].sort((a, b) => a - b);
+  if (countries.length < 3 || years.length < 3) {
+    return { feasible: false, reason: `Panel too small (${countries.length} countries × ${years.length} years)` };
+  }
+
+  // Regressors
+  const columns = [];
+  const absorbed = [];
+  if (timeFE) {
+    absorbed.push('Carbon Price', 'LN(Activity)');
+  } else {
+    columns.push({ name: 'etsPrice', label: 'Carbon Price (β₁)', values: rows.map(r => r.etsPrice) });
+    columns.push({ name: 'logIndustry', label: 'LN(Activity) (β₂)', values: rows.map(r => r.logIndustry) });
+  }
+  interactions.forEach(id => {
+    const characteristic = COUNTRY_CHARACTERISTICS.find(c => c.id === id);
+    if (!characteristic) return;
+    if (!countryFE) {
+      columns.push({ name: id, label: characteristic.label, values: rows.map(r => characteristics[r.country][id]) });
+    }
+    columns.push({
+      name: `etsPrice:${id}`,
+      label: `Carbon Price × ${characteristic.label}`,
+      values: rows.map(r => r.etsPrice * characteristics[r.country][id])
+    });
+  });
+  if (countryFE) absorbed.push('Country characteristics');
+  if (columns.length === 0) {
+    return { feasible: false, reason: 'No identified regressors: add a country-characteristic interaction to the time-effects model' };
+  }
+
+  const timeDummies = timeFE ? years.slice(1).map(year => rows.map(r => (r.year === year ? 1 : 0))) : [];
+  const X = [...columns.map(c => c.values), ...timeDummies];
+  const y = rows.map(r => r.logImport);
+
+  const groupIndex = rows.map(r => countries.indexOf(r.country));
+  const yT = countryFE ? withinTransform(y, groupIndex, countries.length) : y;
+  const XT = countryFE ? X.map(col => withinTransform(col, groupIndex, countries.length)) : X;
+
+  const fit = multipleOLS(yT, XT, { includeIntercept: !countryFE, clusters: clustered ? groupIndex : undefined });
+  if (!fit) {
+    return { feasible: false, reason: 'Panel regression is singular' };
+  }
+
+  const n = fit.n;
+  const G = countries.length;
+  const K = fit.designMatrix[0].length;
+  const residualDf = n - K - (countryFE ? G : 0);
+  if (residualDf <= 0) {
+    return { feasible: false, reason: 'Panel regression is singular' };
+  }
+
+  // multipleOLS uses n - K residual df; classical errors also lose the G country means removed by the
+  // within transformation (cluster-robust errors already use t(G-1) inference)
+  const df = clustered ? fit.df : residualDf;
+  const covariance = clustered
+    ? fit.covarianceMatrix
+    : fit.covarianceMatrix.map(row => row.map(v => (v * (n - K)) / residualDf));
+
+  const offset = countryFE ? 0 : 1;
+  const coefficients = columns.map((column, j) => {
+    const i = j + offset;
+    const coeff = fit.coefficients[i];
+    const se = Math.sqrt(Math.max(covariance[i][i], 0));
+    const tStat = se > 0 ? coeff / se : NaN;
+    const ci = {};
+    CONFIDENCE_LEVELS.forEach(level => {
+      const critical = studentTQuantile(1 - (1 - level / 100) / 2, df);
+      ci[level] = [coeff - critical * se, coeff + critical * se];
+    });
+    return { name: column.name, label: column.label, coeff, se, tStat, pValue: studentTPValue(tStat, df), ci };
+  });
+
+  const ssr = fit.residuals.reduce((sum, e) => sum + e * e, 0);
+  const yMean = yT.reduce((a, b) => a + b, 0) / n;
+  const tss = yT.reduce((sum, v) => sum + (v - yMean) * (v - yMean), 0);
+
+  return {
+    feasible: true,
+    effects,
+    clustered,
+    n,
+    countries: G,
+    years,
+    df,
+    coefficients,
+    absorbed,
+    rSquaredWithin: countryFE ? 1 - ssr / tss : null,
+    rSquared: countryFE ? null : fit.rSquared
+  };
+};
+
+/**
+ * Country-specific carbon-price responses from the country-FE model with common activity effect:
+ *   LN_IMPORTS_it = α_i + β_i CARBON_PRICE_t + γ LN_ACTIVITY_t + ε_it
+ * Each β_i is identified from a single country, so classical errors (N - G - K df) are reported
+ */
+export const estimateCountryResponses = (panel) => {
+  const { rows } = panel;
+  const countries = [...new Set(rows.map(r => r.country))];
+  const G = countries.length;
+  const groupIndex = rows.map(r => countries.indexOf(r.country));
+
+  const X = [
+    ...countries.map(c => rows.map(r => (r.country === c ? r.etsPrice : 0))),
+    rows.map(r => r.logIndustry)
+  ];
+  const y = withinTransform(rows.map(r => r.logImport), groupIndex, G);
+  const fit = multipleOLS(y, X.map(col => withinTransform(col, groupIndex, G)), { includeIntercept: false });
+  if (!fit) return null;
+
+  // multipleOLS uses n - K df; the within transformation uses up G more
+  const df = rows.length - X.length - G;
+  if (df <= 0) return null;
+  const scale = Math.sqrt(fit.df / df);
+
+  return countries.map((country, i) => {
+    const se = fit.standardErrors[i] * scale;
+    const tStat = fit.coefficients[i] / se;
+    return {
+      country,
+      name: shortCountryName(country),
+      coeff: fit.coefficients[i],
+      se,
+      tStat,
+      pValue: studentTPValue(tStat, df)
+    };
+  }).sort((a, b) => a.coeff - b.coeff);
+};
+
+/**
+ * Helper: country × year panel from flows [{ country, year, quantity, value }]; annual totals are
+ * logged, the carbon price and activity index are annual means of mergedData and the pre-2020
+ * characteristics are standardised across countries
+ */
+function assemblePanel(flows, mergedData) {
+  const totals = new Map();
+  const preSample = new Map();
+  flows.forEach(({ country, year, quantity, value }) => {
+    const key = `${country}_${year}`;
+    if (!totals.has(key)) totals.set(key, { country, year, quantity: 0 });
+    totals.get(key).quantity += quantity;
+
+    if (year < CHARACTERISTICS_CUTOFF_YEAR) {
+      if (!preSample.has(country)) preSample.set(country, { quantity: 0, value: 0 });
+      const pre = preSample.get(country);
+      pre.quantity += quantity;
+      pre.value += value;
+    }
+  });
+
+  const annual = new Map();
+  mergedData.forEach(d => {
+    const year = d.yearMonth ? parseInt(d.yearMonth.slice(0, 4)) : new Date(d.date).getFullYear();
+    if (!annual.has(year)) annual.set(year, { ets: [], industry: [] });
+    if (d.etsPrice !== null && d.etsPrice > 0) annual.get(year).ets.push(d.etsPrice);
+    if (d.logIndustry !== null && !isNaN(d.logIndustry)) annual.get(year).industry.push(d.logIndustry);
+  });
+  const mean = (values) => (values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null);
+
+  const rows = [];
+  totals.forEach(({ country, year, quantity }) => {
+    const macro = annual.get(year);
+    const etsPrice = macro ? mean(macro.ets) : null;
+    const logIndustry = macro ? mean(macro.industry) : null;
+    if (quantity > 0 && etsPrice !== null && logIndustry !== null) {
+      rows.push({ country, year, logImport: Math.log(quantity), etsPrice, logIndustry });
+    }
+  });
+  rows.sort((a, b) => a.country.localeCompare(b.country) || a.year - b.year);
+
+  // Standardised pre-sample characteristics
+  const countries = [...new Set(rows.map(r => r.country))].filter(c => preSample.has(c) && preSample.get(c).quantity > 0);
+  const totalPre = countries.reduce((sum, c) => sum + preSample.get(c).quantity, 0);
+  const raw = {
+    importShare: countries.map(c => preSample.get(c).quantity / totalPre),
+    unitValue: countries.map(c => preSample.get(c).value / preSample.get(c).quantity)
+  };
+  const characteristics = {};
+  countries.forEach(c => { characteristics[c] = {}; });
+  COUNTRY_CHARACTERISTICS.forEach(({ id }) => {
+    const values = raw[id];
+    const m = mean(values);
+    const sd = Math.sqrt(values.reduce((sum, v) => sum + (v - m) * (v - m), 0) / Math.max(values.length - 1, 1));
+    countries.forEach((c, i) => {
+      characteristics[c][id] = sd > 0 ? (values[i] - m) / sd : 0;
+    });
+  });
+
+  return { rows: rows.filter(r => characteristics[r.country]), characteristics };
+}
+
+/**
+ * Helper: subtract group means (within transformation)
+ */
+function withinTransform(values, groupIndex, groups) {
+  const sums = new Array(groups).fill(0);
+  const counts = new Array(groups).fill(0);
+  values.forEach((v, i) => {
+    sums[groupIndex[i]] += v;
+    counts[groupIndex[i]]++;
+  });
+  return values.map((v, i) => v - sums[groupIndex[i]] / counts[groupIndex[i]]);
+}
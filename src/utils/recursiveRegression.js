@@ -0,0 +1,201 @@
+/**
+ * Rolling and Recursive Regression
+ * Time-varying estimates of the baseline elasticities
+ *   LN_IMPORTS = α + β1*CARBON_PRICE + β2*LN_ACTIVITY [+ β3*CBAM_DUMMY] + ε
+ * re-estimated over a moving window of fixed length (rolling) or over all observations up to each
+ * month (expanding), and the CUSUM / CUSUM-of-squares parameter-stability tests of Brown, Durbin &
+ * Evans (1975) based on recursive residuals
+ */
+
+import { multipleOLS } from './econometricAnalysis';
+import { transpose, matrixMultiply, matrixVectorMultiply, invertSymmetricMatrix } from './linearAlgebra';
+import { studentTQuantile } from './statDistributions';
+
+export const ROLLING_WINDOWS = [36, 48];
+
+export const RECURSIVE_MODES = [
+  { id: 'rolling', label: 'Rolling window' },
+  { id: 'expanding', label: 'Expanding window' }
+];
+
+/**
+ * CUSUM boundary coefficients a for the lines ±a[√(n-k) + 2(r-k)/√(n-k)], by significance level (%)
+ */
+const CUSUM_BOUNDARIES = { 10: 0.850, 5: 0.948, 1: 1.143 };
+
+/**
+ * Leading coefficients of the Edgerton & Wells (1994) approximation c0 ≈ q/√m - 0.67/m to Durbin's (1969)
+ * CUSUM-of-squares critical values, m = (n - k)/2 - 1, by two-sided significance level (%)
+ */
+const CUSUM_SQ_COEFFICIENTS = { 10: 1.2239, 5: 1.3581, 1: 1.6276 };
+
+/**
+ * Baseline coefficients over time
+ * options.mode: 'rolling' (fixed window) or 'expanding' (all observations up to t, starting at `window`)
+ * options.window: window length / first expanding sample size in months (default 36)
+ * options.level: confidence level of the bands (default 95)
+ * Other options are passed to multipleOLS (e.g. { covarianceType: 'NW' })
+ * The CBAM dummy enters only in windows where it varies. Windows in which the regression is singular or
+ * fits exactly are skipped: with annual values repeated across months a window spanning two calendar
+ * years is interpolated perfectly and would report zero standard errors
+ * Returns { feasible, mode, window, level, path: [{ index, date, yearMonth, n, cbamIncluded,
+ *           carbonPrice: { coeff, se, lower, upper }, activity: { ... } }], stability }
+ */
+export const estimateTimeVaryingBaseline = (mergedData, options = {}) => {
+  const { mode = 'rolling', window = 36, level = 95, ...olsOptions } = options;
+  const rows = baselineRows(mergedData);
+  if (rows.length < window + 2) {
+    return { feasible: false, reason: `Insufficient observations (N=${rows.length}) for a ${window}-month window` };
+  }
+
+  const path = [];
+  for (let end = window; end <= rows.length; end++) {
+    const sample = rows.slice(mode === 'rolling' ? end - window : 0, end);
+    const cbam = sample.map(d => d.cbamDummy);
+    const cbamIncluded = cbam.some(v => v !== cbam[0]);
+    const x = [sample.map(d => d.etsPrice), sample.map(d => d.logIndustry)];
+    if (cbamIncluded) x.push(cbam);
+
+    const y = sample.map(d => d.logImport);
+    const fit = multipleOLS(y, x, olsOptions);
+    if (!fit || !(fit.df > 0) || isExactFit(y, fit.residuals)) continue;
+
+    const critical = studentTQuantile(1 - (1 - level / 100) / 2, fit.df);
+    const coefficient = (i) => ({
+      coeff: fit.coefficients[i],
+      se: fit.standardErrors[i],
+      lower: fit.coefficients[i] - critical * fit.standardErrors[i],
+      upper: fit.coefficients[i] + critical * fit.standardErrors[i]
+    });
+    const last = sample[sample.length - 1];
+    path.push({
+      index: end - 1,
+      date: last.date,
+      yearMonth: last.yearMonth,
+      n: sample.length,
+      cbamIncluded,
+      carbonPrice: coefficient(1),
+      activity: coefficient(2)
+    });
+  }
+
+  if (path.length === 0) {
+    return { feasible: false, reason: 'No window could be estimated' };
+  }
+
+  const y = rows.map(d => d.logImport);
+  const stability = recursiveResidualTests(y, [rows.map(d => d.etsPrice), rows.map(d => d.logIndustry)]);
+  return {
+    feasible: true,
+    mode,
+    window,
+    level,
+    covarianceType: olsOptions.covarianceType || 'classical',
+    path,
+    stability: stability.feasible
+      ? {
+        ...stability,
+        cusum: stability.cusum.map(p => ({ ...p, date: rows[p.index].date, yearMonth: rows[p.index].yearMonth })),
+        cusumSq: stability.cusumSq.map(p => ({ ...p, date: rows[p.index].date, yearMonth: rows[p.index].yearMonth }))
+      }
+      : stability
+  };
+};
+
+/**
+ * CUSUM and CUSUM-of-squares tests on the recursive residuals of y on x (an intercept is added)
+ *   w_t = (y_t - x_t'b_{t-1}) / √(1 + x_t'(X'_{t-1}X_{t-1})⁻¹x_t)
+ * The recursion starts at the first sample size m for which X'X is invertible and the fit is not exact
+ * (see estimateTimeVaryingBaseline), so repeated annual values do not produce runs of zero residuals
+ *   CUSUM:    W_r = Σ_{t≤r} w_t / σ̂_w, boundaries ±a[√T + 2(r-m)/√T] with T = n - m
+ *   CUSUMSQ: S_r = Σ_{t≤r} w_t² / Σ w_t², boundaries (r-m)/T ± c0
+ * options.significance: 10, 5 or 1 (%, default 5)
+ * Returns { feasible, significance, start, cusum: [{ index, value, lower, upper }], cusumSq: [...],
+ *           cusumRejects, cusumSqRejects, recursiveResiduals }
+ */
+export const recursiveResidualTests = (y, x, options = {}) => {
+  const { significance = 5 } = options;
+  const n = y.length;
+  const design = y.map((_, t) => [1, ...x.map(col => col[t])]);
+  const k = design[0].length;
+
+  const residuals = [];
+  let start = null;
+  for (let m = k; m < n; m++) {
+    const X = design.slice(0, m);
+    const XtXInv = invertSymmetricMatrix(matrixMultiply(transpose(X), X));
+    if (!XtXInv) continue;
+
+    const beta = matrixVectorMultiply(XtXInv, matrixVectorMultiply(transpose(X), y.slice(0, m)));
+    if (start === null) {
+      const fitted = X.map(row => row.reduce((sum, v, j) => sum + v * beta[j], 0));
+      if (isExactFit(y.slice(0, m), y.slice(0, m).map((v, t) => v - fitted[t]))) continue;
+      start = m;
+    }
+    const xt = design[m];
+    const forecast = xt.reduce((sum, v, j) => sum + v * beta[j], 0);
+    const leverage = xt.reduce((sum, v, i) => sum + v * XtXInv[i].reduce((s, a, j) => s + a * xt[j], 0), 0);
+    residuals.push({ index: m, value: (y[m] - forecast) / Math.sqrt(1 + leverage) });
+  }
+
+  const T = residuals.length;
+  if (start === null || T < 10) {
+    return { feasible: false, reason: `Too few recursive residuals (${T} < 10)` };
+  }
+
+  const mean = residuals.reduce((sum, r) => sum + r.value, 0) / T;
+  const sigma = Math.sqrt(residuals.reduce((sum, r) => sum + (r.value - mean) * (r.value - mean), 0) / (T - 1));
+  const totalSquares = residuals.reduce((sum, r) => sum + r.value * r.value, 0);
+  if (!(sigma > 0) || !(totalSquares > 0)) {
+    return { feasible: false, reason: 'Recursive residuals are all zero' };
+  }
+
+  const a = CUSUM_BOUNDARIES[significance] || CUSUM_BOUNDARIES[5];
+  const m = T / 2 - 1;
+  const c0 = (CUSUM_SQ_COEFFICIENTS[significance] || CUSUM_SQ_COEFFICIENTS[5]) / Math.sqrt(m) - 0.67 / m;
+
+  let cusumTotal = 0;
+  let squaresTotal = 0;
+  const cusum = [];
+  const cusumSq = [];
+  residuals.forEach((r, i) => {
+    cusumTotal += r.value / sigma;
+    squaresTotal += r.value * r.value;
+    const bound = a * (Math.sqrt(T) + (2 * (i + 1)) / Math.sqrt(T));
+    cusum.push({ index: r.index, value: cusumTotal, lower: -bound, upper: bound });
+    const expected = (i + 1) / T;
+    cusumSq.push({ index: r.index, value: squaresTotal / totalSquares, lower: expected - c0, upper: expected + c0 });
+  });
+
+  return {
+    feasible: true,
+    significance,
+    start,
+    cusum,
+    cusumSq,
+    cusumRejects: cusum.some(p => p.value < p.lower || p.value > p.upper),
+    cusumSqRejects: cusumSq.some(p => p.value < p.lower || p.value > p.upper),
+    recursiveResiduals: residuals
+  };
+};
+
+/**
+ * Helper: observations usable in the baseline regression, in time order
+ */
+function baselineRows(mergedData) {
+  return mergedData.filter(d =>
+    d.logImport !== null && !isNaN(d.logImport) &&
+    d.etsPrice !== null && !isNaN(d.etsPrice) && d.etsPrice > 0 &&
+    d.logIndustry !== null && !isNaN(d.logIndustry)
+  ).map(d => ({ ...d, cbamDummy: d.cbamDummy !== undefined ? d.cbamDummy : 0 }));
+}
+
+/**
+ * Helper: true if the residuals are negligible relative to the variation of y
+ */
+function isExactFit(y, residuals) {
+  const mean = y.reduce((a, b) => a + b, 0) / y.length;
+  const tss = y.reduce((sum, v) => sum + (v - mean) * (v - mean), 0);
+  const ssr = residuals.reduce((sum, e) => sum + e * e, 0);
+  return !(tss > 0 && ssr > 1e-10 * tss);
+}
@@ -0,0 +1,241 @@
+/**
+ * Regression Diagnostics
+ * Post-estimation tests on the residuals and design matrix returned by multipleOLS
+ */
+
+import { multipleOLS } from './econometricAnalysis';
+import { transpose, matrixMultiply, symmetricEigen } from './linearAlgebra';
+import { chiSquarePValue, fPValue } from './statDistributions';
+
+/**
+ * Run the full diagnostics battery for a fitted OLS model
+ * residuals / designMatrix as returned by multipleOLS (intercept column first)
+ * options.fitted: fitted values (required for RESET)
+ * options.variableNames: labels for the non-intercept regressors (used for VIF)
+ * options.serialCorrelationLags: Breusch-Godfrey lag order (default 4)
+ */
+export const runRegressionDiagnostics = (residuals, designMatrix, options = {}) => {
+  const n = residuals ? residuals.length : 0;
+  const p = designMatrix && designMatrix.length > 0 ? designMatrix[0].length : 0;
+
+  if (n === 0 || p === 0 || n !== designMatrix.length) {
+    return { feasible: false, reason: 'Residuals and design matrix are missing or misaligned' };
+  }
+  if (n < p + 5) {
+    return { feasible: false, reason: `Insufficient observations for diagnostics (N=${n}, k=${p})` };
+  }
+
+  const {
+    fitted = null,
+    variableNames = [],
+    serialCorrelationLags = 4
+  } = options;
+
+  return {
+    feasible: true,
+    n,
+    k: p,
+    durbinWatson: durbinWatson(residuals),
+    breuschGodfrey: breuschGodfrey(residuals, designMatrix, serialCorrelationLags),
+    breuschPagan: breuschPagan(residuals, designMatrix),
+    white: whiteTest(residuals, designMatrix),
+    jarqueBera: jarqueBera(residuals),
+    vif: varianceInflationFactors(designMatrix, variableNames),
+    conditionNumber: conditionNumber(designMatrix),
+    reset: fitted ? resetTest(residuals, designMatrix, fitted) : null
+  };
+};
+
+/**
+ * Durbin-Watson statistic: sum((e_t - e_{t-1})²) / sum(e_t²)
+ * Values near 2 indicate no first-order autocorrelation
+ */
+export const durbinWatson = (residuals) => {
+  let numerator = 0;
+  let denominator = 0;
+  for (let t = 0; t < residuals.length; t++) {
+    denominator += residuals[t] * residuals[t];
+    if (t > 0) {
+      numerator += Math.pow(residuals[t] - residuals[t - 1], 2);
+    }
+  }
+  return { statistic: denominator > 0 ? numerator / denominator : null };
+};
+
+/**
+ * Breusch-Godfrey LM test for serial correlation up to order `lags`
+ * Auxiliary regression of e_t on X_t and e_{t-1..t-lags} (pre-sample residuals set to 0)
+ * LM = n * R² ~ χ²(lags)
+ */
+export const breuschGodfrey = (residuals, designMatrix, lags = 4) => {
+  const n = residuals.length;
+  const order = Math.max(1, Math.min(lags, n - designMatrix[0].length - 2));
+
+  const columns = regressorColumns(designMatrix);
+  for (let l = 1; l <= order; l++) {
+    columns.push(residuals.map((_, t) => (t - l >= 0 ? residuals[t - l] : 0)));
+  }
+
+  const aux = multipleOLS(residuals, columns);
+  if (!aux) return null;
+
+  const statistic = n * aux.rSquared;
+  return { statistic, df: order, pValue: chiSquarePValue(statistic, order) };
+};
+
+/**
+ * Breusch-Pagan test (Koenker's studentized form) for heteroskedasticity
+ * Auxiliary regression of e² on the regressors; LM = n * R² ~ χ²(k)
+ */
+export const breuschPagan = (residuals, designMatrix) => {
+  const n = residuals.length;
+  const columns = regressorColumns(designMatrix);
+  if (columns.length === 0) return null;
+
+  const aux = multipleOLS(residuals.map(e => e * e), columns);
+  if (!aux) return null;
+
+  const statistic = n * aux.rSquared;
+  return { statistic, df: columns.length, pValue: chiSquarePValue(statistic, columns.length) };
+};
+
+/**
+ * White test for heteroskedasticity
+ * Auxiliary regression of e² on regressors, their squares and cross-products
+ * (duplicate columns such as a squared dummy are dropped); LM = n * R² ~ χ²(q)
+ */
+export const whiteTest = (residuals, designMatrix) => {
+  const n = residuals.length;
+  const base = regressorColumns(designMatrix);
+  if (base.length === 0) return null;
+
+  const columns = [];
+  const addColumn = (col) => {
+    const scale = Math.max(...col.map(v => Math.abs(v)), 1e-300);
+    const isConstant = col.every(v => Math.abs(v - col[0]) <= 1e-12 * scale);
+    const isDuplicate = columns.some(existing =>
+      existing.every((v, i) => Math.abs(v - col[i]) <= 1e-12 * scale)
+    );
+    if (!isConstant && !isDuplicate) columns.push(col);
+  };
+
+  base.forEach(addColumn);
+  for (let i = 0; i < base.length; i++) {
+    for (let j = i; j < base.length; j++) {
+      addColumn(base[i].map((v, t) => v * base[j][t]));
+    }
+  }
+
+  if (columns.length >= n - 2) {
+    return { statistic: null, df: columns.length, pValue: null, reason: 'Too many auxiliary regressors for the sample size' };
+  }
+
+  const aux = multipleOLS(residuals.map(e => e * e), columns);
+  if (!aux) {
+    return { statistic: null, df: columns.length, pValue: null, reason: 'Auxiliary regression is singular' };
+  }
+
+  const statistic = n * aux.rSquared;
+  return { statistic, df: columns.length, pValue: chiSquarePValue(statistic, columns.length) };
+};
+
+/**
+ * Jarque-Bera normality test: JB = n/6 * (S² + (K - 3)² / 4) ~ χ²(2)
+ */
+export const jarqueBera = (residuals) => {
+  const n = residuals.length;
+  const mean = residuals.reduce((a, b) => a + b, 0) / n;
+  let m2 = 0;
+  let m3 = 0;
+  let m4 = 0;
+  residuals.forEach(e => {
+    const d = e - mean;
+    m2 += d * d;
+    m3 += d * d * d;
+    m4 += d * d * d * d;
+  });
+  m2 /= n;
+  m3 /= n;
+  m4 /= n;
+
+  if (!(m2 > 0)) return null;
+
+  const skewness = m3 / Math.pow(m2, 1.5);
+  const kurtosis = m4 / (m2 * m2);
+  const statistic = (n / 6) * (skewness * skewness + Math.pow(kurtosis - 3, 2) / 4);
+
+  return { statistic, df: 2, pValue: chiSquarePValue(statistic, 2), skewness, kurtosis };
+};
+
+/**
+ * Variance inflation factors: VIF_j = 1 / (1 - R²_j) from regressing regressor j on the others
+ */
+export const varianceInflationFactors = (designMatrix, variableNames = []) => {
+  const columns = regressorColumns(designMatrix);
+
+  return columns.map((col, j) => {
+    const name = variableNames[j] || `x${j + 1}`;
+    if (columns.length === 1) return { variable: name, vif: 1 };
+
+    const others = columns.filter((_, i) => i !== j);
+    const aux = multipleOLS(col, others);
+    if (!aux) return { variable: name, vif: Infinity };
+
+    return { variable: name, vif: aux.rSquared < 1 ? 1 / (1 - aux.rSquared) : Infinity };
+  });
+};
+
+/**
+ * Condition number of the design matrix (Belsley-Kuh-Welsch)
+ * Columns are scaled to unit length; returns sqrt(λmax / λmin) of the scaled X'X
+ */
+export const conditionNumber = (designMatrix) => {
+  const columns = transpose(designMatrix);
+  const scaled = columns.map(col => {
+    const norm = Math.sqrt(col.reduce((sum, v) => sum + v * v, 0));
+    return norm > 0 ? col.map(v => v / norm) : col;
+  });
+
+  const XtX = matrixMultiply(scaled, transpose(scaled));
+  const { values } = symmetricEigen(XtX);
+  const lambdaMax = values[0];
+  const lambdaMin = values[values.length - 1];
+
+  return lambdaMin > 0 ? Math.sqrt(lambdaMax / lambdaMin) : Infinity;
+};
+
+/**
+ * Ramsey RESET test for functional form
+ * Adds ŷ² and ŷ³ (ŷ standardized for conditioning) and tests their joint significance:
+ * F = ((SSR_r - SSR_u) / 2) / (SSR_u / df_u) ~ F(2, df_u)
+ */
+export const resetTest = (residuals, designMatrix, fitted) => {
+  const n = fitted.length;
+  const y = fitted.map((f, i) => f + residuals[i]);
+
+  const mean = fitted.reduce((a, b) => a + b, 0) / n;
+  const sd = Math.sqrt(fitted.reduce((sum, f) => sum + Math.pow(f - mean, 2), 0) / n);
+  if (!(sd > 0)) return null;
+  const z = fitted.map(f => (f - mean) / sd);
+
+  const columns = regressorColumns(designMatrix);
+  columns.push(z.map(v => v * v));
+  columns.push(z.map(v => v * v * v));
+
+  const aux = multipleOLS(y, columns);
+  if (!aux) return null;
+
+  const ssrRestricted = residuals.reduce((sum, e) => sum + e * e, 0);
+  const ssrUnrestricted = aux.residuals.reduce((sum, e) => sum + e * e, 0);
+  if (!(ssrUnrestricted > 0)) return null;
+
+  const statistic = ((ssrRestricted - ssrUnrestricted) / 2) / (ssrUnrestricted / aux.df);
+  return { statistic, df1: 2, df2: aux.df, pValue: fPValue(statistic, 2, aux.df) };
+};
+
+/**
+ * Helper: non-intercept columns of a design matrix (column 0 is the intercept)
+ */
+function regressorColumns(designMatrix) {
+  return transpose(designMatrix).slice(1).map(col => [...col]);
+}
@@ -0,0 +1,296 @@
+/**
+ * Seasonal Adjustment
+ * STL decomposition (Cleveland, Cleveland, McRae & Terpenning, 1990) of a monthly series
+ *   y_t = T_t + S_t + R_t
+ * into trend, seasonal and remainder components by iterated loess smoothing. Series are decomposed
+ * in logs, so the seasonal factors are multiplicative in levels and the adjusted series is
+ * exp(ln y_t - S_t).
+ * This module has no imports so that scripts/preprocessCarbonLeakageData.js can require it as well
+ */
+
+/**
+ * Minimum strength of seasonality F_S for a series to be adjusted; weaker series are left unchanged
+ */
+export const MIN_SEASONAL_STRENGTH = 0.1;
+
+/**
+ * Whether a monthly series changes more often than once per period; annual values repeated every
+ * month change at most once a year and carry no within-year information
+ */
+export const variesWithinYear = (values, period = 12) => {
+  const changes = values.reduce((count, v, t) => count + (t > 0 && v !== values[t - 1] ? 1 : 0), 0);
+  return changes * period > values.length;
+};
+
+/**
+ * Monthly series in mergedData that receive seasonally adjusted columns
+ * log: the log column of the same series that is replaced when the adjusted data are used
+ */
+export const SEASONAL_SERIES = [
+  { key: 'importQuantity_tons', adjustedKey: 'importQuantitySA', log: 'logImport', label: 'Import Volume' },
+  { key: 'importValue_eur', adjustedKey: 'importValueSA', log: null, label: 'Import Value' },
+  { key: 'industryIndex', adjustedKey: 'industryIndexSA', log: 'logIndustry', label: 'Industrial Production' }
+];
+
+/**
+ * STL decomposition of a complete series (no missing values)
+ * options.period: seasonal period n_p (default 12)
+ * options.seasonalWindow: odd loess span n_s ≥ 7 for the cycle-subseries, or 'periodic' for a fixed pattern (default 13)
+ * options.trendWindow: odd loess span n_t (default: smallest odd ≥ 1.5 n_p / (1 - 1.5 / n_s))
+ * options.lowPassWindow: odd loess span n_l (default: smallest odd ≥ n_p)
+ * options.robust: bisquare robustness iterations against outliers (default true; 1 inner and 15 outer
+ *   passes, otherwise 2 inner passes)
+ * Returns { trend, seasonal, remainder, weights } or null if the series is shorter than two periods
+ */
+export const stlDecompose = (values, options = {}) => {
+  const { period = 12, seasonalWindow = 13, robust = true } = options;
+  const n = values.length;
+  if (n < 2 * period || values.some(v => v === null || !Number.isFinite(v))) return null;
+
+  const periodic = seasonalWindow === 'periodic';
+  const ns = periodic ? 10 * n + 1 : nextOdd(Math.max(seasonalWindow, 7));
+  const seasonalDegree = periodic ? 0 : 1;
+  const nt = options.trendWindow || nextOdd(Math.ceil((1.5 * period) / (1 - 1.5 / ns)));
+  const nl = options.lowPassWindow || nextOdd(period);
+  const inner = robust ? 1 : 2;
+  const outer = robust ? 15 : 0;
+
+  let trend = new Array(n).fill(0);
+  let seasonal = new Array(n).fill(0);
+  let weights = new Array(n).fill(1);
+
+  for (let pass = 0; pass <= outer; pass++) {
+    for (let iteration = 0; iteration < inner; iteration++) {
+      // Cycle-subseries smoothing of the detrended series, extended by one period at both ends
+      const detrended = values.map((v, t) => v - trend[t]);
+      const cycle = new Array(n + 2 * period).fill(0);
+      for (let k = 0; k < period; k++) {
+        const indices = [];
+        for (let t = k; t < n; t += period) indices.push(t);
+        const sub = indices.map(t => detrended[t]);
+        const subWeights = indices.map(t => weights[t]);
+        for (let j = -1; j <= indices.length; j++) {
+          cycle[k + (j + 1) * period] = loessAt(sub, subWeights, j, ns, seasonalDegree);
+        }
+      }
+
+      // Low-pass filter of the cycle-subseries: MA(n_p), MA(n_p), MA(3), loess(n_l)
+      const lowPass = loessSmooth(
+        movingAverage(movingAverage(movingAverage(cycle, period), period), 3),
+        new Array(n).fill(1),
+        nl,
+        1
+      );
+      seasonal = lowPass.map((l, t) => cycle[t + period] - l);
+
+      // Trend smoothing of the deseasonalized series
+      trend = loessSmooth(values.map((v, t) => v - seasonal[t]), weights, nt, 1);
+    }
+
+    if (pass < outer) {
+      const residuals = values.map((v, t) => v - trend[t] - seasonal[t]);
+      const h = 6 * median(residuals.map(Math.abs));
+      weights = residuals.map(r => {
+        if (h <= 0) return 1;
+        const u = Math.abs(r) / h;
+        return u < 1 ? (1 - u * u) * (1 - u * u) : 0;
+      });
+    }
+  }
+
+  return {
+    trend,
+    seasonal,
+    remainder: values.map((v, t) => v - trend[t] - seasonal[t]),
+    weights
+  };
+};
+
+/**
+ * Strength of seasonality F_S = max(0, 1 - Var(R) / Var(S + R)) (Wang, Smith & Hyndman, 2006)
+ * Values near 1 indicate a strong seasonal pattern, near 0 none
+ */
+export const seasonalStrength = (decomposition) => {
+  const { seasonal, remainder } = decomposition;
+  const variance = (values) => {
+    const m = values.reduce((a, b) => a + b, 0) / values.length;
+    return values.reduce((sum, v) => sum + (v - m) * (v - m), 0) / Math.max(values.length - 1, 1);
+  };
+  const total = variance(seasonal.map((s, t) => s + remainder[t]));
+  return total > 0 ? Math.max(0, 1 - variance(remainder) / total) : 0;
+};
+
+/**
+ * Seasonally adjust a positive monthly series that may contain missing values
+ * The longest run of consecutive positive values is decomposed in logs; entries outside it stay null
+ * Only series that vary within the year and have F_S ≥ MIN_SEASONAL_STRENGTH are adjusted; annual values
+ * repeated every month (the import totals in merged_data.json) are returned unchanged, since removing STL
+ * factors from them would invent within-year movements
+ * Returns { adjusted, applied, trend, seasonal, remainder, strength } aligned with values (components in logs),
+ * or null if the run is too short for stlDecompose
+ */
+export const seasonallyAdjust = (values, options = {}) => {
+  const valid = (v) => v !== null && v !== undefined && Number.isFinite(v) && v > 0;
+  let best = { start: 0, length: 0 };
+  let start = 0;
+  values.forEach((v, t) => {
+    if (!valid(v)) {
+      start = t + 1;
+    } else if (t - start + 1 > best.length) {
+      best = { start, length: t - start + 1 };
+    }
+  });
+
+  const run = values.slice(best.start, best.start + best.length).map(Math.log);
+  const decomposition = stlDecompose(run, options);
+  if (!decomposition) return null;
+
+  const align = (component) => values.map((_, t) => (
+    t >= best.start && t < best.start + best.length ? component[t - best.start] : null
+  ));
+  const strength = seasonalStrength(decomposition);
+  const applied = variesWithinYear(run, options.period || 12) && strength >= MIN_SEASONAL_STRENGTH;
+  return {
+    adjusted: align(applied
+      ? run.map((v, t) => Math.exp(v - decomposition.seasonal[t]))
+      : values.slice(best.start, best.start + best.length)),
+    applied,
+    trend: align(decomposition.trend),
+    seasonal: align(decomposition.seasonal),
+    remainder: align(decomposition.remainder),
+    strength
+  };
+};
+
+/**
+ * Add the seasonally adjusted columns of SEASONAL_SERIES to monthly mergedData rows (sorted by month)
+ * Series without within-year seasonality get a copy of the raw values (see seasonallyAdjust)
+ * Used by the preprocessing script when writing merged_data.json
+ */
+export const addSeasonallyAdjustedColumns = (mergedData, options = {}) => {
+  const adjusted = SEASONAL_SERIES.map(series => {
+    const result = seasonallyAdjust(mergedData.map(d => d[series.key]), options);
+    return result ? result.adjusted : mergedData.map(() => null);
+  });
+  return mergedData.map((entry, t) => {
+    const columns = {};
+    SEASONAL_SERIES.forEach((series, i) => {
+      columns[series.adjustedKey] = adjusted[i][t];
+    });
+    return { ...entry, ...columns };
+  });
+};
+
+/**
+ * Replace the raw import and activity columns of mergedData by their seasonally adjusted versions
+ * (from merged_data.json) and recompute the log, growth and moving-average indicators derived from them
+ * Rows without an adjusted value keep null, so every model and chart runs on adjusted data only
+ */
+export const applySeasonalAdjustment = (mergedData) => {
+  const rows = mergedData.map(entry => {
+    const row = { ...entry };
+    SEASONAL_SERIES.forEach(series => {
+      const value = entry[series.adjustedKey];
+      row[series.key] = value !== undefined ? value : null;
+      if (series.log) row[series.log] = row[series.key] > 0 ? Math.log(row[series.key]) : null;
+    });
+    row.importUnitValue = row.importQuantity_tons > 0 && row.importValue_eur > 0
+      ? row.importValue_eur / row.importQuantity_tons
+      : null;
+    return row;
+  });
+
+  const growth = (current, previous) => (previous && current ? ((current - previous) / previous) * 100 : null);
+  const windowMean = (t, length) => {
+    const window = rows.slice(Math.max(0, t - length + 1), t + 1).filter(d => d.importQuantity_tons !== null);
+    return window.length > 0 ? window.reduce((sum, d) => sum + d.importQuantity_tons, 0) / window.length : null;
+  };
+  return rows.map((row, t) => ({
+    ...row,
+    importGrowth: t > 0 ? growth(row.importQuantity_tons, rows[t - 1].importQuantity_tons) : null,
+    importGrowthYoY: t >= 12 ? growth(row.importQuantity_tons, rows[t - 12].importQuantity_tons) : null,
+    valueGrowth: t > 0 ? growth(row.importValue_eur, rows[t - 1].importValue_eur) : null,
+    importMA3: windowMean(t, 3),
+    importMA12: windowMean(t, 12)
+  }));
+};
+
+/**
+ * Helper: smallest odd integer ≥ x
+ */
+function nextOdd(x) {
+  const k = Math.ceil(x);
+  return k % 2 === 1 ? k : k + 1;
+}
+
+/**
+ * Helper: median of an array
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Helper: centred moving average of length k; the result is shorter by k - 1
+ */
+function movingAverage(values, k) {
+  const result = [];
+  let sum = 0;
+  values.forEach((v, t) => {
+    sum += v;
+    if (t >= k) sum -= values[t - k];
+    if (t >= k - 1) result.push(sum / k);
+  });
+  return result;
+}
+
+/**
+ * Helper: loess fit at every position 0..n-1
+ */
+function loessSmooth(values, weights, span, degree) {
+  return values.map((_, t) => loessAt(values, weights, t, span, degree));
+}
+
+/**
+ * Helper: local polynomial (degree 0 or 1) loess estimate at position x (which may lie outside
+ * 0..n-1) from the q = span nearest points with tricube × robustness weights; for q > n the
+ * bandwidth is widened by (q - n) / 2 as in the original STL
+ */
+function loessAt(values, robustWeights, x, span, degree) {
+  const n = values.length;
+  const q = Math.min(span, n);
+  let left = Math.max(0, Math.min(n - q, Math.round(x - (q - 1) / 2)));
+  if (x >= n) left = n - q;
+  const right = left + q - 1;
+  let h = Math.max(x - left, right - x, 1);
+  if (span > n) h += Math.floor((span - n) / 2);
+
+  let sw = 0;
+  let swx = 0;
+  let swy = 0;
+  let swxx = 0;
+  let swxy = 0;
+  for (let i = left; i <= right; i++) {
+    const u = Math.abs(i - x) / h;
+    if (u >= 1) continue;
+    const w = Math.pow(1 - u * u * u, 3) * robustWeights[i];
+    sw += w;
+    swx += w * i;
+    swy += w * values[i];
+    swxx += w * i * i;
+    swxy += w * i * values[i];
+  }
+  if (sw <= 0) {
+    // All neighbours down-weighted: fall back to the unweighted window mean
+    return values.slice(left, right + 1).reduce((a, b) => a + b, 0) / q;
+  }
+
+  const meanX = swx / sw;
+  const meanY = swy / sw;
+  const sxx = swxx / sw - meanX * meanX;
+  if (degree === 0 || sxx <= 1e-12 * Math.max(h * h, 1)) return meanY;
+  const slope = (swxy / sw - meanX * meanY) / sxx;
+  return meanY + slope * (x - meanX);
+}
@@ -0,0 +1,324 @@
+/**
+ * Statistical Distribution Functions
+ * Exact CDFs and quantiles used for inference in the econometric models, and the seeded random draws
+ * behind the bootstrap and MCMC routines
+ */
+
+const MAX_ITERATIONS = 300;
+const EPSILON = 1e-14;
+
+/**
+ * Natural log of the gamma function (Lanczos approximation, g=7, n=9)
+ */
+export const logGamma = (x) => {
+  const coefficients = [
+    0.99999999999980993,
+    676.5203681218851,
+    -1259.1392167224028,
+    771.32342877765313,
+    -176.61502916214059,
+    12.507343278686905,
+    -0.13857109526572012,
+    9.9843695780195716e-6,
+    1.5056327351493116e-7
+  ];
+
+  if (x < 0.5) {
+    // Reflection formula
+    return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * x))) - logGamma(1 - x);
+  }
+
+  const z = x - 1;
+  let sum = coefficients[0];
+  for (let i = 1; i < coefficients.length; i++) {
+    sum += coefficients[i] / (z + i);
+  }
+  const t = z + 7.5;
+  return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(sum);
+};
+
+/**
+ * Regularized incomplete beta function I_x(a, b)
+ * Continued-fraction evaluation (modified Lentz), using the symmetry
+ * I_x(a, b) = 1 - I_{1-x}(b, a) where the fraction converges faster
+ */
+export const regularizedIncompleteBeta = (x, a, b) => {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+
+  const logFront = logGamma(a + b) - logGamma(a) - logGamma(b) +
+    a * Math.log(x) + b * Math.log(1 - x);
+  const front = Math.exp(logFront);
+
+  if (x < (a + 1) / (a + b + 2)) {
+    return front * betaContinuedFraction(x, a, b) / a;
+  }
+  return 1 - front * betaContinuedFraction(1 - x, b, a) / b;
+};
+
+/**
+ * Student-t cumulative distribution function P(T <= t)
+ */
+export const studentTCDF = (t, df) => {
+  if (!isFinite(t)) return t > 0 ? 1 : 0;
+  const x = df / (df + t * t);
+  const tail = 0.5 * regularizedIncompleteBeta(x, df / 2, 0.5);
+  return t > 0 ? 1 - tail : tail;
+};
+
+/**
+ * Two-tailed p-value P(|T| > |t|) for a Student-t statistic
+ */
+export const studentTPValue = (t, df) => {
+  if (df <= 0 || isNaN(t)) return NaN;
+  if (!isFinite(t)) return 0;
+  return regularizedIncompleteBeta(df / (df + t * t), df / 2, 0.5);
+};
+
+/**
+ * Student-t quantile: the value q with P(T <= q) = p
+ * Bisection on the exact CDF (monotone, so always converges)
+ */
+export const studentTQuantile = (p, df) => {
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+  if (p === 0.5) return 0;
+
+  // Solve in the upper tail and mirror
+  const target = p > 0.5 ? p : 1 - p;
+  let lo = 0;
+  let hi = 1;
+  while (studentTCDF(hi, df) < target && hi < 1e8) {
+    hi *= 2;
+  }
+
+  for (let i = 0; i < 200; i++) {
+    const mid = (lo + hi) / 2;
+    if (studentTCDF(mid, df) < target) {
+      lo = mid;
+    } else {
+      hi = mid;
+    }
+    if (hi - lo < 1e-12 * Math.max(1, hi)) break;
+  }
+
+  const q = (lo + hi) / 2;
+  return p > 0.5 ? q : -q;
+};
+
+/**
+ * Regularized lower incomplete gamma function P(a, x)
+ * Series expansion for x < a + 1, continued fraction (modified Lentz) otherwise
+ */
+export const regularizedGammaP = (a, x) => {
+  if (x <= 0) return 0;
+  if (!isFinite(x)) return 1;
+
+  const logFront = a * Math.log(x) - x - logGamma(a);
+
+  if (x < a + 1) {
+    let term = 1 / a;
+    let sum = term;
+    for (let n = 1; n <= MAX_ITERATIONS; n++) {
+      term *= x / (a + n);
+      sum += term;
+      if (Math.abs(term) < Math.abs(sum) * EPSILON) break;
+    }
+    return sum * Math.exp(logFront);
+  }
+
+  return 1 - gammaContinuedFraction(a, x) * Math.exp(logFront);
+};
+
+/**
+ * Regularized upper incomplete gamma function Q(a, x) = 1 - P(a, x)
+ * Evaluated directly in the upper tail to keep precision for small p-values
+ */
+export const regularizedGammaQ = (a, x) => {
+  if (x <= 0) return 1;
+  if (!isFinite(x)) return 0;
+  if (x < a + 1) return 1 - regularizedGammaP(a, x);
+  return gammaContinuedFraction(a, x) * Math.exp(a * Math.log(x) - x - logGamma(a));
+};
+
+/**
+ * Standard normal cumulative distribution function, via Φ(x) = (1 + sign(x) P(1/2, x²/2)) / 2
+ */
+export const normalCDF = (x) => {
+  if (isNaN(x)) return NaN;
+  if (!isFinite(x)) return x > 0 ? 1 : 0;
+  const tail = 0.5 * regularizedGammaQ(0.5, x * x / 2);
+  return x > 0 ? 1 - tail : tail;
+};
+
+/**
+ * Standard normal quantile Φ⁻¹(p): Acklam's rational approximation refined by one Halley step
+ */
+export const normalQuantile = (p) => {
+  if (isNaN(p) || p < 0 || p > 1) return NaN;
+  if (p === 0) return -Infinity;
+  if (p === 1) return Infinity;
+
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+
+  let x;
+  if (p < low) {
+    const r = Math.sqrt(-2 * Math.log(p));
+    x = (((((c[0] * r + c[1]) * r + c[2]) * r + c[3]) * r + c[4]) * r + c[5]) / ((((d[0] * r + d[1]) * r + d[2]) * r + d[3]) * r + 1);
+  } else if (p <= 1 - low) {
+    const r = p - 0.5;
+    const r2 = r * r;
+    x = (((((a[0] * r2 + a[1]) * r2 + a[2]) * r2 + a[3]) * r2 + a[4]) * r2 + a[5]) * r /
+      (((((b[0] * r2 + b[1]) * r2 + b[2]) * r2 + b[3]) * r2 + b[4]) * r2 + 1);
+  } else {
+    const r = Math.sqrt(-2 * Math.log(1 - p));
+    x = -(((((c[0] * r + c[1]) * r + c[2]) * r + c[3]) * r + c[4]) * r + c[5]) / ((((d[0] * r + d[1]) * r + d[2]) * r + d[3]) * r + 1);
+  }
+
+  const error = normalCDF(x) - p;
+  const u = error * Math.sqrt(2 * Math.PI) * Math.exp(x * x / 2);
+  return x - u / (1 + x * u / 2);
+};
+
+/**
+ * Upper-tail p-value P(X > stat) for a chi-square statistic with df degrees of freedom
+ */
+export const chiSquarePValue = (stat, df) => {
+  if (df <= 0 || isNaN(stat)) return NaN;
+  if (stat <= 0) return 1;
+  return regularizedGammaQ(df / 2, stat / 2);
+};
+
+/**
+ * Upper-tail p-value P(F > stat) for an F statistic with (df1, df2) degrees of freedom
+ */
+export const fPValue = (stat, df1, df2) => {
+  if (df1 <= 0 || df2 <= 0 || isNaN(stat)) return NaN;
+  if (stat <= 0) return 1;
+  return regularizedIncompleteBeta(df2 / (df2 + df1 * stat), df2 / 2, df1 / 2);
+};
+
+/**
+ * Linearly interpolated quantile q of an ascending array (type 7, as R's default), with q clamped to [0, 1]
+ */
+export const sortedQuantile = (sorted, q) => {
+  const pos = Math.min(Math.max(q, 0), 1) * (sorted.length - 1);
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+};
+
+/**
+ * Reproducible uniform random numbers in [0, 1) (mulberry32)
+ */
+export const seededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Standard normal draw from a uniform generator (Box-Muller)
+ */
+export const normalRandom = (random) => {
+  const u = 1 - random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+};
+
+/**
+ * Gamma(shape, 1) draw (Marsaglia & Tsang 2000); shapes below 1 use the boost Gamma(a + 1) × U^(1/a)
+ */
+export const gammaRandom = (shape, random) => {
+  if (shape < 1) return gammaRandom(shape + 1, random) * Math.pow(1 - random(), 1 / shape);
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let z;
+    let v;
+    do {
+      z = normalRandom(random);
+      v = 1 + c * z;
+    } while (v <= 0);
+    v = v * v * v;
+    const u = 1 - random();
+    if (Math.log(u) < 0.5 * z * z + d - d * v + d * Math.log(v)) return d * v;
+  }
+};
+
+/**
+ * Helper: continued fraction for the incomplete beta function
+ */
+function betaContinuedFraction(x, a, b) {
+  const tiny = 1e-300;
+  const qab = a + b;
+  const qap = a + 1;
+  const qam = a - 1;
+
+  let c = 1;
+  let d = 1 - qab * x / qap;
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let h = d;
+
+  for (let m = 1; m <= MAX_ITERATIONS; m++) {
+    const m2 = 2 * m;
+
+    // Even step
+    let aa = m * (b - m) * x / ((qam + m2) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    h *= d * c;
+
+    // Odd step
+    aa = -(a + m) * (qab + m) * x / ((a + m2) * (qap + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+
+    if (Math.abs(delta - 1) < EPSILON) break;
+  }
+
+  return h;
+}
+
+/**
+ * Helper: continued fraction for the upper incomplete gamma function
+ */
+function gammaContinuedFraction(a, x) {
+  const tiny = 1e-300;
+  let b = x + 1 - a;
+  let c = 1 / tiny;
+  let d = 1 / b;
+  let h = d;
+
+  for (let i = 1; i <= MAX_ITERATIONS; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = b + an / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < EPSILON) break;
+  }
+
+  return h;
+}
@@ -0,0 +1,219 @@
+/**
+ * State-Space Regression with a Time-Varying Carbon-Price Coefficient
+ *   LN_IMPORTS_t = α + β_t × CARBON_PRICE_t + γ × LN_ACTIVITY_t + ε_t,   ε_t ~ N(0, σ²)
+ *   β_t = β_{t-1} + η_t,                                               η_t ~ N(0, qσ²)
+ * The state vector (α, β_t, γ) is estimated by the Kalman filter with an approximate diffuse prior
+ * (the first k prediction errors are left out of the likelihood) and by the fixed-interval smoother
+ * of de Jong (1989). σ² is concentrated out of the likelihood and q is estimated by maximum likelihood.
+ * Regressors are standardised inside the filter for numerical stability; reported coefficients are
+ * per unit of the original regressors
+ */
+
+import { nelderMead } from './optimization';
+import { chiSquarePValue, normalQuantile } from './statDistributions';
+import { transpose } from './linearAlgebra';
+
+// Prior variance of the initial state; with standardised data this is effectively diffuse, while a larger
+// value would make the smoothed variances P - PNP lose precision in the first periods
+const DIFFUSE_VARIANCE = 1e4;
+
+// Upper bound on the signal-to-noise ratio q (standardised carbon price); as q grows the coefficient
+// re-fits every observation and the concentrated likelihood approaches a finite limit instead of a peak
+const MAX_SIGNAL_TO_NOISE = 1;
+
+/**
+ * Kalman filter and smoother for y_t = z_t'a_t + ε_t, a_t = a_{t-1} + η_t with Var(ε_t) = 1 and
+ * Var(η_t) = diag(stateVariances); variances are relative to σ² (concentrated out)
+ * The initial state is diffuse: a_1 = 0, P_1 = κI, and the first k terms are excluded from the likelihood;
+ * y and the columns of Z should be centred / standardised
+ * Returns { logLik, sigma2, filtered: [{ state, variance }], smoothed: [{ state, variance }] } where variance
+ * holds the diagonal of P (times σ²), or null if a prediction-error variance is not positive
+ */
+export const kalmanSmoother = (y, Z, stateVariances) => {
+  const n = y.length;
+  const k = Z[0].length;
+  let a = new Array(k).fill(0);
+  let P = identity(k).map(row => row.map(v => v * DIFFUSE_VARIANCE));
+
+  const predicted = [];
+  const steps = [];
+  let sumSquares = 0;
+  let sumLogF = 0;
+  for (let t = 0; t < n; t++) {
+    const z = Z[t];
+    const Pz = P.map(row => dot(row, z));
+    const F = dot(z, Pz) + 1;
+    if (!(F > 0)) return null;
+    const v = y[t] - dot(z, a);
+    const K = Pz.map(p => p / F);
+    predicted.push({ a, P });
+    steps.push({ v, F, K });
+    if (t >= k) {
+      sumSquares += (v * v) / F;
+      sumLogF += Math.log(F);
+    }
+
+    // Update, then predict with the random-walk transition a_{t+1} = a_t
+    const aUpdated = a.map((ai, i) => ai + K[i] * v);
+    const PUpdated = P.map((row, i) => row.map((p, j) => p - K[i] * Pz[j]));
+    a = aUpdated;
+    P = PUpdated.map((row, i) => row.map((p, j) => (i === j ? p + stateVariances[i] : p)));
+  }
+
+  const m = n - k;
+  const sigma2 = sumSquares / m;
+  const logLik = -0.5 * m * (Math.log(2 * Math.PI) + 1 + Math.log(sigma2)) - 0.5 * sumLogF;
+
+  // Filtered states a_{t|t} = a_t + K_t v_t, P_{t|t} = P_t - K_t F_t K_t'
+  const filtered = predicted.map(({ a: at, P: Pt }, t) => {
+    const { v, F, K } = steps[t];
+    return {
+      state: at.map((ai, i) => ai + K[i] * v),
+      variance: Pt.map((row, i) => (row[i] - K[i] * F * K[i]) * sigma2)
+    };
+  });
+
+  // Backward recursion: r_{t-1} = z_t v_t / F_t + L_t' r_t, N_{t-1} = z_t z_t' / F_t + L_t' N_t L_t, L_t = I - K_t z_t'
+  let r = new Array(k).fill(0);
+  let N = identity(k).map(row => row.map(() => 0));
+  const smoothed = new Array(n);
+  for (let t = n - 1; t >= 0; t--) {
+    const z = Z[t];
+    const { v, F, K } = steps[t];
+    const L = identity(k).map((row, i) => row.map((value, j) => value - K[i] * z[j]));
+    const Lt = transpose(L);
+    r = z.map((zi, i) => (zi * v) / F + dot(Lt[i], r));
+    const NL = N.map(row => L[0].map((_, j) => row.reduce((sum, nij, l) => sum + nij * L[l][j], 0)));
+    N = Lt.map((row, i) => NL[0].map((_, j) => row.reduce((sum, lij, l) => sum + lij * NL[l][j], 0) + (z[i] * z[j]) / F));
+
+    const { a: at, P: Pt } = predicted[t];
+    const PN = Pt.map(row => N[0].map((_, j) => row.reduce((sum, p, l) => sum + p * N[l][j], 0)));
+    smoothed[t] = {
+      state: at.map((ai, i) => ai + dot(Pt[i], r)),
+      variance: Pt.map((row, i) => (row[i] - PN[i].reduce((sum, p, l) => sum + p * Pt[l][i], 0)) * sigma2)
+    };
+  }
+
+  return { logLik, sigma2, filtered, smoothed };
+};
+
+/**
+ * Time-varying carbon-price coefficient with milestone comparisons
+ * milestones: objects with date, label, short (e.g. CBAM_DATES); for each milestone inside the sample the
+ *   smoothed β is averaged over the `comparisonWindow` months before and from the milestone on
+ * options.level: confidence level of the bands (default 95)
+ * The likelihood-ratio test of q = 0 (a constant β) lies on the boundary of the parameter space, so its
+ * p-value uses the 50:50 mixture of χ²(0) and χ²(1)
+ * q is restricted to (0, MAX_SIGNAL_TO_NOISE]; atBound flags estimates at the upper limit
+ * Returns { feasible, q, sigma2, logLik, atBound, lrTest, constantCoeff, activityCoeff, path: [{ date, yearMonth,
+ *           filtered, filteredLower, filteredUpper, smoothed, smoothedLower, smoothedUpper }], milestones }
+ */
+export const estimateTimeVaryingElasticity = (mergedData, milestones = [], options = {}) => {
+  const { level = 95, comparisonWindow = 12 } = options;
+  const rows = mergedData.filter(d =>
+    d.logImport !== null && !isNaN(d.logImport) &&
+    d.etsPrice !== null && !isNaN(d.etsPrice) && d.etsPrice > 0 &&
+    d.logIndustry !== null && !isNaN(d.logIndustry)
+  );
+  if (rows.length < 24) {
+    return { feasible: false, reason: `Insufficient observations (N=${rows.length} < 24 required)` };
+  }
+
+  const standardise = (values) => {
+    const mean = values.reduce((a, b) => a + b, 0) / values.length;
+    const sd = Math.sqrt(values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / (values.length - 1));
+    return { mean, sd, values: values.map(v => (v - mean) / sd) };
+  };
+  const price = standardise(rows.map(d => d.etsPrice));
+  const activity = standardise(rows.map(d => d.logIndustry));
+  if (!(price.sd > 0) || !(activity.sd > 0)) {
+    return { feasible: false, reason: 'Carbon price or activity does not vary over the sample' };
+  }
+
+  const meanY = rows.reduce((sum, d) => sum + d.logImport, 0) / rows.length;
+  const y = rows.map(d => d.logImport - meanY);
+  const Z = rows.map((_, t) => [1, price.values[t], activity.values[t]]);
+  const run = (q) => kalmanSmoother(y, Z, [0, q, 0]);
+
+  // MLE of log q; the constant-coefficient model (q = 0) is the restricted fit
+  const restricted = run(0);
+  if (!restricted) {
+    return { feasible: false, reason: 'Kalman filter failed' };
+  }
+  const optimum = nelderMead(([logQ]) => {
+    if (logQ > Math.log(MAX_SIGNAL_TO_NOISE)) return Infinity;
+    const fit = run(Math.exp(logQ));
+    return fit ? -fit.logLik : Infinity;
+  }, [Math.log(0.01)], { step: 1 });
+  const unrestricted = run(Math.exp(optimum.x[0]));
+  const useRestricted = !unrestricted || unrestricted.logLik < restricted.logLik;
+  const q = useRestricted ? 0 : Math.exp(optimum.x[0]);
+  const fit = useRestricted ? restricted : unrestricted;
+
+  const lr = Math.max(0, 2 * (fit.logLik - restricted.logLik));
+  const critical = normalQuantile(1 - (1 - level / 100) / 2);
+  const scale = 1 / price.sd;
+  const band = (state) => {
+    const coeff = state.state[1] * scale;
+    const se = Math.sqrt(Math.max(state.variance[1], 0)) * scale;
+    return [coeff, coeff - critical * se, coeff + critical * se];
+  };
+
+  const path = rows.map((d, t) => {
+    const [filtered, filteredLower, filteredUpper] = band(fit.filtered[t]);
+    const [smoothed, smoothedLower, smoothedUpper] = band(fit.smoothed[t]);
+    return { date: d.date, yearMonth: d.yearMonth, filtered, filteredLower, filteredUpper, smoothed, smoothedLower, smoothedUpper };
+  });
+
+  const mean = (values) => (values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null);
+  const milestoneComparisons = milestones.map(milestone => {
+    const time = new Date(milestone.date).getTime();
+    const index = rows.findIndex(d => new Date(d.date).getTime() >= time);
+    if (index <= 0) return null;
+    const before = mean(path.slice(Math.max(0, index - comparisonWindow), index).map(p => p.smoothed));
+    const after = mean(path.slice(index, index + comparisonWindow).map(p => p.smoothed));
+    return {
+      label: milestone.label,
+      short: milestone.short,
+      date: rows[index].date,
+      yearMonth: rows[index].yearMonth,
+      before,
+      after,
+      change: after - before,
+      monthsAfter: Math.min(comparisonWindow, rows.length - index)
+    };
+  }).filter(Boolean);
+
+  const last = fit.smoothed[rows.length - 1].state;
+  return {
+    feasible: true,
+    n: rows.length,
+    level,
+    q,
+    sigma2: fit.sigma2,
+    stateSigma: Math.sqrt(q * fit.sigma2) * scale,
+    logLik: fit.logLik,
+    atBound: q > MAX_SIGNAL_TO_NOISE * 0.99,
+    lrTest: { statistic: lr, pValue: lr > 0 ? 0.5 * chiSquarePValue(lr, 1) : 1 },
+    constantCoeff: restricted.smoothed[0].state[1] * scale,
+    activityCoeff: last[2] / activity.sd,
+    converged: optimum.converged,
+    path,
+    milestones: milestoneComparisons
+  };
+};
+
+/**
+ * Helper: dot product
+ */
+function dot(a, b) {
+  return a.reduce((sum, v, i) => sum + v * b[i], 0);
+}
+
+/**
+ * Helper: k × k identity matrix
+ */
+function identity(k) {
+  return Array.from({ length: k }, (_, i) => Array.from({ length: k }, (_, j) => (i === j ? 1 : 0)));
+}
+
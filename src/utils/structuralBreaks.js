@@ -0,0 +1,288 @@
+/**
+ * Structural Break Tests
+ * Chow, sup-Wald (Quandt-Andrews) and Bai-Perron tests on the baseline regression
+ * LN_IMPORTS = α + β1*CARBON_PRICE + β2*LN_ACTIVITY + ε, where all coefficients may shift.
+ * The CBAM dummy is left out: the tests ask where the data place the regime change instead
+ */
+
+import { multipleOLS } from './econometricAnalysis';
+import { fPValue } from './statDistributions';
+
+/**
+ * Asymptotic critical values [10%, 5%, 1%] of the sup-F (QLR) statistic with 15% trimming,
+ * indexed by the number of restrictions q (Andrews 1993, as tabulated by Stock & Watson)
+ */
+const SUP_F_CRITICAL_VALUES = {
+  1: [7.12, 8.68, 12.16],
+  2: [5.00, 5.86, 7.78],
+  3: [4.09, 4.71, 6.02],
+  4: [3.59, 4.09, 5.12],
+  5: [3.26, 3.66, 4.53],
+  6: [3.02, 3.37, 4.12],
+  7: [2.84, 3.15, 3.82],
+  8: [2.69, 2.98, 3.57],
+  9: [2.58, 2.84, 3.38],
+  10: [2.48, 2.71, 3.23]
+};
+
+const DEFAULT_TRIMMING = 0.15;
+
+/**
+ * Chow test for a break at observation `breakIndex` (the first observation of the new regime)
+ * Breakpoint form when both subsamples can be estimated:
+ *   F = ((SSR_r - SSR_1 - SSR_2) / k) / ((SSR_1 + SSR_2) / (n - 2k))
+ * otherwise the predictive form on the shorter second subsample:
+ *   F = ((SSR_r - SSR_1) / n_2) / (SSR_1 / (n_1 - k))
+ * x = array of regressor columns (an intercept is added)
+ */
+export const chowTest = (y, x, breakIndex) => {
+  const n = y.length;
+  const k = x.length + 1;
+  const n1 = breakIndex;
+  const n2 = n - breakIndex;
+
+  if (n1 <= k) {
+    return { feasible: false, reason: `Too few observations before the break (${n1}) for ${k} parameters` };
+  }
+  if (n2 < 1) {
+    return { feasible: false, reason: 'Break date lies outside the estimation sample' };
+  }
+
+  const restricted = segmentSSR(y, x, 0, n);
+  const first = segmentSSR(y, x, 0, breakIndex);
+  if (restricted === null || first === null) {
+    return { feasible: false, reason: 'Chow test regressions are singular' };
+  }
+
+  const second = n2 > k ? segmentSSR(y, x, breakIndex, n) : null;
+  if (second !== null) {
+    const df2 = n - 2 * k;
+    const fStat = ((restricted - first - second) / k) / ((first + second) / df2);
+    return { feasible: true, type: 'breakpoint', fStat, df1: k, df2, pValue: fPValue(fStat, k, df2), n1, n2 };
+  }
+
+  const df2 = n1 - k;
+  const fStat = ((restricted - first) / n2) / (first / df2);
+  return { feasible: true, type: 'predictive', fStat, df1: n2, df2, pValue: fPValue(fStat, n2, df2), n1, n2 };
+};
+
+/**
+ * sup-Wald (Quandt-Andrews) test for a single break at an unknown date
+ * Chow F-statistics are computed for every candidate break in the trimmed range
+ * [trimming·n, (1 - trimming)·n]; the supremum is compared with Andrews' critical values
+ * Returns { statistic, breakIndex, path, criticalValues, rejects } (critical values only for trimming = 0.15)
+ */
+export const supWaldTest = (y, x, trimming = DEFAULT_TRIMMING) => {
+  const n = y.length;
+  const k = x.length + 1;
+  const first = Math.max(Math.floor(trimming * n), k + 1);
+  const last = Math.min(n - Math.floor(trimming * n), n - k - 1);
+
+  if (first > last) {
+    return { feasible: false, reason: `Sample too short for a trimmed break search (N=${n})` };
+  }
+
+  const path = [];
+  for (let b = first; b <= last; b++) {
+    const chow = chowTest(y, x, b);
+    if (chow.feasible && chow.type === 'breakpoint') {
+      path.push({ index: b, fStat: chow.fStat });
+    }
+  }
+  if (path.length === 0) {
+    return { feasible: false, reason: 'No candidate break could be evaluated' };
+  }
+
+  const best = path.reduce((a, b) => (b.fStat > a.fStat ? b : a));
+  const table = trimming === DEFAULT_TRIMMING ? SUP_F_CRITICAL_VALUES[k] : null;
+  const criticalValues = table ? { 10: table[0], 5: table[1], 1: table[2] } : null;
+
+  return {
+    feasible: true,
+    statistic: best.fStat,
+    waldStatistic: best.fStat * k,
+    breakIndex: best.index,
+    path,
+    trimming,
+    criticalValues,
+    rejects: criticalValues ? best.fStat > criticalValues[5] : null
+  };
+};
+
+/**
+ * Bai-Perron (2003) estimation of multiple breaks in all coefficients
+ * Global SSR minimisation by dynamic programming over segments of at least h = trimming·n
+ * observations; the number of breaks (0..maxBreaks) is selected by
+ * BIC = ln(SSR/T) + ((m + 1)k + m) ln(T) / T
+ * Returns { breaks, numberOfBreaks, table, regimes } where regimes hold per-segment coefficients
+ */
+export const baiPerronBreaks = (y, x, options = {}) => {
+  const { trimming = DEFAULT_TRIMMING, maxBreaks = 5 } = options;
+  const n = y.length;
+  const k = x.length + 1;
+  const h = Math.max(Math.ceil(trimming * n), k + 1);
+  const feasibleMax = Math.min(maxBreaks, Math.floor(n / h) - 1);
+
+  if (feasibleMax < 1) {
+    return { feasible: false, reason: `Sample too short for break estimation (N=${n}, minimum segment ${h})` };
+  }
+
+  // SSR of every admissible segment [i, j)
+  const ssr = Array.from({ length: n + 1 }, () => new Array(n + 1).fill(null));
+  for (let i = 0; i <= n - h; i++) {
+    for (let j = i + h; j <= n; j++) {
+      ssr[i][j] = segmentSSR(y, x, i, j);
+    }
+  }
+
+  // best[m][j]: minimal SSR of the first j observations with m breaks; split[m][j]: last break
+  const best = [ssr[0].map(v => (v === null ? Infinity : v))];
+  const split = [new Array(n + 1).fill(null)];
+  for (let m = 1; m <= feasibleMax; m++) {
+    best.push(new Array(n + 1).fill(Infinity));
+    split.push(new Array(n + 1).fill(null));
+    for (let j = (m + 1) * h; j <= n; j++) {
+      for (let b = m * h; b <= j - h; b++) {
+        const segment = ssr[b][j];
+        if (segment === null || !isFinite(best[m - 1][b])) continue;
+        const total = best[m - 1][b] + segment;
+        if (total < best[m][j]) {
+          best[m][j] = total;
+          split[m][j] = b;
+        }
+      }
+    }
+  }
+
+  const table = [];
+  for (let m = 0; m <= feasibleMax; m++) {
+    const total = best[m][n];
+    if (!isFinite(total)) continue;
+
+    const breaks = [];
+    let end = n;
+    for (let level = m; level > 0; level--) {
+      const b = split[level][end];
+      breaks.unshift(b);
+      end = b;
+    }
+
+    const parameters = (m + 1) * k + m;
+    table.push({
+      numberOfBreaks: m,
+      ssr: total,
+      bic: Math.log(total / n) + (parameters * Math.log(n)) / n,
+      breaks
+    });
+  }
+
+  if (table.length === 0) {
+    return { feasible: false, reason: 'Break regressions could not be estimated' };
+  }
+
+  const selected = table.reduce((a, b) => (b.bic < a.bic ? b : a));
+  const bounds = [0, ...selected.breaks, n];
+  const regimes = [];
+  for (let r = 0; r < bounds.length - 1; r++) {
+    const fit = multipleOLS(y.slice(bounds[r], bounds[r + 1]), x.map(col => col.slice(bounds[r], bounds[r + 1])));
+    regimes.push({
+      start: bounds[r],
+      end: bounds[r + 1] - 1,
+      coefficients: fit ? fit.coefficients : null,
+      standardErrors: fit ? fit.standardErrors : null,
+      pValues: fit ? fit.pValues : null
+    });
+  }
+
+  return {
+    feasible: true,
+    breaks: selected.breaks,
+    numberOfBreaks: selected.numberOfBreaks,
+    minimumSegment: h,
+    table,
+    regimes
+  };
+};
+
+/**
+ * Run Chow tests at each milestone in `milestones` (objects with date, label, short - e.g. CBAM_DATES),
+ * the sup-Wald test and Bai-Perron estimation on the baseline regression
+ * Break indices are mapped back to the `date` / `yearMonth` of the first observation of the new regime;
+ * breakLines lists the estimated dates for chart reference lines
+ */
+export const runStructuralBreakAnalysis = (mergedData, milestones = [], options = {}) => {
+  const rows = mergedData.filter(d =>
+    d.logImport !== null && !isNaN(d.logImport) &&
+    d.etsPrice !== null && !isNaN(d.etsPrice) && d.etsPrice > 0 &&
+    d.logIndustry !== null && !isNaN(d.logIndustry)
+  );
+
+  if (rows.length < 20) {
+    return { feasible: false, reason: `Insufficient observations for break tests (N=${rows.length} < 20 required)` };
+  }
+
+  const y = rows.map(d => d.logImport);
+  const x = [rows.map(d => d.etsPrice), rows.map(d => d.logIndustry)];
+  const describe = (index) => ({ index, date: rows[index].date, yearMonth: rows[index].yearMonth });
+
+  const chow = milestones.map(milestone => {
+    const milestoneTime = new Date(milestone.date).getTime();
+    const index = rows.findIndex(d => new Date(d.date).getTime() >= milestoneTime);
+    const base = { label: milestone.label, short: milestone.short, milestoneDate: milestone.date };
+    if (index === -1) {
+      return { ...base, feasible: false, reason: 'After the end of the estimation sample' };
+    }
+    return { ...base, ...describe(index), ...chowTest(y, x, index) };
+  });
+
+  const supWald = supWaldTest(y, x, options.trimming);
+  const baiPerron = baiPerronBreaks(y, x, options);
+
+  const breakLines = [];
+  if (baiPerron.feasible) {
+    baiPerron.breaks.forEach((b, i) => {
+      breakLines.push({ ...describe(b), label: `Break ${i + 1}`, source: 'Bai-Perron' });
+    });
+  }
+  if (supWald.feasible && supWald.rejects && !(baiPerron.feasible && baiPerron.breaks.includes(supWald.breakIndex))) {
+    breakLines.push({ ...describe(supWald.breakIndex), label: 'sup-F', source: 'sup-Wald' });
+  }
+
+  return {
+    feasible: true,
+    n: rows.length,
+    chow,
+    supWald: supWald.feasible
+      ? { ...supWald, ...describe(supWald.breakIndex), path: supWald.path.map(p => ({ ...p, ...describe(p.index) })) }
+      : supWald,
+    baiPerron: baiPerron.feasible
+      ? {
+        ...baiPerron,
+        breakDates: baiPerron.breaks.map(describe),
+        table: baiPerron.table.map(row => ({ ...row, breakDates: row.breaks.map(describe) })),
+        regimes: baiPerron.regimes.map(r => ({
+          ...r,
+          startLabel: rows[r.start].yearMonth,
+          endLabel: rows[r.end].yearMonth
+        }))
+      }
+      : baiPerron,
+    breakLines
+  };
+};
+
+/**
+ * Helper: SSR of the OLS fit on observations [start, end), null if it cannot be estimated
+ * Exact fits are rejected as well: when annual values are repeated across months a short
+ * segment can be interpolated perfectly, which would make any break date look optimal
+ */
+function segmentSSR(y, x, start, end) {
+  const segment = y.slice(start, end);
+  const fit = multipleOLS(segment, x.map(col => col.slice(start, end)));
+  if (!fit) return null;
+
+  const mean = segment.reduce((a, b) => a + b, 0) / segment.length;
+  const tss = segment.reduce((sum, v) => sum + (v - mean) * (v - mean), 0);
+  const ssr = fit.residuals.reduce((sum, e) => sum + e * e, 0);
+  return tss > 0 && ssr > 1e-10 * tss ? ssr : null;
+}
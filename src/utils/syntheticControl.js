@@ -0,0 +1,184 @@
+/**
+ * Synthetic Control
+ * Abadie, Diamond & Hainmueller (2010): the EU's extra-EU HS72 import volume is compared with a convex
+ * combination of other steel importers (the donor pool) chosen to reproduce the EU trajectory before CBAM
+ *   min_w Σ_{t<T0} (Y_EU,t - Σ_j w_j Y_j,t)²   s.t. w_j ≥ 0, Σ_j w_j = 1
+ * All series are volume indices (pre-treatment mean = 100). Inference is by placebos in space: each donor
+ * is treated in turn and its post/pre RMSPE ratio is compared with the EU's
+ * Input: raw_imports.json (aggregated by aggregateImports) and donor_series.json records { country, period, volume }
+ * with period 'YYYY' (annual) or 'YYYY-MM' (monthly)
+ */
+
+import { aggregateImports } from './carbonLeakageParser';
+import { CBAM_DATES } from './dataParser';
+
+/**
+ * Intended donor pool: large steel importers outside the CBAM
+ */
+export const SYNTHETIC_DONORS = ['United Kingdom', 'United States', 'Japan', 'South Korea'];
+
+/**
+ * Balanced panel of the EU total and the donor series over their common periods
+ * Monthly EU totals from aggregateImports are summed to calendar years (complete years only) when the
+ * donor series are annual
+ * Returns { frequency, periods, treated: { id, values }, donors: [{ id, values }] }
+ */
+export const buildDonorPanel = (rawImports, donorSeries) => {
+  const annual = donorSeries.length > 0 && donorSeries.every(d => /^\d{4}$/.test(String(d.period)));
+  const eu = new Map();
+  if (rawImports.length > 0) {
+    const months = new Map();
+    aggregateImports(rawImports).total.forEach(t => {
+      const period = annual ? t.yearMonth.slice(0, 4) : t.yearMonth;
+      eu.set(period, (eu.get(period) || 0) + t.totalQuantity_tons);
+      months.set(period, (months.get(period) || 0) + 1);
+    });
+    if (annual) months.forEach((count, period) => { if (count < 12) eu.delete(period); });
+  }
+
+  const donors = new Map();
+  donorSeries.forEach(d => {
+    const volume = Number(d.volume);
+    if (!d.country || !Number.isFinite(volume) || volume <= 0) return;
+    if (!donors.has(d.country)) donors.set(d.country, new Map());
+    donors.get(d.country).set(String(d.period), volume);
+  });
+
+  const periods = [...eu.keys()]
+    .filter(period => eu.get(period) > 0 && [...donors.values()].every(series => series.has(period)))
+    .sort();
+  return {
+    frequency: annual ? 'annual' : 'monthly',
+    periods,
+    treated: { id: 'EU-27', values: periods.map(period => eu.get(period)) },
+    donors: [...donors].map(([id, series]) => ({ id, values: periods.map(period => series.get(period)) }))
+  };
+};
+
+/**
+ * Synthetic control estimate with placebo-in-space inference
+ * treatmentDate: first treated period is the one containing this date (default: CBAM entry into force)
+ * options.preFitThreshold: placebos whose pre-treatment RMSPE exceeds this multiple of the EU's are
+ *   flagged as poorly fitted and left out of the gap chart (default 5); all placebos enter the p-value
+ * Returns { feasible, frequency, periods, treatmentPeriod, weights: [{ id, weight }], path: [{ period, treated,
+ *           synthetic, gap }], preRMSPE, postRMSPE, ratio, averageGap, averageGapPercent, placebos: [{ id,
+ *           preRMSPE, postRMSPE, ratio, excluded, gaps }], pValue }
+ */
+export const estimateSyntheticControl = (panel, treatmentDate = CBAM_DATES[0].date, options = {}) => {
+  const { preFitThreshold = 5 } = options;
+  const { periods, treated, donors } = panel;
+  if (donors.length < 2) {
+    return { feasible: false, reason: `At least two donor series are required (found ${donors.length}; add donor_imports.csv and run "npm run preprocess")` };
+  }
+
+  const date = new Date(treatmentDate);
+  const start = panel.frequency === 'annual'
+    ? String(date.getFullYear())
+    : `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+  const T0 = periods.findIndex(period => period >= start);
+  if (T0 < 3 || T0 === -1) {
+    return { feasible: false, reason: `Need at least 3 pre-treatment and 1 post-treatment period in the common sample (${periods.length} periods)` };
+  }
+
+  const index = (values) => {
+    const base = values.slice(0, T0).reduce((a, b) => a + b, 0) / T0;
+    return values.map(v => (100 * v) / base);
+  };
+  const units = [{ id: treated.id, values: index(treated.values) }, ...donors.map(d => ({ id: d.id, values: index(d.values) }))];
+
+  const fitUnit = (u) => {
+    const pool = units.filter((_, j) => j !== 0 && j !== u);
+    const weights = simplexLeastSquares(units[u].values.slice(0, T0), pool.map(d => d.values.slice(0, T0)));
+    const synthetic = periods.map((_, t) => pool.reduce((sum, d, j) => sum + weights[j] * d.values[t], 0));
+    const gaps = units[u].values.map((v, t) => v - synthetic[t]);
+    const rmspe = (from, to) => Math.sqrt(gaps.slice(from, to).reduce((sum, g) => sum + g * g, 0) / (to - from));
+    const preRMSPE = rmspe(0, T0);
+    const postRMSPE = rmspe(T0, periods.length);
+    return {
+      pool,
+      weights,
+      synthetic,
+      gaps,
+      preRMSPE,
+      postRMSPE,
+      ratio: preRMSPE > 0 ? postRMSPE / preRMSPE : Infinity
+    };
+  };
+
+  const eu = fitUnit(0);
+  // Placebos use the other donors only; with two donors each placebo is matched by the remaining one
+  const placebos = donors.map((d, j) => ({ id: d.id, ...fitUnit(j + 1) }));
+  const post = eu.gaps.slice(T0);
+
+  return {
+    feasible: true,
+    frequency: panel.frequency,
+    periods,
+    treatmentPeriod: periods[T0],
+    preperiods: T0,
+    weights: eu.pool.map((d, j) => ({ id: d.id, weight: eu.weights[j] })).sort((a, b) => b.weight - a.weight),
+    path: periods.map((period, t) => ({
+      period,
+      treated: units[0].values[t],
+      synthetic: eu.synthetic[t],
+      gap: eu.gaps[t]
+    })),
+    preRMSPE: eu.preRMSPE,
+    postRMSPE: eu.postRMSPE,
+    ratio: eu.ratio,
+    averageGap: post.reduce((a, b) => a + b, 0) / post.length,
+    averageGapPercent: (100 * post.reduce((sum, g, i) => sum + g / eu.synthetic[T0 + i], 0)) / post.length,
+    placebos: placebos.map(p => ({
+      id: p.id,
+      preRMSPE: p.preRMSPE,
+      postRMSPE: p.postRMSPE,
+      ratio: p.ratio,
+      excluded: p.preRMSPE > preFitThreshold * eu.preRMSPE,
+      gaps: p.gaps
+    })),
+    pValue: (1 + placebos.filter(p => p.ratio >= eu.ratio).length) / (placebos.length + 1)
+  };
+};
+
+/**
+ * Helper: w ≥ 0, Σw = 1 minimising ||target - Σ_j w_j columns_j||² by accelerated projected gradient (FISTA)
+ */
+function simplexLeastSquares(target, columns, maxIterations = 5000, tolerance = 1e-10) {
+  const J = columns.length;
+  if (J === 1) return [1];
+  const T = target.length;
+  const predict = (w) => target.map((_, t) => columns.reduce((sum, col, j) => sum + w[j] * col[t], 0));
+  // Lipschitz constant of the gradient bounded by 2·trace(X'X)
+  const lipschitz = 2 * columns.reduce((sum, col) => sum + col.reduce((s, v) => s + v * v, 0), 0);
+
+  let w = new Array(J).fill(1 / J);
+  let z = w.slice();
+  let momentum = 1;
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    const residual = predict(z).map((p, t) => p - target[t]);
+    const gradient = columns.map(col => 2 * col.reduce((sum, v, t) => sum + v * residual[t], 0));
+    const next = projectOntoSimplex(z.map((v, j) => v - gradient[j] / lipschitz));
+    const nextMomentum = (1 + Math.sqrt(1 + 4 * momentum * momentum)) / 2;
+    z = next.map((v, j) => v + ((momentum - 1) / nextMomentum) * (v - w[j]));
+    const change = next.reduce((sum, v, j) => sum + Math.abs(v - w[j]), 0);
+    w = next;
+    momentum = nextMomentum;
+    if (change < tolerance * T) break;
+  }
+  return w;
+}
+
+/**
+ * Helper: Euclidean projection onto the probability simplex (Duchi et al. 2008)
+ */
+function projectOntoSimplex(v) {
+  const sorted = [...v].sort((a, b) => b - a);
+  let cumulative = 0;
+  let theta = 0;
+  for (let i = 0; i < sorted.length; i++) {
+    cumulative += sorted[i];
+    const candidate = (cumulative - 1) / (i + 1);
+    if (sorted[i] - candidate > 0) theta = candidate;
+  }
+  return v.map(x => Math.max(x - theta, 0));
+}
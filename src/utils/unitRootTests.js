@@ -0,0 +1,544 @@
+/**
+ * Unit-Root and Stationarity Tests
+ * ADF, Phillips-Perron and KPSS tests used to establish the integration order of the
+ * series entering the levels regressions
+ */
+
+import { multipleOLS } from './econometricAnalysis';
+import { normalCDF } from './statDistributions';
+
+/**
+ * Series tested in the dashboard "Stationarity" section
+ */
+export const STATIONARITY_VARIABLES = [
+  { key: 'logImport', label: 'LN(Imports)' },
+  { key: 'etsPrice', label: 'Carbon Price (EUR/t)' },
+  { key: 'logETS', label: 'LN(Carbon Price)' },
+  { key: 'logIndustry', label: 'LN(Activity)' }
+];
+
+/**
+ * MacKinnon (2010) response-surface coefficients [β∞, β1, β2, β3] for Dickey-Fuller type
+ * t-statistics, keyed by the number of variables N (N=1: unit-root test, N>1: Engle-Granger
+ * residual test); c(T) = β∞ + β1/T + β2/T² + β3/T³
+ */
+const MACKINNON_CRITICAL_VALUES = {
+  1: {
+    c: {
+      1: [-3.43035, -6.5393, -16.786, -79.433],
+      5: [-2.86154, -2.8903, -4.234, -40.040],
+      10: [-2.56677, -1.5384, -2.809, 0]
+    },
+    ct: {
+      1: [-3.95877, -9.0531, -28.428, -134.155],
+      5: [-3.41049, -4.3904, -9.036, -45.374],
+      10: [-3.12705, -2.5856, -3.925, -22.380]
+    }
+  },
+  2: {
+    c: {
+      1: [-3.89644, -10.9519, -22.527, 0],
+      5: [-3.33613, -6.1101, -6.823, 0],
+      10: [-3.04445, -4.2412, -2.720, 0]
+    }
+  },
+  3: {
+    c: {
+      1: [-4.29374, -14.4354, -33.195, 47.433],
+      5: [-3.74066, -8.5631, -10.852, 27.982],
+      10: [-3.45218, -6.2143, -3.718, 0]
+    }
+  }
+};
+
+/**
+ * MacKinnon (1994) asymptotic p-value surfaces: p = Φ(polynomial in τ), using the
+ * small-p polynomial below τ* and the large-p polynomial above it; keyed like the critical values
+ */
+const MACKINNON_P_VALUE_SURFACE = {
+  1: {
+    c: {
+      tauMin: -18.83,
+      tauMax: 2.74,
+      tauStar: -1.61,
+      smallP: [2.1659, 1.4412, 0.038269],
+      largeP: [1.7339, 0.93202, -0.12745, -0.010368]
+    },
+    ct: {
+      tauMin: -16.18,
+      tauMax: 0.7,
+      tauStar: -2.89,
+      smallP: [3.2512, 1.6047, 0.049588],
+      largeP: [2.5261, 0.61654, -0.37956, -0.060285]
+    }
+  },
+  2: {
+    c: {
+      tauMin: -18.86,
+      tauMax: 0.92,
+      tauStar: -2.62,
+      smallP: [2.92, 1.5012, 0.039796],
+      largeP: [2.1945, 0.64695, -0.29198, -0.042377]
+    }
+  },
+  3: {
+    c: {
+      tauMin: -23.48,
+      tauMax: 0.55,
+      tauStar: -3.13,
+      smallP: [3.4699, 1.4856, 0.03164],
+      largeP: [2.5893, 0.45168, -0.36529, -0.050074]
+    }
+  }
+};
+
+/**
+ * KPSS (1992) asymptotic critical values for the level- and trend-stationarity nulls
+ */
+const KPSS_CRITICAL_VALUES = {
+  c: { 10: 0.347, 5: 0.463, 2.5: 0.574, 1: 0.739 },
+  ct: { 10: 0.119, 5: 0.146, 2.5: 0.176, 1: 0.216 }
+};
+
+const MIN_OBSERVATIONS = 20;
+
+/**
+ * MacKinnon (2010) finite-sample critical values for a Dickey-Fuller type t-statistic
+ * trend: 'c' (constant) or 'ct' (constant and linear trend); nobs: observations in the test regression;
+ * nVariables: 1 for a unit-root test, 2-3 for an Engle-Granger residual test (constant only)
+ */
+export const mackinnonCriticalValues = (nobs, trend = 'c', nVariables = 1) => {
+  const table = MACKINNON_CRITICAL_VALUES[nVariables][trend];
+  const result = {};
+  Object.keys(table).forEach(level => {
+    const [bInf, b1, b2, b3] = table[level];
+    result[level] = bInf + b1 / nobs + b2 / (nobs * nobs) + b3 / (nobs * nobs * nobs);
+  });
+  return result;
+};
+
+/**
+ * MacKinnon (1994) approximate asymptotic p-value for a Dickey-Fuller type t-statistic
+ */
+export const mackinnonPValue = (statistic, trend = 'c', nVariables = 1) => {
+  const surface = MACKINNON_P_VALUE_SURFACE[nVariables][trend];
+  if (isNaN(statistic)) return NaN;
+  if (statistic > surface.tauMax) return 1;
+  if (statistic < surface.tauMin) return 0;
+
+  const coefficients = statistic <= surface.tauStar ? surface.smallP : surface.largeP;
+  const z = coefficients.reduce((sum, c, i) => sum + c * Math.pow(statistic, i), 0);
+  return normalCDF(z);
+};
+
+/**
+ * Augmented Dickey-Fuller test
+ * Δy_t = α (+ δt) + γ y_{t-1} + Σ φ_i Δy_{t-i} + e_t, H₀: γ = 0 (unit root)
+ * options.trend: 'c' or 'ct'; options.criterion: 'AIC' or 'BIC' for the augmentation lag;
+ * options.maxLag defaults to Schwert's rule floor(12 (T/100)^¼)
+ */
+export const adfTest = (series, options = {}) => {
+  const { trend = 'c', criterion = 'AIC' } = options;
+  const fit = adfStatistic(series, options);
+  if (!fit.feasible) return fit;
+
+  const criticalValues = mackinnonCriticalValues(fit.nobs, trend);
+
+  return {
+    feasible: true,
+    test: 'ADF',
+    statistic: fit.statistic,
+    pValue: mackinnonPValue(fit.statistic, trend),
+    criticalValues,
+    rejectsUnitRoot: fit.statistic < criticalValues[5],
+    lags: fit.lags,
+    maxLag: fit.maxLag,
+    criterion,
+    trend,
+    nobs: fit.nobs
+  };
+};
+
+/**
+ * ADF t-statistic with information-criterion lag selection, without critical values
+ * options.trend additionally accepts 'n' (no deterministic terms), as used on cointegrating residuals
+ * Lag orders are compared on a common sample, the chosen order is re-estimated on all observations
+ * Returns { feasible, statistic, lags, maxLag, nobs }
+ */
+export const adfStatistic = (series, options = {}) => {
+  const { trend = 'c', criterion = 'AIC' } = options;
+  const n = series.length;
+  const deterministic = trend === 'ct' ? 2 : trend === 'n' ? 0 : 1;
+
+  if (n < MIN_OBSERVATIONS) {
+    return { feasible: false, reason: `Insufficient observations for ADF test (N=${n}, minimum ${MIN_OBSERVATIONS})` };
+  }
+
+  // Largest lag that still leaves a usable test regression
+  const schwertLag = Math.floor(12 * Math.pow(n / 100, 0.25));
+  const maxLag = Math.max(0, Math.min(
+    options.maxLag !== undefined ? options.maxLag : schwertLag,
+    Math.floor((n - 1 - deterministic - 10) / 2)
+  ));
+
+  let bestLag = 0;
+  let bestCriterion = Infinity;
+  for (let p = 0; p <= maxLag; p++) {
+    const fit = adfRegression(series, p, trend, maxLag + 1);
+    if (!fit) continue;
+    const value = informationCriterion(fit, criterion);
+    if (value < bestCriterion) {
+      bestCriterion = value;
+      bestLag = p;
+    }
+  }
+
+  const fit = adfRegression(series, bestLag, trend, bestLag + 1);
+  if (!fit) {
+    return { feasible: false, reason: 'ADF test regression is singular' };
+  }
+
+  // y_{t-1} follows the intercept when there is one
+  const index = trend === 'n' ? 0 : 1;
+  return { feasible: true, statistic: fit.tStats[index], lags: bestLag, maxLag, nobs: fit.n };
+};
+
+/**
+ * Phillips-Perron test
+ * y_t = α (+ δt) + ρ y_{t-1} + u_t with the Z_τ correction for serial correlation in u_t:
+ * Z_τ = sqrt(γ₀/λ²) t_ρ - (λ² - γ₀) T se(ρ) / (2 λ s)
+ * λ² is the Bartlett long-run variance with options.lags (default floor(4 (T/100)^¼))
+ */
+export const phillipsPerronTest = (series, options = {}) => {
+  const { trend = 'c' } = options;
+  const n = series.length;
+
+  if (n < MIN_OBSERVATIONS) {
+    return { feasible: false, reason: `Insufficient observations for Phillips-Perron test (N=${n}, minimum ${MIN_OBSERVATIONS})` };
+  }
+
+  const y = series.slice(1);
+  const columns = [series.slice(0, -1)];
+  if (trend === 'ct') columns.push(y.map((_, t) => t + 1));
+
+  const fit = multipleOLS(y, columns);
+  if (!fit) {
+    return { feasible: false, reason: 'Phillips-Perron test regression is singular' };
+  }
+
+  const T = fit.n;
+  const lags = options.lags !== undefined ? options.lags : Math.floor(4 * Math.pow(T / 100, 0.25));
+  const ssr = fit.residuals.reduce((sum, e) => sum + e * e, 0);
+  const gamma0 = ssr / T;
+  const s = Math.sqrt(ssr / fit.df);
+  const lambda2 = longRunVariance(fit.residuals, lags);
+  const lambda = Math.sqrt(lambda2);
+
+  // t-statistic for H₀: ρ = 1
+  const rhoSE = fit.standardErrors[1];
+  const tRho = (fit.coefficients[1] - 1) / rhoSE;
+  const statistic = Math.sqrt(gamma0 / lambda2) * tRho - (lambda2 - gamma0) * T * rhoSE / (2 * lambda * s);
+  const criticalValues = mackinnonCriticalValues(T, trend);
+
+  return {
+    feasible: true,
+    test: 'PP',
+    statistic,
+    pValue: mackinnonPValue(statistic, trend),
+    criticalValues,
+    rejectsUnitRoot: statistic < criticalValues[5],
+    lags,
+    trend,
+    nobs: T
+  };
+};
+
+/**
+ * KPSS test, H₀: the series is level- ('c') or trend-stationary ('ct')
+ * η = Σ S_t² / (T² λ²) with S_t the partial sums of the detrended series
+ * p-values are interpolated in the KPSS table and bounded to [0.01, 0.10]
+ */
+export const kpssTest = (series, options = {}) => {
+  const { trend = 'c' } = options;
+  const n = series.length;
+
+  if (n < MIN_OBSERVATIONS) {
+    return { feasible: false, reason: `Insufficient observations for KPSS test (N=${n}, minimum ${MIN_OBSERVATIONS})` };
+  }
+
+  let residuals;
+  if (trend === 'ct') {
+    const fit = multipleOLS(series, [series.map((_, t) => t + 1)]);
+    if (!fit) return { feasible: false, reason: 'KPSS detrending regression is singular' };
+    residuals = fit.residuals;
+  } else {
+    const mean = series.reduce((a, b) => a + b, 0) / n;
+    residuals = series.map(v => v - mean);
+  }
+
+  const lags = options.lags !== undefined ? options.lags : Math.floor(4 * Math.pow(n / 100, 0.25));
+  const lambda2 = longRunVariance(residuals, lags);
+
+  let partialSum = 0;
+  let sumSquares = 0;
+  residuals.forEach(e => {
+    partialSum += e;
+    sumSquares += partialSum * partialSum;
+  });
+  const statistic = sumSquares / (n * n * lambda2);
+
+  const criticalValues = KPSS_CRITICAL_VALUES[trend];
+  const { pValue, pValueBound } = kpssPValue(statistic, criticalValues);
+
+  return {
+    feasible: true,
+    test: 'KPSS',
+    statistic,
+    pValue,
+    pValueBound,
+    criticalValues,
+    rejectsStationarity: statistic > criticalValues[5],
+    lags,
+    trend,
+    nobs: n
+  };
+};
+
+/**
+ * Integration order of a single series
+ * Runs ADF, PP and KPSS on levels (options.levelTrend, default 'ct') and on successive
+ * differences (constant only) up to options.maxOrder (default 2). A level counts as
+ * stationary when at least two of the three tests point that way at 5%.
+ * Returns { feasible, order, conclusive, stages } - order is null if the series is not
+ * stationary after maxOrder differences
+ */
+export const determineIntegrationOrder = (series, options = {}) => {
+  const { levelTrend = 'ct', maxOrder = 2, criterion = 'AIC' } = options;
+  const stages = [];
+  let current = series;
+
+  for (let d = 0; d <= maxOrder; d++) {
+    const trend = d === 0 ? levelTrend : 'c';
+    const adf = adfTest(current, { trend, criterion });
+    const pp = phillipsPerronTest(current, { trend });
+    const kpss = kpssTest(current, { trend });
+
+    if (!adf.feasible || !pp.feasible || !kpss.feasible) {
+      const reason = [adf, pp, kpss].find(test => !test.feasible).reason;
+      return { feasible: stages.length > 0, order: null, conclusive: false, stages, reason };
+    }
+
+    const votes = [adf.rejectsUnitRoot, pp.rejectsUnitRoot, !kpss.rejectsStationarity];
+    const stationaryVotes = votes.filter(Boolean).length;
+    const stage = {
+      difference: d,
+      trend,
+      adf,
+      pp,
+      kpss,
+      stationary: stationaryVotes >= 2,
+      unanimous: stationaryVotes === 0 || stationaryVotes === 3
+    };
+    stages.push(stage);
+
+    if (stage.stationary) {
+      return { feasible: true, order: d, conclusive: stages.every(s => s.unanimous), stages };
+    }
+
+    current = current.slice(1).map((v, t) => v - current[t]);
+  }
+
+  return {
+    feasible: true,
+    order: null,
+    conclusive: false,
+    stages,
+    reason: `Not stationary after ${maxOrder} differences`
+  };
+};
+
+/**
+ * Whether a levels regression of `dependent` on `regressors` is balanced and free of
+ * spurious-regression risk, given the integration orders from runStationarityAnalysis
+ * Returns { appropriate, warnings }
+ */
+export const assessLevelsRegression = (results, dependent, regressors) => {
+  const byKey = new Map(results.map(r => [r.variable, r]));
+  const label = (key) => (byKey.get(key) ? byKey.get(key).label : key);
+  const order = (key) => (byKey.get(key) && byKey.get(key).feasible ? byKey.get(key).order : undefined);
+
+  const missing = [dependent, ...regressors].filter(key => order(key) === undefined);
+  if (missing.length > 0) {
+    return {
+      appropriate: null,
+      warnings: [`Integration order could not be determined for ${missing.map(label).join(', ')}.`]
+    };
+  }
+
+  const warnings = [];
+  const integrated = [dependent, ...regressors].filter(key => order(key) !== 0);
+  const dependentOrder = order(dependent);
+
+  if (integrated.length === 0) {
+    return { appropriate: true, warnings };
+  }
+
+  if (integrated.length > 1) {
+    warnings.push(
+      `${integrated.map(label).join(', ')} are non-stationary. A levels regression among integrated series is ` +
+      'spurious unless they are cointegrated: t-statistics and R² are not valid. Test for cointegration, ' +
+      'or estimate in first differences / as an error-correction model.'
+    );
+  }
+
+  const unbalanced = regressors.filter(key => order(key) !== dependentOrder);
+  if (unbalanced.length > 0) {
+    warnings.push(
+      `Unbalanced regression: ${label(dependent)} is ${formatOrder(dependentOrder)} while ` +
+      `${unbalanced.map(key => `${label(key)} is ${formatOrder(order(key))}`).join(', ')}.`
+    );
+  }
+
+  return { appropriate: false, warnings };
+};
+
+/**
+ * Run the stationarity battery on each variable of the (aligned) analysis dataset
+ * Each series is tested on its longest run of consecutive non-missing observations
+ * Returns { feasible, results, baselineRegression, elasticityRegression } where the last two
+ * assess the levels specifications used by estimateBaselineModel and estimateElasticity
+ */
+export const runStationarityAnalysis = (data, variables = STATIONARITY_VARIABLES, options = {}) => {
+  if (!data || data.length === 0) {
+    return { feasible: false, reason: 'No data available for stationarity testing' };
+  }
+
+  const results = variables.map(({ key, label }) => {
+    const run = longestRun(data, key);
+    if (run.length < MIN_OBSERVATIONS) {
+      return {
+        variable: key,
+        label,
+        feasible: false,
+        nobs: run.length,
+        reason: `Insufficient consecutive observations (N=${run.length}, minimum ${MIN_OBSERVATIONS})`
+      };
+    }
+
+    const integration = determineIntegrationOrder(run.map(d => d[key]), options);
+    return {
+      variable: key,
+      label,
+      nobs: run.length,
+      start: run[0].yearMonth || run[0].date,
+      end: run[run.length - 1].yearMonth || run[run.length - 1].date,
+      ...integration
+    };
+  });
+
+  if (results.every(r => !r.feasible)) {
+    return { feasible: false, reason: results[0].reason, results };
+  }
+
+  return {
+    feasible: true,
+    results,
+    baselineRegression: assessLevelsRegression(results, 'logImport', ['etsPrice', 'logIndustry']),
+    elasticityRegression: assessLevelsRegression(results, 'logImport', ['logETS', 'logIndustry'])
+  };
+};
+
+/**
+ * Format an integration order as I(d)
+ */
+export const formatOrder = (order) => (order === null || order === undefined ? 'I(>2)' : `I(${order})`);
+
+/**
+ * Helper: ADF test regression with p augmentation lags, starting at index `start` of the series
+ */
+function adfRegression(series, p, trend, start) {
+  const dy = [];
+  const columns = [[]];
+  if (trend === 'ct') columns.push([]);
+  for (let i = 1; i <= p; i++) columns.push([]);
+
+  for (let t = start; t < series.length; t++) {
+    dy.push(series[t] - series[t - 1]);
+    columns[0].push(series[t - 1]);
+    let col = 1;
+    if (trend === 'ct') columns[col++].push(t);
+    for (let i = 1; i <= p; i++) {
+      columns[col++].push(series[t - i] - series[t - i - 1]);
+    }
+  }
+
+  return multipleOLS(dy, columns, { includeIntercept: trend !== 'n' });
+}
+
+/**
+ * Helper: AIC / BIC of an OLS fit (Gaussian log-likelihood up to a constant)
+ */
+function informationCriterion(fit, criterion) {
+  const ssr = fit.residuals.reduce((sum, e) => sum + e * e, 0);
+  const k = fit.coefficients.length;
+  const penalty = criterion === 'BIC' ? k * Math.log(fit.n) : 2 * k;
+  return fit.n * Math.log(ssr / fit.n) + penalty;
+}
+
+/**
+ * Helper: Bartlett-kernel long-run variance with `lags` autocovariances
+ */
+function longRunVariance(residuals, lags) {
+  const n = residuals.length;
+  const autocov = (j) => {
+    let sum = 0;
+    for (let t = j; t < n; t++) {
+      sum += residuals[t] * residuals[t - j];
+    }
+    return sum / n;
+  };
+
+  let variance = autocov(0);
+  for (let j = 1; j <= lags; j++) {
+    variance += 2 * (1 - j / (lags + 1)) * autocov(j);
+  }
+  return variance;
+}
+
+/**
+ * Helper: interpolate a KPSS p-value from the critical-value table
+ */
+function kpssPValue(statistic, criticalValues) {
+  const points = Object.keys(criticalValues)
+    .map(level => ({ p: Number(level) / 100, cv: criticalValues[level] }))
+    .sort((a, b) => a.cv - b.cv);
+
+  if (statistic <= points[0].cv) return { pValue: points[0].p, pValueBound: 'greater' };
+  if (statistic >= points[points.length - 1].cv) return { pValue: points[points.length - 1].p, pValueBound: 'smaller' };
+
+  for (let i = 1; i < points.length; i++) {
+    if (statistic <= points[i].cv) {
+      const w = (statistic - points[i - 1].cv) / (points[i].cv - points[i - 1].cv);
+      return { pValue: points[i - 1].p + w * (points[i].p - points[i - 1].p), pValueBound: null };
+    }
+  }
+  return { pValue: points[points.length - 1].p, pValueBound: 'smaller' };
+}
+
+/**
+ * Helper: longest run of consecutive rows with a finite value for `key`
+ */
+function longestRun(data, key) {
+  let best = [];
+  let current = [];
+  data.forEach(d => {
+    const value = d[key];
+    if (value !== null && value !== undefined && isFinite(value)) {
+      current.push(d);
+      if (current.length > best.length) best = current;
+    } else {
+      current = [];
+    }
+  });
+  return best;
+}